@@ -2,6 +2,7 @@ import React, { useEffect } from "react";
 import { AuthProvider } from "./src/context/AuthContext";
 import AppNavigator from "./src/navigation/AppNavigatorNew";
 import pushNotificationService from "./src/services/pushNotificationService";
+import MaintenanceBanner from "./src/components/MaintenanceBanner";
 
 export default function App() {
   useEffect(() => {
@@ -16,6 +17,7 @@ export default function App() {
 
   return (
     <AuthProvider>
+      <MaintenanceBanner />
       <AppNavigator />
     </AuthProvider>
   );
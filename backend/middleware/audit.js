@@ -0,0 +1,63 @@
+const auditService = require('../services/auditService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Frequent telemetry and token refreshes would bury everything else
+const UNAUDITED_ROUTES = new Set([
+  'POST /api/tracking/location',
+  'POST /api/customer-tracking/driver/:collectionId/location',
+  'POST /api/auth/refresh'
+]);
+
+// Records every successful mutating request once the response is sent. Routes can
+// name the action and give a before/after diff with describeChange().
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    // Failed requests changed nothing; unmatched ones have no route
+    if (res.statusCode >= 400 || !req.route) return;
+
+    const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+    if (UNAUDITED_ROUTES.has(route)) return;
+
+    const described = req.audit || {};
+    const targetType = req.baseUrl.replace(/^\/api\//, '');
+    // Raw bodies (signed webhooks) are left out; they would be stored byte by byte
+    const body = Buffer.isBuffer(req.body) ? undefined : auditService.redact(req.body);
+
+    auditService.record({
+      actor: req.user && {
+        user: req.user._id,
+        name: req.user.name,
+        role: req.user.role
+      },
+      action: described.action || route,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      target: described.target || (req.params.id && { type: targetType, id: req.params.id }),
+      changes: described.changes || { after: body },
+      ip: req.ip,
+      requestId: req.id
+    }).catch(error => {
+      console.error('Audit log error:', error);
+    });
+  });
+
+  next();
+};
+
+/**
+ * Name the action and give what changed for the audit entry of this request.
+ * Only fields that differ between before and after are kept.
+ */
+const describeChange = (req, action, { target, before, after } = {}) => {
+  req.audit = {
+    action,
+    target,
+    changes: auditService.diff(auditService.redact(before), auditService.redact(after))
+  };
+};
+
+module.exports = { auditTrail, describeChange };
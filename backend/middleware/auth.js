@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
 
 // Authentication middleware
 const auth = async (req, res, next) => {
@@ -16,11 +17,11 @@ const auth = async (req, res, next) => {
     
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and its session (revoked on logout, password change or suspension)
+    const { userId, session } = await sessionService.verifyAccessToken(token);
     
     // Find user
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(401).json({
@@ -37,11 +38,20 @@ const auth = async (req, res, next) => {
       });
     }
     
-    // Add user to request object
+    // Add user, session and the role's permissions to request object
     req.user = user;
+    req.session = session;
+    req.permissions = await roleService.getPermissions(user.role);
+    await sessionService.touch(session, req);
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    if (error.code === 'session_expired' || error.code === 'session_revoked') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -53,10 +63,12 @@ const auth = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Token expired.'
+        message: 'Token expired.',
+        code: 'token_expired'
       });
     }
     
+    console.error('Auth middleware error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during authentication.'
@@ -64,8 +76,12 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
+// Role-based authorization middleware, for endpoints about the caller's own
+// customer or driver data. Capabilities are checked with requirePermission.
 const authorize = (...roles) => {
+  // Accept authorize('a', 'b') as well as authorize(['a', 'b'])
+  roles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -85,14 +101,60 @@ const authorize = (...roles) => {
   };
 };
 
-// Admin only middleware
-const adminOnly = authorize('admin');
+// Whether the authenticated user's role grants a permission
+const can = (req, permission) => Boolean(req.permissions && req.permissions.has(permission));
+
+// Permission-based authorization middleware (all listed permissions are required)
+const requirePermission = (...permissions) => {
+  permissions = permissions.flat();
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. User not authenticated.'
+      });
+    }
+    
+    const missing = permissions.filter(permission => !can(req, permission));
+    
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`,
+        code: 'permission_denied'
+      });
+    }
+    
+    next();
+  };
+};
 
-// Admin or driver middleware
-const adminOrDriver = authorize('admin', 'driver');
+// Self or permission middleware (user can access their own data; anyone else needs the permission)
+const selfOrPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. User not authenticated.'
+      });
+    }
+    
+    const requestedUserId = req.params.id || req.params.userId;
+    
+    if (req.user._id.toString() === requestedUserId || can(req, permission)) {
+      next();
+    } else {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own data.'
+      });
+    }
+  };
+};
 
-// Self or admin middleware (user can access their own data or admin can access any)
-const selfOrAdmin = (req, res, next) => {
+// Verified email middleware
+const requireVerifiedEmail = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -100,17 +162,28 @@ const selfOrAdmin = (req, res, next) => {
     });
   }
   
-  const requestedUserId = req.params.id || req.params.userId;
-  
-  // Allow if admin or if user is accessing their own data
-  if (req.user.role === 'admin' || req.user._id.toString() === requestedUserId) {
-    next();
-  } else {
-    res.status(403).json({
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only access your own data.'
+      message: 'Please verify your email address first.',
+      code: 'email_not_verified'
     });
   }
+  
+  next();
+};
+
+// Hazardous waste pickups need a verified email so the customer can be contacted;
+// a verified phone does for accounts that signed up with one
+const requireVerifiedEmailForHazardous = (req, res, next) => {
+  const wasteTypes = Array.isArray(req.body.wasteTypes) ? req.body.wasteTypes : [];
+  const hazardous = wasteTypes.some(waste => (waste?.category || waste) === 'hazardous');
+  
+  if (!hazardous || req.user?.phoneVerified) {
+    return next();
+  }
+  
+  requireVerifiedEmail(req, res, next);
 };
 
 // Optional auth middleware (doesn't fail if no token)
@@ -123,11 +196,13 @@ const optionalAuth = async (req, res, next) => {
     }
     
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { userId, session } = await sessionService.verifyAccessToken(token);
+    const user = await User.findById(userId).select('-password');
     
     if (user && user.status === 'active' && !user.isDeleted) {
       req.user = user;
+      req.session = session;
+      req.permissions = await roleService.getPermissions(user.role);
     }
     
     next();
@@ -140,8 +215,10 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   auth,
   authorize,
-  adminOnly,
-  adminOrDriver,
-  selfOrAdmin,
+  can,
+  requirePermission,
+  selfOrPermission,
+  requireVerifiedEmail,
+  requireVerifiedEmailForHazardous,
   optionalAuth
 };
@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const maintenanceService = require('../services/maintenanceService');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+
+// Reachable during maintenance so staff can sign in, check health and turn it off,
+// trucks keep reporting their position, and wallet payments already made are recorded
+const OPEN_PATHS = [
+  /^\/api\/auth\//,
+  /^\/api\/health(\/|$)/,
+  /^\/api\/system\//,
+  /^\/api\/tracking\/location$/,
+  /^\/api\/customer-tracking\/driver\/[\w-]+\/location$/,
+  /^\/api\/wallet\/(callback|return)$/
+];
+
+const isOpen = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return OPEN_PATHS.some(pattern => pattern.test(path));
+};
+
+const sendMaintenance = (res, status) => {
+  res.set('Retry-After', String(status.retryAfter));
+  res.status(503).json({
+    success: false,
+    message: status.message,
+    code: 'maintenance',
+    data: {
+      endsAt: status.endsAt,
+      retryAfter: status.retryAfter
+    }
+  });
+};
+
+// Whether the request carries a valid token of an active user whose role has
+// maintenance access
+const hasMaintenanceAccess = async (req) => {
+  const authHeader = req.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return false;
+
+  try {
+    const { userId } = await sessionService.verifyAccessToken(authHeader.substring(7));
+    const user = await User.findById(userId).select('role status isDeleted').lean();
+    if (!user || user.status !== 'active' || user.isDeleted) return false;
+
+    return (await roleService.getPermissions(user.role)).has('system:maintenance-access');
+  } catch (error) {
+    return false;
+  }
+};
+
+// Turns away every request during maintenance except to the open paths and from
+// users with maintenance access. The token is verified here, so routes without auth
+// and optionalAuth routes given a bad token are turned away too.
+const maintenanceGate = async (req, res, next) => {
+  const status = maintenanceService.status();
+  if (!status.active || isOpen(req)) return next();
+
+  if (await hasMaintenanceAccess(req)) return next();
+
+  sendMaintenance(res, status);
+};
+
+module.exports = { maintenanceGate };
@@ -0,0 +1,35 @@
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const systemSettings = require('../services/systemSettings');
+
+const WINDOW_SETTING = 'security.rateLimitWindowMinutes';
+
+const buildLimiter = () => {
+  const store = new MemoryStore();
+  const handler = rateLimit({
+    windowMs: systemSettings.get(WINDOW_SETTING) * 60 * 1000,
+    // Read per request, so changes apply immediately
+    max: () => systemSettings.get('security.rateLimitMaxRequests'),
+    store,
+    message: {
+      error: 'Too many requests from this IP, please try again later.'
+    }
+  });
+  return { store, handler };
+};
+
+let limiter = buildLimiter();
+
+// The window is fixed when a limiter is created, so a new one replaces it; clients
+// start the new window with a clean count
+systemSettings.on('change', (key) => {
+  if (key !== WINDOW_SETTING) return;
+
+  limiter.store.shutdown();
+  limiter = buildLimiter();
+});
+
+// Rate limiting for /api, configured by the security.* system settings
+const apiRateLimit = (req, res, next) => limiter.handler(req, res, next);
+
+module.exports = { apiRateLimit };
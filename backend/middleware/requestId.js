@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Tag each request with an id, reusing the caller's X-Request-Id so entries can be
+// matched up across services
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
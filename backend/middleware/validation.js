@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { normalizePhone } = require('../services/otpService');
 
 // Validation helper function
 const handleValidationErrors = (req, res, next) => {
@@ -78,10 +79,11 @@ const validateUserUpdate = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
+  // Built-in or custom role; the route checks that it exists
   body('role')
     .optional()
-    .isIn(['customer', 'driver', 'admin'])
-    .withMessage('Role must be either customer, driver, or admin'),
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Invalid role'),
   
   body('status')
     .optional()
@@ -158,6 +160,68 @@ const validatePasswordReset = [
   handleValidationErrors
 ];
 
+// Email verification validation
+const validateEmailVerification = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+// Phone number, normalized to E.164
+const otpPhone = () => body('phone')
+  .customSanitizer(value => normalizePhone(value) || value)
+  .custom(value => Boolean(normalizePhone(value)))
+  .withMessage('Please provide a valid phone number');
+
+// Phone OTP request validation
+const validateOtpRequest = [
+  otpPhone(),
+  
+  body('purpose')
+    .optional()
+    .isIn(['login', 'verify-phone'])
+    .withMessage('Purpose must be either login or verify-phone'),
+  
+  body('language')
+    .optional()
+    .isIn(['en', 'ne'])
+    .withMessage('Language must be either en or ne'),
+  
+  handleValidationErrors
+];
+
+// Phone OTP verification validation
+const validateOtpVerify = [
+  otpPhone(),
+  
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('purpose')
+    .optional()
+    .isIn(['login', 'verify-phone'])
+    .withMessage('Purpose must be either login or verify-phone'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('Name can only contain letters and spaces'),
+  
+  body('language')
+    .optional()
+    .isIn(['en', 'ne'])
+    .withMessage('Language must be either en or ne'),
+  
+  handleValidationErrors
+];
+
 // Driver info validation
 const validateDriverInfo = [
   body('licenseNumber')
@@ -216,6 +280,9 @@ module.exports = {
   validatePasswordChange,
   validatePasswordResetRequest,
   validatePasswordReset,
+  validateEmailVerification,
+  validateOtpRequest,
+  validateOtpVerify,
   validateDriverInfo,
   validateCustomerInfo,
   handleValidationErrors
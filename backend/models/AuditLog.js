@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One entry per mutating request. Entries are chained: each stores the hash of the
+// previous one, so editing or deleting a stored entry breaks every hash after it.
+const auditLogSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    role: String
+  },
+  // e.g. 'user.role.update', or 'PUT /api/users/:id' for routes without a named action
+  action: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  target: {
+    type: { type: String },
+    id: String
+  },
+  // Only the fields that changed; `after` holds the request body when the route gives no diff
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Append-only: refuse updates and deletes through the model
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(op => {
+  auditLogSchema.pre(op, appendOnly);
+});
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const STATUSES = [
+  'queued',
+  'running',
+  'cancelling',
+  'completed',
+  'cancelled',
+  'failed',
+  'rolling-back',
+  'rolled-back'
+];
+
+// A bulk change run in chunks by services/bulkOperations.js. Each item it touches
+// is a BulkOperationItem holding the outcome and what it takes to undo it.
+const bulkOperationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // What the operation was started with, as validated by its type
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  summary: String,
+
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  rolledBack: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: Date,
+  // Set after every chunk; an operation that stops beating was cut off and is resumed
+  heartbeatAt: Date,
+  error: String
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+bulkOperationSchema.index({ createdAt: -1 });
+bulkOperationSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
+module.exports.STATUSES = STATUSES;
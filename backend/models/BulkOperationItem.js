@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One item of a bulk operation, in input order. `before` and `after` are the
+// fields the operation changed, so a rollback can put them back.
+const bulkOperationItemSchema = new mongoose.Schema({
+  operation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BulkOperation',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  // A document ID, or for imports the parsed row
+  input: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'skipped', 'rolled-back', 'rollback-failed'],
+    default: 'pending'
+  },
+  // The document changed or created
+  target: mongoose.Schema.Types.ObjectId,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  error: String,
+  processedAt: Date
+}, {
+  minimize: false
+});
+
+// Indexes
+bulkOperationItemSchema.index({ operation: 1, index: 1 }, { unique: true });
+bulkOperationItemSchema.index({ operation: 1, status: 1, index: 1 });
+
+module.exports = mongoose.model('BulkOperationItem', bulkOperationItemSchema);
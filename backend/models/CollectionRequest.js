@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const pricingService = require('../services/pricingService');
 
 const collectionRequestSchema = new mongoose.Schema({
   // Customer Information
@@ -110,6 +111,22 @@ const collectionRequestSchema = new mongoose.Schema({
   // Collection Execution
   actualCollectionTime: Date,
   
+  // Position in the driver's planned route and the latest live ETA
+  routeStop: {
+    order: Number,
+    plannedArrival: Date,
+    estimatedArrival: Date,
+    etaUpdatedAt: Date
+  },
+  
+  // Driver visit detected from GPS geofencing around pickupLocation
+  geofence: {
+    arrivedAt: Date,
+    departedAt: Date,
+    dwellMinutes: Number,
+    autoStarted: { type: Boolean, default: false }
+  },
+  
   actualWasteCollected: [{
     category: String,
     weight: Number,
@@ -132,6 +149,37 @@ const collectionRequestSchema = new mongoose.Schema({
     min: 0
   },
   
+  // How estimatedCost and actualCost were worked out (see services/pricingService.js)
+  pricing: {
+    estimate: mongoose.Schema.Types.Mixed,
+    actual: mongoose.Schema.Types.Mixed
+  },
+  
+  // Charged on top when booked beyond the plan's monthly pickups (services/subscriptionService.js)
+  overQuotaFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Rewards voucher taken off the price (services/rewardsService.js)
+  voucher: {
+    type: new mongoose.Schema({
+      voucher: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' },
+      code: String,
+      label: String,
+      percent: Number,
+      amount: Number
+    }, { _id: false }),
+    default: undefined
+  },
+  
+  // The monthly invoice actualCost was billed on
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  
   // Priority and Special Handling
   priority: {
     type: String,
@@ -154,6 +202,14 @@ const collectionRequestSchema = new mongoose.Schema({
     endDate: Date
   },
   
+  // Recurring series this occurrence was generated from, and the occurrence day it stands for
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupSeries'
+  },
+  
+  seriesDate: Date,
+  
   // Communication
   customerNotes: String,
   driverNotes: String,
@@ -210,6 +266,10 @@ collectionRequestSchema.index({ requestedDate: 1, status: 1 });
 collectionRequestSchema.index({ assignedDriver: 1, status: 1 });
 collectionRequestSchema.index({ 'pickupLocation': '2dsphere' });
 collectionRequestSchema.index({ createdAt: -1 });
+collectionRequestSchema.index(
+  { series: 1, seriesDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 // Virtual for full address
 collectionRequestSchema.virtual('fullAddress').get(function() {
@@ -346,11 +406,13 @@ collectionRequestSchema.methods.markCompleted = async function(collectionData) {
   if (collectionData) {
     this.actualWasteCollected = collectionData.wasteCollected || [];
     this.totalWeightCollected = collectionData.totalWeight || 0;
-    this.actualCost = collectionData.cost || 0;
     this.driverNotes = collectionData.notes || '';
     this.afterPhotos = collectionData.photos || [];
   }
   
+  // Charged by the tariff for what was collected, not a cost the driver enters
+  await pricingService.settle(this);
+  
   await this.save();
   return this;
 };
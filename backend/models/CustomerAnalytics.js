@@ -373,20 +373,10 @@ customerAnalyticsSchema.methods.addWasteCategory = function(category, weight) {
   return this.save();
 };
 
-customerAnalyticsSchema.methods.addPoints = function(points, reason) {
-  this.engagement.totalPoints += points;
-  this.engagement.availablePoints += points;
-  
-  // Update loyalty tier based on total points
-  if (this.engagement.totalPoints >= 5000) {
-    this.engagement.loyaltyTier = 'platinum';
-  } else if (this.engagement.totalPoints >= 2000) {
-    this.engagement.loyaltyTier = 'gold';
-  } else if (this.engagement.totalPoints >= 500) {
-    this.engagement.loyaltyTier = 'silver';
-  }
-  
-  return this.save();
+// Points are added through services/rewardsService.js so every change has an entry
+// in the points ledger. options: { type, key, collectionRequest, userId }
+customerAnalyticsSchema.methods.addPoints = function(points, reason, options = {}) {
+  return require('../services/rewardsService').earn(this.customer, points, reason, options);
 };
 
 customerAnalyticsSchema.methods.calculateEnvironmentalImpact = function() {
@@ -457,6 +447,15 @@ customerAnalyticsSchema.methods.calculateChurnRisk = function() {
 };
 
 // Static methods
+
+// Loyalty tier for the points a customer has earned in total
+customerAnalyticsSchema.statics.tierForPoints = function(totalPoints) {
+  if (totalPoints >= 5000) return 'platinum';
+  if (totalPoints >= 2000) return 'gold';
+  if (totalPoints >= 500) return 'silver';
+  return 'bronze';
+};
+
 customerAnalyticsSchema.statics.getOrCreate = async function(customerId) {
   let analytics = await this.findOne({ customer: customerId });
   
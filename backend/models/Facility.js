@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const WASTE_CATEGORIES = ['organic', 'recyclable', 'electronic', 'hazardous', 'general', 'plastic', 'paper', 'glass', 'metal'];
+
+const facilitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Facility name is required'],
+    trim: true,
+    maxLength: [100, 'Facility name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Facility type is required'],
+    enum: {
+      values: ['depot', 'landfill', 'recycling_center', 'compost_site', 'transfer_station'],
+      message: 'Type must be depot, landfill, recycling_center, compost_site, or transfer_station'
+    },
+    index: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Facility coordinates are required'],
+      validate: {
+        validator: function(coords) {
+          return coords.length === 2 &&
+                 coords[0] >= -180 && coords[0] <= 180 && // longitude
+                 coords[1] >= -90 && coords[1] <= 90;     // latitude
+        },
+        message: 'Invalid coordinates format [longitude, latitude]'
+      }
+    }
+  },
+  address: {
+    street: { type: String, trim: true },
+    area: { type: String, trim: true },
+    city: { type: String, default: 'Kathmandu', trim: true }
+  },
+  // Waste categories this facility will take (empty for pure depots)
+  acceptedWasteTypes: [{
+    type: String,
+    enum: WASTE_CATEGORIES
+  }],
+  operatingHours: {
+    open: {
+      type: String,
+      default: '06:00',
+      match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (use HH:MM)']
+    },
+    close: {
+      type: String,
+      default: '20:00',
+      match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (use HH:MM)']
+    }
+  },
+  unloadTime: {
+    type: Number, // minutes spent tipping a load
+    default: 15,
+    min: [0, 'Unload time must be non-negative']
+  },
+  dailyCapacity: {
+    type: Number, // kg the facility can receive per day
+    min: [0, 'Capacity must be non-negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+facilitySchema.index({ location: '2dsphere' });
+facilitySchema.index({ acceptedWasteTypes: 1 });
+facilitySchema.index({ isActive: 1, isDeleted: 1 });
+
+// Virtual for whether waste can be tipped here
+facilitySchema.virtual('isDisposalSite').get(function() {
+  return this.acceptedWasteTypes && this.acceptedWasteTypes.length > 0;
+});
+
+// Static methods
+facilitySchema.statics.findActive = function(filter = {}) {
+  return this.find({
+    ...filter,
+    isActive: true,
+    isDeleted: false
+  });
+};
+
+facilitySchema.statics.findDepots = function() {
+  return this.findActive({ type: 'depot' });
+};
+
+// Facilities where collected waste can be unloaded
+facilitySchema.statics.findDisposalSites = function() {
+  return this.findActive({ 'acceptedWasteTypes.0': { $exists: true } });
+};
+
+facilitySchema.statics.findAccepting = function(category) {
+  return this.findActive({ acceptedWasteTypes: category });
+};
+
+// Instance methods
+facilitySchema.methods.accepts = function(category) {
+  return this.acceptedWasteTypes.includes(category);
+};
+
+module.exports = mongoose.model('Facility', facilitySchema);
+module.exports.WASTE_CATEGORIES = WASTE_CATEGORIES;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Days with no collection service; recurring pickups are not generated on them
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxLength: [100, 'Holiday name cannot exceed 100 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required'],
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Normalize to midnight so lookups by day match
+holidaySchema.pre('save', function(next) {
+  if (this.isModified('date')) {
+    this.date.setHours(0, 0, 0, 0);
+  }
+  next();
+});
+
+// Static methods
+holidaySchema.statics.findBetween = function(from, to) {
+  return this.find({
+    date: { $gte: from, $lte: to },
+    isActive: true
+  }).sort({ date: 1 });
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
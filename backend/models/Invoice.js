@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'paid', 'void'];
+
+// A customer's bill for one month: every completed pickup not billed before,
+// priced by the tariff, plus tax. Payments are applied to it by billingService.
+const invoiceSchema = new mongoose.Schema({
+  // INV-<year>-<sequence>, numbered in order within each year
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    year: { type: Number, required: true },
+    month: { type: Number, required: true, min: 1, max: 12 }
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: [{
+    collectionRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollectionRequest'
+    },
+    description: String,
+    date: Date,
+    amount: { type: Number, min: 0 }
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxes: [{
+    name: String,
+    rate: Number, // percent
+    amount: Number
+  }],
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  paidAt: Date,
+  // Dunning: payment_due reminders sent after the due date
+  reminders: {
+    count: { type: Number, default: 0 },
+    lastSentAt: Date
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+invoiceSchema.index({ customer: 1, 'period.year': 1, 'period.month': 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+invoiceSchema.virtual('balanceDue').get(function() {
+  if (this.status === 'void') return 0;
+  return Math.max(0, Math.round((this.total - this.amountPaid) * 100) / 100);
+});
+
+invoiceSchema.virtual('isOverdue').get(function() {
+  return this.status === 'open' && this.dueDate < new Date();
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
+module.exports.STATUSES = STATUSES;
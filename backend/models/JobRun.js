@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+
+// One execution of a scheduled job, kept for JOB_HISTORY_DAYS
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  // host:pid of the server instance that ran it
+  instance: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  duration: Number, // ms
+
+  // Summary returned by the job handler
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+// Indexes
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+// Static methods
+jobRunSchema.statics.findRecent = function(job, limit = 20, page = 1) {
+  const query = job ? { job } : {};
+
+  return this.find(query)
+    .populate('triggeredBy', 'name email')
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
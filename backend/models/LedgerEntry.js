@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = ['invoice', 'invoice-void', 'payment', 'payment-reversal', 'subscription', 'subscription-refund', 'adjustment'];
+
+// Append-only record of what a customer owes. Positive amounts are charges,
+// negative ones credits; a customer's balance is the sum of their entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  description: String,
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Unique per posting, e.g. "invoice:<id>", so a retried step never posts twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ledgerEntrySchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
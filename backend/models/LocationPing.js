@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Raw GPS fixes are kept for LOCATION_RETENTION_DAYS and then expire automatically
+const RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS) || 30;
+
+const locationPingSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Coordinates are required'],
+      validate: {
+        validator: function(coords) {
+          return coords.length === 2 &&
+                 coords[0] >= -180 && coords[0] <= 180 && // longitude
+                 coords[1] >= -90 && coords[1] <= 90;     // latitude
+        },
+        message: 'Invalid coordinates format [longitude, latitude]'
+      }
+    }
+  },
+  accuracy: Number, // meters
+  speed: Number,    // km/h
+  heading: Number,  // degrees
+  status: {
+    type: String,
+    default: 'active'
+  },
+  currentCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionRequest'
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  // Stored as a MongoDB time-series collection bucketed per driver
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'driver',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+// Indexes
+locationPingSchema.index({ driver: 1, timestamp: 1 });
+
+// Static methods
+locationPingSchema.statics.record = function(driverId, data) {
+  return this.create({
+    driver: driverId,
+    vehicle: data.vehicleId,
+    location: {
+      type: 'Point',
+      coordinates: [parseFloat(data.longitude), parseFloat(data.latitude)]
+    },
+    accuracy: data.accuracy,
+    speed: data.speed,
+    heading: data.heading,
+    status: data.status,
+    currentCollection: data.currentCollection,
+    timestamp: data.timestamp || new Date()
+  });
+};
+
+// Pings for one driver in chronological order, as plain objects
+locationPingSchema.statics.findTrack = function(driverId, from, to) {
+  return this.find({
+    driver: driverId,
+    timestamp: { $gte: from, $lte: to }
+  })
+  .select('location speed heading status currentCollection timestamp')
+  .sort({ timestamp: 1 })
+  .lean();
+};
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
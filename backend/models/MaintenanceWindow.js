@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Planned downtime. While a window is open the API turns away users without
+// maintenance access (see middleware/maintenance.js); customers are notified ahead.
+const maintenanceWindowSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  // Shown in the banner and the 503 response; defaults to the maintenance message setting
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startsAt || value > this.startsAt;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  // Send customers the system_maintenance notification this many hours before it starts
+  notifyCustomers: {
+    type: Boolean,
+    default: true
+  },
+  noticeHours: {
+    type: Number,
+    min: 0,
+    max: 168,
+    default: 24
+  },
+  noticeSentAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+maintenanceWindowSchema.index({ endsAt: 1, startsAt: 1 });
+
+maintenanceWindowSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (this.cancelledAt) return 'cancelled';
+  if (this.endsAt <= now) return 'completed';
+  if (this.startsAt <= now) return 'active';
+  return 'scheduled';
+});
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+const CHANNELS = ['push', 'email', 'sms'];
+
+// Delivery state of one channel; the delivery worker retries until sent or failed
+const channelSchema = (enabledByDefault) => ({
+  enabled: { type: Boolean, default: enabledByDefault },
+  sent: { type: Boolean, default: false },
+  sentAt: Date,
+  delivered: { type: Boolean, default: false }, // Confirmed by the provider (push receipts)
+  deliveredAt: Date,
+  failed: { type: Boolean, default: false }, // Gave up: permanent error or out of attempts
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: Date,
+  messageId: String,
+  error: String
+});
+
 const notificationSchema = new mongoose.Schema({
   // Recipient Information
   recipient: {
@@ -41,6 +57,7 @@ const notificationSchema = new mongoose.Schema({
       'pickup-completed',
       'driver-assigned',
       'driver-nearby',
+      'driver-arrived',
       'payment-due',
       'payment-received',
       'issue-update',
@@ -109,27 +126,9 @@ const notificationSchema = new mongoose.Schema({
   
   // Delivery Channels
   channels: {
-    push: {
-      enabled: { type: Boolean, default: true },
-      sent: { type: Boolean, default: false },
-      sentAt: Date,
-      messageId: String,
-      error: String
-    },
-    email: {
-      enabled: { type: Boolean, default: false },
-      sent: { type: Boolean, default: false },
-      sentAt: Date,
-      messageId: String,
-      error: String
-    },
-    sms: {
-      enabled: { type: Boolean, default: false },
-      sent: { type: Boolean, default: false },
-      sentAt: Date,
-      messageId: String,
-      error: String
-    }
+    push: channelSchema(true),
+    email: channelSchema(false),
+    sms: channelSchema(false)
   },
   
   // Scheduling
@@ -206,6 +205,7 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ recipientType: 1, type: 1 });
 notificationSchema.index({ status: 1, scheduledFor: 1 });
+notificationSchema.index({ 'channels.push.sent': 1, 'channels.push.delivered': 1, 'channels.push.sentAt': 1 });
 notificationSchema.index({ expiresAt: 1 });
 notificationSchema.index({ batchId: 1 });
 notificationSchema.index({ createdAt: -1 });
@@ -298,27 +298,39 @@ notificationSchema.methods.markAsClicked = function() {
 notificationSchema.methods.markChannelSent = function(channel, messageId = null, error = null) {
   if (this.channels[channel]) {
     this.channels[channel].sent = !error;
+    this.channels[channel].failed = Boolean(error);
     this.channels[channel].sentAt = new Date();
     if (messageId) this.channels[channel].messageId = messageId;
     if (error) this.channels[channel].error = error;
     
-    // Update overall status
-    const allChannels = ['push', 'email', 'sms'];
-    const enabledChannels = allChannels.filter(ch => this.channels[ch].enabled);
-    const sentChannels = enabledChannels.filter(ch => this.channels[ch].sent);
-    
-    if (sentChannels.length === enabledChannels.length) {
-      this.status = 'sent';
-    } else if (sentChannels.length > 0) {
-      this.status = 'sent'; // Partial success still counts as sent
-    } else {
-      this.status = 'failed';
-    }
+    this.refreshDeliveryStatus();
   }
   
   return this.save();
 };
 
+// Derive the overall status from the channels: pending -> sent -> delivered, or failed
+notificationSchema.methods.refreshDeliveryStatus = function() {
+  if (this.status === 'read') return this.status;
+
+  const enabled = CHANNELS.map(channel => this.channels[channel]).filter(channel => channel.enabled);
+
+  if (enabled.length === 0) {
+    // Nothing to send outside the app; the in-app copy is all there is
+    this.status = 'sent';
+  } else if (enabled.some(channel => channel.delivered)) {
+    this.status = 'delivered';
+  } else if (enabled.some(channel => channel.sent)) {
+    this.status = 'sent';
+  } else if (enabled.every(channel => channel.failed)) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+  }
+
+  return this.status;
+};
+
 notificationSchema.methods.softDelete = function() {
   this.isDeleted = true;
   this.deletedAt = new Date();
@@ -402,17 +414,66 @@ notificationSchema.statics.getPendingNotifications = function() {
   return this.find({
     status: 'pending',
     isDeleted: false,
-    $or: [
-      { scheduledFor: { $exists: false } },
-      { scheduledFor: { $lte: now } }
-    ],
-    $or: [
-      { expiresAt: { $exists: false } },
-      { expiresAt: { $gt: now } }
+    $and: [
+      {
+        $or: [
+          { scheduledFor: { $exists: false } },
+          { scheduledFor: { $lte: now } }
+        ]
+      },
+      {
+        $or: [
+          { expiresAt: { $exists: false } },
+          { expiresAt: { $gt: now } }
+        ]
+      }
     ]
   }).populate('recipient', 'name email profile.phone deviceTokens');
 };
 
+// Notifications with at least one channel due for a delivery attempt
+notificationSchema.statics.findDeliverable = function(limit = 100, now = new Date()) {
+  return this.find({
+    status: { $in: ['pending', 'sent'] },
+    isDeleted: false,
+    $and: [
+      {
+        $or: [
+          { scheduledFor: { $exists: false } },
+          { scheduledFor: { $lte: now } }
+        ]
+      },
+      {
+        $or: [
+          { expiresAt: { $exists: false } },
+          { expiresAt: { $gt: now } }
+        ]
+      },
+      {
+        $or: [
+          ...CHANNELS.map(channel => ({
+            [`channels.${channel}.enabled`]: true,
+            [`channels.${channel}.sent`]: false,
+            [`channels.${channel}.failed`]: { $ne: true },
+            $or: [
+              { [`channels.${channel}.nextAttemptAt`]: { $exists: false } },
+              { [`channels.${channel}.nextAttemptAt`]: { $lte: now } }
+            ]
+          })),
+          // In-app only: still needs its socket copy
+          {
+            status: 'pending',
+            ...Object.fromEntries(CHANNELS.map(channel => [`channels.${channel}.enabled`, false]))
+          }
+        ]
+      }
+    ]
+  })
+  .sort({ createdAt: 1 })
+  .limit(limit)
+  .populate('recipient', 'name email profile.phone deviceTokens notificationPreferences');
+};
+
 notificationSchema.statics.createBulkNotifications = async function(notifications) {
   const batchId = new Date().getTime().toString();
   
@@ -490,3 +551,4 @@ notificationSchema.statics.getTypeStats = async function() {
 notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.CHANNELS = CHANNELS;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const MessageTemplate = require('../services/messageFormat');
+
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = MessageTemplate;
+
+const templateSyntax = {
+  validator: (source) => MessageTemplate.validate(source) === null,
+  message: (props) => MessageTemplate.validate(props.value)
+};
+
+const translationSchema = new mongoose.Schema({
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    maxlength: [200, 'Template title cannot exceed 200 characters'],
+    validate: templateSyntax
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required'],
+    maxlength: [1000, 'Template body cannot exceed 1000 characters'],
+    validate: templateSyntax
+  }
+}, { _id: false });
+
+// Admin-editable wording for a NotificationService message type, per locale
+const notificationTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Template key may only contain lowercase letters, digits and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // Type stored on the resulting Notification
+  notificationType: {
+    type: String,
+    enum: Notification.schema.path('type').enumValues,
+    default: 'general'
+  },
+  // notificationPreferences.categories entry that can switch this template off
+  category: {
+    type: String,
+    enum: ['collections', 'issues', 'analytics', 'maintenance'],
+    default: 'collections'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  channels: {
+    push: { type: Boolean, default: true },
+    email: { type: Boolean, default: false },
+    sms: { type: Boolean, default: false }
+  },
+  translations: {
+    type: [translationSchema],
+    validate: [
+      {
+        validator: (translations) => translations.some(t => t.locale === DEFAULT_LOCALE),
+        message: `A "${DEFAULT_LOCALE}" translation is required`
+      },
+      {
+        validator: (translations) => new Set(translations.map(t => t.locale)).size === translations.length,
+        message: 'Each locale may only have one translation'
+      }
+    ]
+  },
+  // Example values used by the preview endpoint and test sends
+  sampleVariables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'wallet'];
+const PURPOSES = ['invoices', 'subscription'];
+
+// Money received from a customer. It is applied to their open invoices, oldest
+// first unless an invoice is named; anything left over is credit on the ledger.
+const paymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  // Bank or wallet transaction ID
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // invoices: applied to open invoices. subscription: pays for a prepaid plan and
+  // is never applied to invoices.
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    default: 'invoices'
+  },
+  // Cash handed to the driver at this pickup
+  collectionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionRequest'
+  },
+  allocations: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    amount: Number
+  }],
+  status: {
+    type: String,
+    enum: ['completed', 'reversed'],
+    default: 'completed'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ customer: 1, receivedAt: -1 });
+paymentSchema.index({ recordedBy: 1, method: 1, receivedAt: -1 });
+// Cash for a pickup is recorded once, whichever instance gets the request
+paymentSchema.index(
+  { collectionRequest: 1 },
+  { unique: true, partialFilterExpression: { method: 'cash', status: 'completed', collectionRequest: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
+module.exports.PURPOSES = PURPOSES;
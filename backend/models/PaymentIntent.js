@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['invoice', 'subscription'];
+const STATUSES = ['created', 'pending', 'completed', 'failed', 'expired', 'refunding', 'refund-pending-reversal', 'refunded'];
+
+// A customer paying through the wallet gateway, from checkout until the gateway
+// confirms it. Once completed it is recorded as a wallet Payment.
+const paymentIntentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sent by the app with checkout, so a retried checkout returns this intent
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Prepaid subscription: months of the plan bought
+  subscription: {
+    plan: String,
+    months: Number,
+    // Set once the plan is applied; the previous plan is restored if a refund leaves no paid months
+    paidUntil: Date,
+    previousPlan: String,
+    previousPaidUntil: Date,
+    previousTrialEndsAt: Date
+  },
+  // Shown on the gateway's payment page, e.g. "Invoice INV-2026-000012"
+  description: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'created'
+  },
+  provider: String,
+  // The gateway's ID for the payment (pidx)
+  gatewayReference: String,
+  paymentUrl: String,
+  expiresAt: Date,
+  transactionId: String,
+  completedAt: Date,
+  // Set by the caller recording a payment that an interruption left unrecorded
+  recoveryClaimedAt: Date,
+  failureReason: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    refundId: String,
+    reason: String,
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentIntentSchema.index({ customer: 1, idempotencyKey: 1 }, { unique: true });
+paymentIntentSchema.index({ gatewayReference: 1 }, { unique: true, sparse: true });
+paymentIntentSchema.index({ status: 1, createdAt: 1 });
+paymentIntentSchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
+module.exports.PURPOSES = PURPOSES;
+module.exports.STATUSES = STATUSES;
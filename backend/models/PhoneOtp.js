@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One-time code texted to a phone number. Only a hash of the code is stored; a new
+// request supersedes the previous code for the same phone and purpose.
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'verify-phone'],
+    required: true
+  },
+  // Account adding this phone (verify-phone only)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  smsMessageId: String,
+  consumedAt: Date
+}, {
+  timestamps: true
+});
+
+phoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Kept for a day so request limits can count recent codes
+phoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
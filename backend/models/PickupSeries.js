@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// A customer's recurring pickup subscription. Concrete CollectionRequests are
+// materialized from it a few days ahead and point back here via `series`.
+const pickupSeriesSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active',
+    index: true
+  },
+
+  // Recurrence rule
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'biweekly', 'monthly'],
+    required: [true, 'Frequency is required']
+  },
+  dayOfWeek: [{
+    type: Number, // 0-6 (Sunday-Saturday)
+    min: 0,
+    max: 6
+  }],
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: Date,
+
+  // Template copied onto every occurrence
+  template: {
+    requestedTime: {
+      type: String,
+      required: true,
+      enum: ['morning', 'afternoon', 'evening']
+    },
+    preferredTimeRange: {
+      start: { type: String, required: true },
+      end: { type: String, required: true }
+    },
+    wasteTypes: [{
+      category: {
+        type: String,
+        required: true,
+        enum: ['organic', 'recyclable', 'electronic', 'hazardous', 'general', 'plastic', 'paper', 'glass', 'metal']
+      },
+      estimatedWeight: { type: Number, min: 0 },
+      description: String
+    }],
+    pickupLocation: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      }
+    },
+    address: {
+      street: { type: String, required: true },
+      apartment: String,
+      city: { type: String, required: true },
+      state: { type: String, required: true },
+      zipCode: { type: String, required: true },
+      country: { type: String, default: 'Nepal' },
+      landmark: String,
+      specialInstructions: String
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'normal', 'high', 'urgent'],
+      default: 'normal'
+    },
+    customerNotes: String
+  },
+
+  // Occurrence dates the customer chose to skip
+  skippedDates: [Date],
+
+  // While paused, occurrences before this date are not generated (open-ended if unset)
+  resumeOn: Date,
+  pausedAt: Date,
+
+  // Occurrences have been generated up to and including this date
+  materializedThrough: Date,
+
+  // Set when the series was split by a "this and future occurrences" edit
+  previousSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupSeries'
+  },
+  nextSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupSeries'
+  },
+
+  endedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+pickupSeriesSchema.index({ status: 1, materializedThrough: 1 });
+
+// Weekly rules default to the start date's weekday, monthly rules to its day of month
+pickupSeriesSchema.pre('validate', function(next) {
+  if (['weekly', 'biweekly'].includes(this.frequency) && (!this.dayOfWeek || this.dayOfWeek.length === 0)) {
+    this.dayOfWeek = [new Date(this.startDate).getDay()];
+  }
+  if (this.frequency === 'monthly' && !this.dayOfMonth) {
+    this.dayOfMonth = new Date(this.startDate).getDate();
+  }
+  next();
+});
+
+// Virtual for a short human description of the rule
+pickupSeriesSchema.virtual('description').get(function() {
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const days = (this.dayOfWeek || []).map(day => dayNames[day]).join(', ');
+
+  switch (this.frequency) {
+    case 'daily':
+      return 'Every day';
+    case 'weekly':
+      return `Every week on ${days}`;
+    case 'biweekly':
+      return `Every 2 weeks on ${days}`;
+    case 'monthly':
+      return `Every month on day ${this.dayOfMonth}`;
+    default:
+      return this.frequency;
+  }
+});
+
+// Instance methods
+pickupSeriesSchema.methods.isSkipped = function(date) {
+  const day = new Date(date).toDateString();
+  return this.skippedDates.some(skipped => skipped.toDateString() === day);
+};
+
+// Static methods
+pickupSeriesSchema.statics.findDue = function(horizon) {
+  return this.find({
+    status: { $in: ['active', 'paused'] },
+    $or: [
+      { materializedThrough: null },
+      { materializedThrough: { $lt: horizon } }
+    ]
+  });
+};
+
+module.exports = mongoose.model('PickupSeries', pickupSeriesSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Earned points are positive, spent points negative
+const TRANSACTION_TYPES = ['pickup', 'recycling', 'referral', 'adjustment', 'redemption', 'redemption-refund'];
+
+// Append-only record of a customer's reward points. CustomerAnalytics.engagement
+// keeps the running totals; every change to them has an entry here.
+const pointsTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (points) => Number.isInteger(points) && points !== 0,
+      message: 'Points must be a whole number other than 0'
+    }
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  collectionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionRequest'
+  },
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  // Unique per change, e.g. "pickup:<id>", so a retried step never counts twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+pointsTransactionSchema.index({ customer: 1, createdAt: -1 });
+
+// Append-only: refuse updates and deletes through the model
+const appendOnly = function(next) {
+  next(new Error('Points transactions cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(op => {
+  pointsTransactionSchema.pre(op, appendOnly);
+});
+
+pointsTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('PointsTransaction', pointsTransactionSchema);
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// discount: percent or amount off a pickup. free-pickup: a whole pickup.
+// partner-coupon: a code to use with a partner business, not on pickups.
+const REWARD_TYPES = ['discount', 'free-pickup', 'partner-coupon'];
+
+// What customers can spend their points on. Each redemption issues a Voucher.
+const rewardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: REWARD_TYPES,
+    required: true
+  },
+  pointsCost: {
+    type: Number,
+    required: true,
+    min: [1, 'Points cost must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Points cost must be a whole number'
+    }
+  },
+  // discount rewards: exactly one of these
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  amountOff: {
+    type: Number,
+    min: 0.01
+  },
+  partner: {
+    name: { type: String, trim: true, maxlength: 100 },
+    terms: { type: String, trim: true, maxlength: 500 }
+  },
+  // Vouchers left to issue; null for no limit
+  stock: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  redeemedCount: {
+    type: Number,
+    default: 0
+  },
+  // Can be redeemed from availableFrom until expiresAt
+  availableFrom: Date,
+  expiresAt: Date,
+  // How long an issued voucher can be used
+  voucherValidDays: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 30
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rewardSchema.index({ isActive: 1, pointsCost: 1 });
+
+rewardSchema.pre('validate', function(next) {
+  if (this.type === 'discount' && Boolean(this.percentOff) === Boolean(this.amountOff)) {
+    this.invalidate('percentOff', 'A discount reward needs either percentOff or amountOff');
+  }
+  if (this.type === 'partner-coupon' && !this.partner?.name) {
+    this.invalidate('partner.name', 'A partner coupon needs the partner\'s name');
+  }
+  if (this.availableFrom && this.expiresAt && this.expiresAt <= this.availableFrom) {
+    this.invalidate('expiresAt', 'expiresAt must be after availableFrom');
+  }
+  next();
+});
+
+// Filter for rewards customers can redeem at `now`
+rewardSchema.statics.redeemableFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ stock: null }, { stock: { $gt: 0 } }] },
+      { $or: [{ availableFrom: null }, { availableFrom: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  };
+};
+
+module.exports = mongoose.model('Reward', rewardSchema);
+module.exports.REWARD_TYPES = REWARD_TYPES;
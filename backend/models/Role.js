@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../services/permissions');
+
+// A named set of permissions. Users reference roles by name (User.role).
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits, dashes or underscores']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: ALL_PERMISSIONS,
+      message: 'Unknown permission "{VALUE}"'
+    }
+  }],
+  // Built-in defaults this role has been granted, so one an admin took away isn't
+  // granted again on the next start
+  grantedDefaults: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Built-in roles (admin, driver, customer) can't be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
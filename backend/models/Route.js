@@ -58,6 +58,11 @@ const routeSchema = new mongoose.Schema({
       min: [30, 'Duration must be at least 30 minutes']
     }
   },
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null
+  },
   locations: [{
     address: {
       street: { type: String, required: true, trim: true },
@@ -135,6 +140,11 @@ const routeSchema = new mongoose.Schema({
       type: Number, // in kg
       default: 0,
       min: [0, 'Emissions must be non-negative']
+    },
+    unloadTrips: {
+      type: Number,
+      default: 0,
+      min: [0, 'Unload trips must be non-negative']
     }
   },
   optimizationSettings: {
@@ -287,6 +297,18 @@ routeSchema.methods.optimizeRoute = function() {
   return this.save();
 };
 
+// Reorder locations to match a list of location ids and renumber them
+routeSchema.methods.applyOrder = function(locationIds) {
+  const rank = new Map(locationIds.map((id, index) => [id.toString(), index]));
+  
+  this.locations.sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()));
+  this.locations.forEach((location, index) => {
+    location.order = index + 1;
+  });
+  
+  return this;
+};
+
 routeSchema.methods.calculateMetrics = function() {
   // Simple distance calculation (this would be enhanced with real routing API)
   let totalDistance = 0;
@@ -308,6 +330,13 @@ routeSchema.methods.calculateMetrics = function() {
     }
   }
   
+  this.setDistanceMetrics(totalDistance);
+  
+  return this.save();
+};
+
+// Derive fuel cost and emissions from a total driven distance in km
+routeSchema.methods.setDistanceMetrics = function(totalDistance) {
   this.metrics.totalDistance = Math.round(totalDistance * 100) / 100; // Round to 2 decimal places
   
   // Estimate fuel cost (assuming 8 km/l and NPR 150/l)
@@ -318,7 +347,7 @@ routeSchema.methods.calculateMetrics = function() {
   // Estimate CO2 emissions (2.3 kg CO2 per liter of diesel)
   this.metrics.co2Emissions = Math.round((totalDistance / fuelEfficiency) * 2.3 * 100) / 100;
   
-  return this.save();
+  return this;
 };
 
 routeSchema.methods.startRoute = function() {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Persistent state of a background job registered with the job scheduler. The
+// lock fields make sure only one server instance runs a job at a time.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+
+  // Cron expression, evaluated in server local time
+  schedule: {
+    type: String,
+    required: true
+  },
+
+  // Paused jobs are skipped by the scheduler but can still be triggered manually
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  pausedAt: Date,
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+
+  // Retry state: consecutive failed attempts of the current scheduled run
+  attempt: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Last run summary
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  lastDuration: Number, // ms
+  lastError: String,
+
+  // Lease held by the instance currently running the job
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for whether an instance currently holds the lock
+scheduledJobSchema.virtual('isRunning').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
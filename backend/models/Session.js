@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token is `<session id>.<secret>`; only a hash of
+// the current secret is stored and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Number of refreshes so far; the token a client holds is from this generation
+  generation: {
+    type: Number,
+    default: 0
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', 'other'],
+    default: 'other'
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRefreshedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked-by-user', 'password-changed', 'account-suspended', 'account-deleted', 'reuse-detected']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are kept a week for the user's security history, then removed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
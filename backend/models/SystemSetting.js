@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// An admin override of one setting from services/systemSettings.js. Keys without a
+// record use their default; a null value means the key was reset to it.
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  // Incremented on every change; PUT /api/system/config can require the version it read
+  version: {
+    type: Number,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Mixed values may legitimately be null
+  minimize: false
+});
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One entry per setting change, so admins can see who changed what and roll back
+const systemSettingHistorySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  previousValue: mongoose.Schema.Types.Mixed,
+  // null when the key was reset to its default
+  value: mongoose.Schema.Types.Mixed,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+systemSettingHistorySchema.index({ key: 1, version: -1 }, { unique: true });
+systemSettingHistorySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SystemSettingHistory', systemSettingHistorySchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const roleService = require('../services/roleService');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -9,10 +13,12 @@ const userSchema = new mongoose.Schema({
     minlength: [2, 'Name must be at least 2 characters'],
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // Optional for customers who signed up with a verified phone number
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [function() { return !this.phoneVerified; }, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true,
     match: [
@@ -22,15 +28,19 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.phoneVerified; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Built-in (customer, driver, admin) or custom Role name
   role: {
     type: String,
-    enum: ['customer', 'driver', 'admin'],
     default: 'customer',
-    required: true
+    required: true,
+    validate: {
+      validator: (name) => roleService.exists(name),
+      message: 'Role "{VALUE}" does not exist'
+    }
   },
   status: {
     type: String,
@@ -96,14 +106,51 @@ const userSchema = new mongoose.Schema({
       enum: ['basic', 'premium', 'enterprise'],
       default: 'basic'
     },
+    // End of the prepaid period bought through the wallet
+    subscriptionPaidUntil: Date,
+    // End of a free trial of subscriptionPlan; set only while it runs
+    subscriptionTrialEndsAt: Date,
+    subscriptionTrialUsed: { type: Boolean, default: false },
     specialInstructions: { type: String, trim: true }
   },
+  // Notification delivery
+  deviceTokens: [{
+    token: { type: String, required: true }, // Expo push token
+    platform: { type: String, enum: ['ios', 'android', 'web'] },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  notificationPreferences: {
+    push: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: false },
+    in_app: { type: Boolean, default: true },
+    categories: {
+      collections: { type: Boolean, default: true },
+      issues: { type: Boolean, default: true },
+      analytics: { type: Boolean, default: false },
+      maintenance: { type: Boolean, default: true }
+    }
+  },
+  preferences: {
+    language: { type: String, enum: ['en', 'ne'], default: 'en' }, // Notification and app language
+    timezone: { type: String, default: 'Asia/Kathmandu' },
+    theme: { type: String, default: 'light' },
+    notifications: { type: mongoose.Schema.Types.Mixed },
+    privacy: { type: mongoose.Schema.Types.Mixed }
+  },
   // Authentication and security
   emailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerificationToken: { type: String },
+  // profile.phone confirmed with a texted code; verified numbers are unique
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: { type: String }, // SHA-256 of the emailed token
+  emailVerificationExpires: { type: Date },
+  emailVerificationSentAt: { type: Date },
   passwordResetToken: { type: String },
   passwordResetExpires: { type: Date },
   loginAttempts: { type: Number, default: 0 },
@@ -146,7 +193,10 @@ userSchema.virtual('isLocked').get(function() {
 });
 
 // Indexes for better performance
-userSchema.index({ email: 1 });
+userSchema.index(
+  { 'profile.phone': 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ lastActive: 1 });
 userSchema.index({ 'profile.address.city': 1 });
@@ -165,6 +215,14 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A changed phone number has to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('profile.phone') && !this.isModified('phoneVerified')) {
+    this.phoneVerified = false;
+  }
+  next();
+});
+
 // Pre-save middleware to update lastActive
 userSchema.pre('save', function(next) {
   if (this.isNew || this.isModified()) {
@@ -175,6 +233,9 @@ userSchema.pre('save', function(next) {
 
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Phone sign-up accounts have no password
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -182,6 +243,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to issue an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Instance method to issue a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  return token;
+};
+
+// Instance method to record a phone number confirmed with a texted code
+userSchema.methods.setVerifiedPhone = function(phone) {
+  this.profile.phone = phone;
+  this.phoneVerified = true;
+  // Marked explicitly so the phone-change hook doesn't clear it when it was already true
+  this.markModified('phoneVerified');
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
   // Reset attempts if lock has expired
@@ -255,4 +341,41 @@ userSchema.statics.authenticate = async function(email, password) {
   }
 };
 
+// Static method to find the account that signs in with a phone number
+userSchema.statics.findByVerifiedPhone = function(phone) {
+  return this.findOne({
+    'profile.phone': phone,
+    phoneVerified: true,
+    isDeleted: false
+  });
+};
+
+// Static method to make an email index built before phone sign-up sparse, so accounts
+// without an email don't collide on null. Index creation on start can't change an
+// existing index, so it is dropped and built again.
+userSchema.statics.migrateEmailIndex = async function() {
+  const indexes = await this.collection.indexes().catch(error => {
+    // No users collection yet
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  const emailIndex = indexes.find(index => index.name === 'email_1');
+  if (!emailIndex || emailIndex.sparse) return false;
+
+  await this.collection.dropIndex('email_1');
+  await this.collection.createIndex({ email: 1 }, { unique: true, sparse: true });
+  return true;
+};
+
+// Static method to find a user by an emailed token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: Date.now() },
+    isDeleted: false
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
+// customerInfo fields only changed by paying, trials and expiry (services/subscriptionService.js)
+module.exports.SUBSCRIPTION_FIELDS = ['subscriptionPlan', 'subscriptionPaidUntil', 'subscriptionTrialEndsAt', 'subscriptionTrialUsed'];
@@ -69,6 +69,11 @@ const vehicleSchema = new mongoose.Schema({
       message: 'Assigned user must be a driver'
     }
   },
+  homeDepot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null
+  },
   currentLocation: {
     type: {
       type: String,
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { REWARD_TYPES } = require('./Reward');
+
+// issued: ready to use. reserved: on a booked pickup, used when it is completed and
+// issued again if it is cancelled. used and cancelled are final.
+const VOUCHER_STATUSES = ['issued', 'reserved', 'used', 'cancelled'];
+
+// A reward a customer redeemed points for. The reward's terms are copied so later
+// catalogue edits don't change vouchers already issued.
+const voucherSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REWARD_TYPES,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  percentOff: Number,
+  amountOff: Number,
+  partner: {
+    name: String,
+    terms: String
+  },
+  pointsCost: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: VOUCHER_STATUSES,
+    default: 'issued'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // The pickup it is reserved for or was used on
+  collectionRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionRequest'
+  },
+  usedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+voucherSchema.index({ customer: 1, status: 1, createdAt: -1 });
+
+voucherSchema.virtual('isExpired').get(function() {
+  return this.status === 'issued' && this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('Voucher', voucherSchema);
+module.exports.VOUCHER_STATUSES = VOUCHER_STATUSES;
@@ -5,7 +5,7 @@ const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const CustomerAnalytics = require('../models/CustomerAnalytics');
 const IssueReport = require('../models/IssueReport');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, requirePermission } = require('../middleware/auth');
 
 // Advanced Analytics Engine
 class AdvancedAnalytics {
@@ -84,8 +84,8 @@ class AdvancedAnalytics {
 
 // @route   GET /api/advanced-analytics/operational-dashboard
 // @desc    Get comprehensive operational analytics
-// @access  Admin
-router.get('/operational-dashboard', auth, authorize(['admin']), async (req, res) => {
+// @access  analytics:view
+router.get('/operational-dashboard', auth, requirePermission('analytics:view'), async (req, res) => {
   try {
     const { period = '30', startDate, endDate } = req.query;
     
@@ -363,8 +363,8 @@ router.get('/operational-dashboard', auth, authorize(['admin']), async (req, res
 
 // @route   GET /api/advanced-analytics/predictive-insights
 // @desc    Get predictive analytics and AI insights
-// @access  Admin
-router.get('/predictive-insights', auth, authorize(['admin']), async (req, res) => {
+// @access  analytics:view
+router.get('/predictive-insights', auth, requirePermission('analytics:view'), async (req, res) => {
   try {
     // Collect historical data for predictions
     const historicalData = await CollectionRequest.aggregate([
@@ -541,17 +541,17 @@ router.get('/predictive-insights', auth, authorize(['admin']), async (req, res)
 
 // @route   GET /api/advanced-analytics/environmental-impact
 // @desc    Get detailed environmental impact analytics
-// @access  Admin, Customer
+// @access  Private (own impact; analytics:view for anyone's or overall)
 router.get('/environmental-impact', auth, async (req, res) => {
   try {
     const { userId, period = '365' } = req.query;
-    const isCustomer = req.user.role === 'customer';
-    const targetUserId = isCustomer ? req.user.userId : userId;
+    const canViewOthers = can(req, 'analytics:view');
+    const targetUserId = canViewOthers ? userId : req.user._id;
 
-    if (isCustomer && userId && userId !== req.user.userId) {
+    if (!canViewOthers && userId && userId !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Customers can only view their own environmental impact'
+        message: 'You can only view your own environmental impact'
       });
     }
 
@@ -3,11 +3,12 @@ const router = express.Router();
 const CustomerAnalytics = require('../models/CustomerAnalytics');
 const CollectionRequest = require('../models/CollectionRequest');
 const IssueReport = require('../models/IssueReport');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, can, requirePermission } = require('../middleware/auth');
 const { param, validationResult } = require('express-validator');
+const rewardsService = require('../services/rewardsService');
 
 // @route   GET /api/analytics
-// @desc    Get customer analytics (customer: own analytics, admin: all)
+// @desc    Get customer analytics (customer: own analytics, analytics:view: all)
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
@@ -19,8 +20,8 @@ router.get('/', auth, async (req, res) => {
         success: true,
         data: { analytics }
       });
-    } else if (req.user.role === 'admin') {
-      // Admin gets aggregate statistics
+    } else if (can(req, 'analytics:view')) {
+      // Staff get aggregate statistics
       const aggregateStats = await CustomerAnalytics.getAggregateStats();
       const topCustomers = await CustomerAnalytics.getTopCustomers('totalWeight', 10);
       
@@ -295,8 +296,12 @@ router.get('/rewards', [auth, authorize('customer')], async (req, res) => {
   try {
     const analytics = await CustomerAnalytics.getOrCreate(req.user._id);
     
-    // Get customer rankings for points
-    const rankings = await CustomerAnalytics.getCustomerRankings(req.user._id);
+    // Points rankings, where the points came from and the latest transactions
+    const [rankings, pointSources, recent] = await Promise.all([
+      CustomerAnalytics.getCustomerRankings(req.user._id),
+      rewardsService.breakdown(req.user._id),
+      rewardsService.getPoints(req.user._id, { limit: 10 })
+    ]);
     
     const rewardsData = {
       loyalty: {
@@ -311,13 +316,9 @@ router.get('/rewards', [auth, authorize('customer')], async (req, res) => {
       
       achievements: analytics.engagement.achievements,
       
-      // Point earning breakdown (this would typically come from transaction history)
-      pointSources: [
-        { source: 'Collections', points: Math.floor(analytics.collections.completed * 10) },
-        { source: 'Recycling', points: Math.floor(analytics.waste.recycling.totalRecycled * 5) },
-        { source: 'Referrals', points: analytics.engagement.referralsSuccessful * 50 },
-        { source: 'Reviews', points: Math.floor(analytics.collections.averageRating * analytics.collections.completed * 2) }
-      ],
+      // Points earned by source, from the points ledger
+      pointSources: pointSources.map(({ type, points }) => ({ source: type, points })),
+      recentTransactions: recent.transactions,
       
       // Next tier requirements
       tierRequirements: {
@@ -521,10 +522,10 @@ router.get('/insights', [auth, authorize('customer')], async (req, res) => {
   }
 });
 // @desc    Get specific customer analytics (Admin only)
-// @access  Private (Admin)
+// @access  Private (analytics:view)
 router.get('/customer/:id', [
   auth,
-  authorize('admin'),
+  requirePermission('analytics:view'),
   param('id').isMongoId().withMessage('Valid customer ID is required')
 ], async (req, res) => {
   try {
@@ -599,8 +600,8 @@ router.get('/customer/:id', [
 
 // @route   GET /api/analytics/top-customers
 // @desc    Get top customers by various metrics (Admin only)
-// @access  Private (Admin)
-router.get('/top-customers', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/top-customers', [auth, requirePermission('analytics:view')], async (req, res) => {
   try {
     const { metric = 'totalWeight', limit = 10 } = req.query;
     
@@ -635,8 +636,8 @@ router.get('/top-customers', [auth, authorize('admin')], async (req, res) => {
 
 // @route   POST /api/analytics/calculate-churn-risk
 // @desc    Calculate churn risk for customers (Admin only)
-// @access  Private (Admin)
-router.post('/calculate-churn-risk', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (analytics:manage)
+router.post('/calculate-churn-risk', [auth, requirePermission('analytics:manage')], async (req, res) => {
   try {
     const { customerIds } = req.body;
     
@@ -680,8 +681,8 @@ router.post('/calculate-churn-risk', [auth, authorize('admin')], async (req, res
 
 // @route   POST /api/analytics/update-environmental-impact
 // @desc    Update environmental impact calculations (Admin only)
-// @access  Private (Admin)
-router.post('/update-environmental-impact', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (analytics:manage)
+router.post('/update-environmental-impact', [auth, requirePermission('analytics:manage')], async (req, res) => {
   try {
     const { customerIds } = req.body;
     
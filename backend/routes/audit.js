@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const validateAuditQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a user ID'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+// @route   GET /api/audit
+// @desc    Get audit log entries, newest first
+// @access  Private (audit:view)
+router.get('/', auth, requirePermission('audit:view'), validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      actor,
+      action,
+      targetType,
+      targetId,
+      requestId,
+      from,
+      to
+    } = req.query;
+
+    const filter = {};
+    if (actor) filter['actor.user'] = actor;
+    // Matches the action and everything under it, e.g. 'user.role' or 'PUT /api/users'
+    if (action) filter.action = { $regex: `^${escapeRegex(action)}` };
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ seq: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalEntries: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/audit/verify
+// @desc    Recompute the hash chain and report the first broken entry
+// @access  Private (audit:view)
+router.get('/verify', auth, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const result = await auditService.verify();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries)`
+        : `Audit log broken at entry ${result.brokenAt}: ${result.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
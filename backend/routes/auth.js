@@ -1,27 +1,76 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, optionalAuth } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const mailer = require('../services/mailer');
+const otpService = require('../services/otpService');
 const {
   validateRegistration,
   validateLogin,
   validatePasswordChange,
   validatePasswordResetRequest,
-  validatePasswordReset
+  validatePasswordReset,
+  validateEmailVerification,
+  validateOtpRequest,
+  validateOtpVerify
 } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
-  );
+// Minimum gap between verification emails to one user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// At most 5 verification emails per user per hour
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested. Please try again later.'
+  }
+});
+
+// Per-IP cap on texted codes, on top of the per-phone limits in otpService
+const otpRequestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many codes requested. Please try again later.'
+  }
+});
+
+// Respond with an otpService error (invalid code, rate limited, SMS down)
+const sendOtpError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    attemptsLeft: error.attemptsLeft
+  });
 };
 
+// Email failures are logged rather than failing the request that triggered them
+const sendVerificationEmail = (user, token) => mailer.sendVerificationEmail(user, token)
+  .catch(error => console.error('Send verification email error:', error));
+
+// Device details the app sends when signing in
+const deviceFrom = (body) => ({
+  deviceName: typeof body.deviceName === 'string' ? body.deviceName.slice(0, 100) : undefined,
+  platform: body.platform
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -48,8 +97,7 @@ router.post('/register', validateRegistration, async (req, res) => {
       email: email.toLowerCase(),
       password,
       role,
-      status: 'active',
-      emailVerificationToken: crypto.randomBytes(32).toString('hex')
+      status: 'active'
     };
 
     // Add role-specific data if provided
@@ -59,9 +107,12 @@ router.post('/register', validateRegistration, async (req, res) => {
         ...req.body.driverInfo
       };
     } else if (role === 'customer' && req.body.customerInfo) {
+      // Everyone starts on the basic plan; better plans are paid for in the app
+      const customerInfo = Object.fromEntries(Object.entries(req.body.customerInfo)
+        .filter(([field]) => !User.SUBSCRIPTION_FIELDS.includes(field)));
       userData.customerInfo = {
         ...userData.customerInfo,
-        ...req.body.customerInfo
+        ...customerInfo
       };
     }
 
@@ -74,23 +125,26 @@ router.post('/register', validateRegistration, async (req, res) => {
     }
 
     const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken();
 
     await user.save();
+    sendVerificationEmail(user, verificationToken);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const tokens = await sessionService.issue(user, req, deviceFrom(req.body));
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
     delete userResponse.emailVerificationToken;
+    delete userResponse.emailVerificationExpires;
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        ...tokens
       }
     });
 
@@ -128,8 +182,8 @@ router.post('/login', validateLogin, async (req, res) => {
     user.lastActiveIP = req.ip || req.connection.remoteAddress;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const tokens = await sessionService.issue(user, req, deviceFrom(req.body));
 
     // Remove sensitive data from response
     const userResponse = user.toObject();
@@ -142,7 +196,7 @@ router.post('/login', validateLogin, async (req, res) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        ...tokens
       }
     });
 
@@ -200,6 +254,26 @@ router.put('/profile', auth, async (req, res) => {
     delete updates.status;
     delete updates.emailVerificationToken;
     delete updates.passwordResetToken;
+    delete updates.emailVerified;
+    delete updates.phoneVerified;
+
+    // The subscription plan is paid for or trialled, never set here, in either the
+    // nested or the dotted form. customerInfo is set field by field to keep the plan.
+    Object.keys(updates)
+      .filter(field => User.SUBSCRIPTION_FIELDS.some(subscriptionField => field === `customerInfo.${subscriptionField}`))
+      .forEach(field => delete updates[field]);
+    if (updates.customerInfo !== undefined) {
+      Object.entries(updates.customerInfo || {})
+        .filter(([field]) => !User.SUBSCRIPTION_FIELDS.includes(field))
+        .forEach(([field, value]) => { updates[`customerInfo.${field}`] = value; });
+      delete updates.customerInfo;
+    }
+
+    // A new phone number has to be verified again (findByIdAndUpdate skips save hooks)
+    const newPhone = updates['profile.phone'] !== undefined ? updates['profile.phone'] : updates.profile?.phone;
+    if (newPhone !== undefined && newPhone !== req.user.profile?.phone) {
+      updates.phoneVerified = false;
+    }
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -262,9 +336,13 @@ router.put('/change-password', auth, validatePasswordChange, async (req, res) =>
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const signedOut = await sessionService.revokeAll(userId, 'password-changed', req.session._id);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { signedOutSessions: signedOut }
     });
 
   } catch (error) {
@@ -298,21 +376,19 @@ router.post('/forgot-password', validatePasswordResetRequest, async (req, res) =
     }
 
     // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-
+    const resetToken = user.createPasswordResetToken();
     await user.save();
 
-    // In a real application, you would send an email here
-    // For now, we'll just return the token (remove this in production)
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+    try {
+      await mailer.sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      // Same response either way so the endpoint doesn't reveal which emails exist
+      console.error('Send password reset email error:', error);
+    }
 
     res.json({
       success: true,
-      message: 'Password reset instructions have been sent to your email',
-      // Remove this in production - only for development
-      resetUrl: process.env.NODE_ENV === 'development' ? resetUrl : undefined
+      message: 'If a user with this email exists, a password reset link has been sent'
     });
 
   } catch (error) {
@@ -356,6 +432,7 @@ router.post('/reset-password', validatePasswordReset, async (req, res) => {
     user.lockUntil = undefined;
 
     await user.save();
+    await sessionService.revokeAll(user._id, 'password-changed');
 
     res.json({
       success: true,
@@ -372,11 +449,294 @@ router.post('/reset-password', validatePasswordReset, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { emailVerified: true }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Private
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const waitMs = user.emailVerificationSentAt ?
+      user.emailVerificationSentAt.getTime() + RESEND_COOLDOWN_MS - Date.now() :
+      0;
+
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another email`
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await mailer.sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/request
+// @desc    Text a sign-in code, or a code to verify the signed-in user's phone
+// @access  Public (Private for purpose verify-phone)
+router.post('/otp/request', otpRequestLimiter, optionalAuth, validateOtpRequest, async (req, res) => {
+  try {
+    const { phone, purpose = 'login' } = req.body;
+
+    if (purpose === 'verify-phone') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. User not authenticated.'
+        });
+      }
+
+      const owner = await User.findByVerifiedPhone(phone);
+      if (owner && !owner._id.equals(req.user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This phone number belongs to another account'
+        });
+      }
+    }
+
+    const language = req.user?.preferences?.language || req.body.language || 'en';
+    const { expiresAt, resendAfter } = await otpService.request(phone, { purpose, user: req.user, language });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { phone, expiresAt, resendAfter }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendOtpError(res, error);
+    }
+
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Sign in (or sign up) with a texted code, or verify the signed-in user's phone
+// @access  Public (Private for purpose verify-phone)
+router.post('/otp/verify', optionalAuth, validateOtpVerify, async (req, res) => {
+  try {
+    const { phone, code, purpose = 'login', name } = req.body;
+
+    if (purpose === 'verify-phone' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. User not authenticated.'
+      });
+    }
+
+    const otp = await otpService.verify(phone, code, purpose);
+
+    if (purpose === 'verify-phone') {
+      const owner = await User.findByVerifiedPhone(phone);
+      if (owner && !owner._id.equals(req.user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This phone number belongs to another account'
+        });
+      }
+
+      await otpService.consume(otp);
+      const user = await User.findById(req.user._id);
+      user.setVerifiedPhone(phone);
+      await user.save();
+
+      return res.json({
+        success: true,
+        message: 'Phone number verified',
+        data: { phone, phoneVerified: true }
+      });
+    }
+
+    let user = await User.findByVerifiedPhone(phone);
+    let created = false;
+
+    if (!user) {
+      // The code stays valid so the app can ask for a name and send it again
+      if (!name) {
+        return res.json({
+          success: true,
+          message: 'No account uses this phone number yet. Add your name to sign up.',
+          data: { signupRequired: true }
+        });
+      }
+
+      user = new User({
+        name: name.trim(),
+        role: 'customer',
+        status: 'active',
+        profile: { phone },
+        phoneVerified: true,
+        preferences: { language: req.body.language || 'en' }
+      });
+      created = true;
+    } else if (user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    if (!await otpService.consume(otp)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code has already been used. Please request a new one.',
+        code: 'otp_expired'
+      });
+    }
+
+    user.lastLogin = new Date();
+    user.lastActiveIP = req.ip || req.connection.remoteAddress;
+    await user.save();
+
+    // Start a session for this device
+    const tokens = await sessionService.issue(user, req, deviceFrom(req.body));
+
+    // Remove sensitive data from response
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    delete userResponse.emailVerificationToken;
+    delete userResponse.passwordResetToken;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      data: {
+        user: userResponse,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return sendOtpError(res, error);
+    }
+
+    console.error('OTP verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await sessionService.refresh(refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout this device, or every device with allDevices: true
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
+    if (req.body.allDevices) {
+      await sessionService.revokeAll(req.user._id, 'logout');
+    } else {
+      await sessionService.revoke(req.session, 'logout');
+    }
+
     // Update last active time
     await User.findByIdAndUpdate(req.user._id, {
       lastActive: new Date()
@@ -397,6 +757,105 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List devices signed in to this account
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          platform: session.platform,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.session._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user._id, 'revoked-by-user', req.session._id);
+
+    res.json({
+      success: true,
+      message: 'Other devices signed out',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out other devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked-by-user');
+
+    res.json({
+      success: true,
+      message: session._id.equals(req.session._id) ? 'Logged out successfully' : 'Device signed out'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out device',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   DELETE /api/auth/account
 // @desc    Delete user account (soft delete)
 // @access  Private
@@ -408,8 +867,10 @@ router.delete('/account', auth, async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       isDeleted: true,
       deletedAt: new Date(),
-      status: 'inactive'
+      status: 'inactive',
+      phoneVerified: false // Frees the number for a new account
     });
+    await sessionService.revokeAll(userId, 'account-deleted');
 
     res.json({
       success: true,
@@ -0,0 +1,400 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, param, query } = require('express-validator');
+const { auth, can, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const billingService = require('../services/billingService');
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const checkValidation = (req, res, next) => {
+  if (!validationFailed(req, res)) next();
+};
+
+// Billing errors carry the HTTP status to answer with
+const handleBillingError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const pagination = (page, limit, total, name) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    [name]: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    limit
+  };
+};
+
+const validatePage = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Customers see their own billing; ?customerId=... needs billing:view. Sets
+// req.customerId.
+const resolveCustomer = [
+  query('customerId').optional().isMongoId().withMessage('Valid customer ID is required'),
+  checkValidation,
+  (req, res, next) => {
+    const customerId = req.query.customerId || req.user._id.toString();
+    if (customerId !== req.user._id.toString() && !can(req, 'billing:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: billing:view'
+      });
+    }
+
+    req.customerId = customerId;
+    next();
+  }
+];
+
+const canSee = (req, customerId) =>
+  customerId.toString() === req.user._id.toString() || can(req, 'billing:view');
+
+// @route   GET /api/billing/summary
+// @desc    Balance, open invoices and recent payments
+// @access  Private (own account, or billing:view)
+router.get('/summary', auth, resolveCustomer, async (req, res) => {
+  try {
+    const summary = await billingService.summary(req.customerId);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Get billing summary', 'Error fetching billing summary');
+  }
+});
+
+// @route   GET /api/billing/invoices
+// @desc    Invoices newest first, optionally by status
+// @access  Private (own account, or billing:view)
+router.get('/invoices', [
+  auth,
+  query('status').optional().isIn(Invoice.STATUSES).withMessage('Invalid status'),
+  ...validatePage
+], checkValidation, resolveCustomer, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { customer: req.customerId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select('-lines')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: pagination(page, limit, total, 'totalInvoices')
+      }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Get invoices', 'Error fetching invoices');
+  }
+});
+
+// @route   GET /api/billing/invoices/:id
+// @desc    An invoice with its pickup lines and the payments applied to it
+// @access  Private (own invoice, or billing:view)
+router.get('/invoices/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Valid invoice ID is required')
+], checkValidation, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('customer', 'name email')
+      .populate('lines.collectionRequest', 'requestId');
+    if (!invoice || !canSee(req, invoice.customer._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const payments = await Payment.find({ 'allocations.invoice': invoice._id })
+      .select('amount method reference status receivedAt allocations');
+
+    res.json({
+      success: true,
+      data: { invoice, payments }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Get invoice', 'Error fetching invoice');
+  }
+});
+
+// @route   POST /api/billing/invoices/:id/void
+// @desc    Void an invoice issued in error; its pickups go on the next invoice
+// @access  Private (billing:manage)
+router.post('/invoices/:id/void', [
+  auth,
+  requirePermission('billing:manage'),
+  param('id').isMongoId().withMessage('Valid invoice ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+], checkValidation, async (req, res) => {
+  try {
+    const invoice = await billingService.voidInvoice(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    describeChange(req, 'billing.invoice.void', {
+      target: { type: 'invoice', id: invoice._id },
+      after: { number: invoice.number, total: invoice.total, reason: invoice.voidReason }
+    });
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.number} voided`,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Void invoice', 'Error voiding invoice');
+  }
+});
+
+// @route   GET /api/billing/payments
+// @desc    Payments newest first
+// @access  Private (own account, or billing:view)
+router.get('/payments', [auth, ...validatePage], checkValidation, resolveCustomer, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { customer: req.customerId };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('recordedBy', 'name')
+        .populate('allocations.invoice', 'number')
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: pagination(page, limit, total, 'totalPayments')
+      }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Get payments', 'Error fetching payments');
+  }
+});
+
+// @route   POST /api/billing/payments
+// @desc    Record a payment. It pays invoiceId first when given, then the oldest
+//          open invoices; the rest is credit.
+// @access  Private (billing:manage)
+router.post('/payments', [
+  auth,
+  requirePermission('billing:manage'),
+  body('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('method').isIn(Payment.PAYMENT_METHODS).withMessage(`Method must be one of: ${Payment.PAYMENT_METHODS.join(', ')}`),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  body('invoiceId').optional().isMongoId().withMessage('Valid invoice ID is required'),
+  body('receivedAt').optional().isISO8601().withMessage('Received date must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const payment = await billingService.recordPayment({
+      customerId: req.body.customerId,
+      amount: parseFloat(req.body.amount),
+      method: req.body.method,
+      reference: req.body.reference,
+      invoiceId: req.body.invoiceId,
+      receivedAt: req.body.receivedAt && new Date(req.body.receivedAt),
+      notes: req.body.notes,
+      userId: req.user._id
+    });
+
+    describeChange(req, 'billing.payment.record', {
+      target: { type: 'payment', id: payment._id },
+      after: { customer: payment.customer, amount: payment.amount, method: payment.method, reference: payment.reference }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      data: { payment }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Record payment', 'Error recording payment');
+  }
+});
+
+// @route   POST /api/billing/payments/cash
+// @desc    Record cash taken at a pickup assigned to the driver
+// @access  Private (billing:collect-cash)
+router.post('/payments/cash', [
+  auth,
+  requirePermission('billing:collect-cash'),
+  body('collectionId').isMongoId().withMessage('Valid collection ID is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const payment = await billingService.recordCashPayment({
+      collectionId: req.body.collectionId,
+      amount: parseFloat(req.body.amount),
+      notes: req.body.notes,
+      driverId: req.user._id
+    });
+
+    describeChange(req, 'billing.payment.cash', {
+      target: { type: 'payment', id: payment._id },
+      after: { customer: payment.customer, amount: payment.amount, collection: payment.collectionRequest }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash payment recorded',
+      data: { payment }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Record cash payment', 'Error recording cash payment');
+  }
+});
+
+// @route   POST /api/billing/payments/:id/reverse
+// @desc    Reverse a payment that didn't go through, e.g. a bounced transfer
+// @access  Private (billing:manage)
+router.post('/payments/:id/reverse', [
+  auth,
+  requirePermission('billing:manage'),
+  param('id').isMongoId().withMessage('Valid payment ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+], checkValidation, async (req, res) => {
+  try {
+    const payment = await billingService.reversePayment(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    describeChange(req, 'billing.payment.reverse', {
+      target: { type: 'payment', id: payment._id },
+      before: { status: 'completed' },
+      after: { status: payment.status, amount: payment.amount, reason: payment.reversalReason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment reversed',
+      data: { payment }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Reverse payment', 'Error reversing payment');
+  }
+});
+
+// @route   GET /api/billing/ledger
+// @desc    Ledger entries newest first, with the current balance
+// @access  Private (own account, or billing:view)
+router.get('/ledger', [auth, ...validatePage], checkValidation, resolveCustomer, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const [{ entries, total }, balance] = await Promise.all([
+      billingService.ledger(req.customerId, { page, limit }),
+      billingService.balance(req.customerId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        currency: billingService.currency,
+        balance,
+        entries,
+        pagination: pagination(page, limit, total, 'totalEntries')
+      }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Get ledger', 'Error fetching ledger');
+  }
+});
+
+// @route   POST /api/billing/adjustments
+// @desc    Correct a customer's balance: positive amounts charge, negative credit
+// @access  Private (billing:manage)
+router.post('/adjustments', [
+  auth,
+  requirePermission('billing:manage'),
+  body('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  body('amount').isFloat().custom(value => parseFloat(value) !== 0).withMessage('Amount must be a non-zero number'),
+  body('description').trim().isLength({ min: 1, max: 200 }).withMessage('Description is required (max 200 characters)')
+], checkValidation, async (req, res) => {
+  try {
+    const entry = await billingService.adjust(req.body.customerId, {
+      amount: parseFloat(req.body.amount),
+      description: req.body.description,
+      userId: req.user._id
+    });
+
+    describeChange(req, 'billing.adjustment', {
+      target: { type: 'user', id: req.body.customerId },
+      after: { amount: entry.amount, description: entry.description }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment posted',
+      data: { entry }
+    });
+
+  } catch (error) {
+    handleBillingError(res, error, 'Post adjustment', 'Error posting adjustment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, param, query } = require('express-validator');
+const { auth, can } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const BulkOperation = require('../models/BulkOperation');
+const bulkOperations = require('../services/bulkOperations');
+const csv = require('../services/csv');
+
+const ITEM_STATUSES = ['pending', 'succeeded', 'failed', 'skipped', 'rolled-back', 'rollback-failed'];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const checkValidation = (req, res, next) => {
+  if (!validationFailed(req, res)) next();
+};
+
+// Engine errors carry the HTTP status to answer with
+const handleBulkError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Types the user may start. Operations of those types, and any the user started,
+// are visible to them.
+const allowedTypes = (req) => bulkOperations.listTypes()
+  .filter(definition => can(req, definition.permission))
+  .map(definition => definition.type);
+
+const canAccess = (req, operation) =>
+  operation.createdBy.toString() === req.user._id.toString() || allowedTypes(req).includes(operation.type);
+
+// Loads :id into req.operation when the user may see it
+const loadOperation = async (req, res, next) => {
+  try {
+    const operation = await BulkOperation.findById(req.params.id);
+    if (!operation || !canAccess(req, operation)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk operation not found'
+      });
+    }
+
+    req.operation = await operation.populate('createdBy', 'name email');
+    next();
+  } catch (error) {
+    handleBulkError(res, error, 'Load bulk operation', 'Error fetching bulk operation');
+  }
+};
+
+const validateId = param('id').isMongoId().withMessage('Valid bulk operation ID is required');
+
+// @route   GET /api/bulk-operations/types
+// @desc    Operation types the user can start
+// @access  Private
+router.get('/types', auth, (req, res) => {
+  const types = allowedTypes(req);
+
+  res.json({
+    success: true,
+    data: { types: bulkOperations.listTypes().filter(definition => types.includes(definition.type)) }
+  });
+});
+
+// @route   GET /api/bulk-operations
+// @desc    Recent operations the user started or could have started, newest first
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional().isIn(BulkOperation.STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = {
+      $or: [{ createdBy: req.user._id }, { type: { $in: allowedTypes(req) } }]
+    };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [operations, total] = await Promise.all([
+      BulkOperation.find(filter)
+        .select('-params')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BulkOperation.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        operations,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalOperations: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    handleBulkError(res, error, 'Get bulk operations', 'Error fetching bulk operations');
+  }
+});
+
+// @route   POST /api/bulk-operations
+// @desc    Start a bulk operation: { type, params }. It runs in the background; follow
+//          it with GET /:id or the bulk:progress socket event.
+// @access  Private (the type's permission)
+router.post('/', [
+  auth,
+  body('type').isString().withMessage('Operation type is required'),
+  body('params').optional().isObject().withMessage('Params must be an object')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const operation = await bulkOperations.create(req.body.type, req.body.params, {
+      userId: req.user._id,
+      permissions: req.permissions
+    });
+
+    describeChange(req, 'bulk.start', {
+      target: { type: 'bulk-operation', id: operation._id },
+      after: { type: operation.type, summary: operation.summary, total: operation.total }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${operation.summary} started`,
+      data: { operation }
+    });
+
+  } catch (error) {
+    handleBulkError(res, error, 'Start bulk operation', 'Error starting bulk operation');
+  }
+});
+
+// @route   GET /api/bulk-operations/:id
+// @desc    An operation with its progress counts
+// @access  Private (starter, or the type's permission)
+router.get('/:id', [auth, validateId], checkValidation, loadOperation, (req, res) => {
+  res.json({
+    success: true,
+    data: { operation: req.operation }
+  });
+});
+
+// @route   GET /api/bulk-operations/:id/items
+// @desc    Per-item results in input order; filter by status, e.g. failed
+// @access  Private (starter, or the type's permission)
+router.get('/:id/items', [
+  auth,
+  validateId,
+  query('status').optional().isIn(ITEM_STATUSES).withMessage('Invalid item status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], checkValidation, loadOperation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { items, total } = await bulkOperations.items(req.operation._id, { status: req.query.status, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    handleBulkError(res, error, 'Get bulk operation items', 'Error fetching bulk operation items');
+  }
+});
+
+// @route   GET /api/bulk-operations/:id/report
+// @desc    Per-item results as CSV
+// @access  Private (starter, or the type's permission)
+router.get('/:id/report', [auth, validateId], checkValidation, loadOperation, async (req, res) => {
+  try {
+    const rows = [['index', 'input', 'status', 'target', 'error', 'processedAt']];
+    let page = 1;
+    for (;;) {
+      const { items } = await bulkOperations.items(req.operation._id, { page, limit: 1000 });
+      if (items.length === 0) break;
+
+      items.forEach(item => rows.push([
+        item.index,
+        typeof item.input === 'object' ? JSON.stringify(item.input) : item.input,
+        item.status,
+        item.target,
+        item.error,
+        item.processedAt && item.processedAt.toISOString()
+      ]));
+      page++;
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`bulk-${req.operation.type}-${req.operation._id}.csv`);
+    res.send(csv.stringify(rows));
+
+  } catch (error) {
+    handleBulkError(res, error, 'Bulk operation report', 'Error building bulk operation report');
+  }
+});
+
+// @route   POST /api/bulk-operations/:id/cancel
+// @desc    Stop a queued or running operation after its current chunk
+// @access  Private (starter, or the type's permission)
+router.post('/:id/cancel', [auth, validateId], checkValidation, loadOperation, async (req, res) => {
+  try {
+    const operation = await bulkOperations.cancel(req.operation._id, req.user._id);
+
+    describeChange(req, 'bulk.cancel', {
+      target: { type: 'bulk-operation', id: operation._id },
+      before: { status: req.operation.status },
+      after: { status: operation.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Cancelling after the current chunk',
+      data: { operation }
+    });
+
+  } catch (error) {
+    handleBulkError(res, error, 'Cancel bulk operation', 'Error cancelling bulk operation');
+  }
+});
+
+// @route   POST /api/bulk-operations/:id/rollback
+// @desc    Undo a finished operation's succeeded items. Items changed since are left
+//          alone and reported as rollback-failed.
+// @access  Private (the type's permission)
+router.post('/:id/rollback', [auth, validateId], checkValidation, loadOperation, async (req, res) => {
+  try {
+    if (!allowedTypes(req).includes(req.operation.type)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can no longer run this type of operation'
+      });
+    }
+
+    const operation = await bulkOperations.rollback(req.operation._id, req.user._id);
+
+    describeChange(req, 'bulk.rollback', {
+      target: { type: 'bulk-operation', id: operation._id },
+      before: { status: req.operation.status },
+      after: { status: operation.status }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Rollback started',
+      data: { operation }
+    });
+
+  } catch (error) {
+    handleBulkError(res, error, 'Roll back bulk operation', 'Error rolling back bulk operation');
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { validationResult, body, param, query } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, requirePermission, requireVerifiedEmailForHazardous } = require('../middleware/auth');
 const CollectionRequest = require('../models/CollectionRequest');
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const Notification = require('../models/Notification');
 const CustomerAnalytics = require('../models/CustomerAnalytics');
+const recurringPickupService = require('../services/recurringPickupService');
+const systemSettings = require('../services/systemSettings');
+const pricingService = require('../services/pricingService');
+const subscriptionService = require('../services/subscriptionService');
+const rewardsService = require('../services/rewardsService');
+const { PRIORITIES } = require('../services/tariff');
 
 // Validation middleware for collection requests
 const validateCollectionRequest = [
@@ -18,10 +24,80 @@ const validateCollectionRequest = [
   body('specialInstructions').optional().isString().withMessage('Special instructions must be a string')
 ];
 
+// What a customer describes when booking; status, crew, route and prices are set by the server
+const BOOKING_FIELDS = ['requestedDate', 'requestedTime', 'preferredTimeRange', 'wasteTypes', 'totalEstimatedWeight',
+  'pickupLocation', 'address', 'priority', 'isRecurring', 'recurringSchedule', 'customerNotes'];
+
+// @route   POST /api/collections/quote
+// @desc    Price a pickup before booking it: { wasteTypes, priority?, pickupLocation?, requestedDate?,
+//          voucherCode? }. Uses the customer's plan and loyalty tier and the pricing.tariff
+//          setting; 403 when the customer's plan doesn't include the pickup.
+// @access  Private (collections:request)
+router.post('/quote', [
+  auth,
+  requirePermission('collections:request'),
+  body('wasteTypes').isArray({ min: 1 }).withMessage('At least one waste type is required'),
+  body('wasteTypes.*.category').isIn(CollectionRequest.schema.path('wasteTypes').schema.path('category').enumValues)
+    .withMessage('Invalid waste category'),
+  body('wasteTypes.*.estimatedWeight').optional().isFloat({ min: 0 }).withMessage('Estimated weight must be a positive number'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('pickupLocation.coordinates').optional()
+    .custom(coordinates => Array.isArray(coordinates) && coordinates.length === 2 && coordinates.every(Number.isFinite))
+    .withMessage('Coordinates must be [longitude, latitude]'),
+  body('voucherCode').optional().isString().withMessage('Voucher code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { overQuotaFee } = await subscriptionService.checkPickup(req.user._id, req.body);
+    const voucher = req.body.voucherCode
+      ? rewardsService.voucherTerms(await rewardsService.findUsableVoucher(req.user._id, req.body.voucherCode))
+      : null;
+    const quote = await pricingService.quoteRequest(req.user._id, { ...req.body, overQuotaFee, voucher });
+
+    res.json({
+      success: true,
+      data: { quote }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Quote collection request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pricing collection request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   POST /api/collections
-// @desc    Create new collection request
-// @access  Private (Customer only)
-router.post('/', [auth, authorize('customer'), ...validateCollectionRequest], async (req, res) => {
+// @desc    Create new collection request. The caller's plan decides which waste, weight and
+//          priority they can book; a pickup beyond the plan's monthly pickups is charged
+//          its over-quota fee, or turned away with 403 if the plan rejects extra pickups.
+//          voucherCode takes a rewards voucher off the price; it is used when the pickup
+//          is completed.
+// @access  Private (collections:request)
+router.post('/', [
+  auth,
+  requirePermission('collections:request'),
+  ...validateCollectionRequest,
+  body('voucherCode').optional().isString().withMessage('Voucher code must be a string'),
+  requireVerifiedEmailForHazardous
+], async (req, res) => {
   try {
     console.log('🔍 Collection request received:', {
       user: req.user?.name,
@@ -38,13 +114,36 @@ router.post('/', [auth, authorize('customer'), ...validateCollectionRequest], as
       });
     }
 
+    const { voucherCode } = req.body;
+
+    // Pickups are booked for the caller's own account, so their plan applies whatever their role
+    const { overQuotaFee } = await subscriptionService.checkPickup(req.user._id, req.body);
+
     const collectionData = {
-      ...req.body,
+      ...Object.fromEntries(BOOKING_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+      overQuotaFee,
+      // Without a preferred window the pickup gets its slot's window (pickups.timeSlots setting)
+      preferredTimeRange: req.body.preferredTimeRange || systemSettings.getTimeSlot(req.body.requestedTime),
       customer: req.user._id
     };
 
     const collection = new CollectionRequest(collectionData);
-    await collection.save();
+    if (voucherCode) {
+      collection.voucher = await rewardsService.reserveVoucher(req.user._id, voucherCode, collection._id);
+    }
+    try {
+      await pricingService.estimate(collection);
+      await collection.save();
+    } catch (error) {
+      await rewardsService.releaseVoucher(collection);
+      throw error;
+    }
+
+    // Recurring bookings become a pickup series with this request as its first occurrence
+    let series = null;
+    if (collection.isRecurring && collection.recurringSchedule?.frequency) {
+      series = await recurringPickupService.createSeriesFromRequest(collection);
+    }
 
     // TODO: Fix notification enum validation issue with 'new-request' type
     // Create notification for admin
@@ -69,10 +168,17 @@ router.post('/', [auth, authorize('customer'), ...validateCollectionRequest], as
     res.status(201).json({
       success: true,
       message: 'Collection request created successfully',
-      data: { collectionRequest: collection }
+      data: { collectionRequest: collection, series }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create collection request error:', error);
     res.status(500).json({
       success: false,
@@ -91,13 +197,13 @@ router.get('/', auth, async (req, res) => {
     
     let filter = {};
     
-    // Role-based filtering
-    if (req.user.role === 'customer') {
-      filter.customer = req.user._id;
-    } else if (req.user.role === 'driver') {
-      filter.assignedDriver = req.user._id;
+    // Without collections:view-all, users see the collections they booked or are assigned to
+    if (!can(req, 'collections:view-all')) {
+      filter.$or = [
+        { customer: req.user._id },
+        { assignedDriver: req.user._id }
+      ];
     }
-    // Admin can see all collections (no additional filter)
 
     // Status filter
     if (status) {
@@ -150,8 +256,8 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/collections/upcoming
 // @desc    Get upcoming collections for customer
-// @access  Private (Customer only)
-router.get('/upcoming', [auth, authorize('customer')], async (req, res) => {
+// @access  Private (collections:request)
+router.get('/upcoming', [auth, requirePermission('collections:request')], async (req, res) => {
   try {
     const upcomingCollections = await CollectionRequest.find({
       customer: req.user._id,
@@ -197,8 +303,8 @@ router.get('/upcoming', [auth, authorize('customer')], async (req, res) => {
 
 // @route   GET /api/collections/stats
 // @desc    Get collection statistics for customer
-// @access  Private (Customer only)
-router.get('/stats', [auth, authorize('customer')], async (req, res) => {
+// @access  Private (collections:request)
+router.get('/stats', [auth, requirePermission('collections:request')], async (req, res) => {
   try {
     const stats = await CollectionRequest.aggregate([
       { $match: { customer: req.user._id } },
@@ -266,15 +372,9 @@ router.get('/:id', [
     }
 
     // Check permissions
-    if (req.user.role === 'customer' && collection.customer._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    if (req.user.role === 'driver' && 
-        (!collection.assignedDriver || collection.assignedDriver._id.toString() !== req.user._id.toString())) {
+    const isCustomer = collection.customer._id.toString() === req.user._id.toString();
+    const isDriver = collection.assignedDriver && collection.assignedDriver._id.toString() === req.user._id.toString();
+    if (!isCustomer && !isDriver && !can(req, 'collections:view-all')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -298,7 +398,7 @@ router.get('/:id', [
 
 // @route   PUT /api/collections/:id/reschedule
 // @desc    Reschedule collection request
-// @access  Private (Customer: own requests, Admin: all)
+// @access  Private (Customer: own requests, collections:manage: all)
 router.put('/:id/reschedule', [
   auth,
   param('id').isMongoId().withMessage('Valid collection request ID is required'),
@@ -325,7 +425,8 @@ router.put('/:id/reschedule', [
     }
 
     // Check permissions
-    if (req.user.role === 'customer' && collection.customer.toString() !== req.user._id.toString()) {
+    const isOwner = collection.customer.toString() === req.user._id.toString();
+    if (!isOwner && !can(req, 'collections:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only reschedule your own collection requests.'
@@ -380,7 +481,7 @@ router.put('/:id/reschedule', [
 
 // @route   PUT /api/collections/:id/cancel
 // @desc    Cancel collection request
-// @access  Private (Customer: own requests, Admin: all)
+// @access  Private (Customer: own requests, collections:manage: all)
 router.put('/:id/cancel', [
   auth,
   param('id').isMongoId().withMessage('Valid collection request ID is required'),
@@ -406,7 +507,8 @@ router.put('/:id/cancel', [
     }
 
     // Check permissions
-    if (req.user.role === 'customer' && collection.customer.toString() !== req.user._id.toString()) {
+    const isOwner = collection.customer.toString() === req.user._id.toString();
+    if (!isOwner && !can(req, 'collections:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only cancel your own collection requests.'
@@ -429,9 +531,10 @@ router.put('/:id/cancel', [
     collection.cancelledBy = req.user._id;
     
     await collection.save();
+    await rewardsService.releaseVoucher(collection);
 
     // Create notification for admin if cancelled by customer
-    if (req.user.role === 'customer') {
+    if (isOwner) {
       await Notification.create({
         recipient: await User.findOne({ role: 'admin' }).select('_id'),
         recipientType: 'admin',
@@ -444,8 +547,8 @@ router.put('/:id/cancel', [
       });
     }
 
-    // Create notification for customer if cancelled by admin
-    if (req.user.role === 'admin') {
+    // Create notification for customer if cancelled by staff
+    if (!isOwner) {
       await Notification.create({
         recipient: collection.customer,
         recipientType: 'customer',
@@ -3,7 +3,10 @@ const router = express.Router();
 const CollectionRequest = require('../models/CollectionRequest');
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, requirePermission } = require('../middleware/auth');
+const webSocketService = require('../services/webSocketService');
+const distanceMatrixProvider = require('../services/distanceMatrixProvider');
+const etaEngine = require('../services/etaEngine');
 const { param, validationResult } = require('express-validator');
 
 // @route   GET /api/tracking/driver/:collectionId
@@ -26,7 +29,7 @@ router.get('/driver/:collectionId', [
     const collection = await CollectionRequest.findById(req.params.collectionId)
       .populate('customer', 'name phone')
       .populate('assignedDriver', 'name phone profile')
-      .populate('assignedVehicle', 'licensePlate model brand capacity');
+      .populate('assignedVehicle', 'licensePlate model brand capacity currentLocation');
 
     if (!collection) {
       return res.status(404).json({
@@ -37,9 +40,9 @@ router.get('/driver/:collectionId', [
 
     // Check permissions
     const canAccess = (
-      (req.user.role === 'customer' && collection.customer._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'driver' && collection.assignedDriver && collection.assignedDriver._id.toString() === req.user._id.toString()) ||
-      req.user.role === 'admin'
+      collection.customer._id.toString() === req.user._id.toString() ||
+      (collection.assignedDriver && collection.assignedDriver._id.toString() === req.user._id.toString()) ||
+      can(req, 'collections:view-all')
     );
 
     if (!canAccess) {
@@ -56,19 +59,52 @@ router.get('/driver/:collectionId', [
       });
     }
 
-    // Get driver's current location (in a real app, this would come from GPS tracking)
-    // For now, we'll simulate a location
-    const mockLocation = {
-      lat: 40.7589 + (Math.random() - 0.5) * 0.01,
-      lng: -73.9851 + (Math.random() - 0.5) * 0.01,
-      address: "En route to pickup location",
-      timestamp: new Date().toISOString(),
-    };
+    // Latest GPS fix from the driver's socket, falling back to the vehicle's last known position
+    const liveLocation = webSocketService.driverLocations.get(collection.assignedDriver._id.toString());
+    const vehicleCoordinates = collection.assignedVehicle?.currentLocation?.coordinates;
+    let currentLocation = null;
+
+    if (liveLocation && liveLocation.latitude && liveLocation.longitude) {
+      currentLocation = {
+        lat: liveLocation.latitude,
+        lng: liveLocation.longitude,
+        address: "En route to pickup location",
+        timestamp: new Date(liveLocation.lastUpdated).toISOString(),
+      };
+    } else if (vehicleCoordinates && vehicleCoordinates.length === 2) {
+      currentLocation = {
+        lat: vehicleCoordinates[1],
+        lng: vehicleCoordinates[0],
+        address: "Last known vehicle location",
+        timestamp: (collection.assignedVehicle.updatedAt || new Date()).toISOString(),
+      };
+    }
 
-    // Calculate estimated arrival (mock calculation)
-    const now = new Date();
-    const estimatedArrival = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes from now
-    const distanceAway = (Math.random() * 5 + 0.5).toFixed(1); // Random distance 0.5-5.5 km
+    // Estimate arrival through every stop the driver still has to serve before this one
+    const pickupCoordinates = collection.pickupLocation?.coordinates;
+    let estimatedArrival = null;
+    let distanceAway = null;
+    let stopsBefore = null;
+
+    if (currentLocation && pickupCoordinates && pickupCoordinates.length === 2) {
+      const driverPoint = { latitude: currentLocation.lat, longitude: currentLocation.lng };
+      const etas = await etaEngine.computeEtas(collection.assignedDriver._id, driverPoint);
+      const eta = etas.find(item => item.collection._id.equals(collection._id));
+
+      if (eta) {
+        estimatedArrival = eta.estimatedArrival;
+        distanceAway = eta.distanceAway.toFixed(1);
+        stopsBefore = eta.stopsAway;
+      } else {
+        // Not on today's remaining route yet; fall back to the direct leg
+        const leg = await distanceMatrixProvider.getRoute(driverPoint, {
+          latitude: pickupCoordinates[1],
+          longitude: pickupCoordinates[0]
+        });
+        estimatedArrival = new Date(Date.now() + leg.duration * 60 * 1000);
+        distanceAway = leg.distance.toFixed(1);
+      }
+    }
 
     // Get driver's other collections for today to show route
     const todaysCollections = await CollectionRequest.find({
@@ -90,7 +126,8 @@ router.get('/driver/:collectionId', [
       completedAt: coll.status === 'completed' ? coll.completedAt : null,
       startedAt: coll.status === 'in-progress' ? coll.scheduledAt : null,
       estimatedTime: coll.preferredTimeRange ? coll.preferredTimeRange.start : '10:00 AM',
-      isCurrentUser: req.user.role === 'customer' && coll._id.toString() === collection._id.toString(),
+      isCurrentUser: coll._id.toString() === collection._id.toString() &&
+        collection.customer._id.toString() === req.user._id.toString(),
       timeSpent: coll.status === 'completed' ? calculateTimeSpent(coll) : null,
       estimatedDuration: "00:08:00" // Mock duration
     }));
@@ -122,13 +159,14 @@ router.get('/driver/:collectionId', [
         brand: collection.assignedVehicle.brand,
         capacity: collection.assignedVehicle.capacity
       } : null,
-      currentLocation: mockLocation,
-      estimatedArrival: estimatedArrival.toLocaleTimeString('en-US', { 
+      currentLocation,
+      estimatedArrival: estimatedArrival ? estimatedArrival.toLocaleTimeString('en-US', { 
         hour: 'numeric', 
         minute: '2-digit',
         hour12: true 
-      }),
-      distanceAway: `${distanceAway} km`,
+      }) : null,
+      distanceAway: distanceAway ? `${distanceAway} km` : null,
+      stopsBefore,
       stopsRemaining: route.length - completedStops - 1,
       currentStop: currentStopIndex >= 0 ? currentStopIndex + 1 : completedStops + 1,
       totalStops: route.length,
@@ -154,8 +192,8 @@ router.get('/driver/:collectionId', [
 
 // @route   GET /api/tracking/customer/active
 // @desc    Get active collection tracking for customer
-// @access  Private (Customer only)
-router.get('/customer/active', [auth, authorize('customer')], async (req, res) => {
+// @access  Private (collections:request)
+router.get('/customer/active', [auth, requirePermission('collections:request')], async (req, res) => {
   try {
     // Find customer's active collection
     const activeCollection = await CollectionRequest.findOne({
@@ -196,11 +234,11 @@ router.get('/customer/active', [auth, authorize('customer')], async (req, res) =
 });
 
 // @route   POST /api/tracking/driver/:collectionId/location
-// @desc    Update driver location for a collection (Driver only)
-// @access  Private (Driver only)
+// @desc    Update driver location for a collection (assigned driver only)
+// @access  Private (tracking:report-location)
 router.post('/driver/:collectionId/location', [
   auth,
-  authorize('driver'),
+  requirePermission('tracking:report-location'),
   param('collectionId').isMongoId().withMessage('Valid collection ID is required')
 ], async (req, res) => {
   try {
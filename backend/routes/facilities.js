@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const Facility = require('../models/Facility');
+const { WASTE_CATEGORIES } = require('../models/Facility');
+const { auth, requirePermission } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+
+// Validation middleware
+const validateFacility = [
+  body('name')
+    .notEmpty()
+    .withMessage('Facility name is required'),
+
+  body('type')
+    .isIn(['depot', 'landfill', 'recycling_center', 'compost_site', 'transfer_station'])
+    .withMessage('Type must be depot, landfill, recycling_center, compost_site, or transfer_station'),
+
+  body('location.coordinates')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Coordinates must be [longitude, latitude]'),
+
+  body('acceptedWasteTypes')
+    .optional()
+    .isArray()
+    .withMessage('Accepted waste types must be an array'),
+
+  body('acceptedWasteTypes.*')
+    .optional()
+    .isIn(WASTE_CATEGORIES)
+    .withMessage('Invalid waste category'),
+
+  body('unloadTime')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Unload time must be a non-negative number of minutes')
+];
+
+// @route   GET /api/facilities
+// @desc    Get depots and disposal facilities
+// @access  Private (facilities:view)
+router.get('/', [auth, requirePermission('facilities:view')], async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.accepts) {
+      filter.acceptedWasteTypes = req.query.accepts;
+    }
+
+    const facilities = await Facility.findActive(filter).sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { facilities }
+    });
+
+  } catch (error) {
+    console.error('Get facilities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facilities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/facilities
+// @desc    Create a depot or disposal facility
+// @access  Private (facilities:manage)
+router.post('/', [auth, requirePermission('facilities:manage'), ...validateFacility], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const facility = new Facility(req.body);
+    await facility.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Facility created successfully',
+      data: { facility }
+    });
+
+  } catch (error) {
+    console.error('Create facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating facility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/facilities/:id
+// @desc    Update a facility
+// @access  Private (facilities:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('facilities:manage'),
+  param('id').isMongoId().withMessage('Valid facility ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = { ...req.body };
+    delete updates.isDeleted;
+
+    const facility = await Facility.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Facility updated successfully',
+      data: { facility }
+    });
+
+  } catch (error) {
+    console.error('Update facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating facility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/facilities/:id
+// @desc    Remove a facility from planning (soft delete)
+// @access  Private (facilities:manage)
+router.delete('/:id', [
+  auth,
+  requirePermission('facilities:manage'),
+  param('id').isMongoId().withMessage('Valid facility ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const facility = await Facility.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false },
+      { isDeleted: true, isActive: false },
+      { new: true }
+    );
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Facility deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting facility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
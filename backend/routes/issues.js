@@ -4,9 +4,14 @@ const IssueReport = require('../models/IssueReport');
 const User = require('../models/User');
 const CollectionRequest = require('../models/CollectionRequest');
 const Notification = require('../models/Notification');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
 const { body, param, validationResult } = require('express-validator');
 
+// Whether the user reported, caused or is assigned to the issue (fields may be populated)
+const isInvolved = (issue, userId) => [issue.reporter, issue.relatedDriver, issue.assignedTo]
+  .some(user => user && (user._id || user).toString() === userId.toString());
+
 // Validation middleware for issue reports
 const validateIssueReport = [
   body('title')
@@ -64,8 +69,8 @@ const validateIssueReport = [
 
 // @route   POST /api/issues
 // @desc    Create new issue report
-// @access  Private (Customer)
-router.post('/', [auth, authorize('customer'), ...validateIssueReport], async (req, res) => {
+// @access  Private (issues:report)
+router.post('/', [auth, requirePermission('issues:report'), ...validateIssueReport], async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -150,12 +155,10 @@ router.get('/', auth, async (req, res) => {
 
     let filter = { isDeleted: false };
     
-    // Role-based filtering
-    if (req.user.role === 'customer') {
-      filter.reporter = req.user._id;
-    } else if (req.user.role === 'driver') {
-      // Drivers can see issues related to them
+    // Without issues:view-all, users see the issues they're involved in
+    if (!can(req, 'issues:view-all')) {
       filter.$or = [
+        { reporter: req.user._id },
         { relatedDriver: req.user._id },
         { assignedTo: req.user._id }
       ];
@@ -208,7 +211,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/stats', auth, async (req, res) => {
   try {
-    const customerId = req.user.role === 'customer' ? req.user._id : null;
+    const customerId = can(req, 'issues:view-all') ? null : req.user._id;
     const stats = await IssueReport.getIssueStats(customerId);
 
     res.json({
@@ -227,9 +230,9 @@ router.get('/stats', auth, async (req, res) => {
 });
 
 // @route   GET /api/issues/categories
-// @desc    Get issue category statistics (Admin only)
-// @access  Private (Admin)
-router.get('/categories', [auth, authorize('admin')], async (req, res) => {
+// @desc    Get issue category statistics
+// @access  Private (issues:view-all)
+router.get('/categories', [auth, requirePermission('issues:view-all')], async (req, res) => {
   try {
     const categoryStats = await IssueReport.getCategoryStats();
 
@@ -285,16 +288,7 @@ router.get('/:id', [
     }
 
     // Check access permissions
-    if (req.user.role === 'customer' && issue.reporter._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only view your own issue reports.'
-      });
-    }
-
-    if (req.user.role === 'driver' && 
-        (!issue.relatedDriver || issue.relatedDriver._id.toString() !== req.user._id.toString()) &&
-        (!issue.assignedTo || issue.assignedTo._id.toString() !== req.user._id.toString())) {
+    if (!can(req, 'issues:view-all') && !isInvolved(issue, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view issues related to you.'
@@ -318,7 +312,7 @@ router.get('/:id', [
 
 // @route   PUT /api/issues/:id
 // @desc    Update issue report
-// @access  Private (Reporter can update basic info, Admin can update all)
+// @access  Private (Reporter can update basic info, issues:resolve can update all)
 router.put('/:id', [
   auth,
   param('id').isMongoId().withMessage('Valid issue ID is required')
@@ -346,7 +340,8 @@ router.put('/:id', [
     }
 
     // Check permissions
-    if (req.user.role === 'customer') {
+    const canUpdateAll = can(req, 'issues:resolve');
+    if (!canUpdateAll) {
       if (issue.reporter.toString() !== req.user._id.toString()) {
         return res.status(403).json({
           success: false,
@@ -362,8 +357,8 @@ router.put('/:id', [
       }
     }
 
-    // Update allowed fields based on role
-    const allowedFields = req.user.role === 'admin' 
+    // Update allowed fields based on permission
+    const allowedFields = canUpdateAll
       ? Object.keys(req.body)
       : ['description', 'severity', 'photos', 'customerNotes'];
 
@@ -432,11 +427,7 @@ router.post('/:id/comments', [
     }
 
     // Check access permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      issue.reporter.toString() === req.user._id.toString() ||
-      (issue.assignedTo && issue.assignedTo.toString() === req.user._id.toString()) ||
-      (issue.relatedDriver && issue.relatedDriver.toString() === req.user._id.toString());
+    const hasAccess = can(req, 'issues:view-all') || isInvolved(issue, req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -447,8 +438,8 @@ router.post('/:id/comments', [
 
     const { message, isInternal = false, attachments = [] } = req.body;
 
-    // Only admin can add internal comments
-    const isInternalComment = req.user.role === 'admin' ? isInternal : false;
+    // Only staff who resolve issues can add internal comments
+    const isInternalComment = can(req, 'issues:resolve') ? isInternal : false;
 
     await issue.addComment(req.user._id, message, isInternalComment, attachments);
 
@@ -509,11 +500,11 @@ router.post('/:id/comments', [
 });
 
 // @route   POST /api/issues/:id/assign
-// @desc    Assign issue to user (Admin only)
-// @access  Private (Admin)
+// @desc    Assign issue to user
+// @access  Private (issues:assign)
 router.post('/:id/assign', [
   auth,
-  authorize('admin'),
+  requirePermission('issues:assign'),
   param('id').isMongoId().withMessage('Valid issue ID is required'),
   body('assignedTo').isMongoId().withMessage('Valid user ID is required'),
   body('department')
@@ -554,8 +545,15 @@ router.post('/:id/assign', [
       });
     }
 
+    const before = { assignedTo: issue.assignedTo, department: issue.department, status: issue.status };
     await issue.assignTo(assignedTo, department);
 
+    describeChange(req, 'issue.assign', {
+      target: { type: 'issues', id: issue._id },
+      before,
+      after: { assignedTo: issue.assignedTo, department: issue.department, status: issue.status }
+    });
+
     // Send notification to assigned user
     await Notification.create({
       recipient: assignedTo,
@@ -590,8 +588,8 @@ router.post('/:id/assign', [
 });
 
 // @route   POST /api/issues/:id/resolve
-// @desc    Resolve issue (Admin/Assigned user)
-// @access  Private (Admin/Assigned)
+// @desc    Resolve issue (issues:resolve or assigned user)
+// @access  Private (issues:resolve/Assigned)
 router.post('/:id/resolve', [
   auth,
   param('id').isMongoId().withMessage('Valid issue ID is required'),
@@ -624,7 +622,7 @@ router.post('/:id/resolve', [
 
     // Check permissions
     const canResolve = 
-      req.user.role === 'admin' ||
+      can(req, 'issues:resolve') ||
       (issue.assignedTo && issue.assignedTo.toString() === req.user._id.toString());
 
     if (!canResolve) {
@@ -634,8 +632,15 @@ router.post('/:id/resolve', [
       });
     }
 
+    const previousStatus = issue.status;
     await issue.resolve(req.body, req.user._id);
 
+    describeChange(req, 'issue.resolve', {
+      target: { type: 'issues', id: issue._id },
+      before: { status: previousStatus },
+      after: { status: issue.status, resolution: issue.toObject().resolution }
+    });
+
     // Send notification to reporter
     await Notification.create({
       recipient: issue.reporter,
@@ -702,7 +707,7 @@ router.post('/:id/close', [
 
     // Check permissions
     const canClose = 
-      req.user.role === 'admin' ||
+      can(req, 'issues:resolve') ||
       issue.reporter.toString() === req.user._id.toString();
 
     if (!canClose) {
@@ -712,7 +717,7 @@ router.post('/:id/close', [
       });
     }
 
-    if (issue.status !== 'resolved' && req.user.role !== 'admin') {
+    if (issue.status !== 'resolved' && !can(req, 'issues:resolve')) {
       return res.status(400).json({
         success: false,
         message: 'Issue must be resolved before it can be closed'
@@ -739,10 +744,10 @@ router.post('/:id/close', [
 
 // @route   DELETE /api/issues/:id
 // @desc    Delete issue report (Soft delete)
-// @access  Private (Admin only)
+// @access  Private (issues:delete)
 router.delete('/:id', [
   auth,
-  authorize('admin'),
+  requirePermission('issues:delete'),
   param('id').isMongoId().withMessage('Valid issue ID is required')
 ], async (req, res) => {
   try {
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const JobRun = require('../models/JobRun');
+const jobScheduler = require('../services/jobScheduler');
+
+const validateJobName = param('name').matches(/^[a-z0-9-]+$/).withMessage('Invalid job name');
+
+// Scheduler errors carry the HTTP status to answer with
+const handleJobError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/jobs
+// @desc    List background jobs with their schedule and last run
+// @access  Private (jobs:manage)
+router.get('/', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const jobs = await jobScheduler.list();
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Get jobs', 'Error fetching jobs');
+  }
+});
+
+// @route   GET /api/jobs/runs
+// @desc    Get recent runs of all jobs
+// @access  Private (jobs:manage)
+router.get('/runs', [
+  auth,
+  requirePermission('jobs:manage'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { limit = 20, page = 1 } = req.query;
+    const runs = await JobRun.findRecent(null, parseInt(limit), parseInt(page));
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Get job runs', 'Error fetching job runs');
+  }
+});
+
+// @route   GET /api/jobs/:name/runs
+// @desc    Get the run history of a job
+// @access  Private (jobs:manage)
+router.get('/:name/runs', [
+  auth,
+  requirePermission('jobs:manage'),
+  validateJobName,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    jobScheduler.getDefinition(req.params.name);
+
+    const { limit = 20, page = 1 } = req.query;
+    const [runs, total] = await Promise.all([
+      JobRun.findRecent(req.params.name, parseInt(limit), parseInt(page)),
+      JobRun.countDocuments({ job: req.params.name })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Get job runs', 'Error fetching job runs');
+  }
+});
+
+// @route   POST /api/jobs/:name/run
+// @desc    Trigger a job immediately
+// @access  Private (jobs:manage)
+router.post('/:name/run', [auth, requirePermission('jobs:manage'), validateJobName], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const run = await jobScheduler.trigger(req.params.name, req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: `Job ${req.params.name} started`,
+      data: { run }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Trigger job', 'Error triggering job');
+  }
+});
+
+// @route   POST /api/jobs/:name/pause
+// @desc    Pause a job's schedule
+// @access  Private (jobs:manage)
+router.post('/:name/pause', [auth, requirePermission('jobs:manage'), validateJobName], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await jobScheduler.pause(req.params.name, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} paused`,
+      data: { job }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Pause job', 'Error pausing job');
+  }
+});
+
+// @route   POST /api/jobs/:name/resume
+// @desc    Resume a paused job from its next scheduled time
+// @access  Private (jobs:manage)
+router.post('/:name/resume', [auth, requirePermission('jobs:manage'), validateJobName], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await jobScheduler.resume(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} resumed`,
+      data: { job }
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Resume job', 'Error resuming job');
+  }
+});
+
+module.exports = router;
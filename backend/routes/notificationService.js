@@ -1,231 +1,20 @@
 const express = require('express');
 const router = express.Router();
+const { validationResult, body } = require('express-validator');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
-
-// Notification Service
-class NotificationService {
-  constructor() {
-    this.channels = {
-      PUSH: 'push',
-      EMAIL: 'email',
-      SMS: 'sms',
-      IN_APP: 'in_app'
-    };
-
-    this.types = {
-      COLLECTION_SCHEDULED: 'collection_scheduled',
-      COLLECTION_REMINDER: 'collection_reminder',
-      COLLECTION_STARTED: 'collection_started',
-      COLLECTION_COMPLETED: 'collection_completed',
-      DRIVER_ASSIGNED: 'driver_assigned',
-      ROUTE_OPTIMIZED: 'route_optimized',
-      SYSTEM_MAINTENANCE: 'system_maintenance',
-      PAYMENT_DUE: 'payment_due',
-      ISSUE_REPORTED: 'issue_reported',
-      ISSUE_RESOLVED: 'issue_resolved',
-      ANALYTICS_REPORT: 'analytics_report'
-    };
-
-    this.priorities = {
-      LOW: 'low',
-      MEDIUM: 'medium',
-      HIGH: 'high',
-      URGENT: 'urgent'
-    };
-
-    // Template configurations
-    this.templates = {
-      [this.types.COLLECTION_SCHEDULED]: {
-        title: 'Collection Scheduled',
-        body: 'Your waste collection has been scheduled for {date} between {timeSlot}',
-        channels: [this.channels.PUSH, this.channels.EMAIL],
-        priority: this.priorities.MEDIUM
-      },
-      [this.types.COLLECTION_REMINDER]: {
-        title: 'Collection Reminder',
-        body: 'Your waste collection is scheduled for tomorrow. Please prepare your waste for pickup.',
-        channels: [this.channels.PUSH],
-        priority: this.priorities.HIGH
-      },
-      [this.types.COLLECTION_STARTED]: {
-        title: 'Collection in Progress',
-        body: 'Your waste collection has started. Driver {driverName} is on the way.',
-        channels: [this.channels.PUSH, this.channels.IN_APP],
-        priority: this.priorities.HIGH
-      },
-      [this.types.COLLECTION_COMPLETED]: {
-        title: 'Collection Completed',
-        body: 'Your waste collection has been completed. Total weight: {weight}kg. Thank you!',
-        channels: [this.channels.PUSH, this.channels.EMAIL],
-        priority: this.priorities.MEDIUM
-      },
-      [this.types.DRIVER_ASSIGNED]: {
-        title: 'Driver Assigned',
-        body: 'Driver {driverName} has been assigned to your collection route.',
-        channels: [this.channels.IN_APP],
-        priority: this.priorities.LOW
-      },
-      [this.types.ROUTE_OPTIMIZED]: {
-        title: 'Route Updated',
-        body: 'Your collection route has been optimized. New ETA: {eta}',
-        channels: [this.channels.IN_APP],
-        priority: this.priorities.LOW
-      },
-      [this.types.SYSTEM_MAINTENANCE]: {
-        title: 'System Maintenance',
-        body: 'Scheduled system maintenance on {date} from {startTime} to {endTime}',
-        channels: [this.channels.PUSH, this.channels.EMAIL],
-        priority: this.priorities.MEDIUM
-      },
-      [this.types.PAYMENT_DUE]: {
-        title: 'Payment Due',
-        body: 'Payment of ${amount} is due for your waste collection service.',
-        channels: [this.channels.PUSH, this.channels.EMAIL],
-        priority: this.priorities.HIGH
-      },
-      [this.types.ISSUE_REPORTED]: {
-        title: 'Issue Reported',
-        body: 'Issue #{issueId} has been reported and is being investigated.',
-        channels: [this.channels.IN_APP],
-        priority: this.priorities.MEDIUM
-      },
-      [this.types.ISSUE_RESOLVED]: {
-        title: 'Issue Resolved',
-        body: 'Issue #{issueId} has been resolved. Thank you for your patience.',
-        channels: [this.channels.PUSH, this.channels.EMAIL],
-        priority: this.priorities.MEDIUM
-      },
-      [this.types.ANALYTICS_REPORT]: {
-        title: 'Weekly Analytics Report',
-        body: 'Your weekly analytics report is ready. You saved {carbonReduction}kg CO2 this week!',
-        channels: [this.channels.EMAIL],
-        priority: this.priorities.LOW
-      }
-    };
-  }
-
-  // Template variable replacement
-  formatMessage(template, variables = {}) {
-    let formatted = template;
-    Object.keys(variables).forEach(key => {
-      const placeholder = `{${key}}`;
-      formatted = formatted.replace(new RegExp(placeholder, 'g'), variables[key]);
-    });
-    return formatted;
-  }
-
-  // Create notification with template
-  async createNotification(type, userId, variables = {}, options = {}) {
-    const template = this.templates[type];
-    if (!template) {
-      throw new Error(`Unknown notification type: ${type}`);
-    }
-
-    const notification = {
-      type,
-      recipient: userId,
-      title: this.formatMessage(template.title, variables),
-      body: this.formatMessage(template.body, variables),
-      priority: options.priority || template.priority,
-      channels: options.channels || template.channels,
-      metadata: {
-        variables,
-        ...options.metadata
-      },
-      scheduledFor: options.scheduledFor || new Date(),
-      expiresAt: options.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-    };
-
-    return await Notification.create(notification);
-  }
-
-  // Bulk notification creation
-  async createBulkNotifications(type, userIds, variables = {}, options = {}) {
-    const notifications = userIds.map(userId => ({
-      type,
-      recipient: userId,
-      ...this.prepareNotificationData(type, variables, options)
-    }));
-
-    return await Notification.insertMany(notifications);
-  }
-
-  prepareNotificationData(type, variables, options) {
-    const template = this.templates[type];
-    return {
-      title: this.formatMessage(template.title, variables),
-      body: this.formatMessage(template.body, variables),
-      priority: options.priority || template.priority,
-      channels: options.channels || template.channels,
-      metadata: { variables, ...options.metadata },
-      scheduledFor: options.scheduledFor || new Date(),
-      expiresAt: options.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-    };
-  }
-
-  // Get user preferences
-  async getUserPreferences(userId) {
-    const user = await User.findById(userId).select('notificationPreferences');
-    return user?.notificationPreferences || {
-      push: true,
-      email: true,
-      sms: false,
-      in_app: true,
-      categories: {
-        collections: true,
-        issues: true,
-        analytics: false,
-        maintenance: true
-      }
-    };
-  }
-
-  // Filter notifications based on user preferences
-  async filterByPreferences(notifications, userId) {
-    const preferences = await this.getUserPreferences(userId);
-    
-    return notifications.filter(notification => {
-      // Check if user has enabled this notification category
-      const categoryEnabled = this.getCategoryEnabled(notification.type, preferences);
-      if (!categoryEnabled) return false;
-
-      // Filter channels based on user preferences
-      notification.channels = notification.channels.filter(channel => 
-        preferences[channel] === true
-      );
-
-      return notification.channels.length > 0;
-    });
-  }
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { auth, requirePermission } = require('../middleware/auth');
+const notificationTemplates = require('../services/notificationTemplates');
+const notificationService = require('../services/notificationService');
+const MessageTemplate = require('../services/messageFormat');
 
-  getCategoryEnabled(type, preferences) {
-    const categoryMap = {
-      [this.types.COLLECTION_SCHEDULED]: 'collections',
-      [this.types.COLLECTION_REMINDER]: 'collections',
-      [this.types.COLLECTION_STARTED]: 'collections',
-      [this.types.COLLECTION_COMPLETED]: 'collections',
-      [this.types.DRIVER_ASSIGNED]: 'collections',
-      [this.types.ROUTE_OPTIMIZED]: 'collections',
-      [this.types.ISSUE_REPORTED]: 'issues',
-      [this.types.ISSUE_RESOLVED]: 'issues',
-      [this.types.ANALYTICS_REPORT]: 'analytics',
-      [this.types.SYSTEM_MAINTENANCE]: 'maintenance',
-      [this.types.PAYMENT_DUE]: 'collections'
-    };
-
-    const category = categoryMap[type];
-    return preferences.categories?.[category] !== false;
-  }
-}
-
-const notificationService = new NotificationService();
+const { SUPPORTED_LOCALES } = MessageTemplate;
 
 // @route   POST /api/notifications/send
 // @desc    Send notification to user(s)
-// @access  Admin, Driver
-router.post('/send', auth, authorize(['admin', 'driver']), async (req, res) => {
+// @access  Private (notifications:send)
+router.post('/send', auth, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { type, userId, userIds, variables, options } = req.body;
 
@@ -236,19 +25,31 @@ router.post('/send', auth, authorize(['admin', 'driver']), async (req, res) => {
       });
     }
 
+    const template = await notificationTemplates.getTemplate(type);
+    if (!template || template.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification type: ${type}`
+      });
+    }
+
     let notifications;
+    let total;
 
     if (userIds && Array.isArray(userIds)) {
       // Bulk send
       notifications = await notificationService.createBulkNotifications(
         type, userIds, variables, options
       );
+      total = userIds.length;
     } else if (userId) {
       // Single send
       const notification = await notificationService.createNotification(
         type, userId, variables, options
       );
-      notifications = [notification];
+      // Null when the recipient turned this category off
+      notifications = notification ? [notification] : [];
+      total = 1;
     } else {
       return res.status(400).json({
         success: false,
@@ -256,22 +57,13 @@ router.post('/send', auth, authorize(['admin', 'driver']), async (req, res) => {
       });
     }
 
-    // Filter by user preferences
-    const filteredNotifications = [];
-    for (const notification of notifications) {
-      const filtered = await notificationService.filterByPreferences(
-        [notification], notification.recipient
-      );
-      filteredNotifications.push(...filtered);
-    }
-
     res.status(201).json({
       success: true,
       message: 'Notifications sent successfully',
       data: {
-        sent: filteredNotifications.length,
-        total: notifications.length,
-        notifications: filteredNotifications.map(n => ({
+        sent: notifications.length,
+        total,
+        notifications: notifications.map(n => ({
           id: n._id,
           type: n.type,
           recipient: n.recipient,
@@ -293,6 +85,252 @@ router.post('/send', auth, authorize(['admin', 'driver']), async (req, res) => {
   }
 });
 
+const validateTemplate = [
+  body('description').optional().isString().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('notificationType').optional().isIn(Notification.schema.path('type').enumValues).withMessage('Invalid notification type'),
+  body('category').optional().isIn(['collections', 'issues', 'analytics', 'maintenance']).withMessage('Invalid category'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('channels.push').optional().isBoolean().withMessage('Channel flags must be boolean'),
+  body('channels.email').optional().isBoolean().withMessage('Channel flags must be boolean'),
+  body('channels.sms').optional().isBoolean().withMessage('Channel flags must be boolean'),
+  body('translations').optional().isArray({ min: 1 }).withMessage('Translations must be a non-empty array'),
+  body('translations.*.locale').isIn(SUPPORTED_LOCALES).withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`),
+  body('translations.*.title').isString().notEmpty().withMessage('Translation title is required'),
+  body('translations.*.body').isString().notEmpty().withMessage('Translation body is required'),
+  body('sampleVariables').optional().isObject().withMessage('Sample variables must be an object'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Syntax errors in each translation, keyed like express-validator errors
+const templateSyntaxErrors = (translations = []) => translations.flatMap((translation, index) =>
+  ['title', 'body']
+    .map(field => ({ path: `translations[${index}].${field}`, msg: MessageTemplate.validate(translation[field]) }))
+    .filter(error => error.msg)
+);
+
+// @route   GET /api/notification-service/templates
+// @desc    List notification templates
+// @access  Private (notifications:manage)
+router.get('/templates', auth, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const templates = await NotificationTemplate.find()
+      .sort({ key: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification templates retrieved successfully',
+      data: {
+        templates,
+        locales: SUPPORTED_LOCALES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notification templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/notification-service/templates/:key
+// @desc    Get one notification template
+// @access  Private (notifications:manage)
+router.get('/templates/:key', auth, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findOne({ key: req.params.key })
+      .populate('updatedBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification template retrieved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Get notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notification template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/notification-service/templates/:key
+// @desc    Edit a notification template's wording, channels or priority
+// @access  Private (notifications:manage)
+router.put('/templates/:key', auth, requirePermission('notifications:manage'), validateTemplate, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await NotificationTemplate.findOne({ key: req.params.key });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+
+    const errors = templateSyntaxErrors(req.body.translations);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template syntax',
+        errors
+      });
+    }
+
+    ['description', 'notificationType', 'category', 'priority', 'translations', 'sampleVariables', 'isActive']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => template.set(field, req.body[field]));
+    if (req.body.channels) {
+      template.set('channels', { ...template.channels.toObject(), ...req.body.channels });
+    }
+    template.updatedBy = req.user._id;
+
+    await template.save();
+    notificationTemplates.invalidate(template.key);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification template updated successfully',
+      data: template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => ({ path: e.path, msg: e.message }))
+      });
+    }
+
+    console.error('Update notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notification-service/templates/:key/preview
+// @desc    Render a template (or unsaved translations) with sample or given variables
+// @access  Private (notifications:manage)
+router.post('/templates/:key/preview', auth, requirePermission('notifications:manage'), [
+  body('locale').optional().isIn(SUPPORTED_LOCALES).withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('timeZone').optional().isString(),
+  body('translations').optional().isArray({ min: 1 }).withMessage('Translations must be a non-empty array'),
+  body('translations.*.locale').isIn(SUPPORTED_LOCALES).withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const saved = await notificationTemplates.getTemplate(req.params.key);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+
+    // Draft translations override the saved ones so edits can be checked before saving
+    const template = req.body.translations ?
+      { ...saved, translations: req.body.translations } :
+      saved;
+
+    const errors = templateSyntaxErrors(template.translations);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template syntax',
+        errors
+      });
+    }
+
+    const variables = { ...saved.sampleVariables, ...req.body.variables };
+    const locale = req.body.locale || notificationTemplates.resolveLocale(req.user);
+    const preview = notificationTemplates.render(template, variables, {
+      locale,
+      timeZone: req.body.timeZone || req.user.preferences?.timezone
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification template preview',
+      data: {
+        key: saved.key,
+        requestedLocale: locale,
+        ...preview,
+        variables
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview notification template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/notification-service/templates/:key/reset
+// @desc    Restore a built-in template to its default wording
+// @access  Private (notifications:manage)
+router.post('/templates/:key/reset', auth, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const template = await notificationTemplates.reset(req.params.key, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'No built-in template with this key'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification template reset to default',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Reset notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset notification template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/notifications
 // @desc    Get user notifications
 // @access  All authenticated users
@@ -530,8 +568,8 @@ router.put('/preferences', auth, async (req, res) => {
 
 // @route   POST /api/notifications/test
 // @desc    Send test notification (development only)
-// @access  Admin
-router.post('/test', auth, authorize(['admin']), async (req, res) => {
+// @access  notifications:send
+router.post('/test', auth, requirePermission('notifications:send'), async (req, res) => {
   try {
     if (process.env.NODE_ENV === 'production') {
       return res.status(403).json({
@@ -543,24 +581,27 @@ router.post('/test', auth, authorize(['admin']), async (req, res) => {
     const { type = 'collection_reminder', userId } = req.body;
     const targetUserId = userId || req.user.userId;
 
-    const testVariables = {
-      date: new Date().toLocaleDateString(),
-      timeSlot: '9:00 AM - 11:00 AM',
-      driverName: 'John Doe',
-      weight: '15.5',
-      eta: '2:30 PM',
-      amount: '25.00',
-      issueId: '12345',
-      carbonReduction: '2.3'
-    };
+    const template = await notificationTemplates.getTemplate(type);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification type: ${type}`
+      });
+    }
 
     const notification = await notificationService.createNotification(
       type,
       targetUserId,
-      testVariables,
-      { priority: 'medium' }
+      template.sampleVariables || {}
     );
 
+    if (!notification) {
+      return res.status(200).json({
+        success: true,
+        message: 'Recipient has turned off this notification category'
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Test notification sent successfully',
@@ -568,7 +609,7 @@ router.post('/test', auth, authorize(['admin']), async (req, res) => {
         id: notification._id,
         type: notification.type,
         title: notification.title,
-        body: notification.body,
+        message: notification.message,
         priority: notification.priority,
         channels: notification.channels
       }
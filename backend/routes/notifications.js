@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, requirePermission } = require('../middleware/auth');
 const { body, param, validationResult } = require('express-validator');
 
 // @route   GET /api/notifications
@@ -82,7 +82,8 @@ router.get('/unread-count', auth, async (req, res) => {
 // @access  Private
 router.get('/stats', auth, async (req, res) => {
   try {
-    const userId = req.user.role === 'customer' ? req.user._id : null;
+    // Delivery reviewers see system-wide stats; everyone else their own
+    const userId = can(req, 'notifications:manage') ? null : req.user._id;
     const stats = await Notification.getNotificationStats(userId);
 
     res.json({
@@ -102,8 +103,8 @@ router.get('/stats', auth, async (req, res) => {
 
 // @route   GET /api/notifications/type-stats
 // @desc    Get notification type statistics (Admin only)
-// @access  Private (Admin)
-router.get('/type-stats', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (notifications:manage)
+router.get('/type-stats', [auth, requirePermission('notifications:manage')], async (req, res) => {
   try {
     const typeStats = await Notification.getTypeStats();
 
@@ -351,10 +352,10 @@ router.delete('/:id', [
 
 // @route   POST /api/notifications/bulk
 // @desc    Create bulk notifications (Admin only)
-// @access  Private (Admin)
+// @access  Private (notifications:send)
 router.post('/bulk', [
   auth,
-  authorize('admin'),
+  requirePermission('notifications:send'),
   body('notifications')
     .isArray({ min: 1 })
     .withMessage('Notifications array is required'),
@@ -431,10 +432,10 @@ router.post('/bulk', [
 
 // @route   POST /api/notifications/send-reminder
 // @desc    Send pickup reminder notifications (Admin only)
-// @access  Private (Admin)
+// @access  Private (notifications:send)
 router.post('/send-reminder', [
   auth,
-  authorize('admin'),
+  requirePermission('notifications:send'),
   body('reminderType')
     .isIn(['pickup-tomorrow', 'pickup-today', 'pickup-overdue'])
     .withMessage('Invalid reminder type'),
@@ -525,8 +526,8 @@ router.post('/send-reminder', [
 
 // @route   GET /api/notifications/pending
 // @desc    Get pending notifications for delivery (Admin only)
-// @access  Private (Admin)
-router.get('/pending', [auth, authorize('admin')], async (req, res) => {
+// @access  Private (notifications:manage)
+router.get('/pending', [auth, requirePermission('notifications:manage')], async (req, res) => {
   try {
     const pendingNotifications = await Notification.getPendingNotifications();
 
@@ -550,10 +551,10 @@ router.get('/pending', [auth, authorize('admin')], async (req, res) => {
 
 // @route   PUT /api/notifications/:id/delivery-status
 // @desc    Update notification delivery status (Admin only)
-// @access  Private (Admin)
+// @access  Private (notifications:manage)
 router.put('/:id/delivery-status', [
   auth,
-  authorize('admin'),
+  requirePermission('notifications:manage'),
   param('id').isMongoId().withMessage('Valid notification ID is required'),
   body('channel')
     .isIn(['push', 'email', 'sms'])
@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, param } = require('express-validator');
+const { auth, can, requirePermission, requireVerifiedEmailForHazardous } = require('../middleware/auth');
+const PickupSeries = require('../models/PickupSeries');
+const Holiday = require('../models/Holiday');
+const recurringPickupService = require('../services/recurringPickupService');
+
+const validateSeries = [
+  body('frequency').isIn(['daily', 'weekly', 'biweekly', 'monthly']).withMessage('Valid frequency is required'),
+  body('dayOfWeek').optional().isArray().withMessage('Day of week must be an array'),
+  body('dayOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0-6'),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be 1-31'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('requestedTime').isIn(['morning', 'afternoon', 'evening']).withMessage('Valid requested time is required'),
+  body('preferredTimeRange.start').notEmpty().withMessage('Preferred start time is required'),
+  body('preferredTimeRange.end').notEmpty().withMessage('Preferred end time is required'),
+  body('wasteTypes').isArray({ min: 1 }).withMessage('At least one waste type is required'),
+  body('pickupLocation.coordinates').isArray({ min: 2, max: 2 }).withMessage('Pickup coordinates are required'),
+  body('address.street').notEmpty().withMessage('Street address is required'),
+  body('address.city').notEmpty().withMessage('City is required')
+];
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Invalid series ID'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Valid effective date is required'),
+  body('frequency').optional().isIn(['daily', 'weekly', 'biweekly', 'monthly']).withMessage('Invalid frequency'),
+  body('dayOfWeek').optional().isArray().withMessage('Day of week must be an array'),
+  body('dayOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0-6'),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be 1-31'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+  body('requestedTime').optional().isIn(['morning', 'afternoon', 'evening']).withMessage('Invalid requested time'),
+  body('wasteTypes').optional().isArray({ min: 1 }).withMessage('At least one waste type is required')
+];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Load a series the requesting customer owns (admins can load any)
+const loadSeries = async (req, res) => {
+  const series = await PickupSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Pickup series not found'
+    });
+    return null;
+  }
+
+  if (!can(req, 'schedules:manage') && !series.customer.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// @route   GET /api/pickup-series/holidays
+// @desc    Get upcoming service holidays
+// @access  Private
+router.get('/holidays', auth, async (req, res) => {
+  try {
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setFullYear(to.getFullYear() + 1);
+
+    const holidays = await Holiday.findBetween(from, to);
+
+    res.json({
+      success: true,
+      data: { holidays }
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/pickup-series/holidays
+// @desc    Add a service holiday; pending recurring pickups on that day are removed
+// @access  Private (schedules:manage)
+router.post('/holidays', [
+  auth,
+  requirePermission('schedules:manage'),
+  body('name').notEmpty().withMessage('Holiday name is required'),
+  body('date').isISO8601().withMessage('Valid holiday date is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const holiday = await Holiday.create({
+      name: req.body.name,
+      date: new Date(req.body.date)
+    });
+
+    const nextDay = new Date(holiday.date);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const seriesIds = await PickupSeries.find({ status: { $in: ['active', 'paused'] } }).distinct('_id');
+    const removed = await Promise.all(seriesIds.map(_id =>
+      recurringPickupService.removeFutureOccurrences({ _id }, holiday.date, nextDay)
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: {
+        holiday,
+        removedPickups: removed.reduce((sum, result) => sum + result.deletedCount, 0)
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A holiday already exists on this date'
+      });
+    }
+
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/pickup-series/holidays/:id
+// @desc    Remove a service holiday and regenerate recurring pickups
+// @access  Private (schedules:manage)
+router.delete('/holidays/:id', [
+  auth,
+  requirePermission('schedules:manage'),
+  param('id').isMongoId().withMessage('Invalid holiday ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    // Force the next run to fill the freed day
+    await PickupSeries.updateMany(
+      { status: { $in: ['active', 'paused'] } },
+      { $unset: { materializedThrough: 1 } }
+    );
+    await recurringPickupService.materializeAll();
+
+    res.json({
+      success: true,
+      message: 'Holiday removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/pickup-series
+// @desc    Get pickup series (own for customers, all for admins)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = can(req, 'schedules:manage') ? {} : { customer: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else {
+      filter.status = { $ne: 'ended' };
+    }
+
+    const series = await PickupSeries.find(filter)
+      .populate('customer', 'name email')
+      .sort({ createdAt: -1 });
+
+    const withUpcoming = await Promise.all(series.map(async item => ({
+      ...item.toJSON(),
+      upcoming: await recurringPickupService.getUpcoming(item, 3)
+    })));
+
+    res.json({
+      success: true,
+      data: { series: withUpcoming }
+    });
+
+  } catch (error) {
+    console.error('Get pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pickup series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/pickup-series
+// @desc    Subscribe to recurring pickups
+// @access  Private (collections:request)
+router.post('/', [auth, requirePermission('collections:request'), ...validateSeries, requireVerifiedEmailForHazardous], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { series, occurrences } = await recurringPickupService.createSeries(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring pickup created successfully',
+      data: { series, occurrences }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating recurring pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/pickup-series/:id
+// @desc    Get a pickup series with its upcoming occurrences
+// @access  Private (Owner/schedules:manage)
+router.get('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid series ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const upcoming = await recurringPickupService.getUpcoming(series);
+
+    res.json({
+      success: true,
+      data: { series, upcoming }
+    });
+
+  } catch (error) {
+    console.error('Get pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pickup series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/pickup-series/:id
+// @desc    Edit this and all future occurrences from effectiveFrom (default today)
+// @access  Private (Owner/schedules:manage)
+router.put('/:id', [auth, ...validateUpdate, requireVerifiedEmailForHazardous], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ended series cannot be edited'
+      });
+    }
+
+    const { effectiveFrom, ...changes } = req.body;
+    const updated = await recurringPickupService.updateFrom(series, effectiveFrom, changes);
+
+    res.json({
+      success: true,
+      message: 'Recurring pickup updated successfully',
+      data: { series: updated }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating recurring pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/pickup-series/:id/pause
+// @desc    Pause a series, optionally until a resume date
+// @access  Private (Owner/schedules:manage)
+router.post('/:id/pause', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid series ID'),
+  body('resumeOn').optional().isISO8601().withMessage('Valid resume date is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pause a series that is ${series.status}`
+      });
+    }
+
+    await recurringPickupService.pause(series, req.body.resumeOn);
+
+    res.json({
+      success: true,
+      message: 'Recurring pickup paused',
+      data: { series }
+    });
+
+  } catch (error) {
+    console.error('Pause pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing recurring pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/pickup-series/:id/resume
+// @desc    Resume a paused series
+// @access  Private (Owner/schedules:manage)
+router.post('/:id/resume', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid series ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (series.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Series is not paused'
+      });
+    }
+
+    const occurrences = await recurringPickupService.resume(series);
+
+    res.json({
+      success: true,
+      message: 'Recurring pickup resumed',
+      data: { series, occurrences }
+    });
+
+  } catch (error) {
+    console.error('Resume pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming recurring pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/pickup-series/:id/skip-next
+// @desc    Skip the next occurrence of a series
+// @access  Private (Owner/schedules:manage)
+router.post('/:id/skip-next', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid series ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Series has ended'
+      });
+    }
+
+    const skippedDate = await recurringPickupService.skipNext(series);
+    if (!skippedDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming pickup to skip'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Next pickup skipped',
+      data: { series, skippedDate }
+    });
+
+  } catch (error) {
+    console.error('Skip pickup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/pickup-series/:id
+// @desc    End a series and remove its future pending pickups
+// @access  Private (Owner/schedules:manage)
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid series ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await recurringPickupService.end(series);
+
+    res.json({
+      success: true,
+      message: 'Recurring pickup cancelled',
+      data: { series }
+    });
+
+  } catch (error) {
+    console.error('End pickup series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling recurring pickup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
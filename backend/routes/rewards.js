@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, param, query } = require('express-validator');
+const { auth, authorize, can, requirePermission } = require('../middleware/auth');
+const Reward = require('../models/Reward');
+const Voucher = require('../models/Voucher');
+const rewardsService = require('../services/rewardsService');
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Rewards errors carry the HTTP status to answer with; model validation is a 400
+const handleRewardsError = (res, error, label, message) => {
+  if (error.statusCode || error.name === 'ValidationError') {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Fields staff can set on a reward; the type is fixed once created
+const EDITABLE_FIELDS = ['name', 'description', 'pointsCost', 'percentOff', 'amountOff', 'partner',
+  'stock', 'availableFrom', 'expiresAt', 'voucherValidDays', 'isActive'];
+
+const validateReward = [
+  body('name').optional().isString().trim().notEmpty().withMessage('Name is required'),
+  body('pointsCost').optional().isInt({ min: 1 }).withMessage('Points cost must be a whole number from 1'),
+  body('percentOff').optional({ nullable: true }).isFloat({ min: 1, max: 100 }).withMessage('Percent off must be from 1 to 100'),
+  body('amountOff').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Amount off must be positive'),
+  body('stock').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Stock must be a whole number from 0, or null for no limit'),
+  body('availableFrom').optional({ nullable: true }).isISO8601().withMessage('Valid availableFrom date is required'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiresAt date is required'),
+  body('voucherValidDays').optional().isInt({ min: 1, max: 365 }).withMessage('Voucher validity must be 1 to 365 days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// @route   GET /api/rewards
+// @desc    Rewards customers can redeem now, cheapest first. With all=true and
+//          rewards:manage, every reward including inactive and expired ones.
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rewards = req.query.all === 'true' && can(req, 'rewards:manage')
+      ? await Reward.find({}).sort({ createdAt: -1 }).lean()
+      : await rewardsService.catalogue();
+
+    res.json({
+      success: true,
+      data: { rewards }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Get rewards', 'Error fetching rewards');
+  }
+});
+
+// @route   POST /api/rewards
+// @desc    Add a reward to the catalogue: { name, type, pointsCost, percentOff | amountOff
+//          (discount), partner (partner-coupon), stock?, availableFrom?, expiresAt?, voucherValidDays? }
+// @access  Private (rewards:manage)
+router.post('/', [
+  auth,
+  requirePermission('rewards:manage'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(Reward.REWARD_TYPES).withMessage(`Type must be one of: ${Reward.REWARD_TYPES.join(', ')}`),
+  body('pointsCost').isInt({ min: 1 }).withMessage('Points cost must be a whole number from 1'),
+  ...validateReward
+], checkValidation, async (req, res) => {
+  try {
+    const reward = new Reward({
+      ...pick(req.body, EDITABLE_FIELDS),
+      type: req.body.type,
+      createdBy: req.user._id
+    });
+    await reward.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reward created successfully',
+      data: { reward }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Create reward', 'Error creating reward');
+  }
+});
+
+// @route   GET /api/rewards/points
+// @desc    Points totals and the points ledger, newest first. customerId with analytics:view.
+// @access  Private
+router.get('/points', [
+  auth,
+  query('customerId').optional().isMongoId().withMessage('Valid customer ID is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], checkValidation, async (req, res) => {
+  try {
+    const customerId = req.query.customerId || req.user._id.toString();
+    if (customerId !== req.user._id.toString() && !can(req, 'analytics:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: analytics:view'
+      });
+    }
+
+    const result = await rewardsService.getPoints(customerId, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Get points', 'Error fetching points');
+  }
+});
+
+// @route   POST /api/rewards/points/adjust
+// @desc    Give or take a customer's points: { customerId, points, reason }. Negative points
+//          can't take more than the customer has available (409).
+// @access  Private (rewards:manage)
+router.post('/points/adjust', [
+  auth,
+  requirePermission('rewards:manage'),
+  body('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  body('points').isInt().not().equals('0').withMessage('Points must be a whole number other than 0'),
+  body('reason').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Reason is required (up to 200 characters)')
+], checkValidation, async (req, res) => {
+  try {
+    const transaction = await rewardsService.earn(req.body.customerId, parseInt(req.body.points), req.body.reason, {
+      type: 'adjustment',
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Points adjusted successfully',
+      data: { transaction }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Adjust points', 'Error adjusting points');
+  }
+});
+
+// @route   GET /api/rewards/vouchers
+// @desc    Vouchers newest first; filter by status. customerId with rewards:manage.
+// @access  Private
+router.get('/vouchers', [
+  auth,
+  query('customerId').optional().isMongoId().withMessage('Valid customer ID is required'),
+  query('status').optional().isIn(Voucher.VOUCHER_STATUSES).withMessage('Invalid voucher status')
+], checkValidation, async (req, res) => {
+  try {
+    const customerId = req.query.customerId || req.user._id.toString();
+    if (customerId !== req.user._id.toString() && !can(req, 'rewards:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: rewards:manage'
+      });
+    }
+
+    const filter = { customer: customerId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const vouchers = await Voucher.find(filter).sort({ createdAt: -1 }).limit(100);
+
+    res.json({
+      success: true,
+      data: { vouchers }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Get vouchers', 'Error fetching vouchers');
+  }
+});
+
+// @route   POST /api/rewards/vouchers/:id/cancel
+// @desc    Cancel an unused voucher and give its points back
+// @access  Private (own, or rewards:manage)
+router.post('/vouchers/:id/cancel', [
+  auth,
+  param('id').isMongoId().withMessage('Valid voucher ID is required')
+], checkValidation, async (req, res) => {
+  try {
+    const voucher = await rewardsService.cancelVoucher(req.params.id, {
+      customerId: can(req, 'rewards:manage') ? undefined : req.user._id,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `${voucher.pointsCost} points returned`,
+      data: { voucher }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Cancel voucher', 'Error cancelling voucher');
+  }
+});
+
+// @route   PUT /api/rewards/:id
+// @desc    Edit a reward. Vouchers already issued keep the terms they were issued with.
+// @access  Private (rewards:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('rewards:manage'),
+  param('id').isMongoId().withMessage('Valid reward ID is required'),
+  ...validateReward
+], checkValidation, async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.id);
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reward not found'
+      });
+    }
+
+    reward.set(pick(req.body, EDITABLE_FIELDS));
+    await reward.save();
+
+    res.json({
+      success: true,
+      message: 'Reward updated successfully',
+      data: { reward }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Update reward', 'Error updating reward');
+  }
+});
+
+// @route   POST /api/rewards/:id/redeem
+// @desc    Spend points on a reward; 201 with the voucher issued. 409 when out of stock or
+//          without enough points.
+// @access  Private (customers)
+router.post('/:id/redeem', [
+  auth,
+  authorize('customer'),
+  param('id').isMongoId().withMessage('Valid reward ID is required')
+], checkValidation, async (req, res) => {
+  try {
+    const voucher = await rewardsService.redeem(req.user._id, req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: `${voucher.label} redeemed`,
+      data: { voucher }
+    });
+
+  } catch (error) {
+    handleRewardsError(res, error, 'Redeem reward', 'Error redeeming reward');
+  }
+});
+
+module.exports = router;
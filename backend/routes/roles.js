@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, param } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const roleService = require('../services/roleService');
+const { ALL_PERMISSIONS, BUILT_IN_ROLE_NAMES, groupPermissions } = require('../services/permissions');
+
+const validateRole = [
+  body('displayName').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Display name must be 1-50 characters'),
+  body('description').optional().isString().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Unknown permission')
+];
+
+const validateNewRole = [
+  body('name').isString().trim().toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/).withMessage('Role name must be 2-30 lowercase letters, digits, dashes or underscores'),
+  body('displayName').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Display name is required'),
+  ...validateRole
+];
+
+const validateRoleName = [
+  param('name').matches(/^[a-z][a-z0-9_-]{1,29}$/).withMessage('Invalid role name')
+];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendMongooseValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(e => ({ path: e.path, msg: e.message }))
+});
+
+// Active users per role name
+const countUsersByRole = async () => {
+  const counts = await User.aggregate([
+    { $match: { isDeleted: false } },
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission, grouped by area
+// @access  Private (users:read)
+router.get('/permissions', auth, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: { permissions: groupPermissions() }
+  });
+});
+
+// @route   GET /api/roles
+// @desc    List roles with their permissions and number of users
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      countUsersByRole()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role,
+          // Admin always has every permission, including ones added since it was seeded
+          permissions: role.name === 'admin' ? ALL_PERMISSIONS : role.permissions,
+          userCount: userCounts[role.name] || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', auth, requirePermission('roles:manage'), validateNewRole, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { name, displayName, description, permissions = [] } = req.body;
+
+    if (BUILT_IN_ROLE_NAMES.includes(name) || await Role.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: `Role "${name}" already exists`
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.user._id
+    });
+    roleService.invalidate(name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendMongooseValidationError(res, error);
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a role's display name, description or permissions
+// @access  Private (roles:manage)
+router.put('/:name', auth, requirePermission('roles:manage'), validateRoleName, validateRole, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (req.params.name === 'admin' && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    ['displayName', 'description']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => role.set(field, req.body[field]));
+    if (req.body.permissions !== undefined) {
+      role.permissions = [...new Set(req.body.permissions)];
+    }
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    roleService.invalidate(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendMongooseValidationError(res, error);
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role that no user has
+// @access  Private (roles:manage)
+router.delete('/:name', auth, requirePermission('roles:manage'), validateRoleName, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name, isDeleted: false });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${userCount} user${userCount === 1 ? ' has' : 's have'} this role. Move them to another role first.`
+      });
+    }
+
+    await role.deleteOne();
+    roleService.invalidate(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,120 +3,46 @@ const router = express.Router();
 const CollectionRequest = require('../models/CollectionRequest');
 const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
-
-// Route optimization algorithm using a simplified version of the traveling salesman problem
-class RouteOptimizer {
-  constructor() {
-    this.earthRadius = 6371; // Earth's radius in kilometers
-  }
-
-  // Calculate distance between two points using Haversine formula
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const dLat = this.toRadians(lat2 - lat1);
-    const dLon = this.toRadians(lon2 - lon1);
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return this.earthRadius * c;
-  }
-
-  toRadians(degrees) {
-    return degrees * (Math.PI/180);
-  }
-
-  // Nearest neighbor algorithm for route optimization
-  optimizeRoute(depot, collectionPoints) {
-    if (collectionPoints.length === 0) return [];
-    if (collectionPoints.length === 1) return collectionPoints;
-
-    const unvisited = [...collectionPoints];
-    const route = [];
-    let currentLocation = depot;
-
-    while (unvisited.length > 0) {
-      let nearestIndex = 0;
-      let nearestDistance = this.calculateDistance(
-        currentLocation.latitude,
-        currentLocation.longitude,
-        unvisited[0].location.coordinates[1],
-        unvisited[0].location.coordinates[0]
-      );
-
-      // Find nearest unvisited point
-      for (let i = 1; i < unvisited.length; i++) {
-        const distance = this.calculateDistance(
-          currentLocation.latitude,
-          currentLocation.longitude,
-          unvisited[i].location.coordinates[1],
-          unvisited[i].location.coordinates[0]
-        );
-
-        if (distance < nearestDistance) {
-          nearestDistance = distance;
-          nearestIndex = i;
-        }
-      }
-
-      // Add nearest point to route
-      const nextPoint = unvisited.splice(nearestIndex, 1)[0];
-      route.push({
-        ...nextPoint,
-        distanceFromPrevious: nearestDistance,
-        estimatedTravelTime: Math.ceil(nearestDistance * 2) // 2 minutes per km (rough estimate)
-      });
-
-      currentLocation = {
-        latitude: nextPoint.location.coordinates[1],
-        longitude: nextPoint.location.coordinates[0]
-      };
-    }
-
-    return route;
-  }
-
-  // Calculate total route statistics
-  calculateRouteStats(route) {
-    const totalDistance = route.reduce((sum, point) => sum + (point.distanceFromPrevious || 0), 0);
-    const totalTravelTime = route.reduce((sum, point) => sum + (point.estimatedTravelTime || 0), 0);
-    const totalCollectionTime = route.length * 10; // Assume 10 minutes per collection
-    const totalTime = totalTravelTime + totalCollectionTime;
-
-    return {
-      totalDistance: Math.round(totalDistance * 100) / 100,
-      totalTravelTime,
-      totalCollectionTime,
-      totalTime,
-      numberOfStops: route.length,
-      estimatedFuelCost: Math.round(totalDistance * 0.8 * 100) / 100, // $0.80 per km
-      co2Emissions: Math.round(totalDistance * 0.21 * 100) / 100 // 0.21 kg CO2 per km
-    };
-  }
-}
+const Facility = require('../models/Facility');
+const Notification = require('../models/Notification');
+const { auth, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const RouteOptimizer = require('../services/routeOptimizer');
 
 // @route   POST /api/route-optimization/optimize
-// @desc    Generate optimized route for collection requests
-// @access  Driver, Admin
-router.post('/optimize', auth, authorize(['driver', 'admin']), async (req, res) => {
+// @desc    Plan capacity- and time-window-aware routes for a day's collection requests
+// @access  routes:optimize
+router.post('/optimize', auth, requirePermission('routes:optimize'), async (req, res) => {
   try {
-    const { vehicleId, date, depotLocation } = req.body;
+    const { vehicleId, date, depotLocation, options = {} } = req.body;
 
     // Validate input
-    if (!vehicleId || !date || !depotLocation) {
+    if (!date) {
       return res.status(400).json({
         success: false,
-        message: 'Vehicle ID, date, and depot location are required'
+        message: 'Date is required'
       });
     }
 
-    // Get vehicle details
-    const vehicle = await Vehicle.findById(vehicleId);
-    if (!vehicle) {
-      return res.status(404).json({
+    // Plan for a single vehicle when one is given, otherwise the whole available fleet
+    let vehicles;
+    if (vehicleId) {
+      const vehicle = await Vehicle.findById(vehicleId);
+      if (!vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+      vehicles = [vehicle];
+    } else {
+      vehicles = await Vehicle.findAvailable();
+    }
+
+    if (vehicles.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Vehicle not found'
+        message: 'No available vehicles to plan routes for'
       });
     }
 
@@ -131,8 +57,8 @@ router.post('/optimize', auth, authorize(['driver', 'admin']), async (req, res)
         $gte: startDate,
         $lte: endDate
       },
-      status: { $in: ['pending', 'scheduled'] },
-      'location.coordinates': { $exists: true }
+      status: { $in: ['pending', 'confirmed'] },
+      'pickupLocation.coordinates': { $exists: true }
     }).populate('customer', 'name phone profile.address');
 
     if (collectionRequests.length === 0) {
@@ -140,7 +66,8 @@ router.post('/optimize', auth, authorize(['driver', 'admin']), async (req, res)
         success: true,
         message: 'No collection requests found for the specified date',
         data: {
-          route: [],
+          routes: [],
+          unassigned: [],
           stats: {
             totalDistance: 0,
             totalTime: 0,
@@ -150,64 +77,123 @@ router.post('/optimize', auth, authorize(['driver', 'admin']), async (req, res)
       });
     }
 
-    // Filter requests based on vehicle capacity and waste types
-    const compatibleRequests = collectionRequests.filter(request => {
-      const totalWeight = request.wasteTypes.reduce((sum, waste) => sum + (waste.estimatedWeight || 0), 0);
-      return totalWeight <= vehicle.capacity.weight && 
-             request.wasteTypes.every(waste => 
-               vehicle.wasteTypes.includes(waste.category)
-             );
-    });
+    const optimizer = new RouteOptimizer(options);
+
+    // An explicit depotLocation is shared by every vehicle; otherwise each vehicle
+    // starts from its home depot (or the nearest one)
+    let fleet;
+    if (depotLocation) {
+      fleet = vehicles.map(vehicle => ({ vehicle, depot: depotLocation }));
+    } else {
+      const depots = await Facility.findDepots();
+      if (depots.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A depot location is required when no depots are configured'
+        });
+      }
+      fleet = optimizer.assignDepots(vehicles, depots);
+    }
 
-    // Initialize route optimizer
-    const optimizer = new RouteOptimizer();
-
-    // Optimize route
-    const optimizedRoute = optimizer.optimizeRoute(depotLocation, compatibleRequests);
-    const routeStats = optimizer.calculateRouteStats(optimizedRoute);
-
-    // Calculate time slots
-    let currentTime = new Date();
-    currentTime.setHours(8, 0, 0, 0); // Start at 8 AM
-
-    const routeWithSchedule = optimizedRoute.map(point => {
-      const arrivalTime = new Date(currentTime);
-      currentTime.setMinutes(currentTime.getMinutes() + (point.estimatedTravelTime || 0) + 10);
-      const departureTime = new Date(currentTime);
-
-      return {
-        collectionId: point._id,
-        customer: point.customer,
-        location: {
-          latitude: point.location.coordinates[1],
-          longitude: point.location.coordinates[0],
-          address: point.address
+    const disposalSites = await Facility.findDisposalSites();
+    const { routes, unassigned } = await optimizer.solve(fleet, collectionRequests, disposalSites);
+
+    const toDate = (minutes) => {
+      const time = new Date(startDate);
+      time.setMinutes(Math.round(minutes));
+      return time;
+    };
+
+    const plannedRoutes = routes
+      .filter(plan => plan.route.length > 0)
+      .map(plan => ({
+        vehicleId: plan.vehicle._id,
+        vehicle: {
+          plateNumber: plan.vehicle.plateNumber,
+          model: plan.vehicle.model,
+          capacity: plan.vehicle.capacity
         },
-        wasteTypes: point.wasteTypes,
-        estimatedArrival: arrivalTime,
-        estimatedDeparture: departureTime,
-        distanceFromPrevious: point.distanceFromPrevious,
-        estimatedTravelTime: point.estimatedTravelTime,
-        specialInstructions: point.specialInstructions,
-        priority: point.priority || 'medium'
-      };
-    });
+        depot: {
+          facilityId: plan.depot._id,
+          name: plan.depot.name,
+          ...optimizer.toPoint(plan.depot)
+        },
+        route: plan.route.map((visit, index) => visit.type === 'unload' ? {
+          order: index + 1,
+          type: 'unload',
+          facilityId: visit.stop.facility._id,
+          facilityName: visit.stop.facility.name,
+          facilityType: visit.stop.facility.type,
+          location: {
+            latitude: visit.stop.latitude,
+            longitude: visit.stop.longitude
+          },
+          categories: visit.categories,
+          unloaded: {
+            weight: Math.round(visit.unloaded.weight * 10) / 10,
+            volume: Math.round(visit.unloaded.volume * 100) / 100
+          },
+          estimatedArrival: toDate(visit.arrival),
+          estimatedDeparture: toDate(visit.departure),
+          waitTime: Math.round(visit.wait),
+          distanceFromPrevious: Math.round(visit.distanceFromPrevious * 100) / 100,
+          estimatedTravelTime: Math.ceil(visit.travelTime)
+        } : {
+          order: index + 1,
+          type: 'pickup',
+          collectionId: visit.stop.request._id,
+          customer: visit.stop.request.customer,
+          location: {
+            latitude: visit.stop.latitude,
+            longitude: visit.stop.longitude,
+            address: visit.stop.request.address
+          },
+          wasteTypes: visit.stop.request.wasteTypes,
+          timeWindow: {
+            start: optimizer.formatTime(visit.stop.ready),
+            end: optimizer.formatTime(visit.stop.due)
+          },
+          estimatedArrival: toDate(visit.arrival),
+          estimatedServiceStart: toDate(visit.serviceStart),
+          estimatedDeparture: toDate(visit.departure),
+          waitTime: Math.round(visit.wait),
+          distanceFromPrevious: Math.round(visit.distanceFromPrevious * 100) / 100,
+          estimatedTravelTime: Math.ceil(visit.travelTime),
+          load: {
+            weight: Math.round(visit.load.weight * 10) / 10,
+            volume: Math.round(visit.load.volume * 100) / 100
+          },
+          specialInstructions: visit.stop.request.address?.specialInstructions,
+          priority: visit.stop.priority
+        }),
+        stats: plan.stats
+      }));
+
+    const totals = plannedRoutes.reduce((sum, plan) => ({
+      totalDistance: Math.round((sum.totalDistance + plan.stats.totalDistance) * 100) / 100,
+      totalTime: sum.totalTime + plan.stats.totalTime,
+      numberOfStops: sum.numberOfStops + plan.stats.numberOfStops,
+      unloadTrips: sum.unloadTrips + plan.stats.unloadTrips,
+      co2Emissions: Math.round((sum.co2Emissions + plan.stats.co2Emissions) * 100) / 100
+    }), { totalDistance: 0, totalTime: 0, numberOfStops: 0, unloadTrips: 0, co2Emissions: 0 });
 
     res.status(200).json({
       success: true,
-      message: 'Route optimized successfully',
+      message: 'Routes optimized successfully',
       data: {
-        vehicleId,
         date,
-        route: routeWithSchedule,
+        routes: plannedRoutes,
+        unassigned: unassigned.map(item => ({
+          collectionId: item.request._id,
+          customer: item.request.customer,
+          priority: item.request.priority,
+          reason: item.reason
+        })),
         stats: {
-          ...routeStats,
-          startTime: '08:00',
-          estimatedEndTime: currentTime.toTimeString().slice(0, 5),
-          vehicleCapacityUsed: Math.round((routeStats.numberOfStops / vehicle.capacity.collections) * 100)
-        },
-        depot: depotLocation,
-        filteredOut: collectionRequests.length - compatibleRequests.length
+          ...totals,
+          vehiclesUsed: plannedRoutes.length,
+          vehiclesAvailable: vehicles.length
+        }
       }
     });
 
@@ -223,8 +209,8 @@ router.post('/optimize', auth, authorize(['driver', 'admin']), async (req, res)
 
 // @route   GET /api/route-optimization/suggestions/:vehicleId
 // @desc    Get route suggestions for a specific vehicle
-// @access  Driver, Admin
-router.get('/suggestions/:vehicleId', auth, authorize(['driver', 'admin']), async (req, res) => {
+// @access  routes:optimize
+router.get('/suggestions/:vehicleId', auth, requirePermission('routes:optimize'), async (req, res) => {
   try {
     const { vehicleId } = req.params;
     const { date = new Date().toISOString().split('T')[0] } = req.query;
@@ -288,8 +274,8 @@ router.get('/suggestions/:vehicleId', auth, authorize(['driver', 'admin']), asyn
 
 // @route   POST /api/route-optimization/assign
 // @desc    Assign optimized route to driver
-// @access  Admin
-router.post('/assign', auth, authorize(['admin']), async (req, res) => {
+// @access  collections:assign
+router.post('/assign', auth, requirePermission('collections:assign'), async (req, res) => {
   try {
     const { vehicleId, route, driverId, date } = req.body;
 
@@ -307,65 +293,87 @@ router.post('/assign', auth, authorize(['admin']), async (req, res) => {
       });
     }
 
-    // Update collection requests with assigned vehicle and driver
-    const collectionIds = route.map(stop => stop.collectionId);
-    
-    await CollectionRequest.updateMany(
-      { _id: { $in: collectionIds } },
-      {
-        $set: {
-          status: 'scheduled',
-          assignedVehicle: vehicleId,
-          assignedDriver: driverId,
-          scheduledDate: new Date(date),
-          route: {
-            sequence: route.map((stop, index) => ({
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    // Unload trips in the optimizer output are not collections
+    const pickups = route.filter(stop => stop.type !== 'unload');
+    const collectionIds = pickups.map(stop => stop.collectionId);
+
+    // Who had each stop before, for the audit entry
+    const previous = await CollectionRequest.find({ _id: { $in: collectionIds } })
+      .select('assignedDriver assignedVehicle')
+      .lean();
+
+    // Record each stop's position in the route and its planned arrival; the
+    // ETA engine follows this order when recomputing live ETAs
+    await CollectionRequest.bulkWrite(pickups.map((stop, index) => ({
+      updateOne: {
+        filter: { _id: stop.collectionId },
+        update: {
+          $set: {
+            status: 'assigned',
+            assignedVehicle: vehicleId,
+            assignedDriver: driverId,
+            scheduledAt: new Date(date),
+            routeStop: {
               order: index + 1,
-              estimatedArrival: stop.estimatedArrival,
-              estimatedDeparture: stop.estimatedDeparture
-            }))
-          },
-          updatedAt: new Date()
+              plannedArrival: stop.estimatedArrival,
+              estimatedArrival: stop.estimatedArrival
+            },
+            updatedAt: new Date()
+          }
         }
       }
-    );
+    })));
 
-    // Update vehicle status
+    // Assign the vehicle to the driver
     await Vehicle.findByIdAndUpdate(vehicleId, {
       $set: {
-        status: 'assigned',
-        currentRoute: {
-          date: new Date(date),
-          driver: driverId,
-          collectionCount: route.length
-        },
+        assignedDriver: driverId,
         updatedAt: new Date()
       }
     });
 
     // Create notifications for customers
-    const notifications = route.map(stop => ({
+    const notifications = pickups.map(stop => ({
       recipient: stop.customer._id,
-      type: 'collection_scheduled',
+      recipientType: 'customer',
+      type: 'pickup-scheduled',
       title: 'Collection Scheduled',
       message: `Your waste collection has been scheduled for ${new Date(stop.estimatedArrival).toLocaleDateString()} at approximately ${new Date(stop.estimatedArrival).toLocaleTimeString()}`,
+      relatedCollectionRequest: stop.collectionId,
+      relatedVehicle: vehicleId,
       data: {
         collectionId: stop.collectionId,
         estimatedArrival: stop.estimatedArrival,
         driverName: driver.name,
-        vehicleInfo: `${vehicle.licensePlate} - ${vehicle.model}`
+        vehicleInfo: `${vehicle.plateNumber} - ${vehicle.model}`
       }
     }));
 
     await Notification.insertMany(notifications);
 
+    describeChange(req, 'route.assign', {
+      target: { type: 'vehicles', id: vehicleId },
+      before: Object.fromEntries(previous.map(({ _id, assignedDriver, assignedVehicle }) =>
+        [_id.toString(), { assignedDriver, assignedVehicle }])),
+      after: Object.fromEntries(previous.map(({ _id }) =>
+        [_id.toString(), { assignedDriver: driverId, assignedVehicle: vehicleId }]))
+    });
+
     res.status(200).json({
       success: true,
       message: 'Route assigned successfully',
       data: {
         assignedCollections: collectionIds.length,
         driverName: driver.name,
-        vehicleInfo: `${vehicle.licensePlate} - ${vehicle.model}`,
+        vehicleInfo: `${vehicle.plateNumber} - ${vehicle.model}`,
         scheduledDate: date,
         notificationsSent: notifications.length
       }
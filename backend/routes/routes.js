@@ -2,9 +2,17 @@ const express = require('express');
 const router = express.Router();
 const Route = require('../models/Route');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Vehicle = require('../models/Vehicle');
+const Facility = require('../models/Facility');
+const RouteOptimizer = require('../services/routeOptimizer');
+const { auth, can, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
 const { body, validationResult } = require('express-validator');
 
+// Whether the user is the route's driver (assignedDriver may be populated)
+const isAssignedDriver = (route, userId) => Boolean(route.assignedDriver) &&
+  (route.assignedDriver._id || route.assignedDriver).toString() === userId.toString();
+
 // Validation middleware
 const validateRoute = [
   body('name')
@@ -51,21 +59,13 @@ const validateRoute = [
 
 // @route   GET /api/routes
 // @desc    Get all routes
-// @access  Private (Admin/Driver)
-router.get('/', auth, async (req, res) => {
+// @access  Private (routes:view)
+router.get('/', auth, requirePermission('routes:view'), async (req, res) => {
   try {
-    // Check authorization
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     let filter = { isDeleted: false };
     
-    // For drivers, only show their assigned routes
-    if (req.user.role === 'driver') {
+    // Without routes:manage, only show assigned routes
+    if (!can(req, 'routes:manage')) {
       filter.assignedDriver = req.user._id;
     }
 
@@ -100,8 +100,8 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/routes/:id
 // @desc    Get route by ID
-// @access  Private (Admin/Driver - own route only)
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (routes:view - own route only without routes:manage)
+router.get('/:id', auth, requirePermission('routes:view'), async (req, res) => {
   try {
     const route = await Route.findOne({
       _id: req.params.id,
@@ -118,7 +118,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'driver' && route.assignedDriver?.toString() !== req.user._id.toString()) {
+    if (!can(req, 'routes:manage') && !isAssignedDriver(route, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your assigned routes.'
@@ -142,8 +142,8 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/routes
 // @desc    Create new route
-// @access  Private (Admin only)
-router.post('/', [auth, ...validateRoute], async (req, res) => {
+// @access  Private (routes:manage)
+router.post('/', [auth, requirePermission('routes:manage'), ...validateRoute], async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -155,14 +155,6 @@ router.post('/', [auth, ...validateRoute], async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     const route = new Route(req.body);
 
     // Calculate initial metrics if locations are provided
@@ -190,8 +182,8 @@ router.post('/', [auth, ...validateRoute], async (req, res) => {
 
 // @route   PUT /api/routes/:id
 // @desc    Update route
-// @access  Private (Admin only)
-router.put('/:id', [auth, ...validateRoute], async (req, res) => {
+// @access  Private (routes:manage)
+router.put('/:id', [auth, requirePermission('routes:manage'), ...validateRoute], async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -203,14 +195,6 @@ router.put('/:id', [auth, ...validateRoute], async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     const route = await Route.findOne({
       _id: req.params.id,
       isDeleted: false
@@ -253,9 +237,10 @@ router.put('/:id', [auth, ...validateRoute], async (req, res) => {
 
 // @route   POST /api/routes/:id/assign
 // @desc    Assign route to driver
-// @access  Private (Admin only)
+// @access  Private (routes:manage)
 router.post('/:id/assign', [
   auth,
+  requirePermission('routes:manage'),
   body('driverId').isMongoId().withMessage('Valid driver ID is required')
 ], async (req, res) => {
   try {
@@ -269,14 +254,6 @@ router.post('/:id/assign', [
       });
     }
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     const route = await Route.findOne({
       _id: req.params.id,
       isDeleted: false
@@ -289,8 +266,15 @@ router.post('/:id/assign', [
       });
     }
 
+    const previousDriver = route.assignedDriver;
     await route.assignToDriver(req.body.driverId);
 
+    describeChange(req, 'route.assign', {
+      target: { type: 'routes', id: route._id },
+      before: { assignedDriver: previousDriver },
+      after: { assignedDriver: route.assignedDriver }
+    });
+
     const updatedRoute = await Route.findById(route._id)
       .populate('assignedDriver', 'name email profile.phone');
 
@@ -311,22 +295,14 @@ router.post('/:id/assign', [
 });
 
 // @route   POST /api/routes/:id/optimize
-// @desc    Optimize route order
-// @access  Private (Admin only)
-router.post('/:id/optimize', auth, async (req, res) => {
+// @desc    Optimize route order, including depot legs and unload trips
+// @access  Private (routes:manage)
+router.post('/:id/optimize', auth, requirePermission('routes:manage'), async (req, res) => {
   try {
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     const route = await Route.findOne({
       _id: req.params.id,
       isDeleted: false
-    });
+    }).populate('depot');
 
     if (!route) {
       return res.status(404).json({
@@ -335,13 +311,92 @@ router.post('/:id/optimize', auth, async (req, res) => {
       });
     }
 
-    await route.optimizeRoute();
-    await route.calculateMetrics();
+    if (route.locations.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Route has no locations to optimize',
+        data: { route }
+      });
+    }
+
+    const optimizer = new RouteOptimizer({
+      shiftStart: route.schedule.startTime,
+      shiftEnd: '23:59'
+    });
+
+    // Depot: the route's own, an explicit location, or the depot nearest the first stop
+    let depot = route.depot || req.body.depotLocation;
+    if (!depot) {
+      const [longitude, latitude] = route.locations[0].coordinates.coordinates;
+      const depots = await Facility.findDepots();
+      if (depots.length > 0) {
+        [{ depot }] = optimizer.assignDepots([{ currentLocation: { coordinates: [longitude, latitude] } }], depots);
+      }
+    }
+
+    // Without any depot there is nothing to anchor the tour to; keep the priority ordering
+    if (!depot) {
+      await route.optimizeRoute();
+      await route.calculateMetrics();
+
+      return res.json({
+        success: true,
+        message: 'Route optimized successfully',
+        data: { route }
+      });
+    }
+
+    // Without an assigned vehicle the tour is planned without capacity limits
+    const vehicle = (route.assignedDriver && await Vehicle.findByDriver(route.assignedDriver)) ||
+      { capacity: { weight: Infinity, volume: Infinity } };
+
+    const stops = route.locations.map(location => {
+      const categories = location.wasteTypes.length > 0 ? location.wasteTypes : ['general'];
+      return {
+        _id: location._id,
+        pickupLocation: location.coordinates,
+        priority: location.priority === 'medium' ? 'normal' : location.priority,
+        wasteTypes: categories.map(category => ({
+          category,
+          estimatedWeight: location.estimatedQuantity / categories.length
+        }))
+      };
+    });
+
+    const disposalSites = await Facility.findDisposalSites();
+    const { routes: [plan], unassigned } = await optimizer.solve([{ vehicle, depot }], stops, disposalSites);
+
+    const orderedIds = [
+      ...plan.route.filter(visit => visit.type === 'pickup').map(visit => visit.stop.request._id),
+      ...unassigned.map(item => item.request._id)
+    ];
+    route.applyOrder(orderedIds);
+    route.setDistanceMetrics(plan.schedule.distance);
+    route.metrics.unloadTrips = plan.stats.unloadTrips;
+    route.lastOptimized = new Date();
+    await route.save();
 
     res.json({
       success: true,
       message: 'Route optimized successfully',
-      data: { route }
+      data: {
+        route,
+        unloadStops: plan.route
+          .filter(visit => visit.type === 'unload')
+          .map(visit => ({
+            afterStop: plan.route
+              .slice(0, plan.route.indexOf(visit))
+              .filter(previous => previous.type === 'pickup').length,
+            facilityId: visit.stop.facility._id,
+            facilityName: visit.stop.facility.name,
+            categories: visit.categories,
+            unloaded: visit.unloaded
+          })),
+        unassigned: unassigned.map(item => ({
+          locationId: item.request._id,
+          reason: item.reason
+        }))
+      }
     });
 
   } catch (error) {
@@ -356,7 +411,7 @@ router.post('/:id/optimize', auth, async (req, res) => {
 
 // @route   POST /api/routes/:id/start
 // @desc    Start route collection
-// @access  Private (Driver - own route only)
+// @access  Private (routes:drive - own route only, or routes:manage)
 router.post('/:id/start', auth, async (req, res) => {
   try {
     const route = await Route.findOne({
@@ -372,20 +427,13 @@ router.post('/:id/start', auth, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'driver' && route.assignedDriver?.toString() !== req.user._id.toString()) {
+    if (!can(req, 'routes:manage') && !(can(req, 'routes:drive') && isAssignedDriver(route, req.user._id))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only start your assigned routes.'
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     await route.startRoute();
 
     res.json({
@@ -406,7 +454,7 @@ router.post('/:id/start', auth, async (req, res) => {
 
 // @route   POST /api/routes/:id/complete
 // @desc    Complete route collection
-// @access  Private (Driver - own route only)
+// @access  Private (routes:drive - own route only, or routes:manage)
 router.post('/:id/complete', auth, async (req, res) => {
   try {
     const route = await Route.findOne({
@@ -422,20 +470,13 @@ router.post('/:id/complete', auth, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'driver' && route.assignedDriver?.toString() !== req.user._id.toString()) {
+    if (!can(req, 'routes:manage') && !(can(req, 'routes:drive') && isAssignedDriver(route, req.user._id))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only complete your assigned routes.'
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     await route.completeRoute();
 
     res.json({
@@ -456,25 +497,15 @@ router.post('/:id/complete', auth, async (req, res) => {
 
 // @route   GET /api/routes/scheduled/today
 // @desc    Get routes scheduled for today
-// @access  Private (Admin/Driver)
-router.get('/scheduled/today', auth, async (req, res) => {
+// @access  Private (routes:view)
+router.get('/scheduled/today', auth, requirePermission('routes:view'), async (req, res) => {
   try {
-    // Check authorization
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     let routes = await Route.findScheduledForToday()
       .populate('assignedDriver', 'name email profile.phone');
 
-    // For drivers, filter to only their routes
-    if (req.user.role === 'driver') {
-      routes = routes.filter(route => 
-        route.assignedDriver && route.assignedDriver._id.toString() === req.user._id.toString()
-      );
+    // Without routes:manage, filter to only assigned routes
+    if (!can(req, 'routes:manage')) {
+      routes = routes.filter(route => isAssignedDriver(route, req.user._id));
     }
 
     res.json({
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, query } = require('express-validator');
+const { auth, authorize, can } = require('../middleware/auth');
+const { PLANS } = require('../services/tariff');
+const { FREE_PLAN } = require('../services/plans');
+const subscriptionService = require('../services/subscriptionService');
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Subscription errors carry the HTTP status to answer with
+const handleSubscriptionError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const validatePlan = body('plan').isIn(PLANS).withMessage(`Plan must be one of: ${PLANS.join(', ')}`);
+
+// @route   GET /api/subscriptions/plans
+// @desc    Every plan with its monthly price, trial and entitlements
+// @access  Private
+router.get('/plans', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      plans: subscriptionService.catalogue(),
+      freePlan: FREE_PLAN
+    }
+  });
+});
+
+// @route   GET /api/subscriptions/current
+// @desc    The customer's plan, when it runs out, what it includes and this month's pickups
+// @access  Private (own, or billing:view with customerId)
+router.get('/current', [
+  auth,
+  query('customerId').optional().isMongoId().withMessage('Valid customer ID is required')
+], checkValidation, async (req, res) => {
+  try {
+    const customerId = req.query.customerId || req.user._id.toString();
+    if (customerId !== req.user._id.toString() && !can(req, 'billing:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: billing:view'
+      });
+    }
+
+    const subscription = await subscriptionService.getSubscription(customerId);
+
+    res.json({
+      success: true,
+      data: { subscription }
+    });
+
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Get subscription', 'Error fetching subscription');
+  }
+});
+
+// @route   POST /api/subscriptions/trial
+// @desc    Start the one free trial of a plan: { plan }. Only from the free plan.
+// @access  Private (customers)
+router.post('/trial', [auth, authorize('customer'), validatePlan], checkValidation, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.startTrial(req.user._id, req.body.plan);
+
+    res.json({
+      success: true,
+      message: 'Free trial started',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Start trial', 'Error starting free trial');
+  }
+});
+
+// @route   POST /api/subscriptions/change
+// @desc    Switch plans now: { plan }. Paid time left is converted to the new plan, or
+//          credited to the account on the free plan. 409 when a paid plan has to be bought.
+// @access  Private (customers)
+router.post('/change', [auth, authorize('customer'), validatePlan], checkValidation, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.changePlan(req.user._id, req.body.plan, { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: `You are on the ${req.body.plan} plan`,
+      data: { subscription }
+    });
+
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Change plan', 'Error changing plan');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,539 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, query, param } = require('express-validator');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ScheduledJob = require('../models/ScheduledJob');
+const { auth, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const logger = require('../services/logger');
+const { LEVELS } = require('../services/logger');
+const systemSettings = require('../services/systemSettings');
+const maintenanceService = require('../services/maintenanceService');
+const backupService = require('../services/backupService');
+const jobScheduler = require('../services/jobScheduler');
+
+const BACKUP_JOB = 'database-backup';
+
+const validateLogQuery = [
+  query('level').optional().isIn(Object.keys(LEVELS)).withMessage(`Level must be one of ${Object.keys(LEVELS).join(', ')}`),
+  query('category').optional().matches(/^[\w-]{1,50}$/).withMessage('Invalid category'),
+  query('q').optional().isString().isLength({ max: 200 }).withMessage('Search text cannot exceed 200 characters'),
+  query('requestId').optional().matches(/^[\w-]{1,64}$/).withMessage('Invalid request ID'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('before').optional().isISO8601().withMessage('before must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+];
+
+const validateConfigUpdate = [
+  body('settings').isObject().withMessage('Settings must be an object of key -> value'),
+  body('versions').optional().isObject().withMessage('Versions must be an object of key -> version'),
+  body('versions.*').optional().isInt({ min: 0 }).withMessage('Versions must be numbers'),
+  body('reason').optional().isString().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters')
+];
+
+const validateMaintenanceWindow = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Title is required and cannot exceed 100 characters'),
+    body('message').optional().isString().isLength({ max: 300 }).withMessage('Message cannot exceed 300 characters'),
+    field('startsAt').isISO8601().withMessage('Start time must be an ISO 8601 date'),
+    field('endsAt').isISO8601().withMessage('End time must be an ISO 8601 date'),
+    body('notifyCustomers').optional().isBoolean().withMessage('notifyCustomers must be a boolean'),
+    body('noticeHours').optional().isInt({ min: 0, max: 168 }).withMessage('Notice must be between 0 and 168 hours')
+  ];
+};
+
+const WINDOW_FIELDS = ['title', 'message', 'startsAt', 'endsAt', 'notifyCustomers', 'noticeHours'];
+
+const windowSnapshot = (window) => Object.fromEntries(WINDOW_FIELDS.map(field => [field, window[field]]));
+
+const validateHistoryQuery = [
+  query('key').optional().custom(key => systemSettings.has(key)).withMessage('Unknown setting'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// @route   GET /api/system/config
+// @desc    Every system setting with its type, default, current value and version
+// @access  Private (system:config)
+router.get('/config', auth, requirePermission('system:config'), (req, res) => {
+  res.json({
+    success: true,
+    data: { settings: systemSettings.list() }
+  });
+});
+
+// @route   PUT /api/system/config
+// @desc    Change settings; they apply without a restart. A null value resets a key to
+//          its default. Pass the versions you read to fail with 409 on concurrent edits.
+// @access  Private (system:config)
+router.put('/config', auth, requirePermission('system:config'), validateConfigUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { settings, versions, reason } = req.body;
+
+    const changes = await systemSettings.update(settings, {
+      versions,
+      reason,
+      userId: req.user._id,
+      requestId: req.id
+    });
+
+    if (changes.length > 0) {
+      describeChange(req, 'system.config.update', {
+        target: { type: 'system', id: changes.map(change => change.key).join(',') },
+        before: Object.fromEntries(changes.map(change => [change.key, change.previousValue])),
+        after: Object.fromEntries(changes.map(change => [change.key, change.value]))
+      });
+    }
+
+    res.json({
+      success: true,
+      message: changes.length > 0
+        ? `${changes.length} setting${changes.length === 1 ? '' : 's'} updated`
+        : 'No settings changed',
+      data: {
+        changed: changes.map(change => change.key),
+        settings: systemSettings.list()
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Update system config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating system settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/system/config/history
+// @desc    Setting changes newest first, optionally for one key
+// @access  Private (system:config)
+router.get('/config/history', auth, requirePermission('system:config'), validateHistoryQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { entries, total } = await systemSettings.history({ key: req.query.key, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get system config history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching settings history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/system/maintenance/status
+// @desc    Whether the API is in maintenance, until when, and the next planned window.
+//          Public so signed-out apps can show the banner.
+// @access  Public
+router.get('/maintenance/status', (req, res) => {
+  res.json({
+    success: true,
+    data: maintenanceService.status()
+  });
+});
+
+// @route   GET /api/system/maintenance/windows
+// @desc    Scheduled maintenance windows, soonest first; past and cancelled ones with ?all=true
+// @access  Private (system:config)
+router.get('/maintenance/windows', auth, requirePermission('system:config'), async (req, res) => {
+  try {
+    const filter = req.query.all === 'true'
+      ? {}
+      : { cancelledAt: null, endsAt: { $gt: new Date() } };
+
+    const windows = await MaintenanceWindow.find(filter)
+      .populate('createdBy', 'name')
+      .sort(req.query.all === 'true' ? { startsAt: -1 } : { startsAt: 1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: { windows }
+    });
+
+  } catch (error) {
+    console.error('Get maintenance windows error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching maintenance windows',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/system/maintenance/windows
+// @desc    Schedule a maintenance window. Customers are notified noticeHours before it starts.
+// @access  Private (system:config)
+router.post('/maintenance/windows', auth, requirePermission('system:config'), validateMaintenanceWindow(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (new Date(req.body.endsAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be in the future'
+      });
+    }
+
+    const window = await MaintenanceWindow.create({
+      ...Object.fromEntries(WINDOW_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+      createdBy: req.user._id
+    });
+    await maintenanceService.load();
+
+    describeChange(req, 'system.maintenance.schedule', {
+      target: { type: 'maintenance-window', id: window._id },
+      after: windowSnapshot(window)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window scheduled',
+      data: { window }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create maintenance window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error scheduling maintenance window',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/system/maintenance/windows/:id
+// @desc    Change a window that hasn't ended. Moving its start sends customers a new notice.
+// @access  Private (system:config)
+router.put('/maintenance/windows/:id', auth, requirePermission('system:config'), [
+  param('id').isMongoId().withMessage('Valid maintenance window ID is required'),
+  ...validateMaintenanceWindow(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    if (window.status === 'cancelled' || window.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${window.status} maintenance window`
+      });
+    }
+
+    const before = windowSnapshot(window);
+    WINDOW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) window[field] = req.body[field];
+    });
+    if (window.isModified('startsAt') && window.startsAt > new Date()) {
+      window.noticeSentAt = undefined;
+    }
+    await window.save();
+    await maintenanceService.load();
+
+    describeChange(req, 'system.maintenance.update', {
+      target: { type: 'maintenance-window', id: window._id },
+      before,
+      after: windowSnapshot(window)
+    });
+
+    res.json({
+      success: true,
+      message: 'Maintenance window updated',
+      data: { window }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update maintenance window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating maintenance window',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/system/maintenance/windows/:id
+// @desc    Cancel a window; one already under way ends immediately
+// @access  Private (system:config)
+router.delete('/maintenance/windows/:id', auth, requirePermission('system:config'), [
+  param('id').isMongoId().withMessage('Valid maintenance window ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const window = await MaintenanceWindow.findOneAndUpdate(
+      { _id: req.params.id, cancelledAt: null, endsAt: { $gt: new Date() } },
+      { $set: { cancelledAt: new Date(), cancelledBy: req.user._id } },
+      { new: true }
+    );
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open maintenance window with this ID'
+      });
+    }
+    await maintenanceService.load();
+
+    describeChange(req, 'system.maintenance.cancel', {
+      target: { type: 'maintenance-window', id: window._id },
+      before: windowSnapshot(window)
+    });
+
+    res.json({
+      success: true,
+      message: 'Maintenance window cancelled',
+      data: { window }
+    });
+
+  } catch (error) {
+    console.error('Cancel maintenance window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling maintenance window',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/system/backups
+// @desc    Backups on disk, newest first, with the backup job's state and settings
+// @access  Private (system:backups)
+router.get('/backups', auth, requirePermission('system:backups'), async (req, res) => {
+  try {
+    const [backups, job] = await Promise.all([
+      backupService.list(),
+      ScheduledJob.findOne({ name: BACKUP_JOB })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        backups,
+        status: {
+          lastBackup: backups[0] || null,
+          running: Boolean(job && job.lockedUntil && job.lockedUntil > new Date()),
+          lastRunAt: job ? job.lastRunAt : null,
+          lastStatus: job ? job.lastStatus : null,
+          lastError: job ? job.lastError : null,
+          nextCheckAt: job ? job.nextRunAt : null,
+          frequency: systemSettings.get('backup.frequency'),
+          retentionDays: systemSettings.get('backup.retentionDays'),
+          compression: systemSettings.get('backup.compression'),
+          encryption: systemSettings.get('backup.encryption')
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching backups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/system/backups
+// @desc    Start a backup now; it runs as the database-backup job
+// @access  Private (system:backups)
+router.post('/backups', auth, requirePermission('system:backups'), async (req, res) => {
+  try {
+    const run = await jobScheduler.trigger(BACKUP_JOB, req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Backup started',
+      data: { run }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 409 ? 'A backup is already running' : error.message
+      });
+    }
+
+    console.error('Start backup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting backup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/system/backups/:id/download
+// @desc    Download a backup archive; X-Checksum-SHA256 carries its checksum
+// @access  Private (system:backups)
+router.get('/backups/:id/download', auth, requirePermission('system:backups'), async (req, res) => {
+  try {
+    const manifest = await backupService.get(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup not found'
+      });
+    }
+
+    res.download(backupService.archivePath(manifest.id), `${manifest.id}.backup`, {
+      headers: { 'X-Checksum-SHA256': manifest.sha256 }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download backup error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error downloading backup'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download backup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading backup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/system/logs
+// @desc    Search this instance's application logs, newest first. `level` includes
+//          more severe levels; page back by passing the last entry's time as `before`.
+// @access  Private (system:logs)
+router.get('/logs', auth, requirePermission('system:logs'), validateLogQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { level, category, q, requestId, from, to, before, limit = 100 } = req.query;
+
+    const { entries, hasMore } = await logger.query({
+      level,
+      category,
+      q,
+      requestId,
+      from: from && new Date(from),
+      to: to && new Date(to),
+      before: before && new Date(before),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        hasMore,
+        nextBefore: hasMore ? entries[entries.length - 1].time : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get system logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching system logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,15 @@ const router = express.Router();
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const CollectionRequest = require('../models/CollectionRequest');
-const { auth, authorize } = require('../middleware/auth');
+const LocationPing = require('../models/LocationPing');
+const { auth, can, requirePermission } = require('../middleware/auth');
+const { param, query, validationResult } = require('express-validator');
+const { simplifyTrack, detectStops, trackDistance, toLineString } = require('../services/trackAnalysis');
+const etaEngine = require('../services/etaEngine');
+const webSocketService = require('../services/webSocketService');
+const pricingService = require('../services/pricingService');
+const rewardsService = require('../services/rewardsService');
+const logger = require('../services/logger');
 
 // In-memory store for real-time tracking data
 // In production, use Redis or similar
@@ -27,11 +35,11 @@ class LocationUpdate {
 
 // @route   POST /api/tracking/location
 // @desc    Update driver's current location
-// @access  Driver
-router.post('/location', auth, authorize(['driver']), async (req, res) => {
+// @access  Private (tracking:report-location)
+router.post('/location', auth, requirePermission('tracking:report-location'), async (req, res) => {
   try {
     const { latitude, longitude, accuracy, heading, speed, status, currentCollection } = req.body;
-    const driverId = req.user.userId;
+    const driverId = req.user._id.toString();
 
     // Validate coordinates
     if (!latitude || !longitude || 
@@ -44,8 +52,8 @@ router.post('/location', auth, authorize(['driver']), async (req, res) => {
     }
 
     // Get driver's assigned vehicle
-    const driver = await User.findById(driverId).populate('assignedVehicle');
-    if (!driver || !driver.assignedVehicle) {
+    const vehicle = await Vehicle.findByDriver(driverId);
+    if (!vehicle) {
       return res.status(400).json({
         success: false,
         message: 'No vehicle assigned to driver'
@@ -55,7 +63,7 @@ router.post('/location', auth, authorize(['driver']), async (req, res) => {
     // Create location update
     const locationUpdate = new LocationUpdate({
       driverId,
-      vehicleId: driver.assignedVehicle._id,
+      vehicleId: vehicle._id,
       latitude,
       longitude,
       accuracy,
@@ -68,11 +76,19 @@ router.post('/location', auth, authorize(['driver']), async (req, res) => {
     // Store in memory (use Redis in production)
     trackingData.set(driverId, locationUpdate);
 
+    // Keep the breadcrumb trail for trip history and replay
+    await LocationPing.record(driverId, locationUpdate);
+
+    // Refresh ETAs for the rest of the driver's route
+    etaEngine.updateSpeed(driverId, speed);
+    webSocketService.pushEtaUpdates(driverId, locationUpdate).catch(error => {
+      console.error('ETA update error:', error);
+    });
+
     // Update vehicle's last known location
-    await Vehicle.findByIdAndUpdate(driver.assignedVehicle._id, {
+    await Vehicle.findByIdAndUpdate(vehicle._id, {
       $set: {
-        'location.coordinates': [longitude, latitude],
-        'location.lastUpdated': new Date(),
+        'currentLocation.coordinates': [longitude, latitude],
         'tracking.speed': speed,
         'tracking.heading': heading,
         'tracking.status': status,
@@ -101,15 +117,15 @@ router.post('/location', auth, authorize(['driver']), async (req, res) => {
       type: 'driver_location',
       data: {
         driverId,
-        vehicleId: driver.assignedVehicle._id,
+        vehicleId: vehicle._id,
         location: { latitude, longitude },
         speed,
         heading,
         status,
         timestamp: locationUpdate.timestamp,
         vehicleInfo: {
-          licensePlate: driver.assignedVehicle.licensePlate,
-          model: driver.assignedVehicle.model
+          licensePlate: vehicle.licensePlate,
+          model: vehicle.model
         }
       }
     };
@@ -142,18 +158,16 @@ router.post('/location', auth, authorize(['driver']), async (req, res) => {
 
 // @route   GET /api/tracking/driver/:driverId
 // @desc    Get current location of a specific driver
-// @access  Admin, Customer (for their assigned driver)
+// @access  Private (tracking:view-fleet, the driver, or a customer they're assigned to)
 router.get('/driver/:driverId', auth, async (req, res) => {
   try {
     const { driverId } = req.params;
-    const requestingUserId = req.user.userId;
-    const requestingUserRole = req.user.role;
 
     // Check permissions
-    if (requestingUserRole === 'customer') {
-      // Customer can only track driver assigned to their active collection
+    if (!can(req, 'tracking:view-fleet') && driverId !== req.user._id.toString()) {
+      // Others can only track the driver assigned to their active collection
       const activeCollection = await CollectionRequest.findOne({
-        customer: requestingUserId,
+        customer: req.user._id,
         assignedDriver: driverId,
         status: { $in: ['scheduled', 'in_progress', 'en_route'] }
       });
@@ -222,10 +236,110 @@ router.get('/driver/:driverId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/tracking/driver/:driverId/history
+// @desc    Get a driver's recorded trip as a GeoJSON LineString with detected stops
+// @access  Private (tracking:view-fleet, or the driver's own history)
+router.get('/driver/:driverId/history', [
+  auth,
+  param('driverId').isMongoId().withMessage('Valid driver ID is required'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('tolerance').optional().isFloat({ min: 0, max: 500 }).withMessage('tolerance must be between 0 and 500 meters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { driverId } = req.params;
+
+    if (!can(req, 'tracking:view-fleet') && driverId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own location history'
+      });
+    }
+
+    // Defaults to today so far
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date(to).setHours(0, 0, 0, 0));
+    const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 5;
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if (to - from > 7 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'History range cannot exceed 7 days'
+      });
+    }
+
+    const pings = await LocationPing.findTrack(driverId, from, to);
+    const points = pings.map(ping => ({
+      longitude: ping.location.coordinates[0],
+      latitude: ping.location.coordinates[1],
+      speed: ping.speed,
+      status: ping.status,
+      currentCollection: ping.currentCollection,
+      timestamp: ping.timestamp
+    }));
+
+    const simplified = simplifyTrack(points, tolerance);
+    const stops = detectStops(points);
+    const stoppedMinutes = stops.reduce((sum, stop) => sum + stop.durationMinutes, 0);
+    const elapsedMinutes = points.length > 1 ?
+      Math.round((new Date(points[points.length - 1].timestamp) - new Date(points[0].timestamp)) / 60000) : 0;
+
+    res.status(200).json({
+      success: true,
+      message: 'Location history retrieved successfully',
+      data: {
+        driverId,
+        from,
+        to,
+        track: toLineString(simplified, {
+          driverId,
+          tolerance,
+          rawPoints: points.length,
+          simplifiedPoints: simplified.length
+        }),
+        stops,
+        summary: {
+          distance: Math.round(trackDistance(points) * 100) / 100,
+          startedAt: points.length > 0 ? points[0].timestamp : null,
+          endedAt: points.length > 0 ? points[points.length - 1].timestamp : null,
+          elapsedMinutes,
+          stoppedMinutes,
+          movingMinutes: Math.max(0, elapsedMinutes - stoppedMinutes),
+          numberOfStops: stops.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get location history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get location history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/tracking/vehicles/active
 // @desc    Get all active vehicles with current locations
-// @access  Admin
-router.get('/vehicles/active', auth, authorize(['admin']), async (req, res) => {
+// @access  Private (tracking:view-fleet)
+router.get('/vehicles/active', auth, requirePermission('tracking:view-fleet'), async (req, res) => {
   try {
     const activeVehicles = [];
 
@@ -288,11 +402,11 @@ router.get('/vehicles/active', auth, authorize(['admin']), async (req, res) => {
 
 // @route   POST /api/tracking/collection/start
 // @desc    Mark collection as started at current location
-// @access  Driver
-router.post('/collection/start', auth, authorize(['driver']), async (req, res) => {
+// @access  Private (collections:service)
+router.post('/collection/start', auth, requirePermission('collections:service'), async (req, res) => {
   try {
     const { collectionId, latitude, longitude } = req.body;
-    const driverId = req.user.userId;
+    const driverId = req.user._id;
 
     // Validate collection exists and is assigned to this driver
     const collection = await CollectionRequest.findOne({
@@ -367,11 +481,11 @@ router.post('/collection/start', auth, authorize(['driver']), async (req, res) =
 
 // @route   POST /api/tracking/collection/complete
 // @desc    Mark collection as completed
-// @access  Driver
-router.post('/collection/complete', auth, authorize(['driver']), async (req, res) => {
+// @access  Private (collections:service)
+router.post('/collection/complete', auth, requirePermission('collections:service'), async (req, res) => {
   try {
     const { collectionId, latitude, longitude, actualWasteCollected, notes } = req.body;
-    const driverId = req.user.userId;
+    const driverId = req.user._id;
 
     // Validate collection
     const collection = await CollectionRequest.findOne({
@@ -387,21 +501,42 @@ router.post('/collection/complete', auth, authorize(['driver']), async (req, res
       });
     }
 
+    // Charged by the tariff for what was collected
+    const wasteCollected = actualWasteCollected || collection.wasteTypes;
+    const price = await pricingService.quote({
+      customerId: collection.customer._id,
+      items: wasteCollected.map(waste => ({ category: waste.category, weight: waste.weight ?? waste.estimatedWeight })),
+      priority: collection.priority,
+      coordinates: collection.pickupLocation?.coordinates,
+      overQuotaFee: collection.overQuotaFee,
+      voucher: collection.voucher
+    });
+
     // Update collection status
     await CollectionRequest.findByIdAndUpdate(collectionId, {
       $set: {
         status: 'completed',
+        actualCost: price.total,
+        'pricing.actual': price,
         'tracking.completedAt': new Date(),
+        actualCollectionTime: new Date(),
         'tracking.endLocation': {
           type: 'Point',
           coordinates: [longitude, latitude]
         },
-        actualWasteCollected: actualWasteCollected || collection.wasteTypes,
+        actualWasteCollected: wasteCollected,
         completionNotes: notes,
         updatedAt: new Date()
       }
     });
 
+    // A failure here doesn't undo the completion; staff can adjust the points
+    try {
+      await rewardsService.completePickup(collection, wasteCollected);
+    } catch (error) {
+      logger.error('Pickup rewards error', { category: 'rewards', collectionId: collection._id.toString(), error });
+    }
+
     // Update driver's tracking status
     const locationData = trackingData.get(driverId);
     if (locationData) {
@@ -422,7 +557,8 @@ router.post('/collection/complete', auth, authorize(['driver']), async (req, res
         completedAt: new Date(),
         duration: duration ? `${duration} minutes` : null,
         location: { latitude, longitude },
-        wasteCollected: actualWasteCollected || collection.wasteTypes
+        wasteCollected,
+        cost: price.total
       }
     });
 
@@ -438,15 +574,13 @@ router.post('/collection/complete', auth, authorize(['driver']), async (req, res
 
 // @route   GET /api/tracking/route/progress/:driverId
 // @desc    Get driver's route progress for the day
-// @access  Admin, Driver (own route)
+// @access  Private (tracking:view-fleet, or the driver's own route)
 router.get('/route/progress/:driverId', auth, async (req, res) => {
   try {
     const { driverId } = req.params;
-    const requestingUserId = req.user.userId;
-    const requestingUserRole = req.user.role;
 
     // Check permissions
-    if (requestingUserRole === 'driver' && driverId !== requestingUserId) {
+    if (!can(req, 'tracking:view-fleet') && driverId !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You can only view your own route progress'
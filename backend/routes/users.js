@@ -1,6 +1,10 @@
 const express = require('express');
 const User = require('../models/User');
-const { auth, adminOnly, selfOrAdmin } = require('../middleware/auth');
+const { auth, can, requirePermission, selfOrPermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+const bulkOperations = require('../services/bulkOperations');
 const {
   validateUserUpdate,
   validateDriverInfo,
@@ -9,10 +13,34 @@ const {
 
 const router = express.Router();
 
+// Reasons a role change isn't allowed, or null. Needs users:assign-role and an
+// existing role, and nobody can change their own role.
+const checkRoleChange = async (req, role, targetUserIds) => {
+  if (!can(req, 'users:assign-role')) {
+    return { status: 403, message: 'Access denied. Missing permission: users:assign-role' };
+  }
+
+  if (targetUserIds.includes(req.user._id.toString())) {
+    return { status: 400, message: 'You cannot change your own role' };
+  }
+
+  if (typeof role !== 'string' || !await roleService.exists(role)) {
+    return { status: 400, message: `Invalid role "${role}"` };
+  }
+
+  return null;
+};
+
+// Customers get a plan by paying for it or starting a trial, so profile edits can't
+// set it. customerInfo is set field by field, keeping the plan they have.
+const profileCustomerInfo = (customerInfo) => Object.fromEntries(Object.entries(customerInfo || {})
+  .filter(([field]) => !User.SUBSCRIPTION_FIELDS.includes(field))
+  .map(([field, value]) => [`customerInfo.${field}`, value]));
+
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private (Admin)
-router.get('/', auth, adminOnly, async (req, res) => {
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -88,9 +116,9 @@ router.get('/', auth, adminOnly, async (req, res) => {
 });
 
 // @route   GET /api/users/stats
-// @desc    Get user statistics (Admin only)
-// @access  Private (Admin)
-router.get('/stats', auth, adminOnly, async (req, res) => {
+// @desc    Get user statistics
+// @access  Private (users:read)
+router.get('/stats', auth, requirePermission('users:read'), async (req, res) => {
   try {
     const stats = await User.aggregate([
       { $match: { isDeleted: false } },
@@ -225,6 +253,11 @@ router.put('/profile', auth, async (req, res) => {
     delete updateData.password;
     delete updateData.email;
 
+    if (updateData.customerInfo) {
+      Object.assign(updateData, profileCustomerInfo(updateData.customerInfo));
+      delete updateData.customerInfo;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       { $set: updateData },
@@ -297,9 +330,13 @@ router.post('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const signedOut = await sessionService.revokeAll(user._id, 'password-changed', req.session._id);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { signedOutSessions: signedOut }
     });
 
   } catch (error) {
@@ -346,10 +383,78 @@ function calculateProfileCompletion(user) {
   return Math.min(completion, 100);
 }
 
+// @route   POST /api/users/push-token
+// @desc    Register the device's Expo push token for the current user
+// @access  Private
+router.post('/push-token', auth, async (req, res) => {
+  try {
+    const { pushToken, platform } = req.body;
+
+    if (!pushToken || !/^Expo(nent)?PushToken\[.+\]$/.test(pushToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid Expo push token is required'
+      });
+    }
+
+    // A device belongs to whoever signed in on it last
+    await User.updateMany(
+      { 'deviceTokens.token': pushToken },
+      { $pull: { deviceTokens: { token: pushToken } } }
+    );
+    await User.updateOne(
+      { _id: req.user._id },
+      { $push: { deviceTokens: { token: pushToken, platform } } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Push token registered successfully'
+    });
+
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering push token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/users/push-token
+// @desc    Remove push tokens (one token, or all of the user's devices)
+// @access  Private
+router.delete('/push-token', auth, async (req, res) => {
+  try {
+    const { pushToken } = req.body || {};
+
+    await User.updateOne(
+      { _id: req.user._id },
+      pushToken ?
+        { $pull: { deviceTokens: { token: pushToken } } } :
+        { $set: { deviceTokens: [] } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Push token removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing push token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Self or Admin)
-router.get('/:id', auth, selfOrAdmin, async (req, res) => {
+// @access  Private (Self or users:read)
+router.get('/:id', auth, selfOrPermission('users:read'), async (req, res) => {
   try {
     const user = await User.findOne({
       _id: req.params.id,
@@ -381,14 +486,14 @@ router.get('/:id', auth, selfOrAdmin, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user by ID
-// @access  Private (Self or Admin)
-router.put('/:id', auth, selfOrAdmin, validateUserUpdate, async (req, res) => {
+// @access  Private (Self or users:manage)
+router.put('/:id', auth, selfOrPermission('users:manage'), validateUserUpdate, async (req, res) => {
   try {
     const updates = req.body;
     const targetUserId = req.params.id;
 
-    // If not admin, restrict what can be updated
-    if (req.user.role !== 'admin') {
+    // Without users:manage, restrict what can be updated
+    if (!can(req, 'users:manage')) {
       // Regular users can only update their profile info
       const allowedFields = ['name', 'profile', 'customerInfo', 'driverInfo'];
       const updateKeys = Object.keys(updates);
@@ -404,6 +509,11 @@ router.put('/:id', auth, selfOrAdmin, validateUserUpdate, async (req, res) => {
       // Don't allow role/status changes by regular users
       delete updates.role;
       delete updates.status;
+
+      if (updates.customerInfo) {
+        Object.assign(updates, profileCustomerInfo(updates.customerInfo));
+        delete updates.customerInfo;
+      }
     }
 
     // Don't allow password updates through this endpoint
@@ -411,6 +521,13 @@ router.put('/:id', auth, selfOrAdmin, validateUserUpdate, async (req, res) => {
     delete updates.emailVerificationToken;
     delete updates.passwordResetToken;
 
+    if (updates.role !== undefined) {
+      const roleError = await checkRoleChange(req, updates.role, [targetUserId]);
+      if (roleError) {
+        return res.status(roleError.status).json({ success: false, message: roleError.message });
+      }
+    }
+
     const user = await User.findOneAndUpdate(
       { _id: targetUserId, isDeleted: false },
       { $set: updates },
@@ -442,8 +559,8 @@ router.put('/:id', auth, selfOrAdmin, validateUserUpdate, async (req, res) => {
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user by ID (soft delete)
-// @access  Private (Admin only)
-router.delete('/:id', auth, adminOnly, async (req, res) => {
+// @access  Private (users:manage)
+router.delete('/:id', auth, requirePermission('users:manage'), async (req, res) => {
   try {
     const targetUserId = req.params.id;
 
@@ -460,7 +577,8 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
       {
         isDeleted: true,
         deletedAt: new Date(),
-        status: 'inactive'
+        status: 'inactive',
+        phoneVerified: false // Frees the number for a new account
       },
       { new: true }
     ).select('-password -emailVerificationToken -passwordResetToken');
@@ -472,6 +590,8 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
       });
     }
 
+    await sessionService.revokeAll(user._id, 'account-deleted');
+
     res.json({
       success: true,
       message: 'User deleted successfully',
@@ -490,8 +610,8 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
 
 // @route   PUT /api/users/:id/status
 // @desc    Update user status
-// @access  Private (Admin only)
-router.put('/:id/status', auth, adminOnly, async (req, res) => {
+// @access  Private (users:manage)
+router.put('/:id/status', auth, requirePermission('users:manage'), async (req, res) => {
   try {
     const { status } = req.body;
     const targetUserId = req.params.id;
@@ -511,7 +631,8 @@ router.put('/:id/status', auth, adminOnly, async (req, res) => {
       });
     }
 
-    const user = await User.findOneAndUpdate(
+    const previous = await User.findOne({ _id: targetUserId, isDeleted: false }).select('status').lean();
+    const user = previous && await User.findOneAndUpdate(
       { _id: targetUserId, isDeleted: false },
       { status },
       { new: true }
@@ -524,6 +645,17 @@ router.put('/:id/status', auth, adminOnly, async (req, res) => {
       });
     }
 
+    describeChange(req, 'user.status.update', {
+      target: { type: 'users', id: targetUserId },
+      before: { status: previous.status },
+      after: { status }
+    });
+
+    // Sign the user out everywhere so the change takes effect immediately
+    if (status !== 'active') {
+      await sessionService.revokeAll(user._id, 'account-suspended');
+    }
+
     res.json({
       success: true,
       message: `User status updated to ${status}`,
@@ -542,28 +674,22 @@ router.put('/:id/status', auth, adminOnly, async (req, res) => {
 
 // @route   PUT /api/users/:id/role
 // @desc    Update user role
-// @access  Private (Admin only)
-router.put('/:id/role', auth, adminOnly, async (req, res) => {
+// @access  Private (users:assign-role)
+router.put('/:id/role', auth, requirePermission('users:assign-role'), async (req, res) => {
   try {
     const { role } = req.body;
     const targetUserId = req.params.id;
 
-    if (!['customer', 'driver', 'admin'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role. Must be customer, driver, or admin'
-      });
-    }
-
-    // Prevent admin from changing their own role
-    if (req.user._id.toString() === targetUserId) {
-      return res.status(400).json({
+    const roleError = await checkRoleChange(req, role, [targetUserId]);
+    if (roleError) {
+      return res.status(roleError.status).json({
         success: false,
-        message: 'You cannot change your own role'
+        message: roleError.message
       });
     }
 
-    const user = await User.findOneAndUpdate(
+    const previous = await User.findOne({ _id: targetUserId, isDeleted: false }).select('role').lean();
+    const user = previous && await User.findOneAndUpdate(
       { _id: targetUserId, isDeleted: false },
       { role },
       { new: true }
@@ -576,6 +702,12 @@ router.put('/:id/role', auth, adminOnly, async (req, res) => {
       });
     }
 
+    describeChange(req, 'user.role.update', {
+      target: { type: 'users', id: targetUserId },
+      before: { role: previous.role },
+      after: { role }
+    });
+
     res.json({
       success: true,
       message: `User role updated to ${role}`,
@@ -593,9 +725,10 @@ router.put('/:id/role', auth, adminOnly, async (req, res) => {
 });
 
 // @route   POST /api/users/bulk-update
-// @desc    Bulk update users
-// @access  Private (Admin only)
-router.post('/bulk-update', auth, adminOnly, async (req, res) => {
+// @desc    Bulk change users' status and/or role. Runs as a user-update bulk
+//          operation; follow it at /api/bulk-operations/:id.
+// @access  Private (users:manage)
+router.post('/bulk-update', auth, requirePermission('users:manage'), async (req, res) => {
   try {
     const { userIds, updates } = req.body;
 
@@ -613,40 +746,38 @@ router.post('/bulk-update', auth, adminOnly, async (req, res) => {
       });
     }
 
-    // Don't allow updating sensitive fields
-    delete updates.password;
-    delete updates.emailVerificationToken;
-    delete updates.passwordResetToken;
-
-    // Prevent admin from updating themselves in bulk operations
-    const currentAdminId = req.user._id.toString();
-    const filteredUserIds = userIds.filter(id => id !== currentAdminId);
-
-    if (filteredUserIds.length === 0) {
+    const unsupported = Object.keys(updates).filter(field => !['status', 'role'].includes(field));
+    if (unsupported.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot perform bulk operations on your own account'
+        message: `Only status and role can be changed in bulk (got ${unsupported.join(', ')})`
       });
     }
 
-    const result = await User.updateMany(
-      { 
-        _id: { $in: filteredUserIds },
-        isDeleted: false 
-      },
-      { $set: updates }
-    );
+    const operation = await bulkOperations.create('user-update', { userIds, ...updates }, {
+      userId: req.user._id,
+      permissions: req.permissions
+    });
 
-    res.json({
+    describeChange(req, 'user.bulk-update', {
+      target: { type: 'bulk-operation', id: operation._id },
+      after: { updates, users: operation.total }
+    });
+
+    res.status(202).json({
       success: true,
-      message: `${result.modifiedCount} users updated successfully`,
-      data: {
-        matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
-      }
+      message: `Updating ${operation.total} users`,
+      data: { operation }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Bulk update users error:', error);
     res.status(500).json({
       success: false,
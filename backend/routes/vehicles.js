@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, can, requirePermission } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
 // Validation middleware
@@ -40,21 +40,13 @@ const validateVehicle = [
 
 // @route   GET /api/vehicles
 // @desc    Get all vehicles
-// @access  Private (Admin/Driver)
-router.get('/', auth, async (req, res) => {
+// @access  Private (vehicles:view)
+router.get('/', auth, requirePermission('vehicles:view'), async (req, res) => {
   try {
-    // Check authorization
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     let filter = { isDeleted: false };
     
-    // For drivers, only show their assigned vehicle
-    if (req.user.role === 'driver') {
+    // Without vehicles:manage, only show the assigned vehicle
+    if (!can(req, 'vehicles:manage')) {
       filter.assignedDriver = req.user._id;
     }
 
@@ -79,8 +71,8 @@ router.get('/', auth, async (req, res) => {
 
 // @route   POST /api/vehicles
 // @desc    Create new vehicle
-// @access  Private (Admin only)
-router.post('/', [auth, ...validateVehicle], async (req, res) => {
+// @access  Private (vehicles:manage)
+router.post('/', [auth, requirePermission('vehicles:manage'), ...validateVehicle], async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -92,14 +84,6 @@ router.post('/', [auth, ...validateVehicle], async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     // Check if plate number already exists
     const existingVehicle = await Vehicle.findOne({
       plateNumber: req.body.plateNumber.toUpperCase(),
@@ -138,9 +122,10 @@ router.post('/', [auth, ...validateVehicle], async (req, res) => {
 
 // @route   POST /api/vehicles/:id/assign
 // @desc    Assign vehicle to driver
-// @access  Private (Admin only)
+// @access  Private (vehicles:manage)
 router.post('/:id/assign', [
   auth,
+  requirePermission('vehicles:manage'),
   body('driverId').isMongoId().withMessage('Valid driver ID is required')
 ], async (req, res) => {
   try {
@@ -154,14 +139,6 @@ router.post('/:id/assign', [
       });
     }
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
     const vehicle = await Vehicle.findOne({
       _id: req.params.id,
       isDeleted: false
@@ -197,7 +174,7 @@ router.post('/:id/assign', [
 
 // @route   PUT /api/vehicles/:id/location
 // @desc    Update vehicle location
-// @access  Private (Driver only - for their assigned vehicle)
+// @access  Private (Assigned driver, or vehicles:manage)
 router.put('/:id/location', [
   auth,
   body('location.coordinates')
@@ -230,8 +207,8 @@ router.put('/:id/location', [
       });
     }
 
-    // Check if user is admin or the assigned driver
-    if (req.user.role !== 'admin' && 
+    // Check if user manages vehicles or is the assigned driver
+    if (!can(req, 'vehicles:manage') && 
         (!vehicle.assignedDriver || vehicle.assignedDriver.toString() !== req.user._id.toString())) {
       return res.status(403).json({
         success: false,
@@ -265,17 +242,9 @@ router.put('/:id/location', [
 
 // @route   GET /api/vehicles/:id
 // @desc    Get single vehicle
-// @access  Private (Admin/Driver)
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (vehicles:view)
+router.get('/:id', auth, requirePermission('vehicles:view'), async (req, res) => {
   try {
-    // Check authorization
-    if (req.user.role !== 'admin' && req.user.role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin or Driver role required.'
-      });
-    }
-
     const vehicle = await Vehicle.findOne({
       _id: req.params.id,
       isDeleted: false
@@ -288,8 +257,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // For drivers, only show their assigned vehicle
-    if (req.user.role === 'driver' && 
+    // Without vehicles:manage, only show the assigned vehicle
+    if (!can(req, 'vehicles:manage') && 
         (!vehicle.assignedDriver || vehicle.assignedDriver._id.toString() !== req.user._id.toString())) {
       return res.status(403).json({
         success: false,
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, body, header, param, query } = require('express-validator');
+const { auth, authorize, can, requirePermission } = require('../middleware/auth');
+const { describeChange } = require('../middleware/audit');
+const PaymentIntent = require('../models/PaymentIntent');
+const { PLANS } = require('../services/tariff');
+const walletService = require('../services/walletService');
+
+const { MAX_MONTHS } = walletService;
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const checkValidation = (req, res, next) => {
+  if (!validationFailed(req, res)) next();
+};
+
+// Wallet errors carry the HTTP status to answer with
+const handleWalletError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// The page the customer's browser lands on after paying. The app closes its
+// payment view when it sees this URL.
+const returnPage = (title, message) => `<!doctype html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto; text-align: center">
+  <h2>${title}</h2>
+  <p>${message}</p>
+</body></html>`;
+
+// @route   GET /api/wallet/subscription
+// @desc    Monthly plan prices and the customer's plan and prepaid period
+// @access  Private (customers)
+router.get('/subscription', auth, authorize('customer'), async (req, res) => {
+  try {
+    const options = await walletService.subscriptionOptions(req.user._id);
+
+    res.json({
+      success: true,
+      data: options
+    });
+
+  } catch (error) {
+    handleWalletError(res, error, 'Get subscription options', 'Error fetching subscription options');
+  }
+});
+
+// @route   POST /api/wallet/checkout
+// @desc    Start paying an invoice ({ purpose: 'invoice', invoiceId }) or a prepaid plan
+//          ({ purpose: 'subscription', plan, months }). Send the customer to paymentUrl.
+//          Needs an Idempotency-Key header; repeating it returns the same payment.
+// @access  Private (customers)
+router.post('/checkout', [
+  auth,
+  authorize('customer'),
+  header('Idempotency-Key').isLength({ min: 8, max: 100 }).withMessage('An Idempotency-Key header of 8 to 100 characters is required'),
+  body('purpose').isIn(PaymentIntent.PURPOSES).withMessage(`Purpose must be one of: ${PaymentIntent.PURPOSES.join(', ')}`),
+  body('invoiceId').if(body('purpose').equals('invoice')).isMongoId().withMessage('Valid invoice ID is required'),
+  body('plan').if(body('purpose').equals('subscription')).isIn(PLANS).withMessage(`Plan must be one of: ${PLANS.join(', ')}`),
+  body('months').if(body('purpose').equals('subscription')).isInt({ min: 1, max: MAX_MONTHS }).withMessage(`Months must be between 1 and ${MAX_MONTHS}`)
+], checkValidation, async (req, res) => {
+  try {
+    const { purpose, invoiceId, plan, months } = req.body;
+    const intent = await walletService.checkout(req.user._id, purpose === 'invoice'
+      ? { purpose, invoiceId }
+      : { purpose, plan, months: parseInt(months) }, req.get('Idempotency-Key'));
+
+    res.status(intent.status === 'pending' ? 201 : 200).json({
+      success: true,
+      message: intent.status === 'pending' ? 'Payment started' : `Payment is ${intent.status}`,
+      data: { intent, returnUrl: walletService.returnUrl }
+    });
+
+  } catch (error) {
+    handleWalletError(res, error, 'Wallet checkout', 'Error starting payment');
+  }
+});
+
+// @route   GET /api/wallet/payments
+// @desc    Wallet payments newest first
+// @access  Private (own, or billing:view with customerId)
+router.get('/payments', [
+  auth,
+  query('customerId').optional().isMongoId().withMessage('Valid customer ID is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], checkValidation, async (req, res) => {
+  try {
+    const customerId = req.query.customerId || req.user._id.toString();
+    if (customerId !== req.user._id.toString() && !can(req, 'billing:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: billing:view'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { customer: customerId };
+
+    const [intents, total] = await Promise.all([
+      PaymentIntent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentIntent.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        intents,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalIntents: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    handleWalletError(res, error, 'Get wallet payments', 'Error fetching wallet payments');
+  }
+});
+
+// @route   GET /api/wallet/payments/:id
+// @desc    A wallet payment. A pending one is looked up at the gateway first, so the
+//          app can poll this after the customer returns.
+// @access  Private (own, or billing:view)
+router.get('/payments/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Valid payment ID is required')
+], checkValidation, async (req, res) => {
+  try {
+    let intent = await PaymentIntent.findById(req.params.id);
+    if (!intent || (intent.customer.toString() !== req.user._id.toString() && !can(req, 'billing:view'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (intent.status === 'pending') {
+      // While the gateway can't be reached the stored status still stands
+      const current = intent;
+      intent = await walletService.confirm(intent.gatewayReference).catch(error => {
+        console.error('Confirm wallet payment error:', error.message);
+        return current;
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { intent }
+    });
+
+  } catch (error) {
+    handleWalletError(res, error, 'Get wallet payment', 'Error fetching wallet payment');
+  }
+});
+
+// @route   POST /api/wallet/payments/:id/refund
+// @desc    Refund a completed wallet payment in full
+// @access  Private (billing:manage)
+router.post('/payments/:id/refund', [
+  auth,
+  requirePermission('billing:manage'),
+  param('id').isMongoId().withMessage('Valid payment ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+], checkValidation, async (req, res) => {
+  try {
+    const intent = await walletService.refund(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    describeChange(req, 'wallet.refund', {
+      target: { type: 'payment-intent', id: intent._id },
+      before: { status: 'completed' },
+      after: { status: intent.status, amount: intent.amount, reason: intent.refund.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment refunded',
+      data: { intent }
+    });
+
+  } catch (error) {
+    handleWalletError(res, error, 'Wallet refund', 'Error refunding payment');
+  }
+});
+
+// @route   POST /api/wallet/callback
+// @desc    The gateway's signed notice that a payment changed (X-Signature header)
+// @access  Public (gateway)
+router.post('/callback', async (req, res) => {
+  try {
+    // express.raw only hands over a Buffer when there is a body
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Callback body is required'
+      });
+    }
+
+    const { reference } = walletService.getGateway().parseCallback(req.body, req.get('X-Signature'));
+    const intent = await walletService.confirm(reference);
+
+    res.json({
+      success: true,
+      data: { status: intent ? intent.status : 'unknown' }
+    });
+
+  } catch (error) {
+    if (error.name === 'PaymentGatewayError' && !error.retryable) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    handleWalletError(res, error, 'Wallet callback', 'Error handling payment callback');
+  }
+});
+
+// @route   GET /api/wallet/return
+// @desc    Where the gateway sends the customer's browser after paying
+// @access  Public
+router.get('/return', async (req, res) => {
+  try {
+    const intent = req.query.pidx ? await walletService.confirm(String(req.query.pidx)) : null;
+
+    if (intent && intent.status === 'completed') {
+      return res.send(returnPage('Payment received', 'Thank you. You can go back to the app.'));
+    }
+    if (intent && intent.status === 'pending') {
+      return res.send(returnPage('Payment processing', 'We will let you know when it is confirmed.'));
+    }
+    res.send(returnPage('Payment not completed', 'No money was taken. You can try again from the app.'));
+
+  } catch (error) {
+    console.error('Wallet return error:', error);
+    res.status(500).send(returnPage('Payment processing', 'We could not confirm the payment yet. Check it in the app.'));
+  }
+});
+
+module.exports = router;
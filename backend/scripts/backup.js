@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Database backups from the command line.
+//
+//   node scripts/backup.js create
+//   node scripts/backup.js list
+//   node scripts/backup.js restore <backup-id | path/to/archive.backup> [--apply] [--collections users,vehicles]
+//
+// restore only checks the archive and prints what would be replaced unless --apply is
+// given. Turn maintenance mode on before applying, so nobody writes mid-restore.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const systemSettings = require('../services/systemSettings');
+const backupService = require('../services/backupService');
+
+const USAGE = 'Usage: node scripts/backup.js create | list | restore <backup-id|archive> [--apply] [--collections a,b]';
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const parseArgs = (args) => {
+  const options = { positional: [], apply: false, collections: undefined };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--apply') {
+      options.apply = true;
+    } else if (args[i] === '--collections') {
+      options.collections = (args[++i] || '').split(',').filter(Boolean);
+    } else {
+      options.positional.push(args[i]);
+    }
+  }
+  return options;
+};
+
+const commands = {
+  async create() {
+    const manifest = await backupService.create({ trigger: 'manual' });
+    console.log(`Created ${manifest.id}: ${manifest.documents} documents, ${formatSize(manifest.size)}`);
+    console.log(`SHA-256 ${manifest.sha256}`);
+  },
+
+  async list() {
+    const backups = await backupService.list();
+    if (backups.length === 0) {
+      console.log('No backups');
+    }
+    backups.forEach(manifest => {
+      console.log(`${manifest.id}  ${manifest.documents} documents  ${formatSize(manifest.size)}  ${manifest.trigger}${manifest.encrypted ? '  encrypted' : ''}`);
+    });
+  },
+
+  async restore({ positional: [ref], apply, collections }) {
+    if (!ref) throw new Error(USAGE);
+
+    const result = await backupService.restore(ref, { apply, collections });
+
+    console.log(`Backup ${result.backup} from ${new Date(result.createdAt).toISOString()}`);
+    if (!result.verified) {
+      console.log('No manifest found: the checksum was not checked');
+    }
+    result.plan.forEach(({ collection, documents, replacing }) => {
+      console.log(`  ${collection.padEnd(24)} ${String(documents).padStart(8)} documents (replacing ${replacing})`);
+    });
+    console.log(result.applied ? 'Restore complete' : 'Dry run: nothing changed. Run again with --apply to restore.');
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safacycle');
+  try {
+    // Compression and encryption follow the admin's backup settings
+    await systemSettings.load();
+    await commands[command](parseArgs(args));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
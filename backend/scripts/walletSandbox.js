@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Local stand-in for the wallet payment gateway, for development and tests.
+//
+//   node scripts/walletSandbox.js
+//
+// Speaks the API of services/paymentGateways.js WalletGateway on WALLET_SANDBOX_PORT
+// (5055). Its payment page has Pay and Cancel buttons; either one sends the signed
+// callback to WALLET_SANDBOX_CALLBACK_URL and returns the browser to the return URL.
+// Tests can require createSandbox() and listen on any port instead.
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+const { SANDBOX, sign } = require('../services/paymentGateways');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.secretKey] - expected in `Authorization: Key <secret>`
+ * @param {string} [options.webhookSecret] - signs callbacks
+ * @param {string} [options.callbackUrl] - where callbacks are posted; none when unset
+ * @returns {express.Application} with `payments` (pidx -> payment) for inspection
+ */
+const createSandbox = ({
+  secretKey = SANDBOX.secretKey,
+  webhookSecret = SANDBOX.webhookSecret,
+  callbackUrl
+} = {}) => {
+  const app = express();
+  const payments = new Map();
+  const idempotent = new Map(); // Idempotency-Key -> first response
+  app.locals.payments = payments;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const requireKey = (req, res, next) => {
+    if (req.get('Authorization') !== `Key ${secretKey}`) {
+      return res.status(401).json({ detail: 'Invalid token.', error_key: 'validation_error' });
+    }
+    next();
+  };
+
+  // Replays the first response for a repeated Idempotency-Key
+  const once = (handler) => (req, res) => {
+    const key = req.get('Idempotency-Key');
+    if (key && idempotent.has(`${req.path}:${key}`)) {
+      return res.json(idempotent.get(`${req.path}:${key}`));
+    }
+
+    const result = handler(req);
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+    if (key) idempotent.set(`${req.path}:${key}`, result.body);
+    res.json(result.body);
+  };
+
+  const sendCallback = async (payment) => {
+    if (!callbackUrl) return;
+
+    const body = JSON.stringify({
+      pidx: payment.pidx,
+      status: payment.status,
+      purchase_order_id: payment.purchase_order_id
+    });
+    try {
+      await fetch(callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Signature': sign(body, webhookSecret) },
+        body
+      });
+    } catch (error) {
+      console.error('Sandbox callback error:', error.message);
+    }
+  };
+
+  app.post('/epayment/initiate/', requireKey, once((req) => {
+    const { return_url: returnUrl, amount, purchase_order_id: orderId, purchase_order_name: orderName } = req.body;
+    if (!returnUrl || !Number.isInteger(amount) || amount < 1000 || !orderId) {
+      return { status: 400, body: { detail: 'return_url, purchase_order_id and an amount of at least 1000 paisa are required', error_key: 'validation_error' } };
+    }
+
+    const pidx = crypto.randomBytes(11).toString('hex');
+    const payment = {
+      pidx,
+      total_amount: amount,
+      purchase_order_id: orderId,
+      purchase_order_name: orderName,
+      return_url: returnUrl,
+      status: 'Initiated',
+      transaction_id: null,
+      refunded: 0,
+      expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString()
+    };
+    payments.set(pidx, payment);
+
+    return {
+      body: {
+        pidx,
+        payment_url: `${req.protocol}://${req.get('host')}/pay/${pidx}`,
+        expires_at: payment.expires_at,
+        expires_in: 1800
+      }
+    };
+  }));
+
+  app.post('/epayment/lookup/', requireKey, (req, res) => {
+    const payment = payments.get(req.body.pidx);
+    if (!payment) {
+      return res.status(404).json({ detail: 'Not found.', error_key: 'validation_error' });
+    }
+
+    if (payment.status === 'Initiated' && new Date(payment.expires_at) < new Date()) {
+      payment.status = 'Expired';
+    }
+    const { pidx, total_amount, status, transaction_id, refunded } = payment;
+    res.json({ pidx, total_amount, status, transaction_id, fee: 0, refunded: refunded > 0 });
+  });
+
+  app.post('/epayment/refund/', requireKey, once((req) => {
+    const payment = [...payments.values()].find(candidate => candidate.transaction_id && candidate.transaction_id === req.body.transaction_id);
+    if (!payment || !['Completed', 'Partially Refunded'].includes(payment.status)) {
+      return { status: 400, body: { detail: 'Transaction cannot be refunded.', error_key: 'validation_error' } };
+    }
+
+    const amount = req.body.amount || payment.total_amount - payment.refunded;
+    if (!Number.isInteger(amount) || amount < 1 || payment.refunded + amount > payment.total_amount) {
+      return { status: 400, body: { detail: 'Refund amount is more than what was paid.', error_key: 'validation_error' } };
+    }
+
+    payment.refunded += amount;
+    payment.status = payment.refunded === payment.total_amount ? 'Refunded' : 'Partially Refunded';
+    return { body: { detail: 'Transaction refunded.', refund_id: crypto.randomBytes(8).toString('hex') } };
+  }));
+
+  // The customer's payment page
+  app.get('/pay/:pidx', (req, res) => {
+    const payment = payments.get(req.params.pidx);
+    if (!payment) {
+      return res.status(404).send('Payment not found');
+    }
+
+    res.send(`<!doctype html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>Wallet sandbox</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto; text-align: center">
+  <h2>Wallet sandbox</h2>
+  <p>${escapeHtml(payment.purchase_order_name || payment.purchase_order_id)}</p>
+  <p style="font-size: 24px"><strong>Rs. ${(payment.total_amount / 100).toFixed(2)}</strong></p>
+  ${payment.status === 'Initiated' ? `
+  <form method="post"><button name="action" value="pay" style="font-size: 18px; padding: 10px 40px">Pay</button></form>
+  <form method="post"><button name="action" value="cancel" style="margin-top: 12px">Cancel</button></form>` : `<p>${escapeHtml(payment.status)}</p>`}
+</body></html>`);
+  });
+
+  app.post('/pay/:pidx', async (req, res) => {
+    const payment = payments.get(req.params.pidx);
+    if (!payment || payment.status !== 'Initiated') {
+      return res.status(409).send('This payment is no longer open');
+    }
+
+    if (req.body.action === 'pay') {
+      payment.status = 'Completed';
+      payment.transaction_id = crypto.randomBytes(8).toString('hex').toUpperCase();
+    } else {
+      payment.status = 'User canceled';
+    }
+    await sendCallback(payment);
+
+    const returnUrl = new URL(payment.return_url);
+    returnUrl.searchParams.set('pidx', payment.pidx);
+    returnUrl.searchParams.set('status', payment.status);
+    returnUrl.searchParams.set('purchase_order_id', payment.purchase_order_id);
+    if (payment.transaction_id) {
+      returnUrl.searchParams.set('transaction_id', payment.transaction_id);
+    }
+    res.redirect(returnUrl.toString());
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.WALLET_SANDBOX_PORT) || 5055;
+  const callbackUrl = process.env.WALLET_SANDBOX_CALLBACK_URL || `http://localhost:${process.env.PORT || 5001}/api/wallet/callback`;
+
+  createSandbox({ callbackUrl }).listen(port, () => {
+    console.log(`Wallet sandbox on http://localhost:${port}, callbacks to ${callbackUrl}`);
+  });
+}
+
+module.exports = { createSandbox };
@@ -2,21 +2,35 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
 const http = require('http');
 const os = require('os');
 require('dotenv').config();
 
+// Structured JSON logs; existing console calls go through the logger too
+const logger = require('./services/logger');
+logger.captureConsole();
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
 const accountRoutes = require('./routes/account');
 const collectionRoutes = require('./routes/collections');
 const issueRoutes = require('./routes/issues');
 const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const customerTrackingRoutes = require('./routes/customerTracking');
+const facilityRoutes = require('./routes/facilities');
+const routeRoutes = require('./routes/routes');
+const pickupSeriesRoutes = require('./routes/pickupSeries');
+const jobRoutes = require('./routes/jobs');
+const systemRoutes = require('./routes/system');
+const bulkOperationRoutes = require('./routes/bulkOperations');
+const billingRoutes = require('./routes/billing');
+const walletRoutes = require('./routes/wallet');
+const subscriptionRoutes = require('./routes/subscriptions');
+const rewardRoutes = require('./routes/rewards');
 
 // Import new advanced services
 const routeOptimizationRoutes = require('./routes/routeOptimization');
@@ -27,12 +41,31 @@ const testDataRoutes = require('./routes/testData');
 const testTrackingRoutes = require('./routes/testTracking');
 const healthRoutes = require('./routes/health');
 const webSocketService = require('./services/webSocketService');
+const User = require('./models/User');
+const distanceMatrixProvider = require('./services/distanceMatrixProvider');
+const jobScheduler = require('./services/jobScheduler');
+const notificationTemplates = require('./services/notificationTemplates');
+const roleService = require('./services/roleService');
+const { registerScheduledJobs } = require('./services/scheduledJobs');
+const bulkOperations = require('./services/bulkOperations');
+const { registerBulkOperationTypes } = require('./services/bulkOperationTypes');
+const { requestId } = require('./middleware/requestId');
+const { requestContext, accessLog } = require('./middleware/logging');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const { maintenanceGate } = require('./middleware/maintenance');
+const systemSettings = require('./services/systemSettings');
+const maintenanceService = require('./services/maintenanceService');
+const { auditTrail } = require('./middleware/audit');
+
+registerScheduledJobs(jobScheduler);
+registerBulkOperationTypes(bulkOperations);
 
 const app = express();
 const server = http.createServer(app);
 
 // Security middleware
 app.use(helmet());
+app.use(requestId);
 
 // Get local IP address
 const getLocalIPAddress = () => {
@@ -67,24 +100,29 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use('/api/', limiter);
+// Rate limiting; limits are system settings and change without a restart
+app.use('/api/', apiRateLimit);
 
-// Body parsing middleware
+// Body parsing middleware. Wallet callbacks are signed over the raw body.
+app.use('/api/wallet/callback', express.raw({ type: '*/*', limit: '100kb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
-if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
-}
+app.use(accessLog);
+app.use(requestContext);
+
+// Audit trail of every successful change
+app.use('/api/', auditTrail);
+
+// Maintenance mode (system setting) and scheduled maintenance windows
+app.use('/api/', maintenanceGate);
+
+systemSettings.on('change', (key, value) => {
+  if (key === 'logging.level') {
+    logger.level = value;
+  }
+});
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safacycle', {
@@ -92,10 +130,39 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/safacycle
   useUnifiedTopology: true,
 })
 .then(() => {
-  console.log('✅ Connected to MongoDB');
+  logger.info('Connected to MongoDB', { category: 'system' });
+
+  // Admin-changed settings; refreshed periodically to pick up other instances' changes
+  systemSettings.start()
+    .catch(error => logger.error('System settings load error', { category: 'system', error }));
+
+  // Scheduled maintenance windows, refreshed like settings
+  maintenanceService.start()
+    .catch(error => logger.error('Maintenance window load error', { category: 'system', error }));
+
+  // Resume bulk operations a previous run left unfinished
+  bulkOperations.start();
+
+  // Phone-only accounts have no email; older databases need the email index rebuilt as sparse
+  User.migrateEmailIndex()
+    .then(rebuilt => rebuilt && logger.info('Rebuilt the users email index as sparse', { category: 'system' }))
+    .catch(error => logger.error('User email index migration error', { category: 'system', error }));
+
+  // Built-in roles; permission edits are left as they are
+  roleService.seedDefaults()
+    .catch(error => logger.error('Role seeding error', { category: 'system', error }));
+
+  // Built-in notification templates; admin edits are left as they are
+  notificationTemplates.seedDefaults()
+    .catch(error => logger.error('Notification template seeding error', { category: 'system', error }));
+
+  // Background jobs; set JOB_SCHEDULER_ENABLED=false on instances that shouldn't poll for them
+  if (process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+    jobScheduler.start().catch(error => logger.error('Job scheduler error', { category: 'jobs', error }));
+  }
 })
 .catch((error) => {
-  console.error('❌ MongoDB connection error:', error);
+  logger.error('MongoDB connection error', { category: 'system', error });
   process.exit(1);
 });
 
@@ -119,6 +186,8 @@ app.get('/health', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       users: '/api/users',
+      roles: '/api/roles',
+      audit: '/api/audit',
       account: '/api/account',
       vehicles: '/api/vehicles',
       collections: '/api/collections',
@@ -127,6 +196,15 @@ app.get('/health', (req, res) => {
       routeOptimization: '/api/route-optimization',
       tracking: '/api/tracking',
       customerTracking: '/api/customer-tracking',
+      facilities: '/api/facilities',
+      pickupSeries: '/api/pickup-series',
+      jobs: '/api/jobs',
+      system: '/api/system',
+      bulkOperations: '/api/bulk-operations',
+      billing: '/api/billing',
+      wallet: '/api/wallet',
+      subscriptions: '/api/subscriptions',
+      rewards: '/api/rewards',
       notifications: '/api/notification-service'
     }
   });
@@ -135,12 +213,24 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/account', accountRoutes);
 app.use('/api/collections', collectionRoutes);
 app.use('/api/issues', issueRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/customer-tracking', customerTrackingRoutes);
+app.use('/api/facilities', facilityRoutes);
+app.use('/api/routes', routeRoutes);
+app.use('/api/pickup-series', pickupSeriesRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/system', systemRoutes);
+app.use('/api/bulk-operations', bulkOperationRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/rewards', rewardRoutes);
 
 // Health check route
 app.use('/api/health', healthRoutes);
@@ -168,7 +258,7 @@ app.use('*', (req, res) => {
 
 // Global error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Error:', error);
+  logger.error('Unhandled request error', { requestId: req.id, path: req.originalUrl, error });
   
   // Mongoose validation error
   if (error.name === 'ValidationError') {
@@ -216,16 +306,20 @@ const PORT = process.env.PORT || 5001;
 // Initialize WebSocket service
 const io = webSocketService.initialize(server);
 
+// A road graph is read before the first routing request; without it the server doesn't start
+distanceMatrixProvider.load().catch(error => {
+  logger.error('Distance provider load error', { category: 'system', error });
+  process.exit(1);
+});
+
 server.listen(PORT, () => {
-  console.log(`🚀 SafaCycle Backend API running on port ${PORT}`);
-  console.log(`🌐 Local IP: ${localIP}`);
-  console.log(`📱 Expo Dev URL: exp://${localIP}:8081`);
-  console.log(`🌍 Web URL: http://${localIP}:${PORT}`);
-  console.log(`📝 API Documentation: http://localhost:${PORT}/health`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🔌 WebSocket server initialized`);
-  console.log(`📊 Advanced Analytics: http://localhost:${PORT}/api/advanced-analytics/operational-dashboard`);
-  console.log(`🚛 Route Optimization: http://localhost:${PORT}/api/route-optimization/optimize`);
-  console.log(`📍 Real-time Tracking: http://localhost:${PORT}/api/tracking/locations`);
-  console.log(`🔔 Notification Service: http://localhost:${PORT}/api/notification-service/send`);
+  logger.info(`SafaCycle Backend API running on port ${PORT}`, {
+    category: 'system',
+    port: PORT,
+    localIP,
+    environment: process.env.NODE_ENV,
+    expoUrl: `exp://${localIP}:8081`,
+    webUrl: `http://${localIP}:${PORT}`,
+    docs: `http://localhost:${PORT}/health`
+  });
 });
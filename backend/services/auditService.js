@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Body fields never written to the log
+const REDACTED_KEYS = new Set([
+  'password', 'currentPassword', 'newPassword', 'confirmPassword',
+  'token', 'refreshToken', 'pushToken', 'code', 'secret'
+]);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && typeof value.toHexString !== 'function';
+
+/**
+ * Convert a value to the JSON shape it has after a round trip through MongoDB, with
+ * keys sorted: ObjectIds and dates become strings, undefined values and empty objects
+ * are dropped, and '.'/'$' in keys are replaced since MongoDB rejects them.
+ */
+const normalize = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(item => normalize(item) ?? null);
+
+  const entries = Object.keys(value).sort()
+    .map(key => [key.replace(/[.$]/g, '_'), normalize(value[key])])
+    .filter(([, item]) => item !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+// Fields covered by an entry's hash, in a fixed order
+const hashEntry = (entry) => crypto.createHash('sha256')
+  .update(JSON.stringify(normalize({
+    seq: entry.seq,
+    actor: entry.actor,
+    action: entry.action,
+    method: entry.method,
+    path: entry.path,
+    statusCode: entry.statusCode,
+    target: entry.target,
+    changes: entry.changes,
+    ip: entry.ip,
+    requestId: entry.requestId,
+    createdAt: entry.createdAt,
+    prevHash: entry.prevHash
+  })))
+  .digest('hex');
+
+// Appends hash-chained entries to the audit log. Appends from this process are queued
+// so each sees the previous hash; other instances are caught by the unique seq index.
+class AuditService {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  // Copy of a request body without credentials
+  redact(body) {
+    if (Array.isArray(body)) return body.map(item => this.redact(item));
+    if (!isPlainObject(body)) return body;
+
+    return Object.fromEntries(Object.entries(body).map(([key, value]) =>
+      [key, REDACTED_KEYS.has(key) ? '[redacted]' : this.redact(value)]));
+  }
+
+  /**
+   * Keep only the top-level fields whose values differ, e.g.
+   * diff({ role: 'driver', name: 'A' }, { role: 'admin', name: 'A' })
+   *   -> { before: { role: 'driver' }, after: { role: 'admin' } }
+   */
+  diff(before, after) {
+    if (!isPlainObject(before) || !isPlainObject(after)) {
+      return { before, after };
+    }
+
+    const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(key => JSON.stringify(normalize(before[key])) !== JSON.stringify(normalize(after[key])));
+
+    return {
+      before: Object.fromEntries(changed.filter(key => key in before).map(key => [key, before[key]])),
+      after: Object.fromEntries(changed.filter(key => key in after).map(key => [key, after[key]]))
+    };
+  }
+
+  record(entry) {
+    const appended = this.tail.then(() => this.append(entry));
+    this.tail = appended.catch(() => {});
+    return appended;
+  }
+
+  async append(entry, attempt = 0) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+    const doc = normalize({
+      ...entry,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      createdAt: new Date()
+    });
+    doc.hash = hashEntry(doc);
+
+    try {
+      return await AuditLog.create(doc);
+    } catch (error) {
+      // Another instance appended first; chain onto its entry instead
+      if (error.code === 11000 && attempt < 5) {
+        return this.append(entry, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute the chain from the first entry.
+   * @returns {Promise<{valid: boolean, checked: number, brokenAt?: number, reason?: string}>}
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      if (entry.seq !== expectedSeq) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: expectedSeq, reason: 'Entry missing' };
+      }
+      if (entry.prevHash !== prevHash) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Previous hash does not match' };
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry contents changed' };
+      }
+
+      prevHash = entry.hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked };
+  }
+}
+
+// Export shared instance
+const auditService = new AuditService();
+module.exports = auditService;
+module.exports.AuditService = AuditService;
+module.exports.GENESIS_HASH = GENESIS_HASH;
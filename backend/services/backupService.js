@@ -0,0 +1,411 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const systemSettings = require('./systemSettings');
+const logger = require('./logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'));
+
+const FORMAT = 'safacycle-backup';
+const FORMAT_VERSION = 1;
+const ID_PATTERN = /^safacycle-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+const CIPHER = 'aes-256-gcm';
+const AUTH_TAG_LENGTH = 16;
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// A scheduled run this close to the interval counts as due, so an hourly check does
+// not push a daily backup back by an hour every day
+const DUE_SLACK_MS = 10 * 60 * 1000;
+
+const RESTORE_BATCH_SIZE = 1000;
+
+// Collections in every backup. Sessions, OTP codes and job state are left out: they
+// are short-lived, and restoring them would revive signed-out devices and stale leases.
+const BACKED_UP_MODELS = [
+  require('../models/User'),
+  require('../models/Role'),
+  require('../models/CollectionRequest'),
+  require('../models/PickupSeries'),
+  require('../models/IssueReport'),
+  require('../models/Notification'),
+  require('../models/NotificationTemplate'),
+  require('../models/Route'),
+  require('../models/Vehicle'),
+  require('../models/LocationPing'),
+  require('../models/Facility'),
+  require('../models/Holiday'),
+  require('../models/CustomerAnalytics'),
+  require('../models/Invoice'),
+  require('../models/Payment'),
+  require('../models/PaymentIntent'),
+  require('../models/LedgerEntry'),
+  require('../models/PointsTransaction'),
+  require('../models/Reward'),
+  require('../models/Voucher'),
+  require('../models/Counter'),
+  require('../models/SystemSetting'),
+  require('../models/SystemSettingHistory'),
+  require('../models/MaintenanceWindow'),
+  require('../models/AuditLog')
+];
+
+const backupError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const deriveKey = (salt) => {
+  if (!process.env.BACKUP_ENCRYPTION_KEY) {
+    throw new Error('BACKUP_ENCRYPTION_KEY is not set');
+  }
+  return crypto.scryptSync(process.env.BACKUP_ENCRYPTION_KEY, salt, 32);
+};
+
+const checksumFile = async (file) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+};
+
+// The plaintext first line of an archive: format, settings and encryption parameters
+const readHeader = async (file) => {
+  const handle = await fsp.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64 * 1024), 0, 64 * 1024, 0);
+    const end = buffer.subarray(0, bytesRead).indexOf('\n');
+    const header = end > 0 ? JSON.parse(buffer.subarray(0, end).toString('utf8')) : null;
+
+    if (!header || header.format !== FORMAT) {
+      throw backupError('Not a SafaCycle backup archive', 400);
+    }
+    if (header.version > FORMAT_VERSION) {
+      throw backupError(`Backup format version ${header.version} is newer than this server supports`, 400);
+    }
+    return { header, headerLength: end + 1 };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Backups of the database to local disk.
+ *
+ * An archive (`<id>.backup`) is a JSON header line followed by one EJSON line per
+ * document, gzipped and encrypted with AES-256-GCM when the backup.compression and
+ * backup.encryption settings are on; the GCM tag is appended at the end. Next to it,
+ * `<id>.json` holds the manifest: document counts, size and SHA-256 checksum.
+ *
+ * Collections are read one after another, not in a transaction, so a backup taken
+ * while the app is busy may catch related documents a few moments apart.
+ */
+class BackupService {
+  constructor(directory = BACKUP_DIR) {
+    this.directory = directory;
+  }
+
+  archivePath(id) {
+    return path.join(this.directory, `${id}.backup`);
+  }
+
+  manifestPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Write a backup of every collection in BACKED_UP_MODELS.
+   * @returns {Promise<Object>} the manifest
+   */
+  async create({ trigger = 'manual', userId = null } = {}) {
+    const createdAt = new Date();
+    const id = `safacycle-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const archive = this.archivePath(id);
+    const partial = `${archive}.partial`;
+
+    const collections = BACKED_UP_MODELS.map(model => model.collection.collectionName);
+    const header = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      id,
+      createdAt,
+      collections,
+      compressed: systemSettings.get('backup.compression'),
+      encryption: null
+    };
+
+    const stages = [];
+    if (header.compressed) {
+      stages.push(zlib.createGzip());
+    }
+
+    let cipher = null;
+    if (systemSettings.get('backup.encryption')) {
+      const salt = crypto.randomBytes(16);
+      const iv = crypto.randomBytes(12);
+      cipher = crypto.createCipheriv(CIPHER, deriveKey(salt), iv);
+      header.encryption = { algorithm: CIPHER, salt: salt.toString('base64'), iv: iv.toString('base64') };
+      stages.push(cipher);
+    }
+
+    const counts = Object.fromEntries(collections.map(name => [name, 0]));
+    const documents = async function* () {
+      for (const model of BACKED_UP_MODELS) {
+        const name = model.collection.collectionName;
+        // The driver's cursor, so documents are saved exactly as stored
+        for await (const document of model.collection.find({}).sort({ _id: 1 })) {
+          counts[name]++;
+          yield EJSON.stringify({ collection: name, document }, { relaxed: false }) + '\n';
+        }
+      }
+    };
+
+    await fsp.mkdir(this.directory, { recursive: true });
+
+    try {
+      await fsp.writeFile(partial, JSON.stringify(header) + '\n');
+      await pipeline(Readable.from(documents()), ...stages, fs.createWriteStream(partial, { flags: 'a' }));
+      if (cipher) {
+        await fsp.appendFile(partial, cipher.getAuthTag());
+      }
+      await fsp.rename(partial, archive);
+    } catch (error) {
+      await fsp.rm(partial, { force: true });
+      throw error;
+    }
+
+    const finishedAt = new Date();
+    const manifest = {
+      id,
+      createdAt,
+      finishedAt,
+      duration: finishedAt - createdAt,
+      trigger,
+      createdBy: userId ? userId.toString() : null,
+      compressed: header.compressed,
+      encrypted: Boolean(header.encryption),
+      size: (await fsp.stat(archive)).size,
+      sha256: await checksumFile(archive),
+      collections: counts,
+      documents: Object.values(counts).reduce((sum, count) => sum + count, 0)
+    };
+    await fsp.writeFile(this.manifestPath(id), JSON.stringify(manifest, null, 2));
+
+    logger.info('Backup created', { category: 'backup', backup: id, documents: manifest.documents, size: manifest.size });
+    return manifest;
+  }
+
+  // Manifests of the backups on disk, newest first
+  async list() {
+    let files;
+    try {
+      files = await fsp.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const manifests = await Promise.all(files
+      .filter(file => file.endsWith('.json') && ID_PATTERN.test(path.basename(file, '.json')))
+      .map(file => this.get(path.basename(file, '.json'))));
+
+    return manifests
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    try {
+      return JSON.parse(await fsp.readFile(this.manifestPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Whether the newest backup is older than the backup.frequency setting
+  async isDue(now = new Date()) {
+    const [latest] = await this.list();
+    if (!latest) return true;
+
+    const interval = FREQUENCY_MS[systemSettings.get('backup.frequency')];
+    return now - new Date(latest.createdAt) >= interval - DUE_SLACK_MS;
+  }
+
+  // Delete backups older than backup.retentionDays; the newest one is always kept
+  async prune(now = new Date()) {
+    const cutoff = now.getTime() - systemSettings.get('backup.retentionDays') * 24 * 60 * 60 * 1000;
+    const [, ...older] = await this.list();
+    const expired = older.filter(manifest => new Date(manifest.createdAt).getTime() < cutoff);
+
+    for (const manifest of expired) {
+      await fsp.rm(this.archivePath(manifest.id), { force: true });
+      await fsp.rm(this.manifestPath(manifest.id), { force: true });
+    }
+
+    return expired.map(manifest => manifest.id);
+  }
+
+  // Job handler: scheduled runs back up when one is due, manual runs always do
+  async run({ trigger = 'manual', run } = {}) {
+    if (trigger !== 'manual' && !(await this.isDue())) {
+      return { skipped: true };
+    }
+
+    const manifest = await this.create({ trigger, userId: run && run.triggeredBy });
+    const pruned = await this.prune();
+
+    return { backup: manifest.id, documents: manifest.documents, size: manifest.size, pruned: pruned.length };
+  }
+
+  // A backup ID from this directory, or a path to an archive copied from elsewhere
+  async resolve(ref) {
+    if (ID_PATTERN.test(ref)) {
+      const manifest = await this.get(ref);
+      if (!manifest) {
+        throw backupError(`Backup ${ref} not found`, 404);
+      }
+      return { file: this.archivePath(ref), manifest };
+    }
+
+    const file = path.resolve(ref);
+    const manifestFile = file.replace(/\.backup$/, '.json');
+    const manifest = manifestFile !== file && fs.existsSync(manifestFile)
+      ? JSON.parse(await fsp.readFile(manifestFile, 'utf8'))
+      : null;
+    return { file, manifest };
+  }
+
+  /**
+   * Stream the documents of an archive to onDocument(collection, document), in order.
+   * Rejects if the archive is damaged or was encrypted with another key.
+   * @returns {Promise<{header: Object, counts: Object}>}
+   */
+  async read(file, onDocument = async () => {}) {
+    const { header, headerLength } = await readHeader(file);
+    const { size } = await fsp.stat(file);
+    const tagLength = header.encryption ? AUTH_TAG_LENGTH : 0;
+
+    const stages = [fs.createReadStream(file, { start: headerLength, end: size - tagLength - 1 })];
+
+    if (header.encryption) {
+      const handle = await fsp.open(file, 'r');
+      const tag = Buffer.alloc(AUTH_TAG_LENGTH);
+      await handle.read(tag, 0, AUTH_TAG_LENGTH, size - AUTH_TAG_LENGTH);
+      await handle.close();
+
+      const decipher = crypto.createDecipheriv(
+        header.encryption.algorithm,
+        deriveKey(Buffer.from(header.encryption.salt, 'base64')),
+        Buffer.from(header.encryption.iv, 'base64')
+      );
+      decipher.setAuthTag(tag);
+      stages.push(decipher);
+    }
+    if (header.compressed) {
+      stages.push(zlib.createGunzip());
+    }
+
+    const body = new PassThrough();
+    const piping = pipeline(...stages, body);
+    const counts = Object.fromEntries(header.collections.map(name => [name, 0]));
+
+    try {
+      for await (const line of readline.createInterface({ input: body, crlfDelay: Infinity })) {
+        if (!line) continue;
+        const { collection, document } = EJSON.parse(line, { relaxed: false });
+        counts[collection] = (counts[collection] || 0) + 1;
+        await onDocument(collection, document);
+      }
+    } catch (error) {
+      body.destroy();
+      await piping.catch(() => {});
+      throw error;
+    }
+    await piping;
+
+    return { header, counts };
+  }
+
+  /**
+   * Restore collections from a backup, replacing what is in them now. Without
+   * `apply` nothing is changed: the archive is checked and the plan returned.
+   * @param {string} ref - backup ID or archive path
+   * @param {{apply?: boolean, collections?: string[]}} options - collections defaults to all in the backup
+   * @returns {Promise<{backup: string, verified: boolean, applied: boolean, plan: Object[]}>}
+   */
+  async restore(ref, { apply = false, collections } = {}) {
+    const { file, manifest } = await this.resolve(ref);
+
+    if (manifest && await checksumFile(file) !== manifest.sha256) {
+      throw backupError('Backup checksum does not match its manifest', 400);
+    }
+
+    // Read it through first, so a damaged archive is rejected before anything is replaced
+    const { header, counts } = await this.read(file);
+
+    const selected = collections || header.collections;
+    const unknown = selected.filter(name => !(name in counts));
+    if (unknown.length > 0) {
+      throw backupError(`Not in this backup: ${unknown.join(', ')}`, 400);
+    }
+
+    const db = mongoose.connection.db;
+    const plan = await Promise.all(selected.map(async name => ({
+      collection: name,
+      documents: counts[name],
+      replacing: await db.collection(name).countDocuments()
+    })));
+
+    const result = { backup: header.id, createdAt: header.createdAt, verified: Boolean(manifest), applied: false, plan };
+    if (!apply) return result;
+
+    logger.warn('Restoring backup', { category: 'backup', backup: header.id, collections: selected });
+
+    for (const name of selected) {
+      await db.collection(name).deleteMany({});
+    }
+
+    const batches = new Map();
+    const flush = async (name) => {
+      const batch = batches.get(name);
+      if (batch && batch.length > 0) {
+        await db.collection(name).insertMany(batch, { ordered: false });
+        batches.set(name, []);
+      }
+    };
+
+    await this.read(file, async (name, document) => {
+      if (!selected.includes(name)) return;
+
+      if (!batches.has(name)) batches.set(name, []);
+      batches.get(name).push(document);
+      if (batches.get(name).length >= RESTORE_BATCH_SIZE) {
+        await flush(name);
+      }
+    });
+    for (const name of batches.keys()) {
+      await flush(name);
+    }
+
+    logger.warn('Backup restored', { category: 'backup', backup: header.id });
+    return { ...result, applied: true };
+  }
+}
+
+// Export shared instance
+const backupService = new BackupService();
+module.exports = backupService;
+module.exports.BackupService = BackupService;
+module.exports.BACKUP_DIR = BACKUP_DIR;
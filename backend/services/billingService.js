@@ -0,0 +1,623 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const Counter = require('../models/Counter');
+const CollectionRequest = require('../models/CollectionRequest');
+const CustomerAnalytics = require('../models/CustomerAnalytics');
+const User = require('../models/User');
+const systemSettings = require('./systemSettings');
+const notificationService = require('./notificationService');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of an invoice until numberInvoice gives it its place in the sequence
+const DRAFT_PREFIX = 'DRAFT-';
+
+const billingError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// The month before `date` as { year, month }
+const previousMonth = (date = new Date()) => {
+  const start = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return { year: start.getFullYear(), month: start.getMonth() + 1 };
+};
+
+// Pickups completed before this are billed on the period's invoice
+const periodEnd = ({ year, month }) => new Date(year, month, 1);
+
+// Invoices, payments and the customer ledger. Every change posts a ledger entry;
+// a customer's balance is the sum of their entries, and CustomerAnalytics.financial
+// is recomputed after each change. Each step is safe to retry, so a job that
+// fails halfway can run again.
+class BillingService {
+  constructor() {
+    this.queues = new Map(); // customer ID -> tail of their pending changes
+  }
+
+  get currency() {
+    return systemSettings.get('pricing.tariff').currency;
+  }
+
+  // Run changes to one customer's invoices and payments one at a time, so two
+  // payments arriving together are not applied to the same invoice balance
+  exclusive(customerId, task) {
+    const key = customerId.toString();
+    const run = (this.queues.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) this.queues.delete(key);
+    });
+    return run;
+  }
+
+  // Post a ledger entry once; a retry with the same key returns the first posting
+  async post(entry) {
+    try {
+      return await LedgerEntry.create({ currency: this.currency, ...entry });
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ key: entry.key });
+      }
+      throw error;
+    }
+  }
+
+  async balance(customerId) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { customer: toObjectId(customerId) } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    return round(result ? result.balance : 0);
+  }
+
+  // Recompute CustomerAnalytics.financial from the ledger, payments and invoices
+  async syncFinancials(customerId) {
+    const customer = toObjectId(customerId);
+    const billed = { customer, status: { $ne: 'void' } };
+
+    const [balance, methods, months, [totals]] = await Promise.all([
+      this.balance(customer),
+      Payment.aggregate([
+        { $match: { customer, status: 'completed' } },
+        { $group: { _id: '$method', count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } }
+      ]),
+      Invoice.aggregate([
+        { $match: billed },
+        { $group: { _id: { year: '$period.year', month: '$period.month' }, amount: { $sum: '$total' } } },
+        { $sort: { '_id.year': 1, '_id.month': 1 } }
+      ]),
+      Invoice.aggregate([
+        { $match: billed },
+        { $group: { _id: null, total: { $sum: '$total' }, pickups: { $sum: { $size: '$lines' } } } }
+      ])
+    ]);
+
+    await CustomerAnalytics.updateOne({ customer }, {
+      $set: {
+        'financial.outstandingBalance': balance,
+        'financial.totalSpent': round(methods.reduce((sum, method) => sum + method.totalAmount, 0)),
+        'financial.averagePerCollection': totals && totals.pickups > 0 ? round(totals.total / totals.pickups) : 0,
+        'financial.paymentMethods': methods.map(method => ({
+          method: method._id,
+          count: method.count,
+          totalAmount: round(method.totalAmount)
+        })),
+        'financial.monthlySpending': months.map(month => ({ ...month._id, amount: round(month.amount) }))
+      }
+    }, { upsert: true });
+
+    return balance;
+  }
+
+  async nextInvoiceNumber(year) {
+    const sequence = await Counter.next(`invoice-${year}`);
+    return `INV-${year}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  // Give a draft invoice the next number of its year. Invoices are created as drafts
+  // so a duplicate for the period, turned away by the unique index, uses up no number.
+  async numberInvoice(invoice) {
+    if (!invoice.number.startsWith(DRAFT_PREFIX)) return;
+
+    invoice.number = await this.nextInvoiceNumber(invoice.issuedAt.getFullYear());
+    await invoice.save();
+  }
+
+  /**
+   * Bill a customer's completed pickups up to the end of `period` that are not on
+   * an invoice yet. An invoice already issued for the period is finished instead.
+   * @returns {Promise<Object|null>} the new invoice, or null when nothing was billed
+   */
+  async invoiceCustomer(customerId, period, now = new Date()) {
+    const existing = await Invoice.findOne({ customer: customerId, 'period.year': period.year, 'period.month': period.month });
+    if (existing) {
+      // Voided invoices release their pickups to the next month's invoice
+      if (existing.status !== 'void') await this.finalizeInvoice(existing);
+      return null;
+    }
+
+    const collections = await CollectionRequest.find({
+      customer: customerId,
+      status: 'completed',
+      invoice: null,
+      actualCost: { $gt: 0 },
+      actualCollectionTime: { $lt: periodEnd(period) }
+    }).select('requestId actualCollectionTime actualCost').sort({ actualCollectionTime: 1 });
+    if (collections.length === 0) return null;
+
+    const subtotal = round(collections.reduce((sum, collection) => sum + collection.actualCost, 0));
+    const taxRate = systemSettings.get('billing.taxRate');
+    const taxes = taxRate > 0
+      ? [{ name: systemSettings.get('billing.taxName'), rate: taxRate, amount: round(subtotal * taxRate / 100) }]
+      : [];
+
+    const invoiceId = new mongoose.Types.ObjectId();
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        _id: invoiceId,
+        number: `${DRAFT_PREFIX}${invoiceId}`,
+        customer: customerId,
+        period,
+        currency: this.currency,
+        lines: collections.map(collection => ({
+          collectionRequest: collection._id,
+          description: `Pickup ${collection.requestId}`,
+          date: collection.actualCollectionTime,
+          amount: collection.actualCost
+        })),
+        subtotal,
+        taxes,
+        total: round(subtotal + taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+        issuedAt: now,
+        dueDate: new Date(now.getTime() + systemSettings.get('billing.paymentTermsDays') * DAY_MS)
+      });
+    } catch (error) {
+      // Another run issued this period's invoice first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await this.finalizeInvoice(invoice);
+    return invoice;
+  }
+
+  // Number the invoice, mark its pickups as billed, charge it to the ledger and
+  // settle it from any credit the customer has
+  async finalizeInvoice(invoice) {
+    await this.numberInvoice(invoice);
+
+    await CollectionRequest.updateMany(
+      { _id: { $in: invoice.lines.map(line => line.collectionRequest) }, invoice: null },
+      { $set: { invoice: invoice._id } }
+    );
+
+    await this.post({
+      customer: invoice.customer,
+      type: 'invoice',
+      amount: invoice.total,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.number}`,
+      invoice: invoice._id,
+      key: `invoice:${invoice._id}`
+    });
+
+    await this.allocate(invoice.customer);
+    await this.syncFinancials(invoice.customer);
+  }
+
+  /**
+   * Invoice every customer with unbilled completed pickups for a month.
+   * Throws after trying everyone if any customer failed, so the job is retried;
+   * customers already invoiced are skipped then.
+   */
+  async generateMonthlyInvoices(period = previousMonth(), now = new Date()) {
+    const customers = await CollectionRequest.distinct('customer', {
+      status: 'completed',
+      invoice: null,
+      actualCost: { $gt: 0 },
+      actualCollectionTime: { $lt: periodEnd(period) }
+    });
+
+    let invoiced = 0;
+    let total = 0;
+    const failed = [];
+    for (const customerId of customers) {
+      try {
+        const invoice = await this.exclusive(customerId, () => this.invoiceCustomer(customerId, period, now));
+        if (invoice) {
+          invoiced++;
+          total = round(total + invoice.total);
+        }
+      } catch (error) {
+        failed.push(customerId.toString());
+        logger.error('Invoice generation error', { category: 'billing', customerId: customerId.toString(), error });
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Invoicing failed for ${failed.length} of ${customers.length} customers`);
+    }
+
+    logger.info('Monthly invoices issued', { category: 'billing', period, invoiced, total });
+    return { period, customers: customers.length, invoiced, total };
+  }
+
+  // Apply payment money not yet applied to the customer's open invoices, oldest first
+  async allocate(customerId, now = new Date()) {
+    const payments = await Payment.find({ customer: customerId, status: 'completed', purpose: { $ne: 'subscription' } })
+      .sort({ receivedAt: 1 });
+    const unapplied = payments
+      .map(payment => ({
+        payment,
+        left: round(payment.amount - payment.allocations.reduce((sum, allocation) => sum + allocation.amount, 0))
+      }))
+      .filter(entry => entry.left > 0);
+    if (unapplied.length === 0) return;
+
+    const invoices = await Invoice.find({ customer: customerId, status: 'open' }).sort({ issuedAt: 1 });
+    for (const invoice of invoices) {
+      for (const entry of unapplied) {
+        const due = round(invoice.total - invoice.amountPaid);
+        if (due <= 0) break;
+        if (entry.left <= 0) continue;
+
+        const amount = Math.min(entry.left, due);
+        entry.payment.allocations.push({ invoice: invoice._id, amount });
+        entry.left = round(entry.left - amount);
+        invoice.amountPaid = round(invoice.amountPaid + amount);
+      }
+
+      if (invoice.amountPaid >= invoice.total) {
+        invoice.status = 'paid';
+        invoice.paidAt = now;
+      }
+      if (invoice.isModified()) await invoice.save();
+    }
+
+    await Promise.all(unapplied.filter(entry => entry.payment.isModified()).map(entry => entry.payment.save()));
+  }
+
+  /**
+   * Record money received. It goes to `invoiceId` first when given, then to the
+   * oldest open invoices; what is left is credit.
+   * @returns {Promise<Object>} the Payment
+   */
+  async recordPayment({ customerId, amount, method, reference, invoiceId, collectionId, notes, receivedAt, userId }) {
+    const customer = await User.findOne({ _id: customerId, isDeleted: false }).select('_id');
+    if (!customer) {
+      throw billingError('Customer not found', 404);
+    }
+
+    return this.exclusive(customerId, () => this.applyPayment({
+      customerId, amount, method, reference, invoiceId, collectionId, notes, receivedAt, userId
+    }));
+  }
+
+  // recordPayment's work, for callers already holding the customer's queue
+  async applyPayment({ customerId, amount, method, reference, invoiceId, collectionId, notes, receivedAt, userId }) {
+    const payment = new Payment({
+      customer: customerId,
+      amount: round(amount),
+      currency: this.currency,
+      method,
+      reference,
+      collectionRequest: collectionId,
+      notes,
+      receivedAt: receivedAt || new Date(),
+      recordedBy: userId
+    });
+
+    if (invoiceId) {
+      const invoice = await Invoice.findOne({ _id: invoiceId, customer: customerId });
+      if (!invoice) {
+        throw billingError('Invoice not found for this customer', 404);
+      }
+      if (invoice.status === 'open') {
+        const amountApplied = Math.min(payment.amount, round(invoice.total - invoice.amountPaid));
+        payment.allocations.push({ invoice: invoice._id, amount: amountApplied });
+        invoice.amountPaid = round(invoice.amountPaid + amountApplied);
+        if (invoice.amountPaid >= invoice.total) {
+          invoice.status = 'paid';
+          invoice.paidAt = new Date();
+        }
+        await payment.save();
+        await invoice.save();
+      }
+    }
+    if (payment.isNew) await payment.save();
+
+    await this.post({
+      customer: customerId,
+      type: 'payment',
+      amount: -payment.amount,
+      description: `Payment by ${method.replace('_', ' ')}${reference ? ` (${reference})` : ''}`,
+      payment: payment._id,
+      key: `payment:${payment._id}`,
+      createdBy: userId
+    });
+
+    await this.allocate(customerId);
+    await this.syncFinancials(customerId);
+    return Payment.findById(payment._id);
+  }
+
+  /**
+   * Record payment for a prepaid subscription. The plan is charged and paid in one
+   * go, so the balance doesn't change and nothing is applied to invoices.
+   * @returns {Promise<Object>} the Payment
+   */
+  async recordSubscriptionPayment({ customerId, amount, plan, months, method, reference, notes, userId }) {
+    return this.exclusive(customerId, async () => {
+      const payment = await Payment.create({
+        customer: customerId,
+        amount: round(amount),
+        currency: this.currency,
+        method,
+        purpose: 'subscription',
+        reference,
+        notes,
+        recordedBy: userId
+      });
+
+      await this.post({
+        customer: customerId,
+        type: 'subscription',
+        amount: payment.amount,
+        description: `${plan.charAt(0).toUpperCase()}${plan.slice(1)} plan, ${months} month${months === 1 ? '' : 's'}`,
+        payment: payment._id,
+        key: `subscription:${payment._id}`,
+        createdBy: userId
+      });
+      await this.post({
+        customer: customerId,
+        type: 'payment',
+        amount: -payment.amount,
+        description: `Payment by ${method.replace('_', ' ')}${reference ? ` (${reference})` : ''}`,
+        payment: payment._id,
+        key: `payment:${payment._id}`,
+        createdBy: userId
+      });
+
+      await this.syncFinancials(customerId);
+      return payment;
+    });
+  }
+
+  // Cash a driver took at one of their pickups
+  async recordCashPayment({ collectionId, amount, notes, driverId }) {
+    const collection = await CollectionRequest.findById(collectionId).select('customer assignedDriver status requestId');
+    if (!collection || !collection.assignedDriver || collection.assignedDriver.toString() !== driverId.toString()) {
+      throw billingError('Collection not found or not assigned to you', 404);
+    }
+    if (!['in-progress', 'completed'].includes(collection.status)) {
+      throw billingError('Cash can only be recorded at or after the pickup');
+    }
+
+    // Checked in the customer's queue; the unique cash index catches a request another
+    // instance recorded meanwhile
+    return this.exclusive(collection.customer, async () => {
+      if (await Payment.exists({ collectionRequest: collectionId, method: 'cash', status: 'completed' })) {
+        throw billingError('Cash has already been recorded for this pickup', 409);
+      }
+
+      try {
+        return await this.applyPayment({
+          customerId: collection.customer,
+          amount,
+          method: 'cash',
+          reference: collection.requestId,
+          collectionId,
+          notes,
+          userId: driverId
+        });
+      } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.collectionRequest) {
+          throw billingError('Cash has already been recorded for this pickup', 409);
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Undo a payment that didn't go through, e.g. a bounced transfer. The invoices it
+  // paid are open again unless other credit covers them.
+  async reversePayment(paymentId, { reason, userId }) {
+    const existing = await Payment.findById(paymentId);
+    if (!existing) {
+      throw billingError('Payment not found', 404);
+    }
+
+    return this.exclusive(existing.customer, async () => {
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: 'completed' },
+        { $set: { status: 'reversed', reversedAt: new Date(), reversedBy: userId, reversalReason: reason } },
+        { new: true }
+      );
+      if (!payment) {
+        throw billingError('Payment has already been reversed', 409);
+      }
+
+      for (const allocation of payment.allocations) {
+        await Invoice.updateOne(
+          { _id: allocation.invoice, status: { $ne: 'void' } },
+          { $inc: { amountPaid: -allocation.amount }, $set: { status: 'open' }, $unset: { paidAt: 1 } }
+        );
+      }
+
+      await this.post({
+        customer: payment.customer,
+        type: 'payment-reversal',
+        amount: payment.amount,
+        description: `Payment reversed${reason ? `: ${reason}` : ''}`,
+        payment: payment._id,
+        key: `payment-reversal:${payment._id}`,
+        createdBy: userId
+      });
+      if (payment.purpose === 'subscription') {
+        // The subscription it paid for is cancelled with it
+        await this.post({
+          customer: payment.customer,
+          type: 'subscription-refund',
+          amount: -payment.amount,
+          description: 'Subscription cancelled',
+          payment: payment._id,
+          key: `subscription-refund:${payment._id}`,
+          createdBy: userId
+        });
+      }
+
+      await this.allocate(payment.customer);
+      await this.syncFinancials(payment.customer);
+      return payment;
+    });
+  }
+
+  // Cancel an invoice issued in error. Payments applied to it become credit, and its
+  // pickups are billed again on the next monthly invoice.
+  async voidInvoice(invoiceId, { reason, userId }) {
+    const existing = await Invoice.findById(invoiceId);
+    if (!existing) {
+      throw billingError('Invoice not found', 404);
+    }
+
+    return this.exclusive(existing.customer, async () => {
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, status: { $ne: 'void' } },
+        { $set: { status: 'void', amountPaid: 0, voidedAt: new Date(), voidedBy: userId, voidReason: reason }, $unset: { paidAt: 1 } },
+        { new: true }
+      );
+      if (!invoice) {
+        throw billingError('Invoice is already void', 409);
+      }
+
+      await Payment.updateMany({ 'allocations.invoice': invoice._id }, { $pull: { allocations: { invoice: invoice._id } } });
+      await CollectionRequest.updateMany({ invoice: invoice._id }, { $unset: { invoice: 1 } });
+
+      await this.post({
+        customer: invoice.customer,
+        type: 'invoice-void',
+        amount: -invoice.total,
+        currency: invoice.currency,
+        description: `Invoice ${invoice.number} voided${reason ? `: ${reason}` : ''}`,
+        invoice: invoice._id,
+        key: `invoice-void:${invoice._id}`,
+        createdBy: userId
+      });
+
+      await this.allocate(invoice.customer);
+      await this.syncFinancials(invoice.customer);
+      return invoice;
+    });
+  }
+
+  // Correct a balance: positive amounts charge the customer, negative ones credit
+  // them. Adjustments change the balance only; invoices keep their status.
+  async adjust(customerId, { amount, description, userId }) {
+    const customer = await User.findOne({ _id: customerId, isDeleted: false }).select('_id');
+    if (!customer) {
+      throw billingError('Customer not found', 404);
+    }
+
+    return this.exclusive(customerId, async () => {
+      const entry = await this.post({
+        customer: customerId,
+        type: 'adjustment',
+        amount: round(amount),
+        description,
+        key: `adjustment:${new mongoose.Types.ObjectId()}`,
+        createdBy: userId
+      });
+
+      await this.syncFinancials(customerId);
+      return entry;
+    });
+  }
+
+  // Balance, open invoices and recent payments for the customer's billing screen
+  async summary(customerId) {
+    const [balance, openInvoices, recentPayments] = await Promise.all([
+      this.balance(customerId),
+      Invoice.find({ customer: customerId, status: 'open' }).select('-lines').sort({ dueDate: 1 }),
+      Payment.find({ customer: customerId }).select('-allocations').sort({ receivedAt: -1 }).limit(5)
+    ]);
+
+    return { currency: this.currency, balance, openInvoices, recentPayments };
+  }
+
+  /**
+   * Ledger entries newest first.
+   * @returns {Promise<{entries: Object[], total: number}>}
+   */
+  async ledger(customerId, { page = 1, limit = 20 } = {}) {
+    const filter = { customer: customerId };
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate('invoice', 'number')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Dunning: send payment_due to customers with overdue invoices, first on the due
+   * date and then every billing.reminderIntervalDays, at most billing.maxReminders times.
+   */
+  async sendReminders(now = new Date()) {
+    const maxReminders = systemSettings.get('billing.maxReminders');
+    const interval = systemSettings.get('billing.reminderIntervalDays') * DAY_MS;
+
+    const invoices = maxReminders > 0 ? await Invoice.find({
+      status: 'open',
+      dueDate: { $lte: now },
+      'reminders.count': { $lt: maxReminders },
+      $or: [
+        { 'reminders.lastSentAt': null },
+        { 'reminders.lastSentAt': { $lte: new Date(now.getTime() - interval) } }
+      ]
+    }) : [];
+
+    let reminded = 0;
+    for (const invoice of invoices) {
+      // Claim the reminder first, so a retry or another instance doesn't send it twice
+      const claimed = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, status: 'open', 'reminders.count': invoice.reminders.count },
+        { $inc: { 'reminders.count': 1 }, $set: { 'reminders.lastSentAt': now } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await notificationService.createNotification(notificationService.types.PAYMENT_DUE, claimed.customer, {
+          amount: claimed.balanceDue
+        }, {
+          priority: claimed.reminders.count > 1 ? 'urgent' : undefined,
+          data: { invoice: claimed._id.toString(), invoiceNumber: claimed.number, dueDate: claimed.dueDate }
+        });
+        reminded++;
+      } catch (error) {
+        logger.error('Payment reminder error', { category: 'billing', invoiceId: claimed._id.toString(), error });
+      }
+    }
+
+    return { overdue: invoices.length, reminded };
+  }
+}
+
+// Export shared instance
+const billingService = new BillingService();
+module.exports = billingService;
+module.exports.BillingService = BillingService;
+module.exports.previousMonth = previousMonth;
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const Notification = require('../models/Notification');
+const CollectionRequest = require('../models/CollectionRequest');
+const roleService = require('./roleService');
+const sessionService = require('./sessionService');
+const mailer = require('./mailer');
+const csv = require('./csv');
+
+const USER_STATUSES = ['active', 'inactive', 'suspended'];
+
+// Pickups that have not started can move to another driver
+const REASSIGNABLE_STATUSES = ['confirmed', 'assigned'];
+
+const IMPORT_COLUMNS = ['name', 'email', 'phone', 'role', 'licenseNumber', 'street', 'city', 'state', 'zipCode'];
+
+const bulkError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const requireIds = (ids, label) => {
+  if (!Array.isArray(ids) || ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw bulkError(`${label} must be an array of IDs`);
+  }
+  return [...new Set(ids.map(String))];
+};
+
+// Users picked by ID, or by a { role, status } filter
+const selectUsers = async ({ userIds, filter }) => {
+  if (userIds !== undefined) {
+    return requireIds(userIds, 'userIds');
+  }
+
+  if (!filter || typeof filter !== 'object') {
+    throw bulkError('Pass userIds or a filter of { role, status }');
+  }
+
+  const query = { isDeleted: false };
+  if (filter.role) query.role = String(filter.role);
+  if (filter.status) query.status = String(filter.status);
+
+  const ids = await User.find(query).distinct('_id');
+  return ids.map(String);
+};
+
+// Set status and/or role, as POST /api/users/bulk-update did in one request
+const userUpdate = {
+  description: 'Change the status and/or role of many users',
+  permission: 'users:manage',
+
+  async prepare({ userIds, filter, status, role }, { userId, permissions }) {
+    if (status === undefined && role === undefined) {
+      throw bulkError('Pass a status and/or role to set');
+    }
+    if (status !== undefined && !USER_STATUSES.includes(status)) {
+      throw bulkError('Invalid status. Must be active, inactive, or suspended');
+    }
+    if (role !== undefined) {
+      if (!permissions.has('users:assign-role')) {
+        throw bulkError('Access denied. Missing permission: users:assign-role', 403);
+      }
+      if (typeof role !== 'string' || !await roleService.exists(role)) {
+        throw bulkError(`Invalid role "${role}"`);
+      }
+    }
+
+    // Admins never change their own account in bulk
+    const ids = (await selectUsers({ userIds, filter })).filter(id => id !== userId.toString());
+    if (ids.length === 0 && (userIds || []).length > 0) {
+      throw bulkError('Cannot perform bulk operations on your own account');
+    }
+
+    const updates = {};
+    if (status !== undefined) updates.status = status;
+    if (role !== undefined) updates.role = role;
+
+    return {
+      params: updates,
+      inputs: ids,
+      summary: `Set ${Object.entries(updates).map(([field, value]) => `${field} to ${value}`).join(' and ')} for ${ids.length} users`
+    };
+  },
+
+  async process(userId, updates) {
+    const fields = Object.keys(updates);
+    const user = await User.findOne({ _id: userId, isDeleted: false }).select(fields.join(' ')).lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const before = Object.fromEntries(fields.map(field => [field, user[field]]));
+    if (fields.every(field => before[field] === updates[field])) {
+      return { skipped: 'Already up to date' };
+    }
+
+    await User.updateOne({ _id: userId }, { $set: updates });
+
+    // Sign the user out everywhere so the change takes effect immediately
+    if (updates.status && updates.status !== 'active') {
+      await sessionService.revokeAll(userId, 'account-suspended');
+    }
+
+    return { target: userId, before, after: updates };
+  },
+
+  // Only if nobody has changed these fields since
+  async rollback(item) {
+    const result = await User.updateOne({ _id: item.target, ...item.after }, { $set: item.before });
+    if (result.modifiedCount === 0) {
+      throw new Error('Changed since the operation');
+    }
+
+    if (item.before.status && item.before.status !== 'active') {
+      await sessionService.revokeAll(item.target, 'account-suspended');
+    }
+  }
+};
+
+// One in-app notification per user, delivered by the dispatch-notifications job
+const notification = {
+  description: 'Send a notification to many users',
+  permission: 'notifications:send',
+
+  async prepare({ userIds, filter, title, message, type = 'general', category = 'info', priority = 'normal', channels }) {
+    if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+      throw bulkError('Title is required and cannot exceed 200 characters');
+    }
+    if (typeof message !== 'string' || !message.trim() || message.length > 1000) {
+      throw bulkError('Message is required and cannot exceed 1000 characters');
+    }
+    if (!Notification.schema.path('type').enumValues.includes(type)) {
+      throw bulkError('Invalid notification type');
+    }
+    if (!Notification.schema.path('category').enumValues.includes(category)) {
+      throw bulkError('Invalid notification category');
+    }
+    if (!Notification.schema.path('priority').enumValues.includes(priority)) {
+      throw bulkError('Invalid priority');
+    }
+    if (channels !== undefined && (!Array.isArray(channels) || channels.some(channel => !['push', 'email', 'sms'].includes(channel)))) {
+      throw bulkError('Channels must be a list of push, email and sms');
+    }
+
+    // Filters reach active users only, unless they ask for a status
+    const ids = await selectUsers({ userIds, filter: filter && { status: 'active', ...filter } });
+
+    return {
+      params: { title: title.trim(), message: message.trim(), type, category, priority, channels },
+      inputs: ids,
+      summary: `Notify ${ids.length} users: ${title.trim()}`
+    };
+  },
+
+  async process(userId, params, { operation }) {
+    const user = await User.findOne({ _id: userId, isDeleted: false }).select('role').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const created = await Notification.create({
+      recipient: user._id,
+      recipientType: user.role,
+      title: params.title,
+      message: params.message,
+      type: params.type,
+      category: params.category,
+      priority: params.priority,
+      ...(params.channels && {
+        channels: Object.fromEntries(['push', 'email', 'sms'].map(channel => [channel, { enabled: params.channels.includes(channel) }]))
+      }),
+      data: { bulkOperation: operation._id.toString() }
+    });
+
+    return { target: created._id, after: { notification: created._id } };
+  },
+
+  // Removes it from the inbox; a push or email already sent stays sent
+  async rollback(item) {
+    await Notification.deleteOne({ _id: item.target });
+  }
+};
+
+// Move pickups to another driver, e.g. when a driver is off sick
+const collectionReassign = {
+  description: 'Move pickups to another driver',
+  permission: 'collections:assign',
+
+  async prepare({ collectionIds, fromDriverId, driverId, vehicleId }) {
+    if (!mongoose.isValidObjectId(driverId)) {
+      throw bulkError('driverId is required');
+    }
+
+    const driver = await User.findOne({ _id: driverId, isDeleted: false, status: 'active' }).select('role driverInfo').lean();
+    if (!driver || !await roleService.can(driver.role, 'collections:service')) {
+      throw bulkError('Driver not found or cannot service collections');
+    }
+
+    if (vehicleId !== undefined && (!mongoose.isValidObjectId(vehicleId) || !await Vehicle.exists({ _id: vehicleId }))) {
+      throw bulkError('Vehicle not found');
+    }
+
+    let ids;
+    if (collectionIds !== undefined) {
+      ids = requireIds(collectionIds, 'collectionIds');
+    } else if (mongoose.isValidObjectId(fromDriverId)) {
+      ids = (await CollectionRequest.find({
+        assignedDriver: fromDriverId,
+        status: { $in: REASSIGNABLE_STATUSES }
+      }).sort({ requestedDate: 1 }).distinct('_id')).map(String);
+    } else {
+      throw bulkError('Pass collectionIds or fromDriverId');
+    }
+
+    return {
+      params: {
+        driverId: String(driverId),
+        vehicleId: vehicleId ? String(vehicleId) : (driver.driverInfo?.vehicleAssigned?.toString() || null)
+      },
+      inputs: ids,
+      summary: `Reassign ${ids.length} pickups`
+    };
+  },
+
+  async process(collectionId, { driverId, vehicleId }) {
+    const collection = await CollectionRequest.findById(collectionId).select('assignedDriver assignedVehicle status').lean();
+    if (!collection) {
+      throw new Error('Collection request not found');
+    }
+    if (!REASSIGNABLE_STATUSES.includes(collection.status)) {
+      throw new Error(`Cannot reassign a ${collection.status} collection`);
+    }
+    if (collection.assignedDriver && collection.assignedDriver.toString() === driverId) {
+      return { skipped: 'Already assigned to this driver' };
+    }
+
+    const after = {
+      assignedDriver: new mongoose.Types.ObjectId(driverId),
+      assignedVehicle: vehicleId ? new mongoose.Types.ObjectId(vehicleId) : null,
+      status: 'assigned'
+    };
+    const result = await CollectionRequest.updateOne(
+      { _id: collectionId, status: collection.status, assignedDriver: collection.assignedDriver },
+      { $set: after }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Changed while being reassigned');
+    }
+
+    return {
+      target: collectionId,
+      before: {
+        assignedDriver: collection.assignedDriver || null,
+        assignedVehicle: collection.assignedVehicle || null,
+        status: collection.status
+      },
+      after
+    };
+  },
+
+  // Only pickups still with the new driver and not yet started
+  async rollback(item) {
+    const result = await CollectionRequest.updateOne(
+      { _id: item.target, assignedDriver: item.after.assignedDriver, status: 'assigned' },
+      { $set: item.before }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Changed since the operation');
+    }
+  }
+};
+
+// Create accounts from a CSV with a header row. Imported users get a random
+// password and a verification email; they choose a password with "Forgot password".
+const userImport = {
+  description: 'Create user accounts from a CSV file',
+  permission: 'users:manage',
+
+  async prepare({ csv: text, role: defaultRole = 'customer', sendInvites = true }, { permissions }) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw bulkError('csv is required');
+    }
+
+    let rows;
+    try {
+      rows = csv.parse(text);
+    } catch (error) {
+      throw bulkError(`Invalid CSV: ${error.message}`);
+    }
+
+    const [header = [], ...records] = rows;
+    const columns = header.map(column => column.trim());
+    const unknown = columns.filter(column => !IMPORT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw bulkError(`Unknown columns: ${unknown.join(', ')}. Allowed: ${IMPORT_COLUMNS.join(', ')}`);
+    }
+    if (!columns.includes('name') || !columns.includes('email')) {
+      throw bulkError('The CSV needs name and email columns');
+    }
+
+    const inputs = records.map((cells, i) => ({
+      line: i + 2,
+      ...Object.fromEntries(columns.map((column, c) => [column, (cells[c] || '').trim()]).filter(([, value]) => value !== '')),
+      role: (cells[columns.indexOf('role')] || '').trim() || defaultRole
+    }));
+
+    const roles = [...new Set(inputs.map(input => input.role))];
+    for (const role of roles) {
+      if (!await roleService.exists(role)) {
+        throw bulkError(`Invalid role "${role}"`);
+      }
+    }
+    if (roles.some(role => role !== 'customer') && !permissions.has('users:assign-role')) {
+      throw bulkError('Access denied. Missing permission: users:assign-role', 403);
+    }
+
+    return {
+      params: { sendInvites: Boolean(sendInvites) },
+      inputs,
+      summary: `Import ${inputs.length} users`
+    };
+  },
+
+  async process(row, { sendInvites }) {
+    if (await User.exists({ email: (row.email || '').toLowerCase() })) {
+      throw new Error(`Line ${row.line}: a user with this email already exists`);
+    }
+
+    const user = new User({
+      name: row.name,
+      email: row.email,
+      password: crypto.randomBytes(24).toString('base64url'),
+      role: row.role,
+      status: 'active',
+      profile: {
+        phone: row.phone,
+        address: { street: row.street, city: row.city, state: row.state, zipCode: row.zipCode }
+      },
+      ...(row.licenseNumber && { driverInfo: { licenseNumber: row.licenseNumber } })
+    });
+    const verificationToken = user.createEmailVerificationToken();
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new Error(`Line ${row.line}: ${Object.values(error.errors).map(err => err.message).join(', ')}`);
+      }
+      throw error;
+    }
+
+    if (sendInvites) {
+      mailer.sendVerificationEmail(user, verificationToken)
+        .catch(error => console.error('Import invite email error:', error));
+    }
+
+    return { target: user._id, after: { email: user.email, role: user.role } };
+  },
+
+  // Accounts that have been used since are kept
+  async rollback(item) {
+    const result = await User.deleteOne({ _id: item.target, lastLogin: null });
+    if (result.deletedCount === 0) {
+      throw new Error('User has signed in since the import');
+    }
+  }
+};
+
+// Register the built-in bulk operation types with an engine
+const registerBulkOperationTypes = (engine) => {
+  engine.register('user-update', userUpdate);
+  engine.register('notification', notification);
+  engine.register('collection-reassign', collectionReassign);
+  engine.register('user-import', userImport);
+};
+
+module.exports = { registerBulkOperationTypes, IMPORT_COLUMNS };
@@ -0,0 +1,364 @@
+const BulkOperation = require('../models/BulkOperation');
+const BulkOperationItem = require('../models/BulkOperationItem');
+const webSocketService = require('./webSocketService');
+const logger = require('./logger');
+
+const CHUNK_SIZE = parseInt(process.env.BULK_CHUNK_SIZE) || 100;
+const MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 10000;
+
+// An operation whose heartbeat is this old was cut off (e.g. by a restart) and is
+// picked up again by whichever instance notices first
+const STALE_MS = 5 * 60 * 1000;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running', 'cancelling', 'rolling-back'];
+
+const bulkError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const pickCounts = (operation) => ({
+  id: operation._id.toString(),
+  type: operation.type,
+  status: operation.status,
+  summary: operation.summary,
+  total: operation.total,
+  processed: operation.processed,
+  succeeded: operation.succeeded,
+  failed: operation.failed,
+  skipped: operation.skipped,
+  rolledBack: operation.rolledBack,
+  startedAt: operation.startedAt,
+  finishedAt: operation.finishedAt
+});
+
+// Runs bulk changes in the background, CHUNK_SIZE items at a time. Every item is
+// recorded with its outcome and previous values, so an operation can be cancelled
+// between chunks, reported on item by item, rolled back, and resumed after a restart.
+// Progress goes to the starting user's socket room as `bulk:progress`.
+class BulkOperationEngine {
+  constructor() {
+    this.types = new Map(); // type -> definition
+    this.active = new Set(); // operation IDs running in this instance
+    this.timer = null;
+  }
+
+  /**
+   * Register an operation type:
+   * - `permission` needed to start it
+   * - `prepare(params, { userId, permissions })` validates params (throw with statusCode
+   *   400/403) and returns `{ params, inputs, summary }`; each input becomes an item
+   * - `process(input, params, { operation })` applies one item and returns
+   *   `{ target, before, after }`, or `{ skipped: reason }`; throwing fails the item
+   * - optional `rollback(item, params)` undoes a succeeded item; throwing marks it
+   *   rollback-failed
+   */
+  register(type, { description, permission, prepare, process, rollback }) {
+    if (this.types.has(type)) {
+      throw new Error(`Bulk operation type "${type}" is already registered`);
+    }
+
+    this.types.set(type, { type, description, permission, prepare, process, rollback });
+  }
+
+  getType(type) {
+    const definition = this.types.get(type);
+    if (!definition) {
+      throw bulkError(`Unknown bulk operation type "${type}"`);
+    }
+    return definition;
+  }
+
+  listTypes() {
+    return [...this.types.values()].map(({ type, description, permission, rollback }) => ({
+      type,
+      description,
+      permission,
+      canRollback: Boolean(rollback)
+    }));
+  }
+
+  /**
+   * Validate and record an operation, then start processing it in the background.
+   * @returns {Promise<Object>} the queued BulkOperation
+   */
+  async create(type, params, { userId, permissions }) {
+    const definition = this.getType(type);
+    if (!permissions.has(definition.permission)) {
+      throw bulkError(`Access denied. Missing permission: ${definition.permission}`, 403);
+    }
+
+    const prepared = await definition.prepare(params || {}, { userId, permissions });
+    if (prepared.inputs.length === 0) {
+      throw bulkError('Nothing to process');
+    }
+    if (prepared.inputs.length > MAX_ITEMS) {
+      throw bulkError(`An operation can process at most ${MAX_ITEMS} items`);
+    }
+
+    const operation = await BulkOperation.create({
+      type,
+      params: prepared.params,
+      summary: prepared.summary,
+      total: prepared.inputs.length,
+      createdBy: userId,
+      heartbeatAt: new Date()
+    });
+
+    for (let offset = 0; offset < prepared.inputs.length; offset += CHUNK_SIZE) {
+      await BulkOperationItem.insertMany(prepared.inputs.slice(offset, offset + CHUNK_SIZE).map((input, i) => ({
+        operation: operation._id,
+        index: offset + i,
+        input
+      })));
+    }
+
+    this.launch(operation, 'execute');
+    return operation;
+  }
+
+  // Ask a queued or running operation to stop after its current chunk
+  async cancel(id, userId) {
+    const operation = await BulkOperation.findOneAndUpdate(
+      { _id: id, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'cancelling', cancelledBy: userId } },
+      { new: true }
+    );
+
+    if (!operation) {
+      await this.ensureExists(id);
+      throw bulkError('Only queued or running operations can be cancelled', 409);
+    }
+
+    this.publish(operation);
+    return operation;
+  }
+
+  // Undo every succeeded item of a finished operation, newest first
+  async rollback(id, userId) {
+    const existing = await this.ensureExists(id);
+    if (!this.getType(existing.type).rollback) {
+      throw bulkError(`${existing.type} operations cannot be rolled back`);
+    }
+
+    const operation = await BulkOperation.findOneAndUpdate(
+      { _id: id, status: { $in: ['completed', 'cancelled', 'failed'] } },
+      { $set: { status: 'rolling-back', rolledBackBy: userId, heartbeatAt: new Date() } },
+      { new: true }
+    );
+    if (!operation) {
+      throw bulkError('Only finished operations can be rolled back, and only once', 409);
+    }
+
+    this.publish(operation);
+    this.launch(operation, 'undo');
+    return operation;
+  }
+
+  async ensureExists(id) {
+    const operation = await BulkOperation.findById(id);
+    if (!operation) {
+      throw bulkError('Bulk operation not found', 404);
+    }
+    return operation;
+  }
+
+  // Run a phase in the background; a crash fails the operation rather than the server
+  launch(operation, phase) {
+    const id = operation._id.toString();
+    this.active.add(id);
+
+    logger.withContext({ category: 'bulk', operationId: id, bulkType: operation.type }, () => this[phase](operation))
+      .catch(async (error) => {
+        logger.error('Bulk operation error', { category: 'bulk', operationId: id, error });
+        const failed = await BulkOperation.findByIdAndUpdate(
+          id,
+          { $set: { status: 'failed', error: error.message, finishedAt: new Date() } },
+          { new: true }
+        ).catch(() => null);
+        if (failed) this.publish(failed);
+      })
+      .finally(() => this.active.delete(id));
+  }
+
+  async execute(operation) {
+    const definition = this.getType(operation.type);
+    const id = operation._id;
+
+    let current = await BulkOperation.findOneAndUpdate(
+      { _id: id, status: { $in: ['queued', 'running', 'cancelling'] } },
+      { $set: { heartbeatAt: new Date() } },
+      { new: true }
+    );
+    if (!current) return;
+
+    if (current.status === 'queued') {
+      current = await BulkOperation.findOneAndUpdate(
+        { _id: id, status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date() } },
+        { new: true }
+      ) || await BulkOperation.findById(id);
+      this.publish(current);
+    }
+
+    while (current.status !== 'cancelling') {
+      const items = await BulkOperationItem.find({ operation: id, status: 'pending' })
+        .sort({ index: 1 })
+        .limit(CHUNK_SIZE);
+      if (items.length === 0) break;
+
+      const counts = { processed: 0, succeeded: 0, failed: 0, skipped: 0 };
+      for (const item of items) {
+        try {
+          const result = await definition.process(item.input, current.params, { operation: current });
+          if (result && result.skipped) {
+            item.status = 'skipped';
+            item.error = result.skipped;
+            counts.skipped++;
+          } else {
+            item.status = 'succeeded';
+            item.target = result && result.target;
+            item.before = result && result.before;
+            item.after = result && result.after;
+            counts.succeeded++;
+          }
+        } catch (error) {
+          item.status = 'failed';
+          item.error = error.message;
+          counts.failed++;
+        }
+        item.processedAt = new Date();
+        counts.processed++;
+        await item.save();
+      }
+
+      current = await BulkOperation.findByIdAndUpdate(
+        id,
+        { $inc: counts, $set: { heartbeatAt: new Date() } },
+        { new: true }
+      );
+      this.publish(current);
+    }
+
+    const pending = await BulkOperationItem.countDocuments({ operation: id, status: 'pending' });
+    const finished = await BulkOperation.findOneAndUpdate(
+      { _id: id, status: { $in: ['running', 'cancelling'] } },
+      { $set: { status: pending > 0 ? 'cancelled' : 'completed', finishedAt: new Date() } },
+      { new: true }
+    );
+
+    if (finished) {
+      logger.info(`Bulk ${finished.type} ${finished.status}`, {
+        category: 'bulk',
+        operationId: id.toString(),
+        succeeded: finished.succeeded,
+        failed: finished.failed
+      });
+      this.publish(finished);
+    }
+  }
+
+  async undo(operation) {
+    const definition = this.getType(operation.type);
+    const id = operation._id;
+
+    for (;;) {
+      const items = await BulkOperationItem.find({ operation: id, status: 'succeeded' })
+        .sort({ index: -1 })
+        .limit(CHUNK_SIZE);
+      if (items.length === 0) break;
+
+      let rolledBack = 0;
+      for (const item of items) {
+        try {
+          await definition.rollback(item, operation.params);
+          item.status = 'rolled-back';
+          rolledBack++;
+        } catch (error) {
+          item.status = 'rollback-failed';
+          item.error = error.message;
+        }
+        await item.save();
+      }
+
+      const current = await BulkOperation.findByIdAndUpdate(
+        id,
+        { $inc: { rolledBack }, $set: { heartbeatAt: new Date() } },
+        { new: true }
+      );
+      this.publish(current);
+    }
+
+    const finished = await BulkOperation.findOneAndUpdate(
+      { _id: id, status: 'rolling-back' },
+      { $set: { status: 'rolled-back', rolledBackAt: new Date() } },
+      { new: true }
+    );
+    if (finished) {
+      logger.info(`Bulk ${finished.type} rolled back`, { category: 'bulk', operationId: id.toString(), rolledBack: finished.rolledBack });
+      this.publish(finished);
+    }
+  }
+
+  publish(operation) {
+    if (!webSocketService.io) return;
+    webSocketService.io.to(`user_${operation.createdBy}`).emit('bulk:progress', pickCounts(operation));
+  }
+
+  /**
+   * Items of an operation in input order, optionally only those with one status.
+   * @returns {Promise<{items: Object[], total: number}>}
+   */
+  async items(id, { status, page = 1, limit = 50 } = {}) {
+    await this.ensureExists(id);
+    const filter = status ? { operation: id, status } : { operation: id };
+
+    const [items, total] = await Promise.all([
+      BulkOperationItem.find(filter).sort({ index: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      BulkOperationItem.countDocuments(filter)
+    ]);
+    return { items, total };
+  }
+
+  // Resume operations whose instance stopped beating
+  async recover() {
+    const stale = await BulkOperation.find({
+      status: { $in: ACTIVE_STATUSES },
+      heartbeatAt: { $lt: new Date(Date.now() - STALE_MS) }
+    });
+
+    for (const operation of stale) {
+      if (this.active.has(operation._id.toString())) continue;
+
+      // Claim it, so only one instance resumes it
+      const claimed = await BulkOperation.findOneAndUpdate(
+        { _id: operation._id, heartbeatAt: operation.heartbeatAt },
+        { $set: { heartbeatAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      logger.warn('Resuming interrupted bulk operation', { category: 'bulk', operationId: claimed._id.toString(), status: claimed.status });
+      this.launch(claimed, claimed.status === 'rolling-back' ? 'undo' : 'execute');
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.recover().catch(error => logger.error('Bulk operation recovery error', { category: 'bulk', error }));
+    }, RECOVERY_INTERVAL_MS);
+    this.timer.unref();
+    this.recover().catch(error => logger.error('Bulk operation recovery error', { category: 'bulk', error }));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export shared instance
+const bulkOperations = new BulkOperationEngine();
+module.exports = bulkOperations;
+module.exports.BulkOperationEngine = BulkOperationEngine;
+module.exports.pickCounts = pickCounts;
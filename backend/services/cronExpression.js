@@ -0,0 +1,123 @@
+// Minimal five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in the server's local time. Fields accept `*`, numbers, ranges,
+// lists and steps (`*/15`, `1-5`, `0,30`, `10-50/10`); day-of-week 7 is Sunday.
+// As in standard cron, when both day fields are restricted a day matching either runs.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Never search further ahead than this for a matching minute
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const parseField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepSource === undefined ? start : max;
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: "${source}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+class CronExpression {
+  constructor(expression) {
+    const source = ALIASES[expression.trim()] || expression.trim();
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+    }
+
+    this.expression = expression;
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.add(0);
+    }
+    this.anyDayOfMonth = parts[2] === '*';
+    this.anyDayOfWeek = parts[4] === '*';
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.anyDayOfMonth) return dayOfWeek;
+    if (this.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * First matching minute strictly after the given time.
+   * @returns {Date}
+   */
+  next(after = new Date()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = date.getTime() + SEARCH_LIMIT_MS;
+
+    while (date.getTime() < limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression never matches: "${this.expression}"`);
+  }
+
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = CronExpression;
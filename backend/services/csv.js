@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV: fields may be quoted to hold commas, line breaks and
+// quotes (doubled). Used for bulk imports and operation reports.
+
+/**
+ * Parse CSV text into rows of strings. Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Values a spreadsheet would run as a formula are prefixed with a quote
+const escape = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const stringify = (rows) => rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parse, stringify };
@@ -0,0 +1,234 @@
+const nodemailer = require('nodemailer');
+
+// Channel adapters used by the notification delivery worker. Every adapter has
+// `send(message)` resolving to `{ messageId }` and rejects with a DeliveryError
+// whose `retryable` flag tells the worker whether to try again.
+
+class DeliveryError extends Error {
+  constructor(message, { retryable = true, code } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+    this.code = code;
+  }
+}
+
+// 429 and 5xx are worth retrying; other HTTP errors are not
+const httpError = (provider, response, detail) => new DeliveryError(
+  `${provider} responded ${response.status}${detail ? `: ${detail}` : ''}`,
+  { retryable: response.status === 429 || response.status >= 500, code: response.status }
+);
+
+// Network failures (DNS, reset, timeout) are transient
+const networkError = (provider, error) => new DeliveryError(`${provider} unreachable: ${error.message}`, { retryable: true });
+
+// Expo push service over HTTP: https://docs.expo.dev/push-notifications/sending-notifications/
+class ExpoPushAdapter {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || 'https://exp.host/--/api/v2/push';
+    this.accessToken = options.accessToken;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(path, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    };
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.endpoint}${path}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw networkError('Expo push', error);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw httpError('Expo push', response, payload.errors?.[0]?.message);
+    }
+    return payload;
+  }
+
+  /**
+   * Send one notification to each of the recipient's devices.
+   * @returns {Promise<{messageId: string, invalidTokens: string[]}>} ticket ids joined with commas
+   */
+  async send({ to, title, body, data, priority }) {
+    const messages = to.map(token => ({
+      to: token,
+      title,
+      body,
+      data,
+      sound: 'default',
+      priority: ['high', 'urgent'].includes(priority) ? 'high' : 'default'
+    }));
+
+    const { data: tickets = [] } = await this.request('/send', messages);
+    const accepted = tickets.filter(ticket => ticket.status === 'ok');
+    const invalidTokens = tickets
+      .map((ticket, index) => ticket.details?.error === 'DeviceNotRegistered' ? to[index] : null)
+      .filter(Boolean);
+
+    if (accepted.length === 0) {
+      const error = tickets[0] || {};
+      const deliveryError = new DeliveryError(error.message || 'Expo rejected every push ticket', {
+        retryable: error.details?.error === 'MessageRateExceeded',
+        code: error.details?.error
+      });
+      deliveryError.invalidTokens = invalidTokens;
+      throw deliveryError;
+    }
+
+    return { messageId: accepted.map(ticket => ticket.id).join(','), invalidTokens };
+  }
+
+  /**
+   * Look up push receipts for ticket ids.
+   * @returns {Promise<Object>} ticket id -> { status: 'ok'|'error', message, details }
+   */
+  async getReceipts(ids) {
+    const { data = {} } = await this.request('/getReceipts', { ids });
+    return data;
+  }
+}
+
+// Email over SMTP
+class SmtpEmailAdapter {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.transport = options.transport || nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure || false,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    try {
+      const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+      return { messageId: info.messageId };
+    } catch (error) {
+      // 5xx replies are permanent (bad mailbox, rejected); connection and 4xx errors are not
+      throw new DeliveryError(`SMTP: ${error.message}`, {
+        retryable: !(error.responseCode >= 500),
+        code: error.responseCode || error.code
+      });
+    }
+  }
+}
+
+// SMS through an HTTP gateway taking { token, from, to, text } (e.g. Sparrow SMS)
+class SmsGatewayAdapter {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.token = options.token;
+    this.sender = options.sender;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send({ to, text }) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: this.token, from: this.sender, to, text }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw networkError('SMS gateway', error);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw httpError('SMS gateway', response, payload.response || payload.message);
+    }
+
+    return { messageId: String(payload.message_id || payload.messageId || payload.id || '') || undefined };
+  }
+}
+
+// In-memory adapter for development and tests: records what was sent and can be
+// told to fail the next sends
+class FakeAdapter {
+  constructor(channel) {
+    this.channel = channel;
+    this.sent = [];
+    this.failures = [];
+    this.receipts = {};
+  }
+
+  failNext(error = new DeliveryError(`Fake ${this.channel} failure`)) {
+    this.failures.push(error);
+  }
+
+  async send(message) {
+    const failure = this.failures.shift();
+    if (failure) throw failure;
+
+    const messageId = `fake-${this.channel}-${this.sent.length + 1}`;
+    this.sent.push({ ...message, messageId });
+    return { messageId, invalidTokens: [] };
+  }
+
+  async getReceipts(ids) {
+    return Object.fromEntries(ids.map(id => [id, this.receipts[id] || { status: 'ok' }]));
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures = [];
+    this.receipts = {};
+  }
+}
+
+/**
+ * Build channel adapters from the environment. A channel without configuration
+ * gets a fake adapter outside production and no adapter in production.
+ */
+const createAdapters = (env = process.env) => {
+  const build = (channel, provider, configured, create) => {
+    if (provider === 'fake') return new FakeAdapter(channel);
+    if (!configured) return env.NODE_ENV === 'production' ? null : new FakeAdapter(channel);
+    return create();
+  };
+
+  return {
+    // Expo needs no configuration; the access token is only for projects that enforce it
+    push: build('push', env.PUSH_PROVIDER, true, () => new ExpoPushAdapter({
+      accessToken: env.EXPO_ACCESS_TOKEN
+    })),
+    email: build('email', env.EMAIL_PROVIDER, Boolean(env.SMTP_HOST), () => new SmtpEmailAdapter({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+      from: env.EMAIL_FROM || 'SafaCycle <no-reply@safacycle.com>'
+    })),
+    sms: build('sms', env.SMS_PROVIDER, Boolean(env.SMS_GATEWAY_URL), () => new SmsGatewayAdapter({
+      url: env.SMS_GATEWAY_URL,
+      token: env.SMS_GATEWAY_TOKEN,
+      sender: env.SMS_SENDER_ID || 'SafaCycle'
+    }))
+  };
+};
+
+module.exports = {
+  DeliveryError,
+  ExpoPushAdapter,
+  SmtpEmailAdapter,
+  SmsGatewayAdapter,
+  FakeAdapter,
+  createAdapters
+};
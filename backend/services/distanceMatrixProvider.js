@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+
+// Distance and travel-time lookups for routing and ETAs. Points are plain
+// { latitude, longitude } objects; distances are in km and durations in minutes.
+//
+// DISTANCE_PROVIDER=haversine (default) uses straight-line distance at an average speed.
+// DISTANCE_PROVIDER=road_graph loads ROAD_GRAPH_PATH, a JSON export of the OSM street network:
+//   {
+//     "nodes": [[nodeId, latitude, longitude], ...],
+//     "edges": [[fromNodeId, toNodeId, lengthMeters, speedKmh, oneway], ...]
+//   }
+// and runs Dijkstra over it.
+
+const EARTH_RADIUS = 6371; // km
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+// Straight-line distance between two coordinates in km
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS * c;
+};
+
+// Base class: subclasses implement computeLegs(); results are cached per coordinate pair
+class DistanceMatrixProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.maxCacheEntries = options.maxCacheEntries || 50000;
+    this.cache = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // ~1 m precision is plenty for cache keys
+  pointKey(point) {
+    return `${point.latitude.toFixed(5)},${point.longitude.toFixed(5)}`;
+  }
+
+  getCached(from, to) {
+    const key = `${this.pointKey(from)}|${this.pointKey(to)}`;
+    const cached = this.cache.get(key);
+
+    if (cached) {
+      this.hits++;
+      // Refresh recency so frequently used pairs survive eviction
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+    } else {
+      this.misses++;
+    }
+
+    return { key, cached };
+  }
+
+  setCached(key, leg) {
+    this.cache.set(key, leg);
+    if (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // Load what the provider needs before the first lookup; server.js calls it on start
+  async load() {}
+
+  // Compute uncached legs from one origin; subclasses override
+  async computeLegs(from, destinations) {
+    throw new Error(`${this.constructor.name} must implement computeLegs()`);
+  }
+
+  /**
+   * Distances and durations from one origin to many destinations.
+   * @returns {Promise<Array<{distance: number, duration: number}>>}
+   */
+  async getLegs(from, destinations) {
+    const legs = new Array(destinations.length);
+    const missing = [];
+
+    destinations.forEach((to, index) => {
+      const { key, cached } = this.getCached(from, to);
+      if (cached) {
+        legs[index] = cached;
+      } else {
+        missing.push({ index, key, to });
+      }
+    });
+
+    if (missing.length > 0) {
+      const computed = await this.computeLegs(from, missing.map(item => item.to));
+      missing.forEach((item, i) => {
+        legs[item.index] = computed[i];
+        this.setCached(item.key, computed[i]);
+      });
+    }
+
+    return legs;
+  }
+
+  async getRoute(from, to) {
+    const [leg] = await this.getLegs(from, [to]);
+    return leg;
+  }
+
+  /**
+   * Full matrix between every pair of points.
+   * @returns {Promise<{distances: number[][], durations: number[][]}>}
+   */
+  async getMatrix(points) {
+    const rows = [];
+    for (const from of points) {
+      rows.push(await this.getLegs(from, points));
+    }
+
+    return {
+      distances: rows.map(row => row.map(leg => leg.distance)),
+      durations: rows.map(row => row.map(leg => leg.duration))
+    };
+  }
+
+  getStats() {
+    return {
+      provider: this.name,
+      cacheEntries: this.cache.size,
+      cacheHits: this.hits,
+      cacheMisses: this.misses
+    };
+  }
+}
+
+class HaversineProvider extends DistanceMatrixProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'haversine';
+    this.averageSpeed = options.averageSpeed || 30; // km/h (2 minutes per km)
+  }
+
+  async computeLegs(from, destinations) {
+    return destinations.map(to => {
+      const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+      return { distance, duration: (distance / this.averageSpeed) * 60 };
+    });
+  }
+}
+
+// Binary min-heap keyed on travel time, used by Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, priority) {
+    const items = this.items;
+    items.push({ node, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class RoadGraphProvider extends DistanceMatrixProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'road_graph';
+    this.graphPath = options.graphPath;
+    this.accessSpeed = options.accessSpeed || 15; // km/h on the unmapped stretch to the nearest node
+    this.fallbackCircuity = options.fallbackCircuity || 1.4; // road/crow-flies ratio when no path exists
+    this.fallbackSpeed = options.fallbackSpeed || 20; // km/h used with the circuity fallback
+    this.cellSize = 0.01; // degrees per spatial index cell (~1 km)
+    this.graph = null;
+    this.loading = null;
+  }
+
+  load() {
+    return this.loadGraph();
+  }
+
+  // Read the graph file once without blocking other requests; a failed read is tried again
+  loadGraph() {
+    if (!this.loading) {
+      this.loading = this.readGraph().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  // Parse the graph file into adjacency lists
+  async readGraph() {
+    if (!this.graphPath) {
+      throw new Error('Road graph file not found: no graphPath given');
+    }
+
+    let text;
+    try {
+      text = await fs.promises.readFile(this.graphPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`Road graph file not found: ${this.graphPath}`);
+      throw error;
+    }
+
+    const raw = JSON.parse(text);
+    const indexById = new Map();
+    const latitudes = [];
+    const longitudes = [];
+
+    raw.nodes.forEach(([id, latitude, longitude]) => {
+      indexById.set(id, latitudes.length);
+      latitudes.push(latitude);
+      longitudes.push(longitude);
+    });
+
+    const adjacency = latitudes.map(() => []);
+    raw.edges.forEach(([fromId, toId, lengthMeters, speedKmh, oneway]) => {
+      const from = indexById.get(fromId);
+      const to = indexById.get(toId);
+      if (from === undefined || to === undefined) return;
+
+      const distance = lengthMeters / 1000;
+      const duration = (distance / (speedKmh || 30)) * 60;
+      adjacency[from].push({ to, distance, duration });
+      if (!oneway) {
+        adjacency[to].push({ to: from, distance, duration });
+      }
+    });
+
+    // Grid index for snapping coordinates to the closest node
+    const cells = new Map();
+    latitudes.forEach((latitude, index) => {
+      const key = this.cellKey(latitude, longitudes[index]);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(index);
+    });
+
+    this.graph = { latitudes, longitudes, adjacency, cells };
+    return this.graph;
+  }
+
+  cellKey(latitude, longitude) {
+    return `${Math.floor(latitude / this.cellSize)}:${Math.floor(longitude / this.cellSize)}`;
+  }
+
+  // Nearest graph node, searching outward ring by ring through the grid
+  snap(point) {
+    const { latitudes, longitudes, cells } = this.graph;
+    const row = Math.floor(point.latitude / this.cellSize);
+    const col = Math.floor(point.longitude / this.cellSize);
+    let best = null;
+
+    for (let ring = 0; ring <= 20; ring++) {
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          for (const index of cells.get(`${r}:${c}`) || []) {
+            const distance = haversineDistance(point.latitude, point.longitude, latitudes[index], longitudes[index]);
+            if (!best || distance < best.distance) {
+              best = { index, distance };
+            }
+          }
+        }
+      }
+      // Anything in a further ring is at least `ring` cells away
+      if (best && best.distance < ring * this.cellSize * 111) break;
+    }
+
+    return best;
+  }
+
+  // Shortest travel time from one node to a set of target nodes
+  dijkstra(source, targets) {
+    const { adjacency } = this.graph;
+    const durations = new Map([[source, 0]]);
+    const distances = new Map([[source, 0]]);
+    const remaining = new Set(targets);
+    const settled = new Set();
+    const heap = new MinHeap();
+    heap.push(source, 0);
+
+    while (heap.size > 0 && remaining.size > 0) {
+      const { node, priority } = heap.pop();
+      if (settled.has(node)) continue;
+      settled.add(node);
+      remaining.delete(node);
+
+      for (const edge of adjacency[node]) {
+        const duration = priority + edge.duration;
+        if (duration < (durations.get(edge.to) ?? Infinity)) {
+          durations.set(edge.to, duration);
+          distances.set(edge.to, distances.get(node) + edge.distance);
+          heap.push(edge.to, duration);
+        }
+      }
+    }
+
+    return { durations, distances };
+  }
+
+  async computeLegs(from, destinations) {
+    await this.loadGraph();
+
+    const origin = this.snap(from);
+    const snapped = destinations.map(to => this.snap(to));
+    const result = origin ?
+      this.dijkstra(origin.index, snapped.filter(Boolean).map(item => item.index)) :
+      { durations: new Map(), distances: new Map() };
+    const accessTime = (distance) => (distance / this.accessSpeed) * 60;
+
+    return destinations.map((to, i) => {
+      const target = snapped[i];
+      const pathDuration = target && result.durations.get(target.index);
+
+      if (pathDuration === undefined || pathDuration === null) {
+        const direct = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+        const distance = direct * this.fallbackCircuity;
+        return { distance, duration: (distance / this.fallbackSpeed) * 60, approximate: true };
+      }
+
+      return {
+        distance: origin.distance + result.distances.get(target.index) + target.distance,
+        duration: accessTime(origin.distance) + pathDuration + accessTime(target.distance)
+      };
+    });
+  }
+}
+
+// Build the provider selected by environment configuration
+const createDistanceProvider = (options = {}) => {
+  const type = options.type || process.env.DISTANCE_PROVIDER || 'haversine';
+
+  if (type === 'road_graph') {
+    return new RoadGraphProvider({
+      ...options,
+      graphPath: path.resolve(__dirname, '..', options.graphPath || process.env.ROAD_GRAPH_PATH || 'data/road-graph.json')
+    });
+  }
+
+  return new HaversineProvider({
+    ...options,
+    averageSpeed: options.averageSpeed || parseFloat(process.env.AVERAGE_SPEED_KMH) || undefined
+  });
+};
+
+// Export shared instance
+const distanceMatrixProvider = createDistanceProvider();
+module.exports = distanceMatrixProvider;
+module.exports.DistanceMatrixProvider = DistanceMatrixProvider;
+module.exports.HaversineProvider = HaversineProvider;
+module.exports.RoadGraphProvider = RoadGraphProvider;
+module.exports.createDistanceProvider = createDistanceProvider;
+module.exports.haversineDistance = haversineDistance;
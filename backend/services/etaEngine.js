@@ -0,0 +1,214 @@
+const CollectionRequest = require('../models/CollectionRequest');
+const Route = require('../models/Route');
+const RouteOptimizer = require('./routeOptimizer');
+const distanceMatrixProvider = require('./distanceMatrixProvider');
+
+// Live ETAs for every stop left on a driver's route. The remaining stops are
+// walked in route order from the driver's current position: road legs from the
+// distance provider, scaled to the speed the truck is actually making, plus the
+// service time each stop has historically taken and any wait for its window.
+class EtaEngine {
+  constructor(options = {}) {
+    this.distanceProvider = options.distanceProvider || distanceMatrixProvider;
+    // Only push an ETA when it moved at least this much since the last push
+    this.threshold = options.threshold || parseFloat(process.env.ETA_PUSH_THRESHOLD_MINUTES) || 3;
+    this.minInterval = options.minInterval || 30 * 1000; // ms between recomputations per driver
+    this.defaultServiceTime = options.defaultServiceTime || 10; // minutes
+    this.speedSmoothing = options.speedSmoothing || 0.3;
+    this.minMovingSpeed = 3; // km/h; slower fixes are treated as stationary
+    this.serviceTimeTtl = 60 * 60 * 1000; // ms to cache historical service times
+
+    this.observedSpeeds = new Map(); // driverId -> smoothed km/h
+    this.lastComputed = new Map(); // driverId -> timestamp
+    this.lastPushed = new Map(); // collectionId -> pushed ETA (ms)
+    this.serviceTimes = new Map(); // customerId -> { minutes, expiresAt }
+    this.timeWindows = new RouteOptimizer({ shiftStart: '00:00', shiftEnd: '23:59' });
+  }
+
+  // Exponential moving average of moving speed, so stops at lights don't collapse it
+  updateSpeed(driverId, speed) {
+    if (speed === null || speed === undefined || speed < this.minMovingSpeed) return;
+
+    const previous = this.observedSpeeds.get(driverId);
+    this.observedSpeeds.set(driverId, previous === undefined ?
+      speed :
+      previous + this.speedSmoothing * (speed - previous));
+  }
+
+  // Average dwell at each customer's pickup from past geofenced visits
+  async getServiceTimes(customerIds) {
+    const now = Date.now();
+    const missing = customerIds.filter(id => {
+      const cached = this.serviceTimes.get(id.toString());
+      return !cached || cached.expiresAt < now;
+    });
+
+    if (missing.length > 0) {
+      const history = await CollectionRequest.aggregate([
+        {
+          $match: {
+            customer: { $in: missing },
+            status: 'completed',
+            'geofence.dwellMinutes': { $gt: 0 }
+          }
+        },
+        { $sort: { completedAt: -1 } },
+        {
+          $group: {
+            _id: '$customer',
+            dwellMinutes: { $push: '$geofence.dwellMinutes' }
+          }
+        }
+      ]);
+
+      const averages = new Map(history.map(entry => {
+        const recent = entry.dwellMinutes.slice(0, 10);
+        return [entry._id.toString(), recent.reduce((sum, value) => sum + value, 0) / recent.length];
+      }));
+
+      missing.forEach(id => {
+        this.serviceTimes.set(id.toString(), {
+          minutes: averages.get(id.toString()) ?? this.defaultServiceTime,
+          expiresAt: now + this.serviceTimeTtl
+        });
+      });
+    }
+
+    return new Map(customerIds.map(id => [id.toString(), this.serviceTimes.get(id.toString()).minutes]));
+  }
+
+  // Today's unfinished collections for the driver, in the order they will be visited
+  async getRemainingStops(driverId) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date();
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const collections = await CollectionRequest.find({
+      assignedDriver: driverId,
+      status: { $in: ['assigned', 'in-progress'] },
+      requestedDate: { $gte: startOfDay, $lte: endOfDay },
+      'pickupLocation.coordinates': { $exists: true }
+    });
+
+    // Stops placed on a Route take that route's location order
+    const routeIds = [...new Set(collections
+      .filter(collection => collection.assignedRoute)
+      .map(collection => collection.assignedRoute.toString()))];
+    const routes = routeIds.length > 0 ? await Route.find({ _id: { $in: routeIds } }) : [];
+    const routeOrder = (collection) => {
+      const route = routes.find(item => item._id.equals(collection.assignedRoute));
+      const location = route && route.locations.find(item =>
+        item.customerInfo?.customerId && item.customerInfo.customerId.equals(collection.customer)
+      );
+      return location ? location.order : undefined;
+    };
+
+    const sortKey = (collection) => [
+      collection.status === 'in-progress' ? 0 : 1,
+      collection.routeStop?.order ?? routeOrder(collection) ?? Infinity,
+      this.timeWindows.getTimeWindow(collection).ready
+    ];
+
+    return collections
+      .map(collection => ({ collection, key: sortKey(collection) }))
+      .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.key[2] - b.key[2])
+      .map(item => item.collection);
+  }
+
+  /**
+   * ETAs for every remaining stop of a driver from their current position.
+   * @returns {Promise<Array<{collection, stopsAway: number, distanceAway: number, estimatedArrival: Date}>>}
+   */
+  async computeEtas(driverId, location, now = new Date()) {
+    const stops = await this.getRemainingStops(driverId);
+    if (stops.length === 0) return [];
+
+    const serviceTimes = await this.getServiceTimes(stops.map(stop => stop.customer));
+    const observedSpeed = this.observedSpeeds.get(driverId.toString());
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const etas = [];
+    let position = { latitude: location.latitude, longitude: location.longitude };
+    let time = now.getTime();
+    let distanceAway = 0;
+
+    for (const [index, collection] of stops.entries()) {
+      const [longitude, latitude] = collection.pickupLocation.coordinates;
+      const point = { latitude, longitude };
+      const serviceTime = serviceTimes.get(collection.customer.toString());
+      const arrivedAt = collection.geofence?.departedAt ? null : collection.geofence?.arrivedAt;
+
+      if (arrivedAt) {
+        // Already on site: only the rest of the service time remains
+        etas.push({ collection, stopsAway: index, distanceAway, estimatedArrival: new Date(arrivedAt) });
+        time = Math.max(time, arrivedAt.getTime() + serviceTime * 60000);
+        position = point;
+        continue;
+      }
+
+      const leg = await this.distanceProvider.getRoute(position, point);
+      const travelMinutes = observedSpeed ? (leg.distance / observedSpeed) * 60 : leg.duration;
+      distanceAway += leg.distance;
+      time += travelMinutes * 60000;
+
+      etas.push({ collection, stopsAway: index, distanceAway, estimatedArrival: new Date(time) });
+
+      // Wait for the pickup window to open before serving
+      const windowStart = startOfDay.getTime() + this.timeWindows.getTimeWindow(collection).ready * 60000;
+      time = Math.max(time, windowStart) + serviceTime * 60000;
+      position = point;
+    }
+
+    return etas;
+  }
+
+  /**
+   * Recompute a driver's ETAs, store them on the collections and return the ones
+   * that shifted by at least the threshold since they were last pushed.
+   */
+  async recompute(driverId, location) {
+    const now = Date.now();
+    if (now - (this.lastComputed.get(driverId) || 0) < this.minInterval) return [];
+    this.lastComputed.set(driverId, now);
+
+    const etas = await this.computeEtas(driverId, location);
+    if (etas.length === 0) return [];
+
+    await CollectionRequest.bulkWrite(etas.map(eta => ({
+      updateOne: {
+        filter: { _id: eta.collection._id },
+        update: {
+          $set: {
+            'routeStop.estimatedArrival': eta.estimatedArrival,
+            'routeStop.etaUpdatedAt': new Date(now)
+          }
+        }
+      }
+    })));
+
+    return etas.filter(eta => {
+      const id = eta.collection._id.toString();
+      const previous = this.lastPushed.get(id);
+      const shifted = previous === undefined ||
+        Math.abs(eta.estimatedArrival.getTime() - previous) >= this.threshold * 60000;
+
+      if (shifted) {
+        eta.previousEstimate = previous === undefined ? null : new Date(previous);
+        this.lastPushed.set(id, eta.estimatedArrival.getTime());
+      }
+      return shifted;
+    });
+  }
+
+  // Forget pushed ETAs once a collection leaves the route
+  clear(collectionId) {
+    this.lastPushed.delete(collectionId.toString());
+  }
+}
+
+// Export shared instance
+const etaEngine = new EtaEngine();
+module.exports = etaEngine;
+module.exports.EtaEngine = EtaEngine;
@@ -0,0 +1,85 @@
+const CollectionRequest = require('../models/CollectionRequest');
+const { haversineDistance } = require('./distanceMatrixProvider');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+// Server-side geofencing of pickup locations. Every driver GPS fix is checked
+// against the pickup points of that driver's active collections: entering the
+// radius records an arrival (and starts the collection), leaving the wider exit
+// radius records a departure with the dwell time. Visit state lives on the
+// CollectionRequest itself, so nothing is lost when the server restarts.
+class GeofenceService {
+  constructor(options = {}) {
+    this.radius = options.radius || parseFloat(process.env.GEOFENCE_RADIUS_METERS) || 50;
+    // Larger exit radius so GPS jitter at the edge doesn't flap arrived/departed
+    this.exitRadius = options.exitRadius || parseFloat(process.env.GEOFENCE_EXIT_RADIUS_METERS) || this.radius * 1.5;
+    // Fixes less accurate than this are ignored
+    this.maxAccuracy = options.maxAccuracy || 100;
+  }
+
+  // Active collections near the fix, plus any the driver is currently inside
+  findCandidates(driverId, location) {
+    return CollectionRequest.find({
+      assignedDriver: driverId,
+      status: { $in: ['assigned', 'in-progress'] },
+      $or: [
+        {
+          pickupLocation: {
+            $geoWithin: {
+              $centerSphere: [[location.longitude, location.latitude], this.exitRadius / EARTH_RADIUS_METERS]
+            }
+          }
+        },
+        {
+          'geofence.arrivedAt': { $exists: true },
+          'geofence.departedAt': { $exists: false }
+        }
+      ]
+    });
+  }
+
+  /**
+   * Check a driver's fix against their pickup geofences and persist any transitions.
+   * @returns {Promise<Array<{type: 'arrived'|'departed', collection: Object, distance: number, timestamp: Date}>>}
+   */
+  async checkLocation(driverId, location) {
+    if (location.accuracy && location.accuracy > this.maxAccuracy) {
+      return [];
+    }
+
+    const timestamp = location.timestamp || new Date();
+    const collections = await this.findCandidates(driverId, location);
+    const events = [];
+
+    for (const collection of collections) {
+      const [longitude, latitude] = collection.pickupLocation.coordinates;
+      const distance = haversineDistance(location.latitude, location.longitude, latitude, longitude) * 1000;
+      const visit = collection.geofence || {};
+      const inside = Boolean(visit.arrivedAt) && !visit.departedAt;
+
+      if (!visit.arrivedAt && distance <= this.radius) {
+        collection.geofence = {
+          arrivedAt: timestamp,
+          autoStarted: collection.status === 'assigned'
+        };
+        if (collection.status === 'assigned') {
+          collection.status = 'in-progress';
+        }
+        await collection.save();
+        events.push({ type: 'arrived', collection, distance, timestamp });
+      } else if (inside && distance > this.exitRadius) {
+        collection.geofence.departedAt = timestamp;
+        collection.geofence.dwellMinutes = Math.round((timestamp - visit.arrivedAt) / 60000);
+        await collection.save();
+        events.push({ type: 'departed', collection, distance, timestamp });
+      }
+    }
+
+    return events;
+  }
+}
+
+// Export shared instance
+const geofenceService = new GeofenceService();
+module.exports = geofenceService;
+module.exports.GeofenceService = GeofenceService;
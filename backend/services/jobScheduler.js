@@ -0,0 +1,274 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const CronExpression = require('./cronExpression');
+const logger = require('./logger');
+
+// In-process background job scheduler backed by MongoDB. Job state and a run
+// history live in the database; each instance polls for due jobs and takes a
+// lease on a job before running it, so several server instances can run the
+// scheduler without a job running twice. Failed runs are retried with
+// exponential backoff before the job falls back to its regular schedule.
+class JobScheduler {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.jobs = new Map(); // name -> definition
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job. The handler receives { run, attempt, trigger } and may return
+   * a small summary object, which is stored on the run.
+   */
+  register(name, { schedule, description, handler, maxAttempts = 3, backoffSeconds = 60, lockSeconds = 10 * 60 }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description,
+      handler,
+      maxAttempts,
+      backoffSeconds,
+      lockSeconds,
+      schedule,
+      cron: new CronExpression(schedule)
+    });
+  }
+
+  getDefinition(name) {
+    const definition = this.jobs.get(name);
+    if (!definition) {
+      const error = new Error(`Job "${name}" not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return definition;
+  }
+
+  // Create job documents for new definitions and reschedule ones whose cron changed
+  async sync() {
+    const now = new Date();
+
+    for (const definition of this.jobs.values()) {
+      const existing = await ScheduledJob.findOne({ name: definition.name });
+      const update = {
+        description: definition.description,
+        schedule: definition.schedule,
+        maxAttempts: definition.maxAttempts
+      };
+
+      if (!existing || existing.schedule !== definition.schedule) {
+        update.nextRunAt = definition.cron.next(now);
+        update.attempt = 0;
+      }
+
+      await ScheduledJob.updateOne({ name: definition.name }, { $set: update }, { upsert: true });
+    }
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    await this.sync();
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    console.log(`⏰ Job scheduler started with ${this.jobs.size} jobs`);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run every job that is due; overlapping polls are skipped
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const definition of this.jobs.values()) {
+        const job = await this.acquire(definition, {
+          enabled: true,
+          nextRunAt: { $lte: new Date() }
+        });
+
+        if (job) {
+          await this.execute(definition, job, job.attempt > 0 ? 'retry' : 'schedule');
+        }
+      }
+    } catch (error) {
+      console.error('Job scheduler tick error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Take the job's lease if no other instance holds it
+  acquire(definition, filter = {}) {
+    const now = new Date();
+
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: definition.name,
+        ...filter,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + definition.lockSeconds * 1000),
+          lastStatus: 'running'
+        }
+      },
+      { new: true }
+    );
+  }
+
+  async execute(definition, job, trigger, triggeredBy = null) {
+    const run = await this.createRun(definition, job, trigger, triggeredBy);
+    await this.perform(definition, run);
+    return run;
+  }
+
+  createRun(definition, job, trigger, triggeredBy = null) {
+    return JobRun.create({
+      job: definition.name,
+      trigger,
+      triggeredBy,
+      attempt: trigger === 'manual' ? 1 : job.attempt + 1,
+      instance: this.instanceId
+    });
+  }
+
+  // Run the handler for a recorded run, then release the lease and reschedule.
+  // Everything the handler logs is tagged with the job and run.
+  perform(definition, run) {
+    return logger.withContext(
+      { category: 'jobs', job: definition.name, runId: run._id.toString() },
+      () => this.performRun(definition, run)
+    );
+  }
+
+  async performRun(definition, run) {
+    const { attempt, trigger } = run;
+
+    // Keep extending the lease while a long job is still running
+    const heartbeat = setInterval(() => {
+      ScheduledJob.updateOne(
+        { name: definition.name, lockedBy: this.instanceId },
+        { $set: { lockedUntil: new Date(Date.now() + definition.lockSeconds * 1000) } }
+      ).catch(error => console.error(`Job ${definition.name} heartbeat error:`, error));
+    }, definition.lockSeconds * 1000 / 2);
+
+    let result;
+    let error;
+    try {
+      result = await definition.handler({ run, attempt, trigger });
+    } catch (err) {
+      error = err;
+      console.error(`Job ${definition.name} error:`, err);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    const status = error ? 'failed' : 'succeeded';
+    const duration = finishedAt - run.startedAt;
+
+    run.status = status;
+    run.finishedAt = finishedAt;
+    run.duration = duration;
+    run.result = result;
+    run.error = error ? error.message : undefined;
+    await run.save();
+
+    const update = {
+      lastRunAt: run.startedAt,
+      lastFinishedAt: finishedAt,
+      lastStatus: status,
+      lastDuration: duration,
+      lastError: error ? error.message : null,
+      lockedBy: null,
+      lockedUntil: null
+    };
+
+    // Manual runs leave the schedule alone
+    if (trigger !== 'manual') {
+      if (error && attempt < definition.maxAttempts) {
+        update.attempt = attempt;
+        update.nextRunAt = new Date(finishedAt.getTime() + definition.backoffSeconds * 1000 * 2 ** (attempt - 1));
+      } else {
+        update.attempt = 0;
+        update.nextRunAt = definition.cron.next(finishedAt);
+      }
+    }
+
+    await ScheduledJob.updateOne({ name: definition.name, lockedBy: this.instanceId }, { $set: update });
+  }
+
+  /**
+   * Run a job now, regardless of its schedule or pause state.
+   * @returns {Promise<Object>} the started JobRun; the job keeps running in the background
+   */
+  async trigger(name, triggeredBy = null) {
+    const definition = this.getDefinition(name);
+    const job = await this.acquire(definition);
+
+    if (!job) {
+      const error = new Error(`Job "${name}" is already running`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const run = await this.createRun(definition, job, 'manual', triggeredBy);
+    this.perform(definition, run)
+      .catch(error => console.error(`Job ${name} manual run error:`, error));
+
+    return run;
+  }
+
+  async pause(name, userId = null) {
+    this.getDefinition(name);
+
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { enabled: false, pausedAt: new Date(), pausedBy: userId } },
+      { new: true }
+    );
+  }
+
+  async resume(name) {
+    const definition = this.getDefinition(name);
+
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      {
+        $set: { enabled: true, attempt: 0, nextRunAt: definition.cron.next(new Date()) },
+        $unset: { pausedAt: 1, pausedBy: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Jobs with their stored state, in registration order
+  async list() {
+    const jobs = await ScheduledJob.find({ name: { $in: [...this.jobs.keys()] } });
+    const byName = new Map(jobs.map(job => [job.name, job]));
+
+    return [...this.jobs.keys()]
+      .filter(name => byName.has(name))
+      .map(name => byName.get(name));
+  }
+}
+
+// Export shared instance
+const jobScheduler = new JobScheduler();
+module.exports = jobScheduler;
+module.exports.JobScheduler = JobScheduler;
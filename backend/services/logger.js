@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// console method -> level, for captureConsole
+const CONSOLE_LEVELS = { error: 'error', warn: 'warn', info: 'info', log: 'info', debug: 'debug' };
+
+const serializeError = (error) => ({
+  message: error.message,
+  name: error.name,
+  code: error.code,
+  stack: error.stack
+});
+
+// Context values are logged as they are, except errors which don't survive JSON.stringify
+const serializeContext = (context) => Object.fromEntries(
+  Object.entries(context)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+);
+
+// Structured JSON logger. Every entry is one line of JSON written to stdout and to a
+// local log file that rotates by size; entries logged while handling a request or
+// socket event carry that request's id and category through AsyncLocalStorage.
+class Logger {
+  constructor(options = {}) {
+    const development = process.env.NODE_ENV === 'development';
+
+    this.level = options.level || process.env.LOG_LEVEL || (development ? 'debug' : 'info');
+    this.format = options.format || process.env.LOG_FORMAT || (development ? 'pretty' : 'json');
+    this.dir = options.dir || process.env.LOG_DIR || path.join(__dirname, '..', 'logs');
+    this.maxBytes = options.maxBytes || parseInt(process.env.LOG_MAX_BYTES) || 5 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || parseInt(process.env.LOG_MAX_FILES) || 5;
+    this.fileEnabled = options.file ?? process.env.LOG_TO_FILE !== 'false';
+
+    this.storage = new AsyncLocalStorage();
+    this.fd = null;
+    this.size = 0;
+    this.console = null;
+  }
+
+  get file() {
+    return path.join(this.dir, 'app.log');
+  }
+
+  // app.log, app.1.log, ... newest first
+  files() {
+    return [this.file, ...Array.from({ length: this.maxFiles - 1 }, (_, i) => path.join(this.dir, `app.${i + 1}.log`))];
+  }
+
+  /**
+   * Run fn with context added to every entry logged from it, including from callbacks
+   * and promises it starts. Nested calls add to the outer context.
+   */
+  withContext(context, fn) {
+    return this.storage.run({ ...this.context(), ...context }, fn);
+  }
+
+  context() {
+    return this.storage.getStore() || {};
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= (LEVELS[this.level] ?? LEVELS.info);
+  }
+
+  /**
+   * @param {'error'|'warn'|'info'|'debug'} level
+   * @param {string} message
+   * @param {Object} [context] extra fields; `category` overrides the request's category
+   */
+  log(level, message, context = {}) {
+    if (!this.enabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      category: 'app',
+      ...this.context(),
+      message,
+      ...serializeContext(context)
+    };
+
+    const line = JSON.stringify(entry);
+    this.writeStdout(entry, line);
+    this.writeFile(line);
+  }
+
+  error(message, context) { this.log('error', message, context); }
+  warn(message, context) { this.log('warn', message, context); }
+  info(message, context) { this.log('info', message, context); }
+  debug(message, context) { this.log('debug', message, context); }
+
+  // Logger bound to a category, e.g. logger.child('jobs').info('Started')
+  child(category) {
+    return Object.fromEntries(Object.keys(LEVELS).map(level =>
+      [level, (message, context = {}) => this.log(level, message, { category, ...context })]));
+  }
+
+  writeStdout(entry, line) {
+    const stream = LEVELS[entry.level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.format !== 'pretty') {
+      stream.write(`${line}\n`);
+      return;
+    }
+
+    const { time, level, category, message, stack, error, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : '';
+    const trace = (error && error.stack) || stack;
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${category}] ${message}${extra}${trace ? `\n${trace}` : ''}\n`);
+  }
+
+  // Appends synchronously so entries are in order and survive a crash right after them
+  writeFile(line) {
+    if (!this.fileEnabled) return;
+
+    try {
+      if (this.fd === null) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.fd = fs.openSync(this.file, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+      }
+
+      const data = `${line}\n`;
+      if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxBytes) {
+        this.rotate();
+      }
+
+      fs.writeSync(this.fd, data);
+      this.size += Buffer.byteLength(data);
+    } catch (error) {
+      // Keep logging to stdout if the disk is unavailable
+      this.fileEnabled = false;
+      process.stderr.write(`Log file disabled: ${error.message}\n`);
+    }
+  }
+
+  // app.log -> app.1.log -> app.2.log ..., dropping the oldest
+  rotate() {
+    fs.closeSync(this.fd);
+
+    const files = this.files();
+    for (let i = files.length - 1; i > 0; i--) {
+      if (fs.existsSync(files[i - 1])) {
+        fs.renameSync(files[i - 1], files[i]);
+      }
+    }
+
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = 0;
+  }
+
+  /**
+   * Route console.* through the logger, so existing console.error('X error:', error)
+   * calls become error entries tagged with the current request.
+   */
+  captureConsole() {
+    if (this.console) return;
+    this.console = {};
+
+    Object.entries(CONSOLE_LEVELS).forEach(([method, level]) => {
+      this.console[method] = console[method];
+      console[method] = (...args) => {
+        const errorArg = args.find(arg => arg instanceof Error);
+        const message = util.format(...args.filter(arg => arg !== errorArg)).trim().replace(/:$/, '');
+        this.log(level, message || (errorArg && errorArg.message) || '', errorArg ? { error: errorArg } : {});
+      };
+    });
+  }
+
+  restoreConsole() {
+    if (!this.console) return;
+    Object.assign(console, this.console);
+    this.console = null;
+  }
+
+  /**
+   * Search the local log store, newest entries first.
+   * @param {Object} filters
+   * @param {string} [filters.level] this level and more severe ones
+   * @param {string} [filters.category]
+   * @param {string} [filters.q] case-insensitive text to find in the message or context
+   * @param {string} [filters.requestId]
+   * @param {Date} [filters.from]
+   * @param {Date} [filters.to]
+   * @param {Date} [filters.before] exclusive; pass the time of the last entry to page back
+   * @param {number} [filters.limit=100]
+   * @returns {Promise<{entries: Object[], hasMore: boolean}>}
+   */
+  async query({ level, category, q, requestId, from, to, before, limit = 100 } = {}) {
+    const search = q ? q.toLowerCase() : null;
+    const matches = (entry) =>
+      (!level || LEVELS[entry.level] <= LEVELS[level]) &&
+      (!category || entry.category === category) &&
+      (!requestId || entry.requestId === requestId) &&
+      (!from || new Date(entry.time) >= from) &&
+      (!to || new Date(entry.time) <= to) &&
+      (!before || new Date(entry.time) < before);
+
+    const entries = [];
+    for (const file of this.files()) {
+      let content;
+      try {
+        content = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        if (search && !lines[i].toLowerCase().includes(search)) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue; // partly written line
+        }
+
+        if (!matches(entry)) continue;
+        if (entries.length === limit) {
+          return { entries, hasMore: true };
+        }
+        entries.push(entry);
+      }
+    }
+
+    return { entries, hasMore: false };
+  }
+}
+
+// Export shared instance
+const logger = new Logger();
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
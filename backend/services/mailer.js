@@ -0,0 +1,133 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transactional email. MAIL_TRANSPORT picks the transport:
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASSWORD
+//   file    - writes each message as an .eml file to MAIL_OUTBOX_DIR (default tmp/mail)
+//   console - prints the text part to the server log
+// Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set and the file outbox otherwise.
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+// Account emails per language; links are built from FRONTEND_URL
+const MESSAGES = {
+  en: {
+    verify: {
+      subject: 'Verify your SafaCycle email address',
+      intro: (name) => `Hi ${name},`,
+      body: 'Please confirm your email address to finish setting up your SafaCycle account.',
+      action: 'Verify email',
+      expiry: 'This link expires in 24 hours.'
+    },
+    reset: {
+      subject: 'Reset your SafaCycle password',
+      intro: (name) => `Hi ${name},`,
+      body: 'We received a request to reset your password.',
+      action: 'Reset password',
+      expiry: "This link expires in 10 minutes. If you didn't ask for this, you can ignore this email."
+    }
+  },
+  ne: {
+    verify: {
+      subject: 'आफ्नो SafaCycle इमेल ठेगाना प्रमाणित गर्नुहोस्',
+      intro: (name) => `नमस्ते ${name},`,
+      body: 'आफ्नो SafaCycle खाता सेटअप पूरा गर्न कृपया इमेल ठेगाना पुष्टि गर्नुहोस्।',
+      action: 'इमेल प्रमाणित गर्नुहोस्',
+      expiry: 'यो लिङ्क २४ घण्टामा समाप्त हुन्छ।'
+    },
+    reset: {
+      subject: 'आफ्नो SafaCycle पासवर्ड रिसेट गर्नुहोस्',
+      intro: (name) => `नमस्ते ${name},`,
+      body: 'तपाईंको पासवर्ड रिसेट गर्ने अनुरोध प्राप्त भयो।',
+      action: 'पासवर्ड रिसेट गर्नुहोस्',
+      expiry: 'यो लिङ्क १० मिनेटमा समाप्त हुन्छ। तपाईंले अनुरोध गर्नुभएको होइन भने यो इमेल बेवास्ता गर्नुहोस्।'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class Mailer {
+  constructor(env = process.env) {
+    this.from = env.EMAIL_FROM || 'SafaCycle <no-reply@safacycle.com>';
+    this.frontendUrl = env.FRONTEND_URL || 'http://localhost:3000';
+    this.outboxDir = path.resolve(__dirname, '..', env.MAIL_OUTBOX_DIR || 'tmp/mail');
+    this.transportName = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+
+    if (!env.MAIL_TRANSPORT && !env.SMTP_HOST && env.NODE_ENV === 'production') {
+      console.warn('⚠️ SMTP_HOST is not set; emails are only written to the outbox directory');
+    }
+
+    if (!TRANSPORTS.includes(this.transportName)) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${this.transportName}"; expected ${TRANSPORTS.join(', ')}`);
+    }
+
+    this.transport = this.transportName === 'smtp' ?
+      nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+      }) :
+      // Render the full message without sending it
+      nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  /**
+   * Send one email.
+   * @returns {Promise<{messageId: string, file?: string}>}
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+
+    if (this.transportName === 'file') {
+      await fs.mkdir(this.outboxDir, { recursive: true });
+      const file = path.join(this.outboxDir, `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.eml`);
+      await fs.writeFile(file, info.message);
+      console.log(`📧 Email to ${to} written to ${file}`);
+      return { messageId: info.messageId, file };
+    }
+
+    if (this.transportName === 'console') {
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  // Plain and HTML versions of a one-button account email
+  buildActionEmail(user, kind, url) {
+    const language = MESSAGES[user.preferences?.language] ? user.preferences.language : 'en';
+    const message = MESSAGES[language][kind];
+
+    return {
+      to: user.email,
+      subject: message.subject,
+      text: [message.intro(user.name), '', message.body, '', `${message.action}: ${url}`, '', message.expiry].join('\n'),
+      html: [
+        `<p>${escapeHtml(message.intro(user.name))}</p>`,
+        `<p>${escapeHtml(message.body)}</p>`,
+        `<p><a href="${escapeHtml(url)}">${escapeHtml(message.action)}</a></p>`,
+        `<p style="color:#666">${escapeHtml(message.expiry)}</p>`
+      ].join('\n')
+    };
+  }
+
+  sendVerificationEmail(user, token) {
+    return this.send(this.buildActionEmail(user, 'verify', `${this.frontendUrl}/verify-email/${token}`));
+  }
+
+  sendPasswordResetEmail(user, token) {
+    return this.send(this.buildActionEmail(user, 'reset', `${this.frontendUrl}/reset-password/${token}`));
+  }
+}
+
+// Export shared instance
+const mailer = new Mailer();
+module.exports = mailer;
+module.exports.Mailer = Mailer;
@@ -0,0 +1,187 @@
+const EventEmitter = require('events');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const User = require('../models/User');
+const systemSettings = require('./systemSettings');
+const notificationService = require('./notificationService');
+const logger = require('./logger');
+
+// Windows scheduled on other instances are picked up within this time
+const REFRESH_INTERVAL_MS = parseInt(process.env.MAINTENANCE_REFRESH_MS) || 30 * 1000;
+
+// Retry-After for maintenance switched on by hand, which has no planned end
+const MANUAL_RETRY_AFTER_SECONDS = 5 * 60;
+
+// setTimeout's limit; later boundaries are re-armed on the next refresh
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const NOTICE_BATCH_SIZE = 500;
+
+const publicWindow = (window) => window && {
+  id: window._id.toString(),
+  title: window.title,
+  message: window.message,
+  startsAt: window.startsAt,
+  endsAt: window.endsAt
+};
+
+// Tracks scheduled maintenance windows and the general.maintenanceMode setting.
+// Emits 'change' with the public status whenever maintenance starts, ends or the
+// next window changes, so connected clients can show a banner.
+class MaintenanceService extends EventEmitter {
+  constructor() {
+    super();
+    this.windows = []; // open and upcoming windows, by start time
+    this.refreshTimer = null;
+    this.boundaryTimer = null;
+    this.lastStatus = null;
+
+    // Maintenance switched on or off from system settings
+    systemSettings.on('change', (key) => {
+      if (key === 'general.maintenanceMode' || key === 'general.maintenanceMessage') {
+        this.evaluate();
+      }
+    });
+  }
+
+  activeWindow(now = new Date()) {
+    return this.windows.find(window => window.startsAt <= now && window.endsAt > now) || null;
+  }
+
+  nextWindow(now = new Date()) {
+    return this.windows.find(window => window.startsAt > now) || null;
+  }
+
+  /**
+   * Whether the API is in maintenance right now, and until when.
+   * @returns {{active: boolean, manual: boolean, message: string, window: Object|null,
+   *   endsAt: Date|null, retryAfter: number|null, upcoming: Object|null}}
+   */
+  status(now = new Date()) {
+    const manual = systemSettings.get('general.maintenanceMode');
+    const window = this.activeWindow(now);
+    const active = manual || Boolean(window);
+
+    let retryAfter = null;
+    if (window) {
+      retryAfter = Math.max(1, Math.ceil((window.endsAt - now) / 1000));
+    } else if (manual) {
+      retryAfter = MANUAL_RETRY_AFTER_SECONDS;
+    }
+
+    return {
+      active,
+      manual,
+      message: (window && window.message) || systemSettings.get('general.maintenanceMessage'),
+      window: publicWindow(window),
+      endsAt: window && !manual ? window.endsAt : null,
+      retryAfter,
+      upcoming: publicWindow(this.nextWindow(now))
+    };
+  }
+
+  async load() {
+    this.windows = await MaintenanceWindow.find({
+      cancelledAt: null,
+      endsAt: { $gt: new Date() }
+    }).sort({ startsAt: 1 }).lean();
+    this.evaluate();
+  }
+
+  async start() {
+    await this.load();
+
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.load().catch(error => logger.error('Maintenance window refresh error', { category: 'system', error }));
+      }, REFRESH_INTERVAL_MS);
+      this.refreshTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    clearTimeout(this.boundaryTimer);
+    this.refreshTimer = null;
+    this.boundaryTimer = null;
+  }
+
+  // Emit 'change' if the status differs from the last one, then wake up again at the
+  // next window start or end
+  evaluate() {
+    const now = new Date();
+    const status = this.status(now);
+    const { retryAfter, ...comparable } = status;
+
+    if (JSON.stringify(comparable) !== JSON.stringify(this.lastStatus)) {
+      const started = status.active && !(this.lastStatus && this.lastStatus.active);
+      const ended = !status.active && this.lastStatus && this.lastStatus.active;
+      this.lastStatus = comparable;
+
+      if (started) logger.warn('Maintenance started', { category: 'system', window: status.window, manual: status.manual });
+      if (ended) logger.info('Maintenance ended', { category: 'system' });
+      this.emit('change', status);
+    }
+
+    const boundaries = this.windows
+      .flatMap(window => [window.startsAt, window.endsAt])
+      .map(date => new Date(date) - now)
+      .filter(delay => delay > 0);
+
+    clearTimeout(this.boundaryTimer);
+    this.boundaryTimer = null;
+    if (boundaries.length > 0) {
+      this.boundaryTimer = setTimeout(() => this.evaluate(), Math.min(Math.min(...boundaries) + 100, MAX_TIMER_MS));
+      this.boundaryTimer.unref();
+    }
+  }
+
+  /**
+   * Send the system_maintenance notification to every active customer for windows
+   * starting within their notice period. Each window is claimed first, so it is
+   * announced once even with several scheduler instances.
+   * @returns {Promise<{windows: number, notified: number}>}
+   */
+  async sendNotices(now = new Date()) {
+    const due = await MaintenanceWindow.find({
+      notifyCustomers: true,
+      noticeSentAt: null,
+      cancelledAt: null,
+      startsAt: { $gt: now }
+    }).lean();
+
+    let windows = 0;
+    let notified = 0;
+
+    for (const window of due.filter(window => window.startsAt - now <= window.noticeHours * 60 * 60 * 1000)) {
+      const claimed = await MaintenanceWindow.findOneAndUpdate(
+        { _id: window._id, noticeSentAt: null },
+        { $set: { noticeSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      const variables = { date: window.startsAt, startTime: window.startsAt, endTime: window.endsAt };
+      const options = { data: { maintenanceWindow: window._id.toString() }, expiresAt: window.endsAt };
+
+      let batch = [];
+      const cursor = User.find({ role: 'customer', status: 'active', isDeleted: false }).select('_id').lean().cursor();
+      for await (const customer of cursor) {
+        batch.push(customer._id);
+        if (batch.length === NOTICE_BATCH_SIZE) {
+          notified += (await notificationService.createBulkNotifications(notificationService.types.SYSTEM_MAINTENANCE, batch, variables, options)).length;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        notified += (await notificationService.createBulkNotifications(notificationService.types.SYSTEM_MAINTENANCE, batch, variables, options)).length;
+      }
+      windows++;
+    }
+
+    return { windows, notified };
+  }
+}
+
+// Export shared instance
+const maintenanceService = new MaintenanceService();
+module.exports = maintenanceService;
+module.exports.MaintenanceService = MaintenanceService;
@@ -0,0 +1,267 @@
+// A small subset of ICU MessageFormat for notification templates:
+//   {name}                                 plain value
+//   {count, number} / {ratio, number, percent} / {bags, number, integer}
+//   {amount, currency}                     Nepalese rupees
+//   {date, date} / {date, date, long}      date styles: short, medium, long, full
+//   {start, time}                          time styles: short, medium
+//   {count, plural, =0 {no bags} one {# bag} other {# bags}}
+//   {role, select, driver {...} other {...}}
+// Inside plural branches `#` is the formatted count. Numbers and dates follow the
+// locale (Nepali uses Devanagari digits); dates are shown in the given time zone.
+
+const SUPPORTED_LOCALES = ['en', 'ne'];
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_TIME_ZONE = 'Asia/Kathmandu';
+const CURRENCY = 'NPR';
+
+// Intl locale per template locale; en-IN groups digits in lakhs as used in Nepal
+const INTL_LOCALES = {
+  en: 'en-IN',
+  ne: 'ne-NP'
+};
+
+const ARGUMENT_TYPES = ['number', 'currency', 'date', 'time', 'plural', 'select'];
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+class TemplateSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'TemplateSyntaxError';
+    this.position = position;
+  }
+}
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isSpace = (ch) => /\s/.test(ch);
+
+const skipSpace = (source, pos) => {
+  while (pos < source.length && isSpace(source[pos])) pos++;
+  return pos;
+};
+
+// Read up to (not including) the next `,` or `}`
+const readToken = (source, pos) => {
+  let end = pos;
+  while (end < source.length && source[end] !== ',' && source[end] !== '}') end++;
+  return { token: source.slice(pos, end).trim(), pos: end };
+};
+
+// Parse `=0 {...} one {...} other {...}` up to the closing brace of the argument
+const parseBranches = (source, pos, plural) => {
+  const branches = {};
+
+  for (;;) {
+    pos = skipSpace(source, pos);
+    if (pos >= source.length) throw new TemplateSyntaxError('Unterminated argument', pos);
+    if (source[pos] === '}') break;
+
+    const start = pos;
+    while (pos < source.length && !isSpace(source[pos]) && source[pos] !== '{') pos++;
+    const key = source.slice(start, pos);
+    pos = skipSpace(source, pos);
+
+    if (!key || source[pos] !== '{') {
+      throw new TemplateSyntaxError(`Expected "{" after "${key}"`, pos);
+    }
+
+    const branch = parseMessage(source, pos + 1, plural, true);
+    branches[key] = branch.nodes;
+    pos = branch.pos + 1;
+  }
+
+  if (!branches.other) {
+    throw new TemplateSyntaxError('Missing "other" branch', pos);
+  }
+
+  return { branches, pos };
+};
+
+// Parse the inside of `{...}` starting just after the opening brace
+const parseArgument = (source, pos) => {
+  const start = pos;
+  let read = readToken(source, pos);
+  const name = read.token;
+
+  if (!/^\w+$/.test(name)) {
+    throw new TemplateSyntaxError(`Invalid variable name "${name}"`, start);
+  }
+  if (read.pos >= source.length) throw new TemplateSyntaxError('Unterminated argument', start);
+  if (source[read.pos] === '}') return { node: { name }, pos: read.pos + 1 };
+
+  read = readToken(source, read.pos + 1);
+  const type = read.token;
+  if (!ARGUMENT_TYPES.includes(type)) {
+    throw new TemplateSyntaxError(`Unknown argument type "${type}"`, start);
+  }
+  if (read.pos >= source.length) throw new TemplateSyntaxError('Unterminated argument', start);
+
+  if (type === 'plural' || type === 'select') {
+    if (source[read.pos] !== ',') throw new TemplateSyntaxError(`Missing ${type} branches`, read.pos);
+    const parsed = parseBranches(source, read.pos + 1, type === 'plural');
+    return { node: { name, type, branches: parsed.branches }, pos: parsed.pos + 1 };
+  }
+
+  let style;
+  if (source[read.pos] === ',') {
+    read = readToken(source, read.pos + 1);
+    style = read.token;
+    if (read.pos >= source.length || source[read.pos] !== '}') {
+      throw new TemplateSyntaxError('Unterminated argument', start);
+    }
+  }
+
+  return { node: { name, type, style }, pos: read.pos + 1 };
+};
+
+// Parse text and arguments until the end of input, or the closing brace when nested
+const parseMessage = (source, pos, plural, nested) => {
+  const nodes = [];
+  let text = '';
+
+  const flush = () => {
+    if (text) nodes.push(text);
+    text = '';
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (ch === '{') {
+      flush();
+      const argument = parseArgument(source, pos + 1);
+      nodes.push(argument.node);
+      pos = argument.pos;
+    } else if (ch === '}' && nested) {
+      flush();
+      return { nodes, pos };
+    } else if (ch === '#' && plural) {
+      flush();
+      nodes.push({ pound: true });
+      pos++;
+    } else {
+      text += ch;
+      pos++;
+    }
+  }
+
+  if (nested) throw new TemplateSyntaxError('Unterminated branch', pos);
+
+  flush();
+  return { nodes, pos };
+};
+
+const collectVariables = (nodes, names = new Set()) => {
+  nodes.forEach(node => {
+    if (typeof node === 'string' || node.pound) return;
+    names.add(node.name);
+    if (node.branches) {
+      Object.values(node.branches).forEach(branch => collectVariables(branch, names));
+    }
+  });
+  return names;
+};
+
+class MessageTemplate {
+  constructor(source) {
+    this.source = String(source || '');
+    this.nodes = parseMessage(this.source, 0, false, false).nodes;
+    this.variables = [...collectVariables(this.nodes)];
+  }
+
+  /**
+   * Render the template. Missing variables are left as `{name}` so they stand out.
+   * @param {Object} variables
+   * @param {Object} options - { locale: 'en'|'ne', timeZone }
+   */
+  format(variables = {}, options = {}) {
+    const locale = INTL_LOCALES[options.locale] || INTL_LOCALES[DEFAULT_LOCALE];
+    const timeZone = isValidTimeZone(options.timeZone) ? options.timeZone : DEFAULT_TIME_ZONE;
+    return this.formatNodes(this.nodes, variables, { locale, timeZone });
+  }
+
+  missingVariables(variables = {}) {
+    return this.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  }
+
+  formatNodes(nodes, variables, context, count) {
+    return nodes.map(node => {
+      if (typeof node === 'string') return node;
+      if (node.pound) return formatNumber(count, undefined, context);
+
+      const value = variables[node.name];
+      if (value === undefined || value === null) return `{${node.name}}`;
+
+      switch (node.type) {
+        case 'number':
+          return formatNumber(value, node.style, context);
+        case 'currency':
+          return formatCurrency(value, context);
+        case 'date':
+          return formatDate(value, { dateStyle: DATE_STYLES.includes(node.style) ? node.style : 'medium' }, context);
+        case 'time':
+          return formatDate(value, { timeStyle: node.style === 'medium' ? 'medium' : 'short' }, context);
+        case 'plural': {
+          const n = Number(value);
+          const branch = node.branches[`=${n}`] ||
+            node.branches[new Intl.PluralRules(context.locale).select(n)] ||
+            node.branches.other;
+          return this.formatNodes(branch, variables, context, n);
+        }
+        case 'select': {
+          const branch = node.branches[String(value)] || node.branches.other;
+          return this.formatNodes(branch, variables, context, count);
+        }
+        default:
+          if (value instanceof Date) return formatDate(value, { dateStyle: 'medium' }, context);
+          if (typeof value === 'number') return formatNumber(value, undefined, context);
+          return String(value);
+      }
+    }).join('');
+  }
+
+  // Returns the syntax error message, or null when the source parses
+  static validate(source) {
+    try {
+      new MessageTemplate(source);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
+
+const formatNumber = (value, style, { locale }) => {
+  const n = Number(value);
+  if (Number.isNaN(n)) return String(value);
+
+  const options = { maximumFractionDigits: 2 };
+  if (style === 'integer') options.maximumFractionDigits = 0;
+  if (style === 'percent') options.style = 'percent';
+  return new Intl.NumberFormat(locale, options).format(n);
+};
+
+const formatCurrency = (value, { locale }) => {
+  const n = Number(value);
+  if (Number.isNaN(n)) return String(value);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: CURRENCY }).format(n);
+};
+
+const formatDate = (value, options, { locale, timeZone }) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(date);
+};
+
+module.exports = MessageTemplate;
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
+module.exports.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
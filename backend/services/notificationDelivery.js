@@ -0,0 +1,252 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const webSocketService = require('./webSocketService');
+const { createAdapters } = require('./deliveryAdapters');
+const systemSettings = require('./systemSettings');
+
+const { CHANNELS } = Notification;
+
+// Push receipts become available shortly after sending and are kept by Expo for a day
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+
+// Reads pending notifications and fans them out to the push, email and SMS
+// adapters. Each channel is retried on its own with exponential backoff; the
+// notification's status follows its channels (see refreshDeliveryStatus).
+class NotificationDeliveryService {
+  constructor(options = {}) {
+    this.adapters = options.adapters || createAdapters();
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+    this.retryDelay = options.retryDelay || 30 * 1000; // ms before the first retry
+    this.batchSize = options.batchSize || 100;
+  }
+
+  // Where a channel delivers to for this user, or null if it can't reach them
+  getDestination(channel, user) {
+    switch (channel) {
+      case 'push': {
+        const tokens = (user.deviceTokens || []).map(device => device.token);
+        return tokens.length > 0 ? tokens : null;
+      }
+      case 'email':
+        return user.email || null;
+      case 'sms':
+        return user.profile?.phone || null;
+      default:
+        return null;
+    }
+  }
+
+  buildMessage(channel, notification, destination) {
+    switch (channel) {
+      case 'push':
+        return {
+          to: destination,
+          title: notification.title,
+          body: notification.message,
+          priority: notification.priority,
+          data: {
+            notificationId: notification._id.toString(),
+            type: notification.type,
+            actionUrl: notification.actionUrl,
+            ...notification.data
+          }
+        };
+      case 'email':
+        return {
+          to: destination,
+          subject: notification.title,
+          text: notification.actionUrl ?
+            `${notification.message}\n\n${notification.actionLabel || 'View'}: ${notification.actionUrl}` :
+            notification.message
+        };
+      case 'sms':
+        return {
+          to: destination,
+          text: `${notification.title}: ${notification.message}`
+        };
+      default:
+        return null;
+    }
+  }
+
+  isDue(state, now) {
+    return state.enabled && !state.sent && !state.failed &&
+      (!state.nextAttemptAt || state.nextAttemptAt <= now);
+  }
+
+  // Tokens Expo reports as no longer registered are removed from every user
+  async removeInvalidTokens(tokens = []) {
+    if (tokens.length === 0) return;
+    await User.updateMany(
+      { 'deviceTokens.token': { $in: tokens } },
+      { $pull: { deviceTokens: { token: { $in: tokens } } } }
+    );
+  }
+
+  async sendChannel(channel, notification, user, now) {
+    const state = notification.channels[channel];
+    const preferences = user.notificationPreferences || {};
+
+    // Channels switched off, opted out of or unreachable are dropped, not failed
+    if (!systemSettings.get(`notifications.${channel}Enabled`)) {
+      state.enabled = false;
+      state.error = 'Disabled in system settings';
+      return 'skipped';
+    }
+
+    if (preferences[channel] === false) {
+      state.enabled = false;
+      state.error = 'Disabled in user preferences';
+      return 'skipped';
+    }
+
+    const destination = this.getDestination(channel, user);
+    if (!destination) {
+      state.enabled = false;
+      state.error = `No ${channel === 'push' ? 'device token' : channel === 'email' ? 'email address' : 'phone number'} for recipient`;
+      return 'skipped';
+    }
+
+    const adapter = this.adapters[channel];
+    if (!adapter) {
+      state.failed = true;
+      state.error = `${channel} delivery is not configured`;
+      return 'failed';
+    }
+
+    state.attempts += 1;
+
+    try {
+      const result = await adapter.send(this.buildMessage(channel, notification, destination));
+      await this.removeInvalidTokens(result.invalidTokens);
+
+      state.sent = true;
+      state.sentAt = new Date();
+      state.messageId = result.messageId;
+      state.error = undefined;
+      state.nextAttemptAt = undefined;
+      return 'sent';
+    } catch (error) {
+      await this.removeInvalidTokens(error.invalidTokens);
+      state.error = error.message;
+
+      if (error.retryable !== false && state.attempts < this.maxAttempts) {
+        state.nextAttemptAt = new Date(now.getTime() + this.retryDelay * 2 ** (state.attempts - 1));
+        return 'retry';
+      }
+
+      state.failed = true;
+      state.nextAttemptAt = undefined;
+      return 'failed';
+    }
+  }
+
+  /**
+   * Attempt every due channel of one notification and save the outcome.
+   * @returns {Promise<Object>} channel -> 'sent' | 'retry' | 'failed' | 'skipped'
+   */
+  async deliver(notification, now = new Date()) {
+    const user = notification.recipient;
+    const outcome = {};
+
+    if (!user || !user._id) {
+      CHANNELS.forEach(channel => {
+        notification.channels[channel].enabled = false;
+      });
+      notification.status = 'failed';
+      await notification.save();
+      return outcome;
+    }
+
+    // The in-app copy goes out the first time the notification is picked up
+    if (notification.status === 'pending' && CHANNELS.every(channel => notification.channels[channel].attempts === 0)) {
+      if (webSocketService.io) {
+        webSocketService.sendNotificationToUser(user._id.toString(), notification);
+      }
+    }
+
+    for (const channel of CHANNELS) {
+      if (this.isDue(notification.channels[channel], now)) {
+        outcome[channel] = await this.sendChannel(channel, notification, user, now);
+      }
+    }
+
+    notification.refreshDeliveryStatus();
+    await notification.save();
+    return outcome;
+  }
+
+  // One pass over the notifications with channels due
+  async deliverPending(now = new Date()) {
+    const notifications = await Notification.findDeliverable(this.batchSize, now);
+    const summary = { notifications: notifications.length, sent: 0, retry: 0, failed: 0, skipped: 0 };
+
+    for (const notification of notifications) {
+      try {
+        const outcome = await this.deliver(notification, now);
+        Object.values(outcome).forEach(result => {
+          summary[result]++;
+        });
+      } catch (error) {
+        console.error(`Deliver notification ${notification._id} error:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  // Confirm push deliveries from Expo receipts: ok -> delivered, error -> failed
+  async checkPushReceipts(now = new Date()) {
+    const adapter = this.adapters.push;
+    if (!adapter || !adapter.getReceipts) return { checked: 0 };
+
+    const notifications = await Notification.find({
+      'channels.push.sent': true,
+      'channels.push.delivered': false,
+      'channels.push.failed': { $ne: true },
+      'channels.push.messageId': { $exists: true },
+      'channels.push.sentAt': {
+        $lte: new Date(now.getTime() - RECEIPT_DELAY_MS),
+        $gt: new Date(now.getTime() - RECEIPT_WINDOW_MS)
+      }
+    }).limit(RECEIPT_BATCH_SIZE);
+
+    const ticketIds = notifications.flatMap(notification => notification.channels.push.messageId.split(','));
+    if (ticketIds.length === 0) return { checked: 0, delivered: 0, failed: 0 };
+
+    const receipts = {};
+    for (let i = 0; i < ticketIds.length; i += RECEIPT_BATCH_SIZE) {
+      Object.assign(receipts, await adapter.getReceipts(ticketIds.slice(i, i + RECEIPT_BATCH_SIZE)));
+    }
+
+    const summary = { checked: notifications.length, delivered: 0, failed: 0 };
+
+    for (const notification of notifications) {
+      const state = notification.channels.push;
+      const results = state.messageId.split(',').map(id => receipts[id]).filter(Boolean);
+      if (results.length === 0) continue; // Not ready yet
+
+      if (results.some(receipt => receipt.status === 'ok')) {
+        state.delivered = true;
+        state.deliveredAt = now;
+        summary.delivered++;
+      } else {
+        state.failed = true;
+        state.error = results[0].message || results[0].details?.error;
+        summary.failed++;
+      }
+
+      notification.refreshDeliveryStatus();
+      await notification.save();
+    }
+
+    return summary;
+  }
+}
+
+// Export shared instance
+const notificationDelivery = new NotificationDeliveryService();
+module.exports = notificationDelivery;
+module.exports.NotificationDeliveryService = NotificationDeliveryService;
@@ -0,0 +1,141 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationTemplates = require('./notificationTemplates');
+const systemSettings = require('./systemSettings');
+const plans = require('./plans');
+
+// Notification Service
+class NotificationService {
+  constructor() {
+    this.channels = {
+      PUSH: 'push',
+      EMAIL: 'email',
+      SMS: 'sms',
+      IN_APP: 'in_app'
+    };
+
+    this.types = {
+      COLLECTION_SCHEDULED: 'collection_scheduled',
+      COLLECTION_REMINDER: 'collection_reminder',
+      COLLECTION_STARTED: 'collection_started',
+      COLLECTION_COMPLETED: 'collection_completed',
+      DRIVER_ASSIGNED: 'driver_assigned',
+      ROUTE_OPTIMIZED: 'route_optimized',
+      SYSTEM_MAINTENANCE: 'system_maintenance',
+      PAYMENT_DUE: 'payment_due',
+      SUBSCRIPTION_EXPIRED: 'subscription_expired',
+      ISSUE_REPORTED: 'issue_reported',
+      ISSUE_RESOLVED: 'issue_resolved',
+      ANALYTICS_REPORT: 'analytics_report'
+    };
+
+    this.priorities = {
+      LOW: 'low',
+      NORMAL: 'normal',
+      HIGH: 'high',
+      URGENT: 'urgent'
+    };
+  }
+
+  // Notification fields for one recipient, rendered in their language
+  prepareNotificationData(template, user, variables = {}, options = {}) {
+    const rendered = notificationTemplates.render(template, variables, {
+      locale: notificationTemplates.resolveLocale(user),
+      timeZone: user.preferences?.timezone
+    });
+    const channels = options.channels ?
+      Object.fromEntries(['push', 'email', 'sms'].map(channel => [channel, options.channels.includes(channel)])) :
+      template.channels || {};
+
+    // SMS is a plan entitlement for customers
+    const sms = Boolean(channels.sms) && (user.role !== 'customer' || this.planIncludesSms(user));
+
+    return {
+      recipient: user._id,
+      recipientType: user.role,
+      type: template.notificationType,
+      title: rendered.title,
+      message: rendered.message,
+      priority: options.priority || template.priority,
+      channels: {
+        push: { enabled: Boolean(channels.push) },
+        email: { enabled: Boolean(channels.email) },
+        sms: { enabled: sms }
+      },
+      data: {
+        template: template.key,
+        locale: rendered.locale,
+        variables,
+        ...options.data
+      },
+      scheduledFor: options.scheduledFor || new Date(),
+      expiresAt: options.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+    };
+  }
+
+  planIncludesSms(user) {
+    const { plan } = plans.currentPlan(user.customerInfo);
+    return systemSettings.get('subscriptions.plans')[plan].sms;
+  }
+
+  async getActiveTemplate(type) {
+    const template = await notificationTemplates.getTemplate(type);
+    if (!template || template.isActive === false) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+    return template;
+  }
+
+  // Create notification with template; null when the user switched the category off
+  async createNotification(type, userId, variables = {}, options = {}) {
+    const template = await this.getActiveTemplate(type);
+    const user = await User.findById(userId).select('role preferences notificationPreferences customerInfo');
+    if (!user) {
+      throw new Error('Recipient not found');
+    }
+
+    if (!this.isCategoryEnabled(template.category, user.notificationPreferences)) {
+      return null;
+    }
+
+    return await Notification.create(this.prepareNotificationData(template, user, variables, options));
+  }
+
+  // Bulk notification creation
+  async createBulkNotifications(type, userIds, variables = {}, options = {}) {
+    const template = await this.getActiveTemplate(type);
+    const users = await User.find({ _id: { $in: userIds } }).select('role preferences notificationPreferences customerInfo');
+
+    const notifications = users
+      .filter(user => this.isCategoryEnabled(template.category, user.notificationPreferences))
+      .map(user => this.prepareNotificationData(template, user, variables, options));
+
+    return await Notification.insertMany(notifications);
+  }
+
+  // Get user preferences
+  async getUserPreferences(userId) {
+    const user = await User.findById(userId).select('notificationPreferences');
+    return user?.notificationPreferences || {
+      push: true,
+      email: true,
+      sms: false,
+      in_app: true,
+      categories: {
+        collections: true,
+        issues: true,
+        analytics: false,
+        maintenance: true
+      }
+    };
+  }
+
+  isCategoryEnabled(category, preferences) {
+    return preferences?.categories?.[category] !== false;
+  }
+}
+
+// Export shared instance
+const notificationService = new NotificationService();
+module.exports = notificationService;
+module.exports.NotificationService = NotificationService;
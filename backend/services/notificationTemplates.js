@@ -0,0 +1,356 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const MessageTemplate = require('./messageFormat');
+
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = MessageTemplate;
+
+// Admin edits are picked up by other instances within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+const SAMPLE_DATE = '2026-01-15T04:15:00.000Z';
+
+// Built-in templates, written to the database on first start and restored by reset
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'collection_scheduled',
+    description: 'A pickup was booked',
+    notificationType: 'pickup-scheduled',
+    priority: 'normal',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Collection Scheduled',
+        body: 'Your waste collection has been scheduled for {date, date, long} between {timeSlot}.'
+      },
+      {
+        locale: 'ne',
+        title: 'सङ्कलन तय भयो',
+        body: 'तपाईंको फोहोर सङ्कलन {date, date, long} मा {timeSlot} बीच तय गरिएको छ।'
+      }
+    ],
+    sampleVariables: { date: SAMPLE_DATE, timeSlot: '9:00 AM - 11:00 AM' }
+  },
+  {
+    key: 'collection_reminder',
+    description: 'The day before a pickup',
+    notificationType: 'pickup-reminder',
+    priority: 'high',
+    channels: { push: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Collection Reminder',
+        body: 'Your waste collection is scheduled for tomorrow. Please prepare your waste for pickup.'
+      },
+      {
+        locale: 'ne',
+        title: 'सङ्कलन सम्झना',
+        body: 'तपाईंको फोहोर सङ्कलन भोलि तय गरिएको छ। कृपया आफ्नो फोहोर सङ्कलनका लागि तयार राख्नुहोस्।'
+      }
+    ]
+  },
+  {
+    key: 'collection_started',
+    description: 'The driver set off for the pickup',
+    notificationType: 'driver-nearby',
+    priority: 'high',
+    channels: { push: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Collection in Progress',
+        body: 'Your waste collection has started. Driver {driverName} is on the way.'
+      },
+      {
+        locale: 'ne',
+        title: 'सङ्कलन सुरु भयो',
+        body: 'तपाईंको फोहोर सङ्कलन सुरु भएको छ। चालक {driverName} बाटोमा हुनुहुन्छ।'
+      }
+    ],
+    sampleVariables: { driverName: 'Ram Shrestha' }
+  },
+  {
+    key: 'collection_completed',
+    description: 'A pickup was completed',
+    notificationType: 'pickup-completed',
+    priority: 'normal',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Collection Completed',
+        body: 'Your waste collection has been completed. Total weight: {weight, number} kg. Thank you!'
+      },
+      {
+        locale: 'ne',
+        title: 'सङ्कलन सम्पन्न',
+        body: 'तपाईंको फोहोर सङ्कलन सम्पन्न भयो। कुल तौल: {weight, number} केजी। धन्यवाद!'
+      }
+    ],
+    sampleVariables: { weight: 15.5 }
+  },
+  {
+    key: 'driver_assigned',
+    description: 'A driver was assigned to the route (in-app only)',
+    notificationType: 'driver-assigned',
+    priority: 'low',
+    channels: { push: false },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Driver Assigned',
+        body: 'Driver {driverName} has been assigned to your collection route.'
+      },
+      {
+        locale: 'ne',
+        title: 'चालक तोकियो',
+        body: 'तपाईंको सङ्कलन रुटमा चालक {driverName} तोकिनुभएको छ।'
+      }
+    ],
+    sampleVariables: { driverName: 'Ram Shrestha' }
+  },
+  {
+    key: 'route_optimized',
+    description: 'The route was re-planned (in-app only)',
+    notificationType: 'general',
+    priority: 'low',
+    channels: { push: false },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Route Updated',
+        body: 'Your collection route has been optimized. New ETA: {eta, time}'
+      },
+      {
+        locale: 'ne',
+        title: 'रुट अद्यावधिक भयो',
+        body: 'तपाईंको सङ्कलन रुट सुधार गरिएको छ। नयाँ अनुमानित समय: {eta, time}'
+      }
+    ],
+    sampleVariables: { eta: SAMPLE_DATE }
+  },
+  {
+    key: 'system_maintenance',
+    description: 'Planned downtime announcement',
+    notificationType: 'system-maintenance',
+    category: 'maintenance',
+    priority: 'normal',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'System Maintenance',
+        body: 'Scheduled system maintenance on {date, date, long} from {startTime, time} to {endTime, time}.'
+      },
+      {
+        locale: 'ne',
+        title: 'प्रणाली मर्मत',
+        body: '{date, date, long} मा {startTime, time} देखि {endTime, time} सम्म प्रणाली मर्मत तय गरिएको छ।'
+      }
+    ],
+    sampleVariables: { date: SAMPLE_DATE, startTime: SAMPLE_DATE, endTime: '2026-01-15T06:15:00.000Z' }
+  },
+  {
+    key: 'payment_due',
+    description: 'An amount is owed for the service',
+    notificationType: 'payment-due',
+    priority: 'high',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Payment Due',
+        body: 'A payment of {amount, currency} is due for your waste collection service.'
+      },
+      {
+        locale: 'ne',
+        title: 'भुक्तानी बाँकी',
+        body: 'तपाईंको फोहोर सङ्कलन सेवाको {amount, currency} भुक्तानी बाँकी छ।'
+      }
+    ],
+    sampleVariables: { amount: 1250 }
+  },
+  {
+    key: 'subscription_expired',
+    description: "The customer's paid plan or free trial ran out",
+    notificationType: 'subscription-expiry',
+    priority: 'high',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Plan Ended',
+        body: '{trial, select, yes {Your free trial of the {plan} plan has ended.} other {Your {plan} plan has run out.}} You are on the Basic plan now; renew it from the Payments screen.'
+      },
+      {
+        locale: 'ne',
+        title: 'योजना सकियो',
+        body: '{trial, select, yes {{plan} योजनाको निःशुल्क परीक्षण सकियो।} other {तपाईंको {plan} योजनाको अवधि सकियो।}} अब तपाईं Basic योजनामा हुनुहुन्छ; भुक्तानी स्क्रिनबाट नवीकरण गर्नुहोस्।'
+      }
+    ],
+    sampleVariables: { plan: 'Premium', trial: 'no' }
+  },
+  {
+    key: 'issue_reported',
+    description: 'An issue report was received (in-app only)',
+    notificationType: 'issue-update',
+    category: 'issues',
+    priority: 'normal',
+    channels: { push: false },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Issue Reported',
+        body: 'Issue #{issueId} has been reported and is being investigated.'
+      },
+      {
+        locale: 'ne',
+        title: 'समस्या दर्ता भयो',
+        body: 'समस्या #{issueId} दर्ता भएको छ र छानबिन भइरहेको छ।'
+      }
+    ],
+    sampleVariables: { issueId: '12345' }
+  },
+  {
+    key: 'issue_resolved',
+    description: 'An issue report was resolved',
+    notificationType: 'issue-update',
+    category: 'issues',
+    priority: 'normal',
+    channels: { push: true, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Issue Resolved',
+        body: 'Issue #{issueId} has been resolved. Thank you for your patience.'
+      },
+      {
+        locale: 'ne',
+        title: 'समस्या समाधान भयो',
+        body: 'समस्या #{issueId} समाधान भएको छ। धैर्यताका लागि धन्यवाद।'
+      }
+    ],
+    sampleVariables: { issueId: '12345' }
+  },
+  {
+    key: 'analytics_report',
+    description: "The customer's weekly summary",
+    notificationType: 'general',
+    category: 'analytics',
+    priority: 'low',
+    channels: { push: false, email: true },
+    translations: [
+      {
+        locale: 'en',
+        title: 'Weekly Analytics Report',
+        body: 'Your weekly analytics report is ready. {pickups, plural, =0 {You had no pickups} one {You had # pickup} other {You had # pickups}} and saved {carbonReduction, number} kg CO2 this week!'
+      },
+      {
+        locale: 'ne',
+        title: 'साप्ताहिक विश्लेषण रिपोर्ट',
+        body: 'तपाईंको साप्ताहिक विश्लेषण रिपोर्ट तयार छ। यो हप्ता {pickups, number} पटक सङ्कलन भयो र तपाईंले {carbonReduction, number} केजी CO2 बचत गर्नुभयो!'
+      }
+    ],
+    sampleVariables: { pickups: 3, carbonReduction: 2.3 }
+  }
+];
+
+class NotificationTemplateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  getDefault(key) {
+    return DEFAULT_TEMPLATES.find(template => template.key === key) || null;
+  }
+
+  // Insert missing built-in templates without touching ones admins have edited
+  async seedDefaults() {
+    const result = await NotificationTemplate.bulkWrite(DEFAULT_TEMPLATES.map(template => ({
+      updateOne: {
+        filter: { key: template.key },
+        update: { $setOnInsert: template },
+        upsert: true
+      }
+    })));
+    return result.upsertedCount;
+  }
+
+  // Template by key, from the cache, the database or the built-ins
+  async getTemplate(key) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.template;
+    }
+
+    const template = await NotificationTemplate.findOne({ key }).lean() || this.getDefault(key);
+    this.cache.set(key, { template, loadedAt: Date.now() });
+    return template;
+  }
+
+  invalidate(key) {
+    if (key) {
+      this.cache.delete(key);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  async reset(key, userId) {
+    const template = this.getDefault(key);
+    if (!template) return null;
+
+    const restored = await NotificationTemplate.findOneAndReplace(
+      { key },
+      { ...template, isActive: true, updatedBy: userId },
+      { new: true, upsert: true, runValidators: true }
+    );
+    this.invalidate(key);
+    return restored;
+  }
+
+  // Preferred language from User.preferences, falling back to English
+  resolveLocale(user) {
+    const language = user?.preferences?.language;
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+  }
+
+  getTranslation(template, locale) {
+    const translations = template.translations || [];
+    return translations.find(t => t.locale === locale) ||
+      translations.find(t => t.locale === DEFAULT_LOCALE) ||
+      null;
+  }
+
+  /**
+   * Render a template for a locale.
+   * @returns {{locale: string, title: string, message: string, missingVariables: string[]}}
+   *   `locale` is the translation actually used
+   */
+  render(template, variables = {}, options = {}) {
+    const translation = this.getTranslation(template, options.locale || DEFAULT_LOCALE);
+    if (!translation) {
+      throw new Error(`Template ${template.key} has no translations`);
+    }
+
+    const title = new MessageTemplate(translation.title);
+    const body = new MessageTemplate(translation.body);
+    const formatOptions = { locale: translation.locale, timeZone: options.timeZone };
+
+    return {
+      locale: translation.locale,
+      title: title.format(variables, formatOptions),
+      message: body.format(variables, formatOptions),
+      missingVariables: [...new Set([
+        ...title.missingVariables(variables),
+        ...body.missingVariables(variables)
+      ])]
+    };
+  }
+}
+
+// Export shared instance
+const notificationTemplates = new NotificationTemplateService();
+module.exports = notificationTemplates;
+module.exports.NotificationTemplateService = NotificationTemplateService;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const notificationDelivery = require('./notificationDelivery');
+const { FakeAdapter } = require('./deliveryAdapters');
+
+const CODE_LENGTH = 6;
+
+const SMS_TEXT = {
+  en: (code, minutes) => `Your SafaCycle code is ${code}. It expires in ${minutes} minutes. Don't share it with anyone.`,
+  ne: (code, minutes) => `तपाईंको SafaCycle कोड ${code} हो। यो ${minutes} मिनेटमा समाप्त हुन्छ। कसैलाई नदिनुहोस्।`
+};
+
+const otpError = (message, code, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Normalize a phone number to E.164. Bare 10-digit Nepali mobile numbers
+ * (98XXXXXXXX) get the +977 country code.
+ * @returns {string|null} null when the input isn't a phone number
+ */
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return null;
+
+  let digits = phone.replace(/[\s\-().]/g, '');
+  if (/^0?9\d{9}$/.test(digits)) {
+    digits = `+977${digits.slice(-10)}`;
+  } else if (/^(00)?977\d{10}$/.test(digits)) {
+    digits = `+${digits.slice(-13)}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+};
+
+const hashCode = (phone, code) => crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+
+// Texted one-time codes for phone sign-in and phone verification. Codes expire,
+// allow a few guesses, and each phone can only request so many per hour.
+class OtpService {
+  constructor(options = {}) {
+    this.sms = options.sms !== undefined ? options.sms : notificationDelivery.adapters.sms;
+    this.ttlMinutes = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+    this.maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+    this.resendSeconds = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+    this.maxPerHour = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  }
+
+  /**
+   * Text a new code to a phone number, replacing any earlier unused code.
+   * @param {Object} options - { purpose, user, language }
+   * @returns {Promise<{expiresAt: Date, resendAfter: Date}>}
+   */
+  async request(phone, { purpose = 'login', user, language = 'en' } = {}) {
+    if (!this.sms) {
+      throw otpError('SMS is not available. Please sign in with email.', 'sms_unavailable', 503);
+    }
+
+    const now = Date.now();
+    const recent = await PhoneOtp.find({
+      phone,
+      purpose,
+      createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 }).select('createdAt');
+
+    if (recent.length > 0) {
+      const waitMs = recent[0].createdAt.getTime() + this.resendSeconds * 1000 - now;
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        throw otpError(`Please wait ${retryAfter} seconds before requesting another code`, 'otp_rate_limited', 429, { retryAfter });
+      }
+    }
+
+    if (recent.length >= this.maxPerHour) {
+      const retryAfter = Math.ceil((recent[this.maxPerHour - 1].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000);
+      throw otpError('Too many codes requested for this number. Please try again later.', 'otp_rate_limited', 429, { retryAfter });
+    }
+
+    const code = this.generateCode();
+    const otp = new PhoneOtp({
+      phone,
+      purpose,
+      user: user?._id,
+      codeHash: hashCode(phone, code),
+      expiresAt: new Date(now + this.ttlMinutes * 60 * 1000)
+    });
+    await otp.save();
+
+    const text = (SMS_TEXT[language] || SMS_TEXT.en)(code, this.ttlMinutes);
+    try {
+      const { messageId } = await this.sms.send({ to: phone, text });
+      otp.smsMessageId = messageId;
+    } catch (error) {
+      await PhoneOtp.deleteOne({ _id: otp._id });
+      console.error('OTP SMS error:', error);
+      throw otpError('Could not send the code. Please try again.', 'sms_failed', 503);
+    }
+
+    if (this.sms instanceof FakeAdapter) {
+      // Nothing is really sent in development; the code is only in the log
+      console.log(`📱 OTP for ${phone}: ${code}`);
+    }
+
+    // Older codes stop working once the new one is out
+    await PhoneOtp.updateMany(
+      { phone, purpose, _id: { $ne: otp._id }, consumedAt: { $exists: false } },
+      { $set: { consumedAt: new Date() } }
+    );
+    await otp.save();
+
+    return {
+      expiresAt: otp.expiresAt,
+      resendAfter: new Date(now + this.resendSeconds * 1000)
+    };
+  }
+
+  /**
+   * Check a code without using it up, so a sign-in can still ask for more details
+   * (e.g. a name for a new account) and retry with the same code.
+   * @returns {Promise<Object>} the matching PhoneOtp
+   */
+  async verify(phone, code, purpose = 'login') {
+    const otp = await PhoneOtp.findOne({
+      phone,
+      purpose,
+      consumedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 }).select('+codeHash');
+
+    if (!otp) {
+      throw otpError('Code has expired. Please request a new one.', 'otp_expired');
+    }
+
+    // Count the guess before checking it so parallel guesses can't exceed the limit
+    const counted = await PhoneOtp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: this.maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!counted) {
+      throw otpError('Too many incorrect attempts. Please request a new code.', 'otp_locked');
+    }
+
+    const presented = Buffer.from(hashCode(phone, String(code)));
+    if (!crypto.timingSafeEqual(presented, Buffer.from(otp.codeHash))) {
+      const attemptsLeft = this.maxAttempts - counted.attempts;
+      throw otpError(
+        attemptsLeft > 0 ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.` : 'Too many incorrect attempts. Please request a new code.',
+        attemptsLeft > 0 ? 'otp_invalid' : 'otp_locked',
+        400,
+        { attemptsLeft }
+      );
+    }
+
+    return counted;
+  }
+
+  // Mark a verified code as used; false if it was used concurrently
+  async consume(otp) {
+    const result = await PhoneOtp.updateOne(
+      { _id: otp._id, consumedAt: { $exists: false } },
+      { $set: { consumedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+}
+
+// Export shared instance
+const otpService = new OtpService();
+module.exports = otpService;
+module.exports.OtpService = OtpService;
+module.exports.normalizePhone = normalizePhone;
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+// Wallet payment gateways (eSewa/Khalti-style). A gateway has:
+//   initiate(order)   - start a payment; resolves to { reference, paymentUrl, expiresAt }
+//                       where the customer is sent to pay
+//   verify(reference) - look the payment up; resolves to { reference, status, amount, transactionId }
+//   refund(refund)    - give money back; resolves to { refundId }
+//   parseCallback(rawBody, signature) - check a callback's signature and read it
+// Amounts are in major units (rupees) here and converted for the gateway. A callback
+// only says which payment changed: its status is always confirmed with verify().
+// Failures reject with a PaymentGatewayError; `retryable` says whether to try again.
+
+class PaymentGatewayError extends Error {
+  constructor(message, { retryable = true, code } = {}) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.retryable = retryable;
+    this.code = code;
+  }
+}
+
+// Gateway statuses -> ours: pending, completed, failed, expired, refunded
+const STATUSES = {
+  Initiated: 'pending',
+  Pending: 'pending',
+  Completed: 'completed',
+  Refunded: 'refunded',
+  'Partially Refunded': 'refunded',
+  Expired: 'expired',
+  'User canceled': 'failed'
+};
+
+// HMAC-SHA256 of the raw callback body, hex encoded
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const signatureMatches = (body, signature, secret) => {
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const toPaisa = (amount) => Math.round(amount * 100);
+
+// HTTP gateway with the Khalti ePayment API shape: paisa amounts, `pidx` references,
+// `Authorization: Key <secret>`. Requests carry an Idempotency-Key so a retried
+// initiate or refund is not applied twice.
+class WalletGateway {
+  constructor(options = {}) {
+    this.name = options.name || 'wallet';
+    this.url = options.url.replace(/\/$/, '');
+    this.secretKey = options.secretKey;
+    this.webhookSecret = options.webhookSecret;
+    this.timeout = options.timeout || 15000;
+  }
+
+  async request(path, body, idempotencyKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Key ${this.secretKey}`
+    };
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.url}${path}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new PaymentGatewayError(`${this.name} unreachable: ${error.message}`, { retryable: true });
+    }
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new PaymentGatewayError(`${this.name} responded ${response.status}${payload.detail ? `: ${payload.detail}` : ''}`, {
+        retryable: response.status === 429 || response.status >= 500,
+        code: payload.error_key || response.status
+      });
+    }
+    return payload;
+  }
+
+  /**
+   * @param {Object} order
+   * @param {string} order.orderId - our ID for the payment
+   * @param {string} order.orderName - shown to the customer on the payment page
+   * @param {number} order.amount
+   * @param {string} order.returnUrl - where the customer's browser is sent afterwards
+   * @param {string} order.idempotencyKey
+   */
+  async initiate({ orderId, orderName, amount, returnUrl, idempotencyKey }) {
+    const payload = await this.request('/epayment/initiate/', {
+      return_url: returnUrl,
+      website_url: new URL(returnUrl).origin,
+      amount: toPaisa(amount),
+      purchase_order_id: orderId,
+      purchase_order_name: orderName
+    }, idempotencyKey);
+
+    return {
+      reference: payload.pidx,
+      paymentUrl: payload.payment_url,
+      expiresAt: payload.expires_at ? new Date(payload.expires_at) : null
+    };
+  }
+
+  async verify(reference) {
+    const payload = await this.request('/epayment/lookup/', { pidx: reference });
+
+    return {
+      reference: payload.pidx,
+      status: STATUSES[payload.status] || 'pending',
+      amount: (payload.total_amount || 0) / 100,
+      transactionId: payload.transaction_id || null
+    };
+  }
+
+  async refund({ transactionId, amount, idempotencyKey }) {
+    const payload = await this.request('/epayment/refund/', {
+      transaction_id: transactionId,
+      amount: toPaisa(amount)
+    }, idempotencyKey);
+
+    return { refundId: payload.refund_id };
+  }
+
+  // Callbacks are JSON with the HMAC in the X-Signature header
+  parseCallback(rawBody, signature) {
+    if (!this.webhookSecret || !signatureMatches(rawBody, signature, this.webhookSecret)) {
+      throw new PaymentGatewayError('Invalid callback signature', { retryable: false, code: 'bad_signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new PaymentGatewayError('Invalid callback body', { retryable: false, code: 'bad_body' });
+    }
+    if (!payload.pidx) {
+      throw new PaymentGatewayError('Callback has no payment reference', { retryable: false, code: 'bad_body' });
+    }
+
+    return { reference: payload.pidx, status: STATUSES[payload.status] || 'pending' };
+  }
+}
+
+// Settings of the local sandbox (scripts/walletSandbox.js), used outside production
+// when no gateway is configured
+const SANDBOX = {
+  url: 'http://localhost:5055',
+  secretKey: 'sandbox-secret-key',
+  webhookSecret: 'sandbox-webhook-secret'
+};
+
+/**
+ * Build the wallet gateway from the environment. Without WALLET_GATEWAY_URL it is
+ * the local sandbox outside production, and none in production.
+ */
+const createGateway = (env = process.env) => {
+  if (!env.WALLET_GATEWAY_URL) {
+    return env.NODE_ENV === 'production' ? null : new WalletGateway({ name: 'wallet sandbox', ...SANDBOX });
+  }
+
+  return new WalletGateway({
+    name: env.WALLET_PROVIDER_NAME || 'wallet',
+    url: env.WALLET_GATEWAY_URL,
+    secretKey: env.WALLET_SECRET_KEY,
+    webhookSecret: env.WALLET_WEBHOOK_SECRET
+  });
+};
+
+module.exports = {
+  PaymentGatewayError,
+  WalletGateway,
+  SANDBOX,
+  sign,
+  createGateway
+};
@@ -0,0 +1,116 @@
+// Everything a role can be allowed to do. Routes and socket handlers check these
+// instead of role names; roles (built-in or created by admins) are sets of them.
+const PERMISSIONS = {
+  'users:read': 'View any user account',
+  'users:manage': 'Edit, suspend and delete user accounts',
+  'users:assign-role': 'Change which role a user has',
+  'roles:manage': 'Create and edit roles and their permissions',
+
+  'collections:request': 'Book, reschedule and cancel own pickups',
+  'collections:view-all': 'View every collection request',
+  'collections:manage': 'Reschedule and cancel any collection request',
+  'collections:assign': 'Assign drivers and vehicles to collections',
+  'collections:service': 'Start, update and complete assigned collections',
+  'schedules:manage': 'Manage every recurring pickup series and the holiday calendar',
+
+  'issues:report': 'Report issues',
+  'issues:view-all': 'View every issue report',
+  'issues:assign': 'Assign issues to staff',
+  'issues:resolve': 'Update, resolve and close any issue, and add internal comments',
+  'issues:delete': 'Delete issue reports',
+
+  'routes:view': 'View routes (drivers only see their own)',
+  'routes:manage': 'Create, edit, assign and optimize routes',
+  'routes:drive': 'Start and complete own assigned routes',
+  'routes:optimize': 'Request route optimization and suggestions',
+
+  'vehicles:view': 'View vehicles (drivers only see their own)',
+  'vehicles:manage': 'Add vehicles and assign them to drivers',
+
+  'tracking:report-location': 'Send live location and availability',
+  'tracking:view-fleet': 'See every driver on the live map and receive fleet alerts',
+
+  'facilities:view': 'View disposal facilities',
+  'facilities:manage': 'Add, edit and remove facilities',
+
+  'notifications:send': 'Send notifications and reminders to users',
+  'notifications:manage': 'Edit notification templates and review delivery',
+
+  'billing:view': 'View invoices, payments and balances of every customer',
+  'billing:manage': 'Record payments and adjustments, and void invoices',
+  'billing:collect-cash': 'Record cash collected on pickup',
+
+  'rewards:manage': 'Edit the rewards catalogue, adjust points and cancel vouchers',
+
+  'analytics:view': 'View operational and customer analytics',
+  'analytics:manage': 'Recalculate analytics such as churn risk',
+
+  'jobs:manage': 'View, run and pause scheduled jobs',
+
+  'audit:view': 'View and verify the audit log',
+  'system:logs': 'View and search application logs',
+  'system:config': 'View and change system settings',
+  'system:backups': 'Create, list and download database backups',
+  'system:maintenance-access': 'Keep using the app while maintenance mode is on'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles every deployment has. Admin always holds every permission; the others
+// start with these sets and can be edited.
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Full access to the system',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'driver',
+    displayName: 'Driver',
+    description: 'Collection crew working assigned routes',
+    permissions: [
+      'collections:service',
+      'routes:view',
+      'routes:drive',
+      'routes:optimize',
+      'vehicles:view',
+      'tracking:report-location',
+      'facilities:view',
+      'billing:collect-cash'
+    ]
+  },
+  {
+    name: 'customer',
+    displayName: 'Customer',
+    description: 'Household or business booking pickups',
+    permissions: [
+      'collections:request',
+      'issues:report'
+    ]
+  }
+];
+
+const BUILT_IN_ROLE_NAMES = BUILT_IN_ROLES.map(role => role.name);
+
+// Defaults added to built-in roles after roles were first seeded. Databases seeded
+// before then hadn't granted them; roleService.seedDefaults grants them once.
+const ADDED_DEFAULTS = {
+  driver: ['billing:collect-cash']
+};
+
+// Group permissions by their prefix for display, e.g. { users: [...], roles: [...] }
+const groupPermissions = () => ALL_PERMISSIONS.reduce((groups, key) => {
+  const [group] = key.split(':');
+  (groups[group] = groups[group] || []).push({ key, description: PERMISSIONS[key] });
+  return groups;
+}, {});
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_NAMES,
+  ADDED_DEFAULTS,
+  groupPermissions
+};
@@ -0,0 +1,186 @@
+// Subscription plans and what each one entitles a customer to. The catalogue itself
+// is the subscriptions.plans system setting; this module only knows its shape and
+// the rules, so it has no dependencies.
+const { PLANS, WASTE_CATEGORIES } = require('./tariff');
+
+// Customers without a paid plan or trial are on this plan; it must be free
+const FREE_PLAN = 'basic';
+
+// Pickup priorities that need a plan with prioritySlots
+const PRIORITY_SLOTS = ['high', 'urgent'];
+
+// What happens to a pickup beyond a plan's includedPickups in a month
+const OVER_QUOTA = ['reject', 'surcharge'];
+
+// Unused time on a plan is worth monthlyPrice per 30 days
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+// includedPickups null means unlimited
+const DEFAULT_PLANS = {
+  basic: {
+    monthlyPrice: 0,
+    trialDays: 0,
+    includedPickups: 4,
+    overQuota: 'surcharge',
+    overQuotaFee: 150,
+    wasteCategories: ['organic', 'recyclable', 'general', 'plastic', 'paper', 'glass', 'metal'],
+    maxWeightKg: 50,
+    prioritySlots: false,
+    sms: false
+  },
+  premium: {
+    monthlyPrice: 499,
+    trialDays: 14,
+    includedPickups: 12,
+    overQuota: 'surcharge',
+    overQuotaFee: 100,
+    wasteCategories: ['organic', 'recyclable', 'electronic', 'general', 'plastic', 'paper', 'glass', 'metal'],
+    maxWeightKg: 200,
+    prioritySlots: true,
+    sms: true
+  },
+  enterprise: {
+    monthlyPrice: 1999,
+    trialDays: 30,
+    includedPickups: null,
+    overQuota: 'surcharge',
+    overQuotaFee: 0,
+    wasteCategories: WASTE_CATEGORIES,
+    maxWeightKg: 1000,
+    prioritySlots: true,
+    sms: true
+  }
+};
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Error message for a plan that doesn't fit the catalogue's shape, or null
+const checkPlan = (name, plan) => {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return `${name} must be an object`;
+
+  if (!isAmount(plan.monthlyPrice)) return `${name}.monthlyPrice must be a number from 0`;
+  if (!Number.isInteger(plan.trialDays) || plan.trialDays < 0 || plan.trialDays > 90) return `${name}.trialDays must be a whole number from 0 to 90`;
+  if (plan.includedPickups !== null && (!Number.isInteger(plan.includedPickups) || plan.includedPickups < 0)) {
+    return `${name}.includedPickups must be a whole number from 0, or null for unlimited`;
+  }
+  if (!OVER_QUOTA.includes(plan.overQuota)) return `${name}.overQuota must be one of ${OVER_QUOTA.join(', ')}`;
+  if (!isAmount(plan.overQuotaFee)) return `${name}.overQuotaFee must be a number from 0`;
+  if (!Array.isArray(plan.wasteCategories) || plan.wasteCategories.length === 0
+    || plan.wasteCategories.some(category => !WASTE_CATEGORIES.includes(category))) {
+    return `${name}.wasteCategories must list waste categories`;
+  }
+  if (!isAmount(plan.maxWeightKg) || plan.maxWeightKg === 0) return `${name}.maxWeightKg must be a number above 0`;
+  if (typeof plan.prioritySlots !== 'boolean' || typeof plan.sms !== 'boolean') return `${name}.prioritySlots and ${name}.sms must be true or false`;
+
+  const unknown = Object.keys(plan).filter(key => !(key in DEFAULT_PLANS.basic));
+  return unknown.length > 0 ? `${name} has unknown key ${unknown.join(', ')}` : null;
+};
+
+const validatePlans = (plans) => {
+  if (!plans || typeof plans !== 'object' || Array.isArray(plans)) return 'must be an object of plans';
+
+  const missing = PLANS.find(plan => !(plan in plans));
+  if (missing) return `needs the ${missing} plan`;
+  const unknown = Object.keys(plans).filter(plan => !PLANS.includes(plan));
+  if (unknown.length > 0) return `unknown plan ${unknown.join(', ')}`;
+
+  const error = PLANS.map(plan => checkPlan(plan, plans[plan])).find(Boolean);
+  if (error) return error;
+  return plans[FREE_PLAN].monthlyPrice === 0 ? null : `${FREE_PLAN}.monthlyPrice must be 0`;
+};
+
+const label = (plan) => `${plan.charAt(0).toUpperCase()}${plan.slice(1)}`;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The plan a customer is on. A paid plan runs until subscriptionPaidUntil and a trial
+ * until subscriptionTrialEndsAt; after that the customer is on the free plan, even
+ * before the subscription-expiry job has caught up. A plan staff set without either
+ * date doesn't run out.
+ * @param {Object} [customerInfo]
+ * @param {Date} [now]
+ * @returns {{plan: string, trial: boolean, endsAt: Date|null}}
+ */
+const currentPlan = (customerInfo = {}, now = new Date()) => {
+  const plan = customerInfo.subscriptionPlan || FREE_PLAN;
+  const trial = Boolean(customerInfo.subscriptionTrialEndsAt);
+  const endsAt = trial ? customerInfo.subscriptionTrialEndsAt : customerInfo.subscriptionPaidUntil;
+
+  if (plan === FREE_PLAN || (endsAt && new Date(endsAt) <= now)) {
+    return { plan: FREE_PLAN, trial: false, endsAt: null };
+  }
+  return { plan, trial, endsAt: endsAt ? new Date(endsAt) : null };
+};
+
+// The calendar month holding `date`, in server time like invoice periods
+const monthBounds = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), 1);
+  return { start, end: new Date(date.getFullYear(), date.getMonth() + 1, 1) };
+};
+
+// Fee for a pickup when `booked` pickups are already booked in its month, or null
+// when the plan turns it away
+const overQuotaFee = (entitlements, booked) => {
+  if (entitlements.includedPickups === null || booked < entitlements.includedPickups) return 0;
+  return entitlements.overQuota === 'surcharge' ? entitlements.overQuotaFee : null;
+};
+
+/**
+ * Check a pickup against a plan.
+ * @param {string} plan
+ * @param {Object} entitlements - the plan's catalogue entry
+ * @param {Object} pickup
+ * @param {Object[]} pickup.wasteTypes - { category, estimatedWeight } in kg
+ * @param {string} [pickup.priority]
+ * @param {number} pickup.booked - pickups already booked in the pickup's month
+ * @returns {{problems: string[], overQuotaFee: number}} problems say why the plan
+ *   doesn't allow the pickup
+ */
+const checkPickup = (plan, entitlements, { wasteTypes, priority, booked }) => {
+  const problems = [];
+  const name = `The ${label(plan)} plan`;
+
+  const excluded = [...new Set(wasteTypes.map(waste => waste.category))]
+    .filter(category => !entitlements.wasteCategories.includes(category));
+  if (excluded.length > 0) {
+    problems.push(`${name} doesn't include ${excluded.join(', ')} waste.`);
+  }
+
+  const weight = wasteTypes.reduce((total, waste) => total + (Number(waste.estimatedWeight) || 0), 0);
+  if (weight > entitlements.maxWeightKg) {
+    problems.push(`${name} takes up to ${entitlements.maxWeightKg} kg per pickup.`);
+  }
+
+  if (PRIORITY_SLOTS.includes(priority) && !entitlements.prioritySlots) {
+    problems.push(`${name} doesn't include ${priority} priority pickups.`);
+  }
+
+  const fee = overQuotaFee(entitlements, booked);
+  if (fee === null) {
+    problems.push(`${name} includes ${entitlements.includedPickups} pickups a month, and they are all booked.`);
+  }
+
+  return { problems, overQuotaFee: fee || 0 };
+};
+
+// Unused plan time as time on another plan worth the same
+const convertTime = (remainingMs, fromPrice, toPrice) => (toPrice > 0 ? remainingMs * fromPrice / toPrice : 0);
+
+// What unused plan time is worth
+const unusedValue = (remainingMs, monthlyPrice) => round(monthlyPrice * remainingMs / MONTH_MS);
+
+module.exports = {
+  DEFAULT_PLANS,
+  FREE_PLAN,
+  PRIORITY_SLOTS,
+  MONTH_MS,
+  validatePlans,
+  label,
+  currentPlan,
+  monthBounds,
+  overQuotaFee,
+  checkPickup,
+  convertTime,
+  unusedValue
+};
@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const CustomerAnalytics = require('../models/CustomerAnalytics');
+const Facility = require('../models/Facility');
+const systemSettings = require('./systemSettings');
+const { haversineDistance } = require('./distanceMatrixProvider');
+const tariff = require('./tariff');
+const plans = require('./plans');
+
+// Prices pickups with the pricing.tariff setting. The customer's subscription plan,
+// loyalty tier and distance to the nearest depot are looked up here; the arithmetic
+// is in tariff.calculate.
+class PricingService {
+  // Plan in effect and loyalty tier; an expired plan or trial prices like the free plan
+  async getCustomerTerms(customerId) {
+    const [customer, analytics] = await Promise.all([
+      User.findById(customerId).select('customerInfo').lean(),
+      CustomerAnalytics.findOne({ customer: customerId }).select('engagement.loyaltyTier').lean()
+    ]);
+
+    return {
+      plan: plans.currentPlan(customer?.customerInfo).plan,
+      loyaltyTier: analytics?.engagement?.loyaltyTier || 'bronze'
+    };
+  }
+
+  // Straight-line km from [longitude, latitude] to the nearest active depot, or null
+  // when there are no depots to measure from
+  async distanceToDepot(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    const depot = await Facility.findOne({
+      type: 'depot',
+      isActive: true,
+      isDeleted: false,
+      location: { $nearSphere: { $geometry: { type: 'Point', coordinates: [...coordinates] } } }
+    }).select('location').lean();
+    if (!depot) return null;
+
+    const [longitude, latitude] = coordinates;
+    const [depotLongitude, depotLatitude] = depot.location.coordinates;
+    return haversineDistance(latitude, longitude, depotLatitude, depotLongitude);
+  }
+
+  /**
+   * Price a pickup for a customer.
+   * @param {Object} pickup
+   * @param {string} pickup.customerId
+   * @param {Object[]} pickup.items - { category, weight } in kg
+   * @param {string} [pickup.priority]
+   * @param {number[]} [pickup.coordinates] - [longitude, latitude]
+   * @param {number} [pickup.overQuotaFee] - when booked beyond the plan's monthly pickups
+   * @param {Object} [pickup.voucher] - a rewards voucher used on the pickup (services/rewardsService.js)
+   * @returns {Promise<Object>} the price with its lines, plus the plan, tier and
+   *   distance it was based on
+   */
+  async quote({ customerId, items, priority, coordinates, overQuotaFee, voucher }) {
+    const [terms, distanceKm] = await Promise.all([
+      this.getCustomerTerms(customerId),
+      this.distanceToDepot(coordinates)
+    ]);
+
+    return {
+      ...tariff.calculate(systemSettings.get('pricing.tariff'), { ...terms, items, priority, distanceKm, overQuotaFee, voucher }),
+      plan: terms.plan,
+      loyaltyTier: terms.loyaltyTier,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10,
+      quotedAt: new Date()
+    };
+  }
+
+  // Price waste types as requested on a CollectionRequest or series template:
+  // { wasteTypes: [{ category, estimatedWeight }], priority, pickupLocation, overQuotaFee, voucher }
+  async quoteRequest(customerId, { wasteTypes, priority, pickupLocation, overQuotaFee, voucher }) {
+    return this.quote({
+      customerId,
+      items: wasteTypes.map(waste => ({ category: waste.category, weight: waste.estimatedWeight })),
+      priority,
+      coordinates: pickupLocation?.coordinates,
+      overQuotaFee,
+      voucher
+    });
+  }
+
+  // Set estimatedCost from the requested waste types. Doesn't save.
+  async estimate(collection) {
+    const price = await this.quoteRequest(collection.customer._id || collection.customer, collection);
+
+    collection.estimatedCost = price.total;
+    collection.set('pricing.estimate', price);
+    return price;
+  }
+
+  // Set actualCost from the waste collected, or the requested waste types when
+  // nothing was recorded. Doesn't save.
+  async settle(collection) {
+    const customerId = collection.customer._id || collection.customer;
+    const price = collection.actualWasteCollected && collection.actualWasteCollected.length > 0
+      ? await this.quote({
+        customerId,
+        items: collection.actualWasteCollected.map(waste => ({ category: waste.category, weight: waste.weight })),
+        priority: collection.priority,
+        coordinates: collection.pickupLocation?.coordinates,
+        overQuotaFee: collection.overQuotaFee,
+        voucher: collection.voucher
+      })
+      : await this.quoteRequest(customerId, collection);
+
+    collection.actualCost = price.total;
+    collection.set('pricing.actual', price);
+    return price;
+  }
+}
+
+// Export shared instance
+const pricingService = new PricingService();
+module.exports = pricingService;
+module.exports.PricingService = PricingService;
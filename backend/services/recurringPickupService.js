@@ -0,0 +1,398 @@
+const CollectionRequest = require('../models/CollectionRequest');
+const PickupSeries = require('../models/PickupSeries');
+const Holiday = require('../models/Holiday');
+const pricingService = require('./pricingService');
+const subscriptionService = require('./subscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// Template fields that can change on "this and future occurrences" edits
+const TEMPLATE_FIELDS = ['requestedTime', 'preferredTimeRange', 'wasteTypes', 'pickupLocation', 'address', 'priority', 'customerNotes'];
+const RULE_FIELDS = ['frequency', 'dayOfWeek', 'dayOfMonth', 'endDate'];
+
+// Occurrences that have not been picked up by dispatch yet and can be regenerated
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+
+// Expands recurring pickup series into concrete CollectionRequests a fixed number
+// of days ahead. Each occurrence carries `series` and `seriesDate`, so an occurrence
+// that was rescheduled or cancelled on its own is never generated a second time.
+class RecurringPickupService {
+  constructor(options = {}) {
+    this.horizonDays = options.horizonDays || parseInt(process.env.RECURRING_HORIZON_DAYS) || 14;
+  }
+
+  // Whether a day falls on the series' recurrence rule
+  matchesRule(series, day) {
+    const start = startOfDay(series.startDate);
+
+    switch (series.frequency) {
+      case 'daily':
+        return true;
+      case 'weekly':
+        return series.dayOfWeek.includes(day.getDay());
+      case 'biweekly': {
+        // Count whole weeks between the Sundays starting each week
+        const weeks = Math.round((addDays(day, -day.getDay()) - addDays(start, -start.getDay())) / (7 * DAY_MS));
+        return series.dayOfWeek.includes(day.getDay()) && weeks % 2 === 0;
+      }
+      case 'monthly': {
+        // Day 31 falls on the last day of shorter months
+        const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        return day.getDate() === Math.min(series.dayOfMonth, lastDay);
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Rule dates between from and to (inclusive), ignoring skips, pauses and holidays
+  getOccurrenceDates(series, from, to) {
+    const dates = [];
+    const start = startOfDay(series.startDate);
+    const end = series.endDate ? startOfDay(series.endDate) : null;
+
+    for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+      if (day < start) continue;
+      if (end && day > end) break;
+      if (this.matchesRule(series, day)) {
+        dates.push(day);
+      }
+    }
+
+    return dates;
+  }
+
+  isPausedOn(series, day) {
+    if (series.status !== 'paused') return false;
+    return !series.resumeOn || day < startOfDay(series.resumeOn);
+  }
+
+  buildOccurrence(series, day) {
+    const { template } = series;
+
+    return {
+      customer: series.customer,
+      requestedDate: day,
+      requestedTime: template.requestedTime,
+      preferredTimeRange: template.preferredTimeRange,
+      wasteTypes: template.wasteTypes,
+      pickupLocation: template.pickupLocation,
+      address: template.address,
+      priority: template.priority,
+      customerNotes: template.customerNotes,
+      isRecurring: true,
+      recurringSchedule: {
+        frequency: series.frequency,
+        dayOfWeek: series.dayOfWeek,
+        dayOfMonth: series.dayOfMonth,
+        endDate: series.endDate
+      },
+      series: series._id,
+      seriesDate: day
+    };
+  }
+
+  /**
+   * Generate the series' missing occurrences from today up to the horizon.
+   * @returns {Promise<Array>} the CollectionRequests created
+   */
+  async materialize(series, now = new Date()) {
+    if (series.status === 'ended') return [];
+
+    const today = startOfDay(now);
+    const horizon = addDays(today, this.horizonDays);
+    const dates = this.getOccurrenceDates(series, today, horizon);
+
+    const [holidays, existing] = await Promise.all([
+      Holiday.findBetween(today, horizon),
+      CollectionRequest.find({
+        series: series._id,
+        seriesDate: { $gte: today, $lte: horizon }
+      }).select('seriesDate')
+    ]);
+
+    const excluded = new Set([
+      ...holidays.map(holiday => holiday.date.toDateString()),
+      ...existing.map(occurrence => occurrence.seriesDate.toDateString())
+    ]);
+
+    const missing = dates.filter(day =>
+      !excluded.has(day.toDateString()) &&
+      !series.isSkipped(day) &&
+      !this.isPausedOn(series, day)
+    );
+
+    // Every occurrence requests the same waste, so one quote prices all of them with
+    // the same over-quota fee. create() runs save middleware, which assigns each
+    // request its requestId.
+    let created = [];
+    if (missing.length > 0) {
+      const fees = await subscriptionService.occurrenceFees(series.customer, missing, now);
+      const estimates = new Map(); // over-quota fee -> quote
+      for (const fee of new Set(fees)) {
+        const { wasteTypes, priority, pickupLocation } = series.template;
+        estimates.set(fee, await pricingService.quoteRequest(series.customer, { wasteTypes, priority, pickupLocation, overQuotaFee: fee }));
+      }
+
+      created = await CollectionRequest.create(missing.map((day, index) => {
+        const estimate = estimates.get(fees[index]);
+        return {
+          ...this.buildOccurrence(series, day),
+          overQuotaFee: fees[index],
+          estimatedCost: estimate.total,
+          pricing: { estimate }
+        };
+      }));
+    }
+
+    series.materializedThrough = horizon;
+    await series.save();
+
+    return created;
+  }
+
+  // Run materialization for every series that is not yet filled up to the horizon
+  async materializeAll(now = new Date()) {
+    const horizon = addDays(startOfDay(now), this.horizonDays);
+    const due = await PickupSeries.findDue(horizon);
+    let created = 0;
+
+    for (const series of due) {
+      try {
+        created += (await this.materialize(series, now)).length;
+      } catch (error) {
+        console.error(`Materialize series ${series._id} error:`, error);
+      }
+    }
+
+    return { series: due.length, created };
+  }
+
+  // Delete generated occurrences on or after a date that dispatch has not touched yet
+  removeFutureOccurrences(series, from, until = null) {
+    const seriesDate = { $gte: startOfDay(from) };
+    if (until) {
+      seriesDate.$lt = startOfDay(until);
+    }
+
+    return CollectionRequest.deleteMany({
+      series: series._id,
+      seriesDate,
+      status: { $in: MODIFIABLE_STATUSES }
+    });
+  }
+
+  async createSeries(customerId, data) {
+    const series = new PickupSeries({
+      customer: customerId,
+      frequency: data.frequency,
+      dayOfWeek: data.dayOfWeek,
+      dayOfMonth: data.dayOfMonth,
+      startDate: startOfDay(data.startDate || new Date()),
+      endDate: data.endDate,
+      template: {
+        requestedTime: data.requestedTime,
+        preferredTimeRange: data.preferredTimeRange,
+        wasteTypes: data.wasteTypes,
+        pickupLocation: data.pickupLocation,
+        address: data.address,
+        priority: data.priority,
+        customerNotes: data.customerNotes
+      }
+    });
+    await series.save();
+
+    const occurrences = await this.materialize(series);
+    return { series, occurrences };
+  }
+
+  // Turn a one-off request booked with isRecurring into a series it is the first occurrence of
+  async createSeriesFromRequest(collection) {
+    const schedule = collection.recurringSchedule || {};
+    const series = new PickupSeries({
+      customer: collection.customer,
+      frequency: schedule.frequency,
+      dayOfWeek: schedule.dayOfWeek,
+      dayOfMonth: schedule.dayOfMonth,
+      startDate: startOfDay(collection.requestedDate),
+      endDate: schedule.endDate,
+      template: {
+        requestedTime: collection.requestedTime,
+        preferredTimeRange: collection.preferredTimeRange,
+        wasteTypes: collection.wasteTypes,
+        pickupLocation: collection.pickupLocation,
+        address: collection.address,
+        priority: collection.priority,
+        customerNotes: collection.customerNotes
+      }
+    });
+    await series.save();
+
+    collection.series = series._id;
+    collection.seriesDate = startOfDay(collection.requestedDate);
+    await collection.save();
+
+    await this.materialize(series);
+    return series;
+  }
+
+  async pause(series, resumeOn = null) {
+    const today = startOfDay(new Date());
+
+    series.status = 'paused';
+    series.pausedAt = new Date();
+    series.resumeOn = resumeOn ? startOfDay(resumeOn) : undefined;
+    await series.save();
+
+    await this.removeFutureOccurrences(series, today, series.resumeOn);
+    return this.materialize(series);
+  }
+
+  async resume(series) {
+    series.status = 'active';
+    series.resumeOn = undefined;
+    series.pausedAt = undefined;
+    await series.save();
+
+    return this.materialize(series);
+  }
+
+  /**
+   * Skip the next upcoming occurrence, cancelling it if it was already generated.
+   * @returns {Promise<Date|null>} the skipped day
+   */
+  async skipNext(series) {
+    const today = startOfDay(new Date());
+
+    const next = await CollectionRequest.findOne({
+      series: series._id,
+      seriesDate: { $gte: today },
+      status: { $in: ['pending', 'confirmed', 'assigned'] }
+    }).sort({ seriesDate: 1 });
+
+    let skipped;
+    if (next) {
+      skipped = next.seriesDate;
+      next.status = 'cancelled';
+      next.cancellationReason = 'Skipped by customer';
+      await next.save();
+    } else {
+      // Nothing generated yet (paused, or beyond the horizon): skip the next rule date
+      const [day] = this.getOccurrenceDates(series, today, addDays(today, 400))
+        .filter(date => !series.isSkipped(date) && !this.isPausedOn(series, date));
+      skipped = day || null;
+    }
+
+    if (skipped) {
+      series.skippedDates.push(skipped);
+      await series.save();
+    }
+
+    return skipped;
+  }
+
+  async end(series) {
+    const today = startOfDay(new Date());
+
+    series.status = 'ended';
+    series.endedAt = new Date();
+    series.endDate = addDays(today, -1);
+    await series.save();
+
+    await this.removeFutureOccurrences(series, today);
+    return series;
+  }
+
+  /**
+   * Apply changes to this and all future occurrences from effectiveFrom. Edits that
+   * start after the series did split it: the old series ends the day before and a
+   * new one carries the changes, so past occurrences keep their original details.
+   * @returns {Promise<Object>} the series now covering effectiveFrom onwards
+   */
+  async updateFrom(series, effectiveFrom, changes) {
+    const today = startOfDay(new Date());
+    const from = startOfDay(effectiveFrom && new Date(effectiveFrom) > today ? effectiveFrom : today);
+
+    const applyChanges = (target) => {
+      TEMPLATE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) target.template[field] = changes[field];
+      });
+      RULE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) target[field] = changes[field];
+      });
+      // A new frequency without days falls back to the start date's weekday in validation
+      if (changes.frequency !== undefined && changes.dayOfWeek === undefined) {
+        target.dayOfWeek = [];
+      }
+    };
+
+    if (from <= startOfDay(series.startDate)) {
+      applyChanges(series);
+      await series.save();
+      await this.removeFutureOccurrences(series, from);
+      await this.materialize(series);
+      return series;
+    }
+
+    const next = new PickupSeries({
+      customer: series.customer,
+      status: series.status,
+      frequency: series.frequency,
+      dayOfWeek: series.dayOfWeek,
+      dayOfMonth: series.dayOfMonth,
+      startDate: from,
+      endDate: series.endDate,
+      template: series.template.toObject(),
+      skippedDates: series.skippedDates.filter(date => date >= from),
+      resumeOn: series.resumeOn,
+      pausedAt: series.pausedAt,
+      previousSeries: series._id
+    });
+    applyChanges(next);
+    await next.save();
+
+    series.endDate = addDays(from, -1);
+    series.nextSeries = next._id;
+    await series.save();
+
+    // Regenerate what dispatch hasn't touched; occurrences already assigned move to the new series
+    await this.removeFutureOccurrences(series, from);
+    await CollectionRequest.updateMany(
+      { series: series._id, seriesDate: { $gte: from } },
+      { $set: { series: next._id } }
+    );
+
+    await this.materialize(next);
+    return next;
+  }
+
+  // Upcoming occurrences of a series
+  getUpcoming(series, limit = 10) {
+    return CollectionRequest.find({
+      series: series._id,
+      seriesDate: { $gte: startOfDay(new Date()) }
+    })
+    .select('requestId requestedDate requestedTime status seriesDate')
+    .sort({ seriesDate: 1 })
+    .limit(limit);
+  }
+
+}
+
+// Export shared instance
+const recurringPickupService = new RecurringPickupService();
+module.exports = recurringPickupService;
+module.exports.RecurringPickupService = RecurringPickupService;
+module.exports.startOfDay = startOfDay;
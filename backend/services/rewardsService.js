@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CustomerAnalytics = require('../models/CustomerAnalytics');
+const PointsTransaction = require('../models/PointsTransaction');
+const Reward = require('../models/Reward');
+const Voucher = require('../models/Voucher');
+const systemSettings = require('./systemSettings');
+const logger = require('./logger');
+
+const rewardsError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Waste categories that earn recycling points
+const RECYCLED_CATEGORIES = ['recyclable', 'plastic', 'paper', 'glass', 'metal'];
+
+// Voucher codes leave out 0/O and 1/I so they can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `SC-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Reward points and what customers spend them on. Every change to a customer's
+// points is a PointsTransaction; CustomerAnalytics.engagement keeps the running
+// totals, which are changed with conditional updates so points can't be spent twice.
+class RewardsService {
+  // Change the customer's point totals. Spending only happens while enough points
+  // are available; resolves to whether it did.
+  async applyPoints(customerId, points, { redeemed = false } = {}) {
+    await CustomerAnalytics.getOrCreate(customerId);
+
+    const $inc = { 'engagement.availablePoints': points };
+    if (redeemed) {
+      $inc['engagement.pointsRedeemed'] = -points;
+    } else {
+      $inc['engagement.totalPoints'] = points;
+    }
+
+    const filter = { customer: customerId };
+    if (points < 0) {
+      filter['engagement.availablePoints'] = { $gte: -points };
+    }
+
+    const analytics = await CustomerAnalytics.findOneAndUpdate(filter, { $inc }, { new: true })
+      .select('engagement.totalPoints engagement.loyaltyTier');
+    if (!analytics) return false;
+
+    const tier = CustomerAnalytics.tierForPoints(analytics.engagement.totalPoints);
+    if (!redeemed && tier !== analytics.engagement.loyaltyTier) {
+      await CustomerAnalytics.updateOne({ customer: customerId }, { $set: { 'engagement.loyaltyTier': tier } });
+    }
+    return true;
+  }
+
+  // Change the totals and record the transaction. A key already recorded changes
+  // nothing and resolves to null.
+  async transact(customerId, { type, points, reason, key, redeemed = false, ...refs }) {
+    if (await PointsTransaction.exists({ key })) return null;
+
+    if (!await this.applyPoints(customerId, points, { redeemed })) {
+      throw rewardsError('Not enough points', 409);
+    }
+
+    try {
+      return await PointsTransaction.create({ customer: customerId, type, points, reason, key, ...refs });
+    } catch (error) {
+      // Recorded meanwhile by a retry, or not at all: either way undo this change
+      await this.applyPoints(customerId, -points, { redeemed });
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Give (or with negative points, take) points. Everything that changes a
+   * customer's points goes through here or redeem().
+   * @param {string} customerId
+   * @param {number} points - whole number
+   * @param {string} reason - shown to the customer
+   * @param {Object} [options]
+   * @param {string} [options.type] - a PointsTransaction type; adjustment by default
+   * @param {string} [options.key] - unique per change, so a retry doesn't count twice
+   * @param {string} [options.collectionRequest]
+   * @param {string} [options.userId] - staff making an adjustment
+   * @returns {Promise<Object|null>} the transaction, or null if already recorded
+   * @throws 409 when taking more points than are available
+   */
+  async earn(customerId, points, reason, { type = 'adjustment', key, collectionRequest, userId } = {}) {
+    if (!Number.isInteger(points) || points === 0) {
+      throw rewardsError('Points must be a whole number other than 0');
+    }
+
+    return this.transact(customerId, {
+      type,
+      points,
+      reason,
+      key: key || `${type}:${new mongoose.Types.ObjectId()}`,
+      collectionRequest,
+      createdBy: userId
+    });
+  }
+
+  // Points for a completed pickup: a fixed amount plus the recyclables' weight
+  // (rewards.pointsPerPickup and rewards.pointsPerRecycledKg settings)
+  async awardPickup(collection, wasteCollected) {
+    const customerId = collection.customer._id || collection.customer;
+    const recycledKg = wasteCollected
+      .filter(waste => RECYCLED_CATEGORIES.includes(waste.category))
+      .reduce((total, waste) => total + (Number(waste.weight ?? waste.estimatedWeight) || 0), 0);
+
+    const pickupPoints = systemSettings.get('rewards.pointsPerPickup');
+    const recyclingPoints = Math.floor(recycledKg * systemSettings.get('rewards.pointsPerRecycledKg'));
+
+    if (pickupPoints > 0) {
+      await this.transact(customerId, {
+        type: 'pickup',
+        points: pickupPoints,
+        reason: `Pickup ${collection.requestId}`,
+        key: `pickup:${collection._id}`,
+        collectionRequest: collection._id
+      });
+    }
+    if (recyclingPoints > 0) {
+      await this.transact(customerId, {
+        type: 'recycling',
+        points: recyclingPoints,
+        reason: `${Math.round(recycledKg * 10) / 10} kg recycled on pickup ${collection.requestId}`,
+        key: `recycling:${collection._id}`,
+        collectionRequest: collection._id
+      });
+    }
+  }
+
+  /**
+   * The customer's points with their transactions, newest first.
+   * @returns {Promise<{points: Object, transactions: Object[], pagination: Object}>}
+   */
+  async getPoints(customerId, { page = 1, limit = 20 } = {}) {
+    const filter = { customer: customerId };
+    const [analytics, transactions, total] = await Promise.all([
+      CustomerAnalytics.getOrCreate(customerId),
+      PointsTransaction.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
+    const { totalPoints, availablePoints, pointsRedeemed, loyaltyTier } = analytics.engagement;
+    return {
+      points: { totalPoints, availablePoints, pointsRedeemed, loyaltyTier },
+      transactions,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    };
+  }
+
+  // Points earned by transaction type, e.g. [{ type: 'pickup', points: 120 }]
+  async breakdown(customerId) {
+    const sources = await PointsTransaction.aggregate([
+      { $match: { customer: toObjectId(customerId), points: { $gt: 0 }, type: { $ne: 'redemption-refund' } } },
+      { $group: { _id: '$type', points: { $sum: '$points' } } },
+      { $sort: { points: -1 } }
+    ]);
+    return sources.map(source => ({ type: source._id, points: source.points }));
+  }
+
+  // Rewards customers can redeem now, cheapest first
+  catalogue(now = new Date()) {
+    return Reward.find(Reward.redeemableFilter(now)).sort({ pointsCost: 1 }).lean();
+  }
+
+  /**
+   * Spend points on a reward. The reward's stock and the customer's points are each
+   * taken with a conditional update, and given back if a later step fails.
+   * @returns {Promise<Object>} the voucher issued
+   * @throws 404 when the reward can't be redeemed now, 409 when it is out of stock
+   *   or the customer hasn't enough points
+   */
+  async redeem(customerId, rewardId, now = new Date()) {
+    const reward = await Reward.findOne({ _id: rewardId, ...Reward.redeemableFilter(now) }).lean();
+    if (!reward) {
+      throw rewardsError('Reward not found or no longer available', 404);
+    }
+
+    const limited = typeof reward.stock === 'number';
+    const taken = await Reward.updateOne(
+      { _id: reward._id, ...(limited ? { stock: { $gt: 0 } } : { stock: null }) },
+      { $inc: limited ? { stock: -1, redeemedCount: 1 } : { redeemedCount: 1 } }
+    );
+    if (taken.modifiedCount === 0) {
+      throw rewardsError('This reward is out of stock', 409);
+    }
+    const giveBackStock = () => Reward.updateOne(
+      { _id: reward._id },
+      { $inc: limited ? { stock: 1, redeemedCount: -1 } : { redeemedCount: -1 } }
+    );
+
+    const voucher = new Voucher({
+      code: generateCode(),
+      customer: customerId,
+      reward: reward._id,
+      type: reward.type,
+      label: reward.name,
+      percentOff: reward.type === 'free-pickup' ? 100 : reward.percentOff,
+      amountOff: reward.amountOff,
+      partner: reward.partner,
+      pointsCost: reward.pointsCost,
+      expiresAt: new Date(now.getTime() + reward.voucherValidDays * DAY_MS)
+    });
+
+    try {
+      await this.transact(customerId, {
+        type: 'redemption',
+        points: -reward.pointsCost,
+        reason: `Redeemed ${reward.name}`,
+        key: `redemption:${voucher._id}`,
+        redeemed: true,
+        voucher: voucher._id
+      });
+    } catch (error) {
+      await giveBackStock();
+      throw error;
+    }
+
+    try {
+      await voucher.save();
+    } catch (error) {
+      await this.transact(customerId, {
+        type: 'redemption-refund',
+        points: reward.pointsCost,
+        reason: `Refund for ${reward.name}`,
+        key: `redemption-refund:${voucher._id}`,
+        redeemed: true,
+        voucher: voucher._id
+      });
+      await giveBackStock();
+      throw error;
+    }
+
+    logger.info('Reward redeemed', {
+      category: 'rewards',
+      customerId: customerId.toString(),
+      reward: reward._id.toString(),
+      voucher: voucher.code
+    });
+    return voucher;
+  }
+
+  // What a pickup's price takes off for a voucher (see tariff.calculate)
+  voucherTerms(voucher) {
+    return {
+      voucher: voucher._id,
+      code: voucher.code,
+      label: voucher.label,
+      percent: voucher.percentOff,
+      amount: voucher.amountOff
+    };
+  }
+
+  // An issued, unexpired voucher of the customer's that can go on a pickup
+  async findUsableVoucher(customerId, code, now = new Date()) {
+    const voucher = await Voucher.findOne({ customer: customerId, code: String(code).trim().toUpperCase() });
+    if (!voucher) {
+      throw rewardsError('Voucher not found', 404);
+    }
+    if (voucher.type === 'partner-coupon') {
+      throw rewardsError(`This voucher is for ${voucher.partner?.name || 'a partner'}, not for pickups`);
+    }
+    if (voucher.status !== 'issued' || voucher.expiresAt <= now) {
+      throw rewardsError(voucher.status === 'issued' ? 'This voucher has expired' : `This voucher is ${voucher.status}`, 409);
+    }
+    return voucher;
+  }
+
+  /**
+   * Hold a voucher for a pickup being booked, so it can't go on another one.
+   * @returns {Promise<Object>} the terms to store as CollectionRequest.voucher
+   */
+  async reserveVoucher(customerId, code, collectionId, now = new Date()) {
+    const voucher = await this.findUsableVoucher(customerId, code, now);
+    const reserved = await Voucher.findOneAndUpdate(
+      { _id: voucher._id, status: 'issued', expiresAt: { $gt: now } },
+      { $set: { status: 'reserved', collectionRequest: collectionId } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw rewardsError('This voucher was just used on another pickup', 409);
+    }
+    return this.voucherTerms(reserved);
+  }
+
+  // A cancelled pickup's voucher can be used again; expiry still applies
+  releaseVoucher(collection) {
+    if (!collection.voucher?.voucher) return null;
+    return Voucher.updateOne(
+      { _id: collection.voucher.voucher, status: 'reserved', collectionRequest: collection._id },
+      { $set: { status: 'issued' }, $unset: { collectionRequest: 1 } }
+    );
+  }
+
+  // Mark the completed pickup's voucher used and give the pickup's points
+  async completePickup(collection, wasteCollected) {
+    if (collection.voucher?.voucher) {
+      await Voucher.updateOne(
+        { _id: collection.voucher.voucher, status: 'reserved' },
+        { $set: { status: 'used', usedAt: new Date() } }
+      );
+    }
+    await this.awardPickup(collection, wasteCollected);
+  }
+
+  /**
+   * Cancel an unused voucher: its points go back to the customer and the reward
+   * gets the stock back.
+   * @param {string} voucherId
+   * @param {Object} options
+   * @param {string} [options.customerId] - only this customer's voucher
+   * @param {string} options.userId - who cancelled it
+   */
+  async cancelVoucher(voucherId, { customerId, userId }) {
+    const filter = { _id: voucherId, status: 'issued' };
+    if (customerId) filter.customer = customerId;
+
+    const voucher = await Voucher.findOneAndUpdate(filter, {
+      $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId }
+    }, { new: true });
+    if (!voucher) {
+      throw rewardsError('Voucher not found or already used', 404);
+    }
+
+    await this.transact(voucher.customer, {
+      type: 'redemption-refund',
+      points: voucher.pointsCost,
+      reason: `Cancelled ${voucher.label}`,
+      key: `redemption-refund:${voucher._id}`,
+      redeemed: true,
+      voucher: voucher._id,
+      createdBy: userId
+    });
+    await Reward.updateOne({ _id: voucher.reward, stock: { $ne: null } }, { $inc: { stock: 1 } });
+    await Reward.updateOne({ _id: voucher.reward }, { $inc: { redeemedCount: -1 } });
+
+    return voucher;
+  }
+}
+
+// Export shared instance
+const rewardsService = new RewardsService();
+module.exports = rewardsService;
+module.exports.RewardsService = RewardsService;
+module.exports.RECYCLED_CATEGORIES = RECYCLED_CATEGORIES;
@@ -0,0 +1,99 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES, ADDED_DEFAULTS } = require('./permissions');
+
+// Admin edits are picked up by other instances within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+const ALL = new Set(ALL_PERMISSIONS);
+const NONE = new Set();
+
+// Resolves role names to permission sets. Roles live in the database so admins can
+// add custom ones; the built-ins are seeded on start.
+class RoleService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  getDefault(name) {
+    return BUILT_IN_ROLES.find(role => role.name === name) || null;
+  }
+
+  // Insert missing built-in roles, and grant existing ones each default permission
+  // they haven't been granted yet. Permissions an admin added or took away stay so.
+  async seedDefaults() {
+    const result = await Role.bulkWrite(BUILT_IN_ROLES.flatMap(role => [
+      {
+        updateOne: {
+          filter: { name: role.name },
+          update: { $setOnInsert: { ...role, grantedDefaults: role.permissions, isSystem: true } },
+          upsert: true
+        }
+      },
+      // Roles seeded before grantedDefaults was recorded had every default but the added ones
+      {
+        updateOne: {
+          filter: { name: role.name, grantedDefaults: { $exists: false } },
+          update: {
+            $set: {
+              grantedDefaults: role.permissions.filter(permission => !ADDED_DEFAULTS[role.name]?.includes(permission))
+            }
+          }
+        }
+      },
+      ...role.permissions.map(permission => ({
+        updateOne: {
+          filter: { name: role.name, grantedDefaults: { $ne: permission } },
+          update: { $addToSet: { permissions: permission, grantedDefaults: permission } }
+        }
+      }))
+    ], { ordered: true }));
+
+    this.invalidate();
+    return result.upsertedCount;
+  }
+
+  // Role by name, from the cache, the database or the built-ins
+  async getRole(name) {
+    const cached = this.cache.get(name);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.role;
+    }
+
+    const role = await Role.findOne({ name }).lean() || this.getDefault(name);
+    this.cache.set(name, { role, loadedAt: Date.now() });
+    return role;
+  }
+
+  async exists(name) {
+    return Boolean(await this.getRole(name));
+  }
+
+  /**
+   * Permissions granted to a role. Admin always has all of them, including ones
+   * added after its record was seeded; unknown roles have none.
+   * @returns {Promise<Set<string>>}
+   */
+  async getPermissions(name) {
+    if (name === 'admin') return ALL;
+
+    const role = await this.getRole(name);
+    return role ? new Set(role.permissions) : NONE;
+  }
+
+  async can(roleName, permission) {
+    return (await this.getPermissions(roleName)).has(permission);
+  }
+
+  invalidate(name) {
+    if (name) {
+      this.cache.delete(name);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+// Export shared instance
+const roleService = new RoleService();
+module.exports = roleService;
+module.exports.RoleService = RoleService;
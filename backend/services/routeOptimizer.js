@@ -0,0 +1,590 @@
+const distanceMatrixProvider = require('./distanceMatrixProvider');
+const { haversineDistance, HaversineProvider } = distanceMatrixProvider;
+const systemSettings = require('./systemSettings');
+
+// Capacitated vehicle routing with time windows (CVRPTW) for daily collection planning.
+// Requests are split across the available fleet with a parallel cheapest-insertion
+// heuristic and then refined with 2-opt and or-opt local search. Each vehicle starts
+// and ends at its own depot; when a truck fills up it detours to disposal facilities
+// that accept the categories it is carrying before continuing.
+
+// Approximate loose bulk density per waste category in kg per cubic meter,
+// used to estimate the volume a pickup occupies in the truck
+const WASTE_DENSITY = {
+  organic: 500,
+  recyclable: 100,
+  plastic: 50,
+  paper: 150,
+  glass: 300,
+  metal: 400,
+  electronic: 200,
+  hazardous: 300,
+  general: 200
+};
+
+const PRIORITY_ORDER = { urgent: 4, high: 3, normal: 2, low: 1 };
+
+class RouteOptimizer {
+  constructor(options = {}) {
+    this.distanceProvider = options.distanceProvider || this.providerForSpeed(options.averageSpeed);
+    this.serviceTime = options.serviceTime || 10; // minutes spent at each stop
+    this.shiftStart = this.toMinutes(options.shiftStart || '08:00');
+    this.shiftEnd = this.toMinutes(options.shiftEnd || '19:00');
+    this.urgencyWeight = options.urgencyWeight || 5; // km of detour worth one hour of urgent delay
+    this.maxIterations = options.maxIterations || 200;
+  }
+
+  // The shared provider, or a straight-line one at the given km/h. Road graphs keep
+  // their per-street speeds.
+  providerForSpeed(averageSpeed) {
+    if (!averageSpeed || !(distanceMatrixProvider instanceof HaversineProvider)) {
+      return distanceMatrixProvider;
+    }
+    return new HaversineProvider({ averageSpeed });
+  }
+
+  // "08:30" -> 510 minutes after midnight
+  toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  // 510 -> "08:30"
+  formatTime(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    const mins = rounded % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+
+  // Pickup window in minutes after midnight, clamped to the working shift
+  getTimeWindow(request) {
+    // Slot windows are the pickups.timeSlots system setting
+    const slot = systemSettings.getTimeSlot(request.requestedTime) || {
+      start: this.formatTime(this.shiftStart),
+      end: this.formatTime(this.shiftEnd)
+    };
+
+    let ready = this.toMinutes(request.preferredTimeRange?.start || slot.start);
+    let due = this.toMinutes(request.preferredTimeRange?.end || slot.end);
+
+    if (due <= ready) {
+      ready = this.toMinutes(slot.start);
+      due = this.toMinutes(slot.end);
+    }
+
+    // Urgent pickups may be served as soon as the shift starts
+    if (request.priority === 'urgent') {
+      ready = this.shiftStart;
+    }
+
+    return {
+      ready: Math.max(ready, this.shiftStart),
+      due: Math.min(due, this.shiftEnd)
+    };
+  }
+
+  // Estimated load of a request as { weight (kg), volume (m³) } plus a per-category breakdown
+  getDemand(request) {
+    const cargo = {};
+
+    (request.wasteTypes || []).forEach(waste => {
+      const weight = waste.estimatedWeight || 0;
+      const density = WASTE_DENSITY[waste.category] || WASTE_DENSITY.general;
+      const entry = cargo[waste.category] || (cargo[waste.category] = { weight: 0, volume: 0 });
+      entry.weight += weight;
+      entry.volume += weight / density;
+    });
+
+    const weight = Object.values(cargo).reduce((sum, entry) => sum + entry.weight, 0);
+    const volume = Object.values(cargo).reduce((sum, entry) => sum + entry.volume, 0);
+
+    return { weight, volume, cargo };
+  }
+
+  // { latitude, longitude } from either a plain point or a GeoJSON-located document
+  toPoint(place) {
+    if (place.location?.coordinates) {
+      const [longitude, latitude] = place.location.coordinates;
+      return { latitude, longitude };
+    }
+    return { latitude: place.latitude, longitude: place.longitude };
+  }
+
+  // Pair each vehicle with its home depot, falling back to the depot nearest its last position
+  assignDepots(vehicles, depots) {
+    return vehicles.map(vehicle => {
+      const home = vehicle.homeDepot &&
+        depots.find(depot => depot._id && depot._id.toString() === vehicle.homeDepot.toString());
+      if (home) return { vehicle, depot: home };
+
+      const position = vehicle.currentLocation?.coordinates ?
+        this.toPoint({ location: vehicle.currentLocation }) : this.toPoint(depots[0]);
+      const nearest = depots.reduce((best, depot) => {
+        const point = this.toPoint(depot);
+        const distance = haversineDistance(position.latitude, position.longitude, point.latitude, point.longitude);
+        return !best || distance < best.distance ? { depot, distance } : best;
+      }, null);
+
+      return { vehicle, depot: nearest.depot };
+    });
+  }
+
+  buildFacility(facility) {
+    return {
+      facility,
+      ...this.toPoint(facility),
+      accepts: new Set(facility.acceptedWasteTypes || []),
+      open: this.toMinutes(facility.operatingHours?.open || '00:00'),
+      close: this.toMinutes(facility.operatingHours?.close || '23:59'),
+      unloadTime: facility.unloadTime ?? 15
+    };
+  }
+
+  buildStop(request) {
+    const [longitude, latitude] = request.pickupLocation.coordinates;
+    return {
+      request,
+      latitude,
+      longitude,
+      priority: request.priority || 'normal',
+      ...this.getDemand(request),
+      ...this.getTimeWindow(request)
+    };
+  }
+
+  // Pairwise road distances (km) and travel times (minutes) between all pickups, depots and facilities
+  buildMatrix(points) {
+    return this.distanceProvider.getMatrix(points.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude
+    })));
+  }
+
+  // Greedy choice of facilities to empty the given cargo, starting from a point.
+  // Returns facility indices in visiting order, or null when a category has nowhere to go.
+  planUnloadTrip(position, cargo) {
+    const { points, facilities, distances } = this.problem;
+    const remaining = new Set(Object.keys(cargo));
+    const trip = [];
+    let current = position;
+
+    while (remaining.size > 0) {
+      let best = null;
+
+      for (const index of facilities) {
+        const covered = [...remaining].filter(category => points[index].accepts.has(category)).length;
+        if (covered === 0) continue;
+        const score = distances[current][index] / covered;
+        if (!best || score < best.score) {
+          best = { index, score };
+        }
+      }
+
+      if (!best) return null;
+
+      trip.push(best.index);
+      points[best.index].accepts.forEach(category => remaining.delete(category));
+      current = best.index;
+    }
+
+    return trip;
+  }
+
+  // Simulate a tour and report its feasibility, distance and per-stop schedule,
+  // inserting unload trips whenever the next pickup would overfill the truck.
+  // Stops are referenced by their index in the distance matrix.
+  scheduleRoute(tour, vehicleIndex) {
+    const { points, distances, durations, fleet, facilities } = this.problem;
+    const { vehicle, depotIndex } = fleet[vehicleIndex];
+    const capacity = vehicle.capacity;
+    let time = this.shiftStart;
+    let position = depotIndex;
+    let distance = 0;
+    let urgentDelay = 0;
+    let unloadTrips = 0;
+    let cargo = {};
+    let load = { weight: 0, volume: 0 };
+    const peakLoad = { weight: 0, volume: 0 };
+    const visits = [];
+
+    const unload = () => {
+      const trip = this.planUnloadTrip(position, cargo);
+      if (!trip) return 'no_facility';
+
+      for (const index of trip) {
+        const facility = points[index];
+        const legDistance = distances[position][index];
+        const legTime = durations[position][index];
+        const arrival = time + legTime;
+        const serviceStart = Math.max(arrival, facility.open);
+
+        if (serviceStart > facility.close) return 'facility_closed';
+
+        const categories = Object.keys(cargo).filter(category => facility.accepts.has(category));
+        const unloaded = categories.reduce((sum, category) => ({
+          weight: sum.weight + cargo[category].weight,
+          volume: sum.volume + cargo[category].volume
+        }), { weight: 0, volume: 0 });
+        categories.forEach(category => delete cargo[category]);
+
+        visits.push({
+          type: 'unload',
+          index,
+          arrival,
+          serviceStart,
+          departure: serviceStart + facility.unloadTime,
+          wait: serviceStart - arrival,
+          distanceFromPrevious: legDistance,
+          travelTime: legTime,
+          categories,
+          unloaded
+        });
+
+        distance += legDistance;
+        time = serviceStart + facility.unloadTime;
+        position = index;
+      }
+
+      cargo = {};
+      load = { weight: 0, volume: 0 };
+      unloadTrips++;
+      return null;
+    };
+
+    for (const index of tour) {
+      const stop = points[index];
+
+      if (stop.weight > capacity.weight || stop.volume > capacity.volume) {
+        return { feasible: false, reason: 'capacity' };
+      }
+
+      if (load.weight + stop.weight > capacity.weight || load.volume + stop.volume > capacity.volume) {
+        if (facilities.length === 0) {
+          return { feasible: false, reason: 'capacity' };
+        }
+        const failure = unload();
+        if (failure) return { feasible: false, reason: failure };
+      }
+
+      const legDistance = distances[position][index];
+      const legTime = durations[position][index];
+      const arrival = time + legTime;
+      const serviceStart = Math.max(arrival, stop.ready);
+
+      if (serviceStart > stop.due) {
+        return { feasible: false, reason: 'time_window' };
+      }
+
+      Object.entries(stop.cargo).forEach(([category, entry]) => {
+        const held = cargo[category] || (cargo[category] = { weight: 0, volume: 0 });
+        held.weight += entry.weight;
+        held.volume += entry.volume;
+      });
+      load = { weight: load.weight + stop.weight, volume: load.volume + stop.volume };
+      peakLoad.weight = Math.max(peakLoad.weight, load.weight);
+      peakLoad.volume = Math.max(peakLoad.volume, load.volume);
+      distance += legDistance;
+
+      if (stop.priority === 'urgent') {
+        urgentDelay += serviceStart - this.shiftStart;
+      }
+
+      visits.push({
+        type: 'pickup',
+        index,
+        arrival,
+        serviceStart,
+        departure: serviceStart + this.serviceTime,
+        wait: serviceStart - arrival,
+        distanceFromPrevious: legDistance,
+        travelTime: legTime,
+        load: { ...load }
+      });
+
+      time = serviceStart + this.serviceTime;
+      position = index;
+    }
+
+    // Trucks tip their last load before returning to the depot
+    if (load.weight > 0 && facilities.length > 0) {
+      const failure = unload();
+      if (failure) return { feasible: false, reason: failure };
+    }
+
+    const returnDistance = tour.length > 0 ? distances[position][depotIndex] : 0;
+    const returnTime = tour.length > 0 ? durations[position][depotIndex] : 0;
+    const endTime = time + returnTime;
+
+    if (endTime > this.shiftEnd) {
+      return { feasible: false, reason: 'shift_length' };
+    }
+
+    distance += returnDistance;
+
+    return {
+      feasible: true,
+      visits,
+      distance,
+      returnDistance,
+      returnTime,
+      endTime,
+      unloadTrips,
+      peakLoad,
+      cost: distance + this.urgencyWeight * (urgentDelay / 60)
+    };
+  }
+
+  routeCost(tour, vehicleIndex) {
+    if (tour.length === 0) return 0;
+    const schedule = this.scheduleRoute(tour, vehicleIndex);
+    return schedule.feasible ? schedule.cost : Infinity;
+  }
+
+  // Cheapest feasible position for a stop across every vehicle
+  findBestInsertion(index, tours, costs) {
+    let best = null;
+
+    tours.forEach((tour, vehicleIndex) => {
+      for (let position = 0; position <= tour.length; position++) {
+        const candidate = [...tour.slice(0, position), index, ...tour.slice(position)];
+        const delta = this.routeCost(candidate, vehicleIndex) - costs[vehicleIndex];
+        if (delta < Infinity && (!best || delta < best.delta)) {
+          best = { vehicleIndex, tour: candidate, delta };
+        }
+      }
+    });
+
+    return best;
+  }
+
+  // Parallel cheapest insertion; urgent and tight-window stops are placed first
+  constructRoutes(tours, costs, pending) {
+    const { points } = this.problem;
+    const order = [...pending].sort((a, b) =>
+      (PRIORITY_ORDER[points[b].priority] || 0) - (PRIORITY_ORDER[points[a].priority] || 0) ||
+      points[a].due - points[b].due
+    );
+    const unassigned = [];
+
+    for (const index of order) {
+      const best = this.findBestInsertion(index, tours, costs);
+      if (best) {
+        tours[best.vehicleIndex] = best.tour;
+        costs[best.vehicleIndex] += best.delta;
+      } else {
+        unassigned.push(index);
+      }
+    }
+
+    return unassigned;
+  }
+
+  // Reverse a segment of a single tour
+  twoOpt(tours, costs) {
+    let improved = false;
+
+    tours.forEach((tour, vehicleIndex) => {
+      for (let i = 0; i < tour.length - 1; i++) {
+        for (let j = i + 1; j < tour.length; j++) {
+          const candidate = [
+            ...tour.slice(0, i),
+            ...tour.slice(i, j + 1).reverse(),
+            ...tour.slice(j + 1)
+          ];
+          const cost = this.routeCost(candidate, vehicleIndex);
+          if (cost < costs[vehicleIndex] - 1e-9) {
+            tours[vehicleIndex] = candidate;
+            costs[vehicleIndex] = cost;
+            tour = candidate;
+            improved = true;
+          }
+        }
+      }
+    });
+
+    return improved;
+  }
+
+  // Move a chain of up to three consecutive stops to another position,
+  // within the same tour or into a different vehicle's tour
+  orOpt(tours, costs) {
+    for (let from = 0; from < tours.length; from++) {
+      for (let length = 1; length <= 3; length++) {
+        for (let i = 0; i + length <= tours[from].length; i++) {
+          const segment = tours[from].slice(i, i + length);
+          const remaining = [...tours[from].slice(0, i), ...tours[from].slice(i + length)];
+          const remainingCost = this.routeCost(remaining, from);
+          if (remainingCost === Infinity) continue;
+
+          for (let to = 0; to < tours.length; to++) {
+            const base = to === from ? remaining : tours[to];
+            const before = to === from ? costs[from] : costs[from] + costs[to];
+
+            for (let position = 0; position <= base.length; position++) {
+              if (to === from && position === i) continue;
+              const candidate = [...base.slice(0, position), ...segment, ...base.slice(position)];
+              const candidateCost = this.routeCost(candidate, to);
+              const after = to === from ? candidateCost : remainingCost + candidateCost;
+
+              if (after < before - 1e-9) {
+                if (to === from) {
+                  tours[from] = candidate;
+                  costs[from] = candidateCost;
+                } else {
+                  tours[from] = remaining;
+                  costs[from] = remainingCost;
+                  tours[to] = candidate;
+                  costs[to] = candidateCost;
+                }
+                return true;
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Plan a day of collections across a fleet.
+   * @param {Array<{vehicle: Object, depot: Object}>} fleet - Vehicles (capacity.weight, capacity.volume)
+   *   paired with the depot they start and end at (a point or a Facility document)
+   * @param {Array} requests - CollectionRequest documents with pickupLocation
+   * @param {Array} [facilities] - Facility documents where loads can be tipped
+   * @returns {Promise<{routes: Array, unassigned: Array}>}
+   */
+  async solve(fleet, requests, facilities = []) {
+    const points = requests.map(request => this.buildStop(request));
+
+    // Depots shared by several vehicles get a single matrix entry
+    const depotIndexes = new Map();
+    const fleetEntries = fleet.map(({ vehicle, depot }) => {
+      const point = this.toPoint(depot);
+      const key = `${point.latitude},${point.longitude}`;
+      if (!depotIndexes.has(key)) {
+        depotIndexes.set(key, points.length);
+        points.push({ depot, ...point });
+      }
+      return { vehicle, depot, depotIndex: depotIndexes.get(key) };
+    });
+
+    const facilityIndexes = facilities
+      .filter(facility => (facility.acceptedWasteTypes || []).length > 0)
+      .map(facility => points.push(this.buildFacility(facility)) - 1);
+
+    const { distances, durations } = await this.buildMatrix(points);
+
+    this.problem = {
+      points,
+      fleet: fleetEntries,
+      facilities: facilityIndexes,
+      distances,
+      durations
+    };
+
+    const tours = fleetEntries.map(() => []);
+    const costs = fleetEntries.map(() => 0);
+    const pending = requests.map((request, index) => index);
+
+    let unassigned = this.constructRoutes(tours, costs, pending);
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const improved = this.twoOpt(tours, costs) || this.orOpt(tours, costs);
+      if (!improved) break;
+    }
+
+    // Local search can free up room for stops that did not fit initially
+    if (unassigned.length > 0) {
+      unassigned = this.constructRoutes(tours, costs, unassigned);
+    }
+
+    const routes = tours.map((tour, vehicleIndex) => {
+      const { vehicle, depot } = fleetEntries[vehicleIndex];
+      const schedule = this.scheduleRoute(tour, vehicleIndex);
+      const route = schedule.visits.map(visit => ({
+        ...visit,
+        stop: points[visit.index]
+      }));
+
+      return {
+        vehicle,
+        depot,
+        route,
+        schedule,
+        stats: this.calculateRouteStats(route, schedule, vehicle)
+      };
+    });
+
+    return {
+      routes,
+      unassigned: unassigned.map(index => ({
+        request: points[index].request,
+        reason: this.explainUnassigned(index)
+      }))
+    };
+  }
+
+  explainUnassigned(index) {
+    const { points, fleet, facilities, durations } = this.problem;
+    const stop = points[index];
+
+    const fits = fleet.some(({ vehicle }) =>
+      stop.weight <= vehicle.capacity.weight && stop.volume <= vehicle.capacity.volume
+    );
+    if (!fits) return 'exceeds_vehicle_capacity';
+
+    if (facilities.length > 0) {
+      const accepted = Object.keys(stop.cargo).every(category =>
+        facilities.some(facilityIndex => points[facilityIndex].accepts.has(category))
+      );
+      if (!accepted) return 'no_facility_accepts_waste';
+    }
+
+    const reachable = fleet.some(({ depotIndex }) =>
+      this.shiftStart + durations[depotIndex][index] <= stop.due
+    );
+    if (!reachable) return 'time_window_unreachable';
+
+    return 'fleet_fully_booked';
+  }
+
+  // Calculate total route statistics
+  calculateRouteStats(route, schedule, vehicle) {
+    const totalDistance = schedule.distance || 0;
+    const totalTravelTime = Math.ceil(
+      route.reduce((sum, point) => sum + point.travelTime, 0) + (schedule.returnTime || 0)
+    );
+    const pickups = route.filter(point => point.type === 'pickup');
+    const totalWaitTime = Math.round(route.reduce((sum, point) => sum + point.wait, 0));
+    const totalCollectionTime = pickups.length * this.serviceTime;
+    const totalUnloadTime = route
+      .filter(point => point.type === 'unload')
+      .reduce((sum, point) => sum + point.stop.unloadTime, 0);
+    const totalTime = totalTravelTime + totalWaitTime + totalCollectionTime + totalUnloadTime;
+
+    return {
+      totalDistance: Math.round(totalDistance * 100) / 100,
+      totalTravelTime,
+      totalWaitTime,
+      totalCollectionTime,
+      totalUnloadTime,
+      totalTime,
+      numberOfStops: pickups.length,
+      unloadTrips: schedule.unloadTrips || 0,
+      startTime: this.formatTime(this.shiftStart),
+      estimatedEndTime: route.length > 0 ? this.formatTime(schedule.endTime) : this.formatTime(this.shiftStart),
+      weightCapacityUsed: vehicle.capacity.weight > 0 ?
+        Math.round((schedule.peakLoad?.weight || 0) / vehicle.capacity.weight * 100) : 0,
+      volumeCapacityUsed: vehicle.capacity.volume > 0 ?
+        Math.round((schedule.peakLoad?.volume || 0) / vehicle.capacity.volume * 100) : 0,
+      estimatedFuelCost: Math.round(totalDistance * 0.8 * 100) / 100, // $0.80 per km
+      co2Emissions: Math.round(totalDistance * 0.21 * 100) / 100 // 0.21 kg CO2 per km
+    };
+  }
+}
+
+module.exports = RouteOptimizer;
+module.exports.WASTE_DENSITY = WASTE_DENSITY;
@@ -0,0 +1,209 @@
+const CollectionRequest = require('../models/CollectionRequest');
+const CustomerAnalytics = require('../models/CustomerAnalytics');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationDelivery = require('./notificationDelivery');
+const recurringPickupService = require('./recurringPickupService');
+const maintenanceService = require('./maintenanceService');
+const backupService = require('./backupService');
+const billingService = require('./billingService');
+const walletService = require('./walletService');
+const subscriptionService = require('./subscriptionService');
+
+// Remind customers the evening before their pickup
+const sendPickupReminders = async () => {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(0, 0, 0, 0);
+  const dayAfter = new Date(tomorrow);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+
+  const collections = await CollectionRequest.find({
+    requestedDate: { $gte: tomorrow, $lt: dayAfter },
+    status: { $in: ['pending', 'confirmed', 'assigned'] }
+  }).select('customer requestId requestedTime preferredTimeRange');
+
+  // A retry after a partial failure must not remind anyone twice
+  const reminded = await Notification.find({
+    type: 'pickup-reminder',
+    relatedCollectionRequest: { $in: collections.map(collection => collection._id) }
+  }).distinct('relatedCollectionRequest');
+  const remindedIds = new Set(reminded.map(id => id.toString()));
+
+  const notifications = collections
+    .filter(collection => !remindedIds.has(collection._id.toString()))
+    .map(collection => ({
+      recipient: collection.customer,
+      recipientType: 'customer',
+      title: 'Pickup Reminder',
+      message: `Your waste collection ${collection.requestId} is scheduled for tomorrow between ${collection.preferredTimeRange.start} and ${collection.preferredTimeRange.end}. Please prepare your waste for pickup.`,
+      type: 'pickup-reminder',
+      category: 'info',
+      relatedCollectionRequest: collection._id
+    }));
+
+  if (notifications.length > 0) {
+    await Notification.createBulkNotifications(notifications);
+  }
+
+  return { collections: collections.length, reminded: notifications.length };
+};
+
+// Nightly churn risk and environmental impact recalculation for every customer
+const recalculateAnalytics = async () => {
+  let customers = 0;
+  let highChurnRisk = 0;
+
+  for await (const analytics of CustomerAnalytics.find({}).cursor()) {
+    await analytics.calculateEnvironmentalImpact();
+    await analytics.calculateChurnRisk();
+
+    customers++;
+    if (analytics.predictions.churnRisk.score >= 60) {
+      highChurnRisk++;
+    }
+  }
+
+  return { customers, highChurnRisk };
+};
+
+// Weekly operations summary sent to every admin
+const generateWeeklyReport = async () => {
+  const to = new Date();
+  to.setHours(0, 0, 0, 0);
+  const from = new Date(to);
+  from.setDate(from.getDate() - 7);
+
+  const [byStatus, newCustomers, aggregate] = await Promise.all([
+    CollectionRequest.aggregate([
+      { $match: { requestedDate: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          weight: { $sum: '$totalWeightCollected' }
+        }
+      }
+    ]),
+    User.countDocuments({ role: 'customer', createdAt: { $gte: from, $lt: to } }),
+    CustomerAnalytics.getAggregateStats()
+  ]);
+
+  const counts = Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]));
+  const total = byStatus.reduce((sum, entry) => sum + entry.count, 0);
+  const completed = counts.completed || 0;
+  const report = {
+    from,
+    to,
+    collections: total,
+    completed,
+    cancelled: counts.cancelled || 0,
+    completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+    weightCollected: byStatus.find(entry => entry._id === 'completed')?.weight || 0,
+    newCustomers,
+    totalCustomers: aggregate.totalCustomers || 0
+  };
+
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('_id');
+  if (admins.length > 0) {
+    await Notification.createBulkNotifications(admins.map(admin => ({
+      recipient: admin._id,
+      recipientType: 'admin',
+      title: 'Weekly Operations Report',
+      message: `${report.collections} pickups last week, ${report.completed} completed (${report.completionRate}%), ${report.weightCollected} kg collected, ${report.newCustomers} new customers.`,
+      type: 'general',
+      category: 'info',
+      data: { report }
+    })));
+  }
+
+  return report;
+};
+
+// Register the built-in background jobs with a scheduler
+const registerScheduledJobs = (scheduler) => {
+  scheduler.register('dispatch-notifications', {
+    schedule: '* * * * *',
+    description: 'Deliver pending and scheduled notifications over push, email and SMS',
+    handler: () => notificationDelivery.deliverPending(),
+    backoffSeconds: 15
+  });
+
+  scheduler.register('push-receipts', {
+    schedule: '*/15 * * * *',
+    description: 'Confirm push deliveries from Expo receipts',
+    handler: () => notificationDelivery.checkPushReceipts()
+  });
+
+  scheduler.register('pickup-reminders', {
+    schedule: '0 18 * * *',
+    description: "Remind customers of tomorrow's pickups",
+    handler: sendPickupReminders
+  });
+
+  scheduler.register('recurring-pickups', {
+    schedule: '15 * * * *',
+    description: 'Generate upcoming pickups for recurring series',
+    handler: () => recurringPickupService.materializeAll()
+  });
+
+  scheduler.register('maintenance-notices', {
+    schedule: '*/5 * * * *',
+    description: 'Notify customers of upcoming maintenance windows',
+    handler: () => maintenanceService.sendNotices()
+  });
+
+  scheduler.register('nightly-analytics', {
+    schedule: '30 2 * * *',
+    description: 'Recalculate churn risk and environmental impact for all customers',
+    handler: recalculateAnalytics,
+    lockSeconds: 30 * 60
+  });
+
+  // Checks hourly; backs up when the backup.frequency setting says one is due
+  scheduler.register('database-backup', {
+    schedule: '0 * * * *',
+    description: 'Back up the database and delete backups past their retention',
+    handler: (context) => backupService.run(context),
+    maxAttempts: 2,
+    lockSeconds: 30 * 60
+  });
+
+  scheduler.register('monthly-invoices', {
+    schedule: '0 3 1 * *',
+    description: "Invoice customers for last month's completed pickups",
+    handler: () => billingService.generateMonthlyInvoices(),
+    lockSeconds: 30 * 60
+  });
+
+  scheduler.register('invoice-reminders', {
+    schedule: '0 9 * * *',
+    description: 'Remind customers of overdue invoices',
+    handler: () => billingService.sendReminders()
+  });
+
+  scheduler.register('wallet-reconcile', {
+    schedule: '*/5 * * * *',
+    description: 'Look up wallet payments whose gateway callback never arrived',
+    handler: () => walletService.reconcile()
+  });
+
+  scheduler.register('subscription-expiry', {
+    schedule: '15 * * * *',
+    description: 'Move customers whose paid plan or trial ran out to the free plan',
+    handler: () => subscriptionService.expire()
+  });
+
+  scheduler.register('weekly-report', {
+    schedule: '0 7 * * 1',
+    description: 'Send the weekly operations report to admins',
+    handler: generateWeeklyReport
+  });
+};
+
+module.exports = {
+  registerScheduledJobs,
+  sendPickupReminders,
+  recalculateAnalytics,
+  generateWeeklyReport
+};
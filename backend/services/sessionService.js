@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+const normalizePlatform = (platform) => (
+  ['ios', 'android', 'web'].includes(platform) ? platform : 'other'
+);
+
+// Short-lived access tokens tied to a Session, plus rotating refresh tokens.
+// Presenting an already-rotated refresh token revokes the session, since it means
+// the token was copied.
+class SessionService {
+  constructor() {
+    this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRE || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  }
+
+  signAccessToken(session) {
+    return jwt.sign(
+      { userId: session.user.toString(), sid: session._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiry }
+    );
+  }
+
+  // New secret for the session; returns the refresh token to hand to the client
+  rotateSecret(session) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    session.tokenHash = hashSecret(secret);
+    session.expiresAt = new Date(Date.now() + this.refreshTokenDays * DAY_MS);
+    return `${session._id}.${secret}`;
+  }
+
+  buildTokens(session, refreshToken) {
+    const token = this.signAccessToken(session);
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat, // Access token lifetime in seconds
+      refreshExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  describeClient(req, device = {}) {
+    return {
+      deviceName: device.deviceName || undefined,
+      platform: normalizePlatform(device.platform),
+      userAgent: req.get ? req.get('User-Agent') : undefined,
+      ip: req.ip || req.connection?.remoteAddress
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in.
+   * @param {Object} device - { deviceName, platform } sent by the app
+   */
+  async issue(user, req, device = {}) {
+    const session = new Session({
+      user: user._id,
+      ...this.describeClient(req, device)
+    });
+    const refreshToken = this.rotateSecret(session);
+    await session.save();
+
+    return this.buildTokens(session, refreshToken);
+  }
+
+  // Exchange a refresh token for a new access/refresh pair
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+      throw sessionError('Invalid refresh token', 'invalid_refresh_token');
+    }
+
+    const session = await Session.findById(sessionId).select('+tokenHash');
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      throw sessionError('Session has expired. Please log in again.', 'session_expired');
+    }
+
+    const presentedHash = hashSecret(secret);
+
+    // Swap the secret only if it is still the one we issued, so two refreshes with
+    // the same token can't both succeed
+    const previousHash = session.tokenHash;
+    const newToken = this.rotateSecret(session);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: { $exists: false } },
+      {
+        $set: {
+          tokenHash: session.tokenHash,
+          expiresAt: session.expiresAt,
+          lastRefreshedAt: new Date(),
+          lastSeenAt: new Date(),
+          ip: req.ip || req.connection?.remoteAddress
+        },
+        $inc: { generation: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      if (previousHash !== presentedHash) {
+        await this.revoke(session, 'reuse-detected');
+        console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+      }
+      throw sessionError('Session has expired. Please log in again.', 'session_expired');
+    }
+
+    return this.buildTokens(rotated, newToken);
+  }
+
+  /**
+   * Verify an access token and load its session.
+   * @returns {Promise<{userId: string, session: Object}>}
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid) {
+      // Issued before sessions existed
+      throw sessionError('Session has expired. Please log in again.', 'session_expired');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive || session.user.toString() !== decoded.userId) {
+      throw sessionError('Session has been revoked.', 'session_revoked');
+    }
+
+    return { userId: decoded.userId, session };
+  }
+
+  async touch(session, req) {
+    if (Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) return;
+
+    session.lastSeenAt = new Date();
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: session.lastSeenAt, ip: req.ip || req.connection?.remoteAddress } }
+    );
+  }
+
+  async revoke(session, reason) {
+    return Session.updateOne(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  // Revoke every active session of a user, optionally keeping the current one
+  async revokeAll(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+  }
+}
+
+// Export shared instance
+const sessionService = new SessionService();
+module.exports = sessionService;
+module.exports.SessionService = SessionService;
@@ -0,0 +1,261 @@
+const User = require('../models/User');
+const CollectionRequest = require('../models/CollectionRequest');
+const systemSettings = require('./systemSettings');
+const billingService = require('./billingService');
+const notificationService = require('./notificationService');
+const plans = require('./plans');
+const logger = require('./logger');
+
+const { FREE_PLAN } = plans;
+
+const subscriptionError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customers' plans over time: trials, switching plans and expiry, and checking
+// pickups against what the plan includes. Paid time is bought through the wallet
+// (services/walletService.js). The rules are in services/plans.js.
+class SubscriptionService {
+  catalogue() {
+    return systemSettings.get('subscriptions.plans');
+  }
+
+  entitlements(plan) {
+    return this.catalogue()[plan];
+  }
+
+  async getCustomerInfo(customerId) {
+    const customer = await User.findOne({ _id: customerId, isDeleted: false }).select('customerInfo').lean();
+    if (!customer) {
+      throw subscriptionError('Customer not found', 404);
+    }
+    return customer.customerInfo || {};
+  }
+
+  // Pickups booked for the month holding `date`, cancelled ones aside
+  countPickups(customerId, date) {
+    const { start, end } = plans.monthBounds(date);
+    return CollectionRequest.countDocuments({
+      customer: customerId,
+      requestedDate: { $gte: start, $lt: end },
+      status: { $ne: 'cancelled' }
+    });
+  }
+
+  /**
+   * The customer's plan, what it includes and this month's pickups against it.
+   * @returns {Promise<Object>}
+   */
+  async getSubscription(customerId, now = new Date()) {
+    const info = await this.getCustomerInfo(customerId);
+    const current = plans.currentPlan(info, now);
+    const entitlements = this.entitlements(current.plan);
+    const booked = await this.countPickups(customerId, now);
+    const included = entitlements.includedPickups;
+
+    return {
+      ...current,
+      currency: billingService.currency,
+      entitlements,
+      usage: {
+        month: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+        booked,
+        included,
+        remaining: included === null ? null : Math.max(0, included - booked)
+      },
+      trialAvailable: current.plan === FREE_PLAN && !info.subscriptionTrialUsed,
+      // Credited when switching to the free plan
+      unusedValue: current.endsAt && !current.trial
+        ? plans.unusedValue(current.endsAt - now, entitlements.monthlyPrice)
+        : 0
+    };
+  }
+
+  /**
+   * Check a pickup a customer is booking against their plan.
+   * @param {string} customerId
+   * @param {Object} pickup - { wasteTypes, priority, requestedDate }
+   * @returns {Promise<{plan: string, overQuotaFee: number}>} the fee to add when the
+   *   month's included pickups are used up
+   * @throws 403 when the plan doesn't allow the pickup
+   */
+  async checkPickup(customerId, { wasteTypes = [], priority, requestedDate }, now = new Date()) {
+    const { plan } = plans.currentPlan(await this.getCustomerInfo(customerId), now);
+    const booked = await this.countPickups(customerId, requestedDate ? new Date(requestedDate) : now);
+
+    const result = plans.checkPickup(plan, this.entitlements(plan), { wasteTypes, priority, booked });
+    if (result.problems.length > 0) {
+      throw subscriptionError(result.problems.join(' '), 403);
+    }
+    return { plan, overQuotaFee: result.overQuotaFee };
+  }
+
+  /**
+   * Over-quota fee for each new occurrence of a pickup series, counting the ones
+   * before it in the same month. Occurrences are booked already, so one beyond a
+   * plan that rejects extra pickups is charged its overQuotaFee instead.
+   * @param {string} customerId
+   * @param {Date[]} dates - in order
+   * @returns {Promise<number[]>}
+   */
+  async occurrenceFees(customerId, dates, now = new Date()) {
+    const entitlements = this.entitlements(plans.currentPlan(await this.getCustomerInfo(customerId), now).plan);
+    if (entitlements.includedPickups === null) return dates.map(() => 0);
+
+    const booked = new Map(); // month start -> pickups counted so far
+    const fees = [];
+    for (const date of dates) {
+      const month = plans.monthBounds(date).start.getTime();
+      if (!booked.has(month)) {
+        booked.set(month, await this.countPickups(customerId, date));
+      }
+
+      const fee = plans.overQuotaFee(entitlements, booked.get(month));
+      fees.push(fee === null ? entitlements.overQuotaFee : fee);
+      booked.set(month, booked.get(month) + 1);
+    }
+    return fees;
+  }
+
+  // Change customerInfo's subscription fields unless they changed since `info` was
+  // read, so two changes at once can't both apply. Resolves to whether it did.
+  async update(customerId, info, $set, $unset = {}) {
+    const result = await User.updateOne({
+      _id: customerId,
+      'customerInfo.subscriptionPlan': info.subscriptionPlan ?? null,
+      'customerInfo.subscriptionPaidUntil': info.subscriptionPaidUntil || null,
+      'customerInfo.subscriptionTrialEndsAt': info.subscriptionTrialEndsAt || null
+    }, Object.keys($unset).length > 0 ? { $set, $unset } : { $set });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Start the free trial of a plan. Each customer gets one trial, from the free plan.
+   */
+  async startTrial(customerId, plan, now = new Date()) {
+    const { trialDays } = this.entitlements(plan);
+    if (!trialDays) {
+      throw subscriptionError(`The ${plans.label(plan)} plan has no free trial`);
+    }
+
+    const info = await this.getCustomerInfo(customerId);
+    if (info.subscriptionTrialUsed) {
+      throw subscriptionError('You have already used your free trial', 409);
+    }
+    if (plans.currentPlan(info, now).plan !== FREE_PLAN) {
+      throw subscriptionError('Free trials are for customers on the free plan', 409);
+    }
+
+    const trialEndsAt = new Date(now.getTime() + trialDays * DAY_MS);
+    const updated = await this.update(customerId, info, {
+      'customerInfo.subscriptionPlan': plan,
+      'customerInfo.subscriptionTrialEndsAt': trialEndsAt,
+      'customerInfo.subscriptionTrialUsed': true
+    }, { 'customerInfo.subscriptionPaidUntil': 1 });
+    if (!updated) {
+      throw subscriptionError('Your plan changed meanwhile. Please try again.', 409);
+    }
+
+    logger.info('Subscription trial started', { category: 'subscriptions', customerId: customerId.toString(), plan, trialEndsAt });
+    return this.getSubscription(customerId, now);
+  }
+
+  /**
+   * Switch plans now. Time left on a paid plan is prorated: on another paid plan it
+   * becomes time worth the same (shorter on a dearer plan, longer on a cheaper one),
+   * and on the free plan it is credited to the customer's account. Moving to a paid
+   * plan without paid time to convert means buying it.
+   */
+  async changePlan(customerId, plan, { userId } = {}, now = new Date()) {
+    const info = await this.getCustomerInfo(customerId);
+    const current = plans.currentPlan(info, now);
+    if (current.plan === plan) {
+      throw subscriptionError(`You are already on the ${plans.label(plan)} plan`, 409);
+    }
+
+    const { monthlyPrice } = this.entitlements(plan);
+    const remainingMs = current.endsAt && !current.trial ? current.endsAt - now : 0;
+    const fromPrice = this.entitlements(current.plan).monthlyPrice;
+
+    if (monthlyPrice > 0) {
+      if (remainingMs <= 0) {
+        throw subscriptionError(`Buy the ${plans.label(plan)} plan from the Payments screen to switch to it`, 409);
+      }
+
+      const paidUntil = new Date(now.getTime() + plans.convertTime(remainingMs, fromPrice, monthlyPrice));
+      const updated = await this.update(customerId, info, {
+        'customerInfo.subscriptionPlan': plan,
+        'customerInfo.subscriptionPaidUntil': paidUntil
+      });
+      if (!updated) {
+        throw subscriptionError('Your plan changed meanwhile. Please try again.', 409);
+      }
+    } else {
+      const updated = await this.update(customerId, info, { 'customerInfo.subscriptionPlan': plan }, {
+        'customerInfo.subscriptionPaidUntil': 1,
+        'customerInfo.subscriptionTrialEndsAt': 1
+      });
+      if (!updated) {
+        throw subscriptionError('Your plan changed meanwhile. Please try again.', 409);
+      }
+
+      const credit = plans.unusedValue(remainingMs, fromPrice);
+      if (credit > 0) {
+        await billingService.adjust(customerId, {
+          amount: -credit,
+          description: `Unused ${plans.label(current.plan)} plan time`,
+          userId
+        });
+      }
+    }
+
+    logger.info('Subscription plan changed', {
+      category: 'subscriptions',
+      customerId: customerId.toString(),
+      from: current.plan,
+      to: plan
+    });
+    return this.getSubscription(customerId, now);
+  }
+
+  // Move customers whose paid plan or trial has run out to the free plan, and tell them
+  async expire(now = new Date()) {
+    const customers = await User.find({
+      role: 'customer',
+      isDeleted: false,
+      'customerInfo.subscriptionPlan': { $ne: FREE_PLAN },
+      $or: [
+        { 'customerInfo.subscriptionPaidUntil': { $lte: now } },
+        { 'customerInfo.subscriptionTrialEndsAt': { $lte: now } }
+      ]
+    }).select('customerInfo').limit(1000).lean();
+
+    let expired = 0;
+    for (const customer of customers) {
+      const info = customer.customerInfo;
+      try {
+        // Skipped when the customer renewed since
+        const updated = await this.update(customer._id, info, { 'customerInfo.subscriptionPlan': FREE_PLAN }, {
+          'customerInfo.subscriptionPaidUntil': 1,
+          'customerInfo.subscriptionTrialEndsAt': 1
+        });
+        if (!updated) continue;
+        expired++;
+
+        await notificationService.createNotification(notificationService.types.SUBSCRIPTION_EXPIRED, customer._id, {
+          plan: plans.label(info.subscriptionPlan),
+          trial: info.subscriptionTrialEndsAt ? 'yes' : 'no'
+        }, { data: { plan: info.subscriptionPlan } });
+      } catch (error) {
+        logger.error('Subscription expiry error', { category: 'subscriptions', customerId: customer._id.toString(), error });
+      }
+    }
+
+    return { checked: customers.length, expired };
+  }
+}
+
+// Export shared instance
+const subscriptionService = new SubscriptionService();
+module.exports = subscriptionService;
+module.exports.SubscriptionService = SubscriptionService;
@@ -0,0 +1,357 @@
+const EventEmitter = require('events');
+const SystemSetting = require('../models/SystemSetting');
+const SystemSettingHistory = require('../models/SystemSettingHistory');
+const logger = require('./logger');
+const { DEFAULT_TARIFF, validateTariff } = require('./tariff');
+const { DEFAULT_PLANS, validatePlans } = require('./plans');
+
+// Changes made on other instances are picked up within this time
+const REFRESH_INTERVAL_MS = parseInt(process.env.SETTINGS_REFRESH_MS) || 30 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Pickup window for each requestedTime slot on CollectionRequest
+const DEFAULT_TIME_SLOTS = {
+  morning: { start: '08:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '16:00' },
+  evening: { start: '16:00', end: '19:00' }
+};
+
+const validateTimeSlots = (slots) => {
+  if (!slots || typeof slots !== 'object' || Array.isArray(slots)) return 'must be an object of slots';
+
+  for (const name of Object.keys(DEFAULT_TIME_SLOTS)) {
+    const slot = slots[name];
+    if (!slot || !TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) {
+      return `${name} needs a start and end time as HH:MM`;
+    }
+    if (slot.start >= slot.end) {
+      return `${name} must start before it ends`;
+    }
+  }
+  const unknown = Object.keys(slots).filter(name => !(name in DEFAULT_TIME_SLOTS));
+  return unknown.length > 0 ? `unknown slot ${unknown.join(', ')}` : null;
+};
+
+// Every setting admins can change at runtime, with its type and default. Defaults
+// come from the environment where the server used to read it directly.
+const SETTINGS = {
+  'general.appName': {
+    type: 'string', maxLength: 50, default: 'SafaCycle',
+    description: 'Application display name'
+  },
+  'general.maintenanceMode': {
+    type: 'boolean', default: false,
+    description: 'Turn away API requests from users without maintenance access'
+  },
+  'general.maintenanceMessage': {
+    type: 'string', maxLength: 300, default: 'SafaCycle is down for maintenance. Please try again later.',
+    description: 'Shown to users while maintenance mode is on'
+  },
+
+  'security.rateLimitWindowMinutes': {
+    type: 'number', integer: true, min: 1, max: 1440,
+    default: Math.round((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000) / 60000),
+    description: 'API rate limit window (minutes)'
+  },
+  'security.rateLimitMaxRequests': {
+    type: 'number', integer: true, min: 1, max: 100000,
+    default: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    description: 'API requests allowed per IP in each window'
+  },
+
+  'notifications.pushEnabled': {
+    type: 'boolean', default: true,
+    description: 'Deliver notifications as push notifications'
+  },
+  'notifications.emailEnabled': {
+    type: 'boolean', default: true,
+    description: 'Deliver notifications by email'
+  },
+  'notifications.smsEnabled': {
+    type: 'boolean', default: true,
+    description: 'Deliver notifications by SMS'
+  },
+
+  'pickups.timeSlots': {
+    type: 'timeSlots', default: DEFAULT_TIME_SLOTS, validate: validateTimeSlots,
+    description: 'Default pickup window for the morning, afternoon and evening slots'
+  },
+
+  'pricing.tariff': {
+    type: 'tariff', default: DEFAULT_TARIFF, validate: validateTariff,
+    description: 'Pickup fees by plan, per-kg rates, surcharges and loyalty discounts'
+  },
+
+  'subscriptions.plans': {
+    type: 'plans', default: DEFAULT_PLANS, validate: validatePlans,
+    description: 'Monthly price, trial and entitlements of each subscription plan'
+  },
+
+  'rewards.pointsPerPickup': {
+    type: 'number', integer: true, min: 0, max: 1000, default: 10,
+    description: 'Reward points for each completed pickup'
+  },
+  'rewards.pointsPerRecycledKg': {
+    type: 'number', integer: true, min: 0, max: 100, default: 5,
+    description: 'Reward points per kg of recyclables collected'
+  },
+
+  'billing.taxName': {
+    type: 'string', maxLength: 30, default: 'VAT',
+    description: 'Name of the tax added to invoices'
+  },
+  'billing.taxRate': {
+    type: 'number', min: 0, max: 100, default: 13,
+    description: 'Tax added to invoices (percent)'
+  },
+  'billing.paymentTermsDays': {
+    type: 'number', integer: true, min: 0, max: 90, default: 15,
+    description: 'Days after issue that an invoice is due'
+  },
+  'billing.reminderIntervalDays': {
+    type: 'number', integer: true, min: 1, max: 60, default: 7,
+    description: 'Days between payment reminders for an overdue invoice'
+  },
+  'billing.maxReminders': {
+    type: 'number', integer: true, min: 0, max: 10, default: 3,
+    description: 'Payment reminders sent per overdue invoice'
+  },
+
+  'backup.frequency': {
+    type: 'enum', values: ['hourly', 'daily', 'weekly'], default: 'daily',
+    description: 'How often automatic backups run'
+  },
+  'backup.retentionDays': {
+    type: 'number', integer: true, min: 1, max: 365, default: 30,
+    description: 'Days backups are kept'
+  },
+  'backup.compression': {
+    type: 'boolean', default: true,
+    description: 'Compress backups'
+  },
+  'backup.encryption': {
+    type: 'boolean', default: true,
+    description: 'Encrypt backups'
+  },
+
+  'logging.level': {
+    type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: logger.level,
+    description: 'Least severe level written to the logs'
+  }
+};
+
+// Error message for a value that doesn't fit the setting, or null
+const validateValue = (definition, value) => {
+  switch (definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (definition.integer && !Number.isInteger(value)) return 'must be a whole number';
+      if (definition.min !== undefined && value < definition.min) return `must be at least ${definition.min}`;
+      if (definition.max !== undefined && value > definition.max) return `must be at most ${definition.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return 'must be text';
+      return value.length > definition.maxLength ? `cannot exceed ${definition.maxLength} characters` : null;
+    case 'enum':
+      return definition.values.includes(value) ? null : `must be one of ${definition.values.join(', ')}`;
+    default:
+      return definition.validate(value);
+  }
+};
+
+const settingError = (message, statusCode, errors) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errors = errors;
+  return error;
+};
+
+// Settings admins change at runtime. Values are cached in memory so middleware can
+// read them on every request; a 'change' event (key, value, previous) fires when a
+// value changes here or, after the next refresh, on another instance.
+class SystemSettings extends EventEmitter {
+  constructor() {
+    super();
+    this.overrides = new Map(); // key -> SystemSetting record
+    this.timer = null;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(SETTINGS, key);
+  }
+
+  get(key) {
+    if (!this.has(key)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+
+    const override = this.overrides.get(key);
+    return override && override.value !== null && override.value !== undefined
+      ? override.value
+      : SETTINGS[key].default;
+  }
+
+  // Pickup window for a requestedTime slot, e.g. { start: '08:00', end: '12:00' }
+  getTimeSlot(name) {
+    return this.get('pickups.timeSlots')[name] || null;
+  }
+
+  /**
+   * Every setting with its definition, current value and version, in registry order.
+   * @returns {Object[]}
+   */
+  list() {
+    return Object.entries(SETTINGS).map(([key, definition]) => {
+      const override = this.overrides.get(key);
+      const { validate, ...schema } = definition;
+
+      return {
+        key,
+        group: key.split('.')[0],
+        ...schema,
+        value: this.get(key),
+        isDefault: !override || override.value === null || override.value === undefined,
+        version: override ? override.version : 0,
+        updatedAt: override ? override.updatedAt : null,
+        updatedBy: override ? override.updatedBy : null
+      };
+    });
+  }
+
+  // Replace the cached overrides and emit 'change' for every value that differs
+  apply(records) {
+    const previous = Object.fromEntries(Object.keys(SETTINGS).map(key => [key, this.get(key)]));
+
+    records.filter(record => this.has(record.key))
+      .forEach(record => this.overrides.set(record.key, record));
+
+    Object.keys(SETTINGS).forEach(key => {
+      const value = this.get(key);
+      if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+        this.emit('change', key, value, previous[key]);
+      }
+    });
+  }
+
+  async load() {
+    this.apply(await SystemSetting.find().lean());
+  }
+
+  async start() {
+    await this.load();
+
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.load().catch(error => logger.error('Settings refresh error', { category: 'system', error }));
+      }, REFRESH_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Change several settings at once. A null value resets the key to its default.
+   * Nothing is written unless every value is valid.
+   * @param {Object} changes key -> new value
+   * @param {Object} [options]
+   * @param {Object} [options.versions] key -> version the caller last read; a key changed
+   *   since fails with 409 instead of overwriting
+   * @param {string} [options.userId]
+   * @param {string} [options.reason]
+   * @param {string} [options.requestId]
+   * @returns {Promise<Object[]>} history entries for the keys whose value changed
+   */
+  async update(changes, { versions = {}, userId, reason, requestId } = {}) {
+    const errors = Object.entries(changes).map(([key, value]) => {
+      if (!this.has(key)) return { path: key, msg: 'Unknown setting' };
+      if (value === null) return null;
+      const message = validateValue(SETTINGS[key], value);
+      return message ? { path: key, msg: `${key} ${message}` } : null;
+    }).filter(Boolean);
+
+    if (errors.length > 0) {
+      throw settingError('Invalid settings', 400, errors);
+    }
+
+    // Skip values that are already set, so saving an unchanged form adds no history
+    const changed = Object.entries(changes).filter(([key, value]) => {
+      const override = this.overrides.get(key);
+      const current = override ? override.value ?? null : null;
+      return JSON.stringify(current) !== JSON.stringify(value);
+    });
+
+    const history = [];
+    for (const [key, value] of changed) {
+      const expected = versions[key];
+      const filter = expected === undefined ? { key } : { key, version: expected };
+
+      let previous;
+      try {
+        previous = await SystemSetting.findOneAndUpdate(
+          filter,
+          { $set: { value, updatedBy: userId }, $inc: { version: 1 } },
+          { upsert: true, new: false }
+        ).lean();
+      } catch (error) {
+        // The upsert collides with the existing key when its version moved on
+        if (error.code === 11000 && expected !== undefined) {
+          throw settingError(`${key} was changed by someone else. Reload and try again.`, 409, [{ path: key, msg: 'Version conflict' }]);
+        }
+        throw error;
+      }
+
+      const version = previous ? previous.version + 1 : 1;
+      history.push({
+        key,
+        version,
+        previousValue: previous && previous.value !== undefined ? previous.value : null,
+        value,
+        changedBy: userId,
+        reason,
+        requestId
+      });
+    }
+
+    if (history.length > 0) {
+      await SystemSettingHistory.insertMany(history);
+      logger.info('System settings changed', { category: 'system', keys: history.map(entry => entry.key), userId });
+    }
+    await this.load();
+
+    return history;
+  }
+
+  /**
+   * Change history, newest first.
+   * @returns {Promise<{entries: Object[], total: number}>}
+   */
+  async history({ key, page = 1, limit = 20 } = {}) {
+    const filter = key ? { key } : {};
+
+    const [entries, total] = await Promise.all([
+      SystemSettingHistory.find(filter)
+        .populate('changedBy', 'name email role')
+        .sort({ createdAt: -1, version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SystemSettingHistory.countDocuments(filter)
+    ]);
+
+    return { entries, total };
+  }
+}
+
+// Export shared instance
+const systemSettings = new SystemSettings();
+module.exports = systemSettings;
+module.exports.SystemSettings = SystemSettings;
+module.exports.SETTINGS = SETTINGS;
+module.exports.DEFAULT_TIME_SLOTS = DEFAULT_TIME_SLOTS;
@@ -0,0 +1,152 @@
+// Pickup pricing rules. The tariff itself is the pricing.tariff system setting;
+// this module only knows its shape and how to apply it, so it has no dependencies.
+
+const PLANS = ['basic', 'premium', 'enterprise'];
+const WASTE_CATEGORIES = ['organic', 'recyclable', 'electronic', 'hazardous', 'general', 'plastic', 'paper', 'glass', 'metal'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const LOYALTY_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+// Amounts are in `currency`; surcharges and discounts are percentages
+const DEFAULT_TARIFF = {
+  currency: 'NPR',
+  baseFee: { basic: 100, premium: 50, enterprise: 0 },
+  perKg: {
+    organic: 5, recyclable: 3, electronic: 15, hazardous: 25, general: 8,
+    plastic: 4, paper: 3, glass: 4, metal: 2
+  },
+  // Flat fee per pickup that includes the category, for special handling
+  handlingFee: { electronic: 100, hazardous: 250 },
+  prioritySurcharge: { low: 0, normal: 0, high: 10, urgent: 50 },
+  // Pickups further than this from the nearest depot pay the out-of-zone fee,
+  // plus perKm for every km beyond it
+  serviceRadiusKm: 15,
+  outOfZone: { fee: 150, perKm: 20 },
+  loyaltyDiscount: { bronze: 0, silver: 5, gold: 10, platinum: 15 }
+};
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Error message for a rate table that doesn't have exactly `keys`, or null
+const checkRates = (name, table, keys, max) => {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) return `${name} must be an object`;
+
+  const unknown = Object.keys(table).filter(key => !keys.includes(key));
+  if (unknown.length > 0) return `${name} has unknown key ${unknown.join(', ')}`;
+
+  const bad = Object.entries(table).find(([, value]) => !isAmount(value) || (max !== undefined && value > max));
+  if (bad) return `${name}.${bad[0]} must be a number from 0${max !== undefined ? ` to ${max}` : ''}`;
+  return null;
+};
+
+const validateTariff = (tariff) => {
+  if (!tariff || typeof tariff !== 'object' || Array.isArray(tariff)) return 'must be an object';
+  if (typeof tariff.currency !== 'string' || !/^[A-Z]{3}$/.test(tariff.currency)) return 'currency must be a 3-letter code';
+
+  const missing = ['baseFee', 'perKg', 'prioritySurcharge', 'loyaltyDiscount']
+    .find(name => tariff[name] && Object.keys(DEFAULT_TARIFF[name]).some(key => !(key in tariff[name])));
+  if (missing) return `${missing} needs a value for every ${missing === 'perKg' ? 'category' : 'option'}`;
+
+  if (!isAmount(tariff.serviceRadiusKm)) return 'serviceRadiusKm must be a number from 0';
+  if (!tariff.outOfZone || !isAmount(tariff.outOfZone.fee) || !isAmount(tariff.outOfZone.perKm)) {
+    return 'outOfZone needs a fee and perKm';
+  }
+
+  return checkRates('baseFee', tariff.baseFee, PLANS)
+    || checkRates('perKg', tariff.perKg, WASTE_CATEGORIES)
+    || checkRates('handlingFee', tariff.handlingFee, WASTE_CATEGORIES)
+    || checkRates('prioritySurcharge', tariff.prioritySurcharge, PRIORITIES, 1000)
+    || checkRates('loyaltyDiscount', tariff.loyaltyDiscount, LOYALTY_TIERS, 100);
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price a pickup. Weights per category are summed, so a category listed twice is
+ * charged once for handling.
+ * @param {Object} tariff
+ * @param {Object} pickup
+ * @param {string} pickup.plan - the customer's subscription plan
+ * @param {string} pickup.loyaltyTier
+ * @param {Object[]} pickup.items - { category, weight } in kg
+ * @param {string} [pickup.priority]
+ * @param {number|null} [pickup.distanceKm] - to the nearest depot; null when unknown
+ * @param {number} [pickup.overQuotaFee] - for a pickup beyond the plan's monthly allowance
+ * @param {Object} [pickup.voucher] - { code, label, percent | amount } redeemed for points,
+ *   taken off after the loyalty discount
+ * @returns {{currency: string, lines: Object[], subtotal: number, discount: Object|null, voucher: Object|null, total: number}}
+ */
+const calculate = (tariff, { plan, loyaltyTier, items, priority = 'normal', distanceKm = null, overQuotaFee = 0, voucher = null }) => {
+  const lines = [{
+    code: 'base',
+    label: `${plan.charAt(0).toUpperCase()}${plan.slice(1)} plan pickup fee`,
+    amount: round(tariff.baseFee[plan] || 0)
+  }];
+
+  const weights = new Map();
+  items.forEach(({ category, weight }) => {
+    weights.set(category, (weights.get(category) || 0) + (weight || 0));
+  });
+
+  weights.forEach((weight, category) => {
+    const rate = tariff.perKg[category] || 0;
+    lines.push({ code: 'weight', label: `${category} waste`, category, weightKg: round(weight), rate, amount: round(weight * rate) });
+  });
+
+  weights.forEach((weight, category) => {
+    const fee = (tariff.handlingFee || {})[category];
+    if (fee) {
+      lines.push({ code: 'handling', label: `${category} handling`, category, amount: round(fee) });
+    }
+  });
+
+  const percent = tariff.prioritySurcharge[priority] || 0;
+  if (percent > 0) {
+    const charged = lines.reduce((sum, line) => sum + line.amount, 0);
+    lines.push({ code: 'priority', label: `${priority} priority`, percent, amount: round(charged * percent / 100) });
+  }
+
+  if (distanceKm !== null && distanceKm > tariff.serviceRadiusKm) {
+    const beyondKm = distanceKm - tariff.serviceRadiusKm;
+    lines.push({
+      code: 'out-of-zone',
+      label: 'Outside the service area',
+      distanceKm: round(distanceKm),
+      amount: round(tariff.outOfZone.fee + beyondKm * tariff.outOfZone.perKm)
+    });
+  }
+
+  if (overQuotaFee > 0) {
+    lines.push({ code: 'over-quota', label: 'Beyond the plan\'s monthly pickups', amount: round(overQuotaFee) });
+  }
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.amount, 0));
+  const discountPercent = tariff.loyaltyDiscount[loyaltyTier] || 0;
+  const discount = discountPercent > 0
+    ? { label: `${loyaltyTier} loyalty discount`, tier: loyaltyTier, percent: discountPercent, amount: round(subtotal * discountPercent / 100) }
+    : null;
+
+  // A voucher can bring the price down to nothing, never below
+  const discounted = round(subtotal - (discount ? discount.amount : 0));
+  const voucherAmount = voucher
+    ? round(Math.min(discounted, voucher.percent ? discounted * voucher.percent / 100 : voucher.amount || 0))
+    : 0;
+
+  return {
+    currency: tariff.currency,
+    lines,
+    subtotal,
+    discount,
+    voucher: voucher ? { code: voucher.code, label: voucher.label, amount: voucherAmount } : null,
+    total: round(discounted - voucherAmount)
+  };
+};
+
+module.exports = {
+  DEFAULT_TARIFF,
+  PLANS,
+  WASTE_CATEGORIES,
+  PRIORITIES,
+  LOYALTY_TIERS,
+  validateTariff,
+  calculate
+};
@@ -0,0 +1,148 @@
+const { haversineDistance } = require('./distanceMatrixProvider');
+
+// Helpers for turning a driver's raw GPS pings into a replayable trip: line
+// simplification for transfer, stop detection, and GeoJSON output. Points are
+// { latitude, longitude, timestamp, ... } objects in chronological order.
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;
+
+// Project onto a local flat plane in meters; accurate enough at city scale
+const projectPoints = (points) => {
+  const scaleX = METERS_PER_DEGREE_LNG * Math.cos(points[0].latitude * Math.PI / 180);
+  return points.map(point => ({
+    x: point.longitude * scaleX,
+    y: point.latitude * METERS_PER_DEGREE_LAT
+  }));
+};
+
+const perpendicularDistance = (point, start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) {
+    return Math.hypot(point.x - start.x, point.y - start.y);
+  }
+
+  const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+};
+
+/**
+ * Douglas-Peucker simplification. Keeps the first and last points and any point
+ * that deviates more than toleranceMeters from the simplified line.
+ */
+const simplifyTrack = (points, toleranceMeters = 5) => {
+  if (points.length <= 2 || toleranceMeters <= 0) return points.slice();
+
+  const projected = projectPoints(points);
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to stay clear of the call stack limit on day-long tracks
+  const segments = [[0, points.length - 1]];
+  while (segments.length > 0) {
+    const [first, last] = segments.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = true;
+      segments.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+/**
+ * Find places where the vehicle stayed within radiusMeters for at least
+ * minDurationMinutes, e.g. pickups, unloads and breaks.
+ */
+const detectStops = (points, options = {}) => {
+  const radiusMeters = options.radiusMeters || 40;
+  const minDuration = (options.minDurationMinutes || 3) * 60 * 1000;
+  const stops = [];
+  let i = 0;
+
+  while (i < points.length) {
+    let latitude = points[i].latitude;
+    let longitude = points[i].longitude;
+    let j = i + 1;
+
+    // Grow the cluster while pings stay near its running centroid
+    while (j < points.length &&
+           haversineDistance(latitude, longitude, points[j].latitude, points[j].longitude) * 1000 <= radiusMeters) {
+      const count = j - i + 1;
+      latitude += (points[j].latitude - latitude) / count;
+      longitude += (points[j].longitude - longitude) / count;
+      j++;
+    }
+
+    const arrivedAt = new Date(points[i].timestamp);
+    const departedAt = new Date(points[j - 1].timestamp);
+
+    if (departedAt - arrivedAt >= minDuration) {
+      const collections = points.slice(i, j)
+        .map(point => point.currentCollection)
+        .filter(Boolean);
+
+      stops.push({
+        location: { latitude, longitude },
+        arrivedAt,
+        departedAt,
+        durationMinutes: Math.round((departedAt - arrivedAt) / 60000),
+        pingCount: j - i,
+        collectionId: collections.length > 0 ? collections[collections.length - 1] : null
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return stops;
+};
+
+// Total path length in km
+const trackDistance = (points) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += haversineDistance(
+      points[i - 1].latitude, points[i - 1].longitude,
+      points[i].latitude, points[i].longitude
+    );
+  }
+  return distance;
+};
+
+// GeoJSON LineString feature; per-vertex times go in properties.coordTimes
+const toLineString = (points, properties = {}) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: points.map(point => [point.longitude, point.latitude])
+  },
+  properties: {
+    ...properties,
+    coordTimes: points.map(point => new Date(point.timestamp).toISOString()),
+    speeds: points.map(point => point.speed ?? null)
+  }
+});
+
+module.exports = {
+  simplifyTrack,
+  detectStops,
+  trackDistance,
+  toLineString
+};
@@ -0,0 +1,439 @@
+const PaymentIntent = require('../models/PaymentIntent');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const systemSettings = require('./systemSettings');
+const billingService = require('./billingService');
+const plans = require('./plans');
+const { createGateway } = require('./paymentGateways');
+const logger = require('./logger');
+
+const walletError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const MAX_MONTHS = 12;
+
+// Pending payments are looked up at the gateway after this long without a callback
+const RECONCILE_AFTER_MS = 5 * 60 * 1000;
+
+// A completed payment still not recorded after this long was interrupted, and is
+// recorded by the next confirm
+const RECOVER_AFTER_MS = 60 * 1000;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Customers paying invoices and prepaid plans through the wallet gateway:
+//   checkout  - creates a PaymentIntent and starts the payment at the gateway
+//   confirm   - looks it up at the gateway (after a callback, the customer's return
+//               or reconciliation) and records the Payment once it has completed
+//   refund    - gives the money back and reverses the Payment
+class WalletService {
+  constructor() {
+    this.gateway = undefined; // created on first use
+  }
+
+  getGateway() {
+    if (this.gateway === undefined) {
+      this.gateway = createGateway();
+    }
+    if (!this.gateway) {
+      throw walletError('Wallet payments are not configured', 503);
+    }
+    return this.gateway;
+  }
+
+  // Where the gateway sends the customer's browser when they finish
+  get returnUrl() {
+    const base = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`;
+    return `${base.replace(/\/$/, '')}/api/wallet/return`;
+  }
+
+  // Monthly plan prices, with the customer's current plan and when it runs out
+  async subscriptionOptions(customerId) {
+    const customer = await User.findById(customerId).select('customerInfo').lean();
+    const current = plans.currentPlan(customer?.customerInfo);
+    const catalogue = systemSettings.get('subscriptions.plans');
+
+    return {
+      currency: billingService.currency,
+      monthlyPrices: Object.fromEntries(Object.entries(catalogue).map(([plan, { monthlyPrice }]) => [plan, monthlyPrice])),
+      maxMonths: MAX_MONTHS,
+      plan: current.plan,
+      paidUntil: current.trial ? null : current.endsAt,
+      trialEndsAt: current.trial ? current.endsAt : null
+    };
+  }
+
+  // What is being paid for and how much, from a checkout request
+  async price(customerId, { purpose, invoiceId, plan, months }) {
+    if (purpose === 'invoice') {
+      const invoice = await Invoice.findOne({ _id: invoiceId, customer: customerId });
+      if (!invoice) {
+        throw walletError('Invoice not found', 404);
+      }
+      if (invoice.status !== 'open' || invoice.balanceDue <= 0) {
+        throw walletError(`Invoice ${invoice.number} has nothing left to pay`, 409);
+      }
+      return { invoice: invoice._id, amount: invoice.balanceDue, description: `Invoice ${invoice.number}` };
+    }
+
+    const price = systemSettings.get('subscriptions.plans')[plan].monthlyPrice;
+    if (!price) {
+      throw walletError(`The ${plan} plan is free`);
+    }
+    return {
+      subscription: { plan, months },
+      amount: Math.round(price * months * 100) / 100,
+      description: `${plan.charAt(0).toUpperCase()}${plan.slice(1)} plan, ${months} month${months === 1 ? '' : 's'}`
+    };
+  }
+
+  /**
+   * Start a wallet payment. Repeating a checkout with the same idempotency key
+   * returns the first intent instead of charging twice.
+   * @param {string} customerId
+   * @param {Object} order - { purpose: 'invoice', invoiceId } or { purpose: 'subscription', plan, months }
+   * @param {string} idempotencyKey
+   * @returns {Promise<Object>} the PaymentIntent, with paymentUrl to send the customer to
+   */
+  async checkout(customerId, order, idempotencyKey) {
+    const sameOrder = (intent) => intent.purpose === order.purpose && (order.purpose === 'invoice'
+      ? String(intent.invoice) === String(order.invoiceId)
+      : intent.subscription.plan === order.plan && intent.subscription.months === order.months);
+
+    const existing = await PaymentIntent.findOne({ customer: customerId, idempotencyKey });
+    if (existing) {
+      if (!sameOrder(existing)) {
+        throw walletError('This idempotency key was already used for a different payment', 422);
+      }
+      // Interrupted before the gateway answered; initiating again is safe
+      return existing.status === 'created' ? this.start(existing) : existing;
+    }
+
+    const gateway = this.getGateway();
+    const priced = await this.price(customerId, order);
+
+    let intent;
+    try {
+      intent = await PaymentIntent.create({
+        customer: customerId,
+        idempotencyKey,
+        purpose: order.purpose,
+        ...priced,
+        currency: billingService.currency,
+        provider: gateway.name
+      });
+    } catch (error) {
+      // A concurrent retry of the same checkout created it first
+      if (error.code === 11000) return this.checkout(customerId, order, idempotencyKey);
+      throw error;
+    }
+
+    return this.start(intent);
+  }
+
+  // Initiate the payment at the gateway. The gateway sees the same idempotency key
+  // every time for an intent, so it is never started twice.
+  async start(intent) {
+    const gateway = this.getGateway();
+
+    try {
+      const started = await gateway.initiate({
+        orderId: intent._id.toString(),
+        orderName: intent.description,
+        amount: intent.amount,
+        returnUrl: this.returnUrl,
+        idempotencyKey: `initiate:${intent._id}`
+      });
+
+      intent.gatewayReference = started.reference;
+      intent.paymentUrl = started.paymentUrl;
+      intent.expiresAt = started.expiresAt;
+      intent.status = 'pending';
+      return await intent.save();
+    } catch (error) {
+      intent.status = 'failed';
+      intent.failureReason = error.message;
+      await intent.save();
+
+      logger.error('Wallet checkout error', { category: 'payments', intentId: intent._id.toString(), error });
+      throw walletError(`Could not start the payment: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Look a payment up at the gateway and record it if it completed. Safe to call
+   * any number of times: the first call to see it complete records it.
+   * @returns {Promise<Object|null>} the PaymentIntent, or null for an unknown reference
+   */
+  async confirm(reference) {
+    const intent = await PaymentIntent.findOne({ gatewayReference: reference });
+    if (!intent) return null;
+
+    // A completed intent whose Payment wasn't recorded (e.g. a crash) is finished off
+    // by the one caller that claims it
+    if (intent.status === 'completed' && !intent.payment && intent.completedAt < Date.now() - RECOVER_AFTER_MS) {
+      const claimed = await this.claimRecovery(intent);
+      return claimed ? this.fulfil(claimed) : intent;
+    }
+    if (intent.status !== 'pending') return intent;
+
+    const result = await this.getGateway().verify(reference);
+
+    if (result.status === 'completed') {
+      if (Math.abs(result.amount - intent.amount) >= 0.01) {
+        logger.error('Wallet payment amount mismatch', {
+          category: 'payments',
+          intentId: intent._id.toString(),
+          expected: intent.amount,
+          received: result.amount
+        });
+        return await this.settle(intent, 'failed', { failureReason: `Gateway reported ${result.amount}, expected ${intent.amount}` })
+          || PaymentIntent.findById(intent._id);
+      }
+
+      // Only the caller that moves it to completed records the Payment
+      const claimed = await this.settle(intent, 'completed', { transactionId: result.transactionId, completedAt: new Date() });
+      return claimed ? this.fulfil(claimed) : PaymentIntent.findById(intent._id);
+    }
+
+    if (['failed', 'expired'].includes(result.status)) {
+      return await this.settle(intent, result.status, { failureReason: `Payment ${result.status} at the gateway` })
+        || PaymentIntent.findById(intent._id);
+    }
+
+    return intent;
+  }
+
+  // Move a pending intent to a final status. Resolves to null when another caller
+  // got there first.
+  settle(intent, status, fields) {
+    return PaymentIntent.findOneAndUpdate(
+      { _id: intent._id, status: 'pending' },
+      { $set: { status, ...fields } },
+      { new: true }
+    );
+  }
+
+  // Claim an interrupted intent for recording. Resolves to null when another caller
+  // holds the claim; a claim is taken over once it is RECOVER_AFTER_MS old.
+  claimRecovery(intent, now = new Date()) {
+    const stale = new Date(now.getTime() - RECOVER_AFTER_MS);
+    return PaymentIntent.findOneAndUpdate(
+      {
+        _id: intent._id,
+        status: 'completed',
+        payment: null,
+        $or: [{ recoveryClaimedAt: null }, { recoveryClaimedAt: { $lt: stale } }]
+      },
+      { $set: { recoveryClaimedAt: now } },
+      { new: true }
+    );
+  }
+
+  // Record a completed intent as a wallet Payment and give the customer what they paid for
+  async fulfil(intent) {
+    // A Payment recorded before a crash has this transaction as its reference
+    let payment = await Payment.findOne({ method: 'wallet', reference: intent.transactionId, customer: intent.customer });
+
+    if (intent.purpose === 'invoice') {
+      payment = payment || await billingService.recordPayment({
+        customerId: intent.customer,
+        amount: intent.amount,
+        method: 'wallet',
+        reference: intent.transactionId,
+        invoiceId: intent.invoice,
+        notes: `Wallet payment ${intent.gatewayReference}`
+      });
+    } else if (!payment) {
+      await this.extendSubscription(intent);
+      payment = await billingService.recordSubscriptionPayment({
+        customerId: intent.customer,
+        amount: intent.amount,
+        plan: intent.subscription.plan,
+        months: intent.subscription.months,
+        method: 'wallet',
+        reference: intent.transactionId,
+        notes: `Wallet payment ${intent.gatewayReference}`
+      });
+    }
+
+    intent.payment = payment._id;
+    await intent.save();
+    logger.info('Wallet payment completed', {
+      category: 'payments',
+      intentId: intent._id.toString(),
+      purpose: intent.purpose,
+      amount: intent.amount
+    });
+    return intent;
+  }
+
+  // Switch to the bought plan. Buying the current plan again adds to its paid time
+  // or trial; another plan starts now, after the paid time left on the old plan
+  // converted to time worth the same on the new one.
+  async extendSubscription(intent) {
+    const { plan, months } = intent.subscription;
+    // Applied before an interruption; don't add the months twice
+    if (intent.subscription.paidUntil) return;
+
+    const customer = await User.findById(intent.customer).select('customerInfo');
+    const info = customer.customerInfo || {};
+    const now = new Date();
+    const current = plans.currentPlan(info, now);
+    const catalogue = systemSettings.get('subscriptions.plans');
+
+    let from = now;
+    if (current.plan === plan && current.endsAt) {
+      from = current.endsAt;
+    } else if (current.endsAt && !current.trial) {
+      from = new Date(now.getTime() + plans.convertTime(current.endsAt - now, catalogue[current.plan].monthlyPrice, catalogue[plan].monthlyPrice));
+    }
+
+    intent.subscription.previousPlan = info.subscriptionPlan || plans.FREE_PLAN;
+    intent.subscription.previousPaidUntil = info.subscriptionPaidUntil;
+    intent.subscription.previousTrialEndsAt = info.subscriptionTrialEndsAt;
+    intent.subscription.paidUntil = addMonths(from, months);
+    await intent.save();
+
+    await User.updateOne({ _id: intent.customer }, {
+      $set: {
+        'customerInfo.subscriptionPlan': plan,
+        'customerInfo.subscriptionPaidUntil': intent.subscription.paidUntil
+      },
+      $unset: { 'customerInfo.subscriptionTrialEndsAt': 1 }
+    });
+  }
+
+  // Take a refunded purchase's months off the plan, or time worth the refund when
+  // the customer has switched plans since. Once that reaches back to where the
+  // purchase started, the customer gets what they had before it, or the free plan
+  // after a switch.
+  async shortenSubscription(intent) {
+    const { plan, months, previousPlan, previousPaidUntil, previousTrialEndsAt } = intent.subscription;
+    const customer = await User.findById(intent.customer).select('customerInfo');
+    const current = customer.customerInfo || {};
+    if (!current.subscriptionPaidUntil) return;
+
+    const samePlan = current.subscriptionPlan === plan;
+    let paidUntil;
+    if (samePlan) {
+      paidUntil = addMonths(current.subscriptionPaidUntil, -months);
+    } else {
+      const { monthlyPrice } = systemSettings.get('subscriptions.plans')[current.subscriptionPlan];
+      if (!monthlyPrice) return;
+      paidUntil = new Date(current.subscriptionPaidUntil.getTime() - intent.amount / monthlyPrice * plans.MONTH_MS);
+    }
+
+    // Back at or before where the purchase started, the earlier paid time or trial
+    // is restored as it was
+    const previousEnd = samePlan ? previousTrialEndsAt || previousPaidUntil : null;
+    if (paidUntil > new Date() && !(previousEnd && paidUntil <= previousEnd)) {
+      await User.updateOne({ _id: intent.customer }, { $set: { 'customerInfo.subscriptionPaidUntil': paidUntil } });
+      return;
+    }
+
+    const restored = samePlan
+      ? { plan: previousPlan || plans.FREE_PLAN, subscriptionPaidUntil: previousPaidUntil, subscriptionTrialEndsAt: previousTrialEndsAt }
+      : { plan: plans.FREE_PLAN };
+    const $set = { 'customerInfo.subscriptionPlan': restored.plan };
+    const $unset = {};
+    ['subscriptionPaidUntil', 'subscriptionTrialEndsAt'].forEach(field => {
+      if (restored[field]) {
+        $set[`customerInfo.${field}`] = restored[field];
+      } else {
+        $unset[`customerInfo.${field}`] = 1;
+      }
+    });
+    await User.updateOne({ _id: intent.customer }, { $set, $unset });
+  }
+
+  /**
+   * Refund a completed wallet payment in full and reverse its Payment. A refunded
+   * subscription loses the months it bought. The refund is recorded before the
+   * Payment is reversed; if reversing fails the payment is left
+   * refund-pending-reversal, and refunding it again only retries the reversal.
+   */
+  async refund(intentId, { reason, userId }) {
+    const intent = await PaymentIntent.findOneAndUpdate(
+      { _id: intentId, status: { $in: ['completed', 'refund-pending-reversal'] }, payment: { $ne: null } },
+      { $set: { status: 'refunding' } },
+      { new: true }
+    );
+    if (!intent) {
+      const current = await PaymentIntent.findById(intentId);
+      if (!current) {
+        throw walletError('Payment not found', 404);
+      }
+      throw walletError(`Only completed payments can be refunded; this one is ${current.status}`, 409);
+    }
+
+    if (!intent.refund?.refundId) {
+      let refund;
+      try {
+        refund = await this.getGateway().refund({
+          transactionId: intent.transactionId,
+          amount: intent.amount,
+          idempotencyKey: `refund:${intent._id}`
+        });
+      } catch (error) {
+        await PaymentIntent.updateOne({ _id: intent._id }, { $set: { status: 'completed' } });
+        logger.error('Wallet refund error', { category: 'payments', intentId: intent._id.toString(), error });
+        throw walletError(`The gateway refused the refund: ${error.message}`, 502);
+      }
+
+      intent.refund = { refundId: refund.refundId, reason, refundedAt: new Date(), refundedBy: userId };
+      await PaymentIntent.updateOne({ _id: intent._id }, {
+        $set: { status: 'refund-pending-reversal', refund: intent.refund }
+      });
+    }
+
+    try {
+      await billingService.reversePayment(intent.payment, { reason: `Refunded: ${intent.refund.reason}`, userId }).catch(error => {
+        // Already reversed by hand, or by an earlier attempt
+        if (error.statusCode !== 409) throw error;
+      });
+
+      if (intent.purpose === 'subscription') {
+        await this.shortenSubscription(intent);
+      }
+    } catch (error) {
+      await PaymentIntent.updateOne({ _id: intent._id }, { $set: { status: 'refund-pending-reversal' } });
+      logger.error('Wallet refund reversal error', { category: 'payments', intentId: intent._id.toString(), error });
+      throw error;
+    }
+
+    intent.status = 'refunded';
+    return intent.save();
+  }
+
+  // Look up payments still pending a while after checkout, in case a callback was
+  // lost, and mark abandoned ones expired
+  async reconcile(now = new Date()) {
+    const intents = await PaymentIntent.find({
+      status: 'pending',
+      createdAt: { $lte: new Date(now.getTime() - RECONCILE_AFTER_MS) }
+    }).select('gatewayReference').limit(500);
+
+    let settled = 0;
+    for (const intent of intents) {
+      try {
+        const confirmed = await this.confirm(intent.gatewayReference);
+        if (confirmed && confirmed.status !== 'pending') settled++;
+      } catch (error) {
+        logger.error('Wallet reconcile error', { category: 'payments', intentId: intent._id.toString(), error });
+      }
+    }
+
+    return { checked: intents.length, settled };
+  }
+}
+
+// Export shared instance
+const walletService = new WalletService();
+module.exports = walletService;
+module.exports.WalletService = WalletService;
+module.exports.MAX_MONTHS = MAX_MONTHS;
@@ -1,8 +1,18 @@
+const crypto = require('crypto');
 const socketIO = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const CollectionRequest = require('../models/CollectionRequest');
 const Vehicle = require('../models/Vehicle');
+const LocationPing = require('../models/LocationPing');
+const Notification = require('../models/Notification');
+const geofenceService = require('./geofenceService');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+const etaEngine = require('./etaEngine');
+const distanceMatrixProvider = require('./distanceMatrixProvider');
+const { haversineDistance } = require('./distanceMatrixProvider');
+const logger = require('./logger');
+const maintenanceService = require('./maintenanceService');
 
 class WebSocketService {
   constructor() {
@@ -24,8 +34,13 @@ class WebSocketService {
 
     this.setupMiddleware();
     this.setupEventHandlers();
+
+    // Every client shows the maintenance banner and holds back writes while it is up
+    maintenanceService.on('change', (status) => {
+      this.io.emit('maintenance', status);
+    });
     
-    console.log('WebSocket service initialized');
+    logger.info('WebSocket service initialized', { category: 'socket' });
     return this.io;
   }
 
@@ -39,16 +54,22 @@ class WebSocketService {
           return next(new Error('Authentication token required'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const { userId, session } = await sessionService.verifyAccessToken(token);
+        const user = await User.findById(userId).select('-password');
         
-        if (!user) {
+        if (!user || user.status !== 'active') {
           return next(new Error('User not found'));
         }
 
         socket.userId = user._id.toString();
         socket.userRole = user.role;
         socket.userName = user.name;
+        socket.sessionId = session._id.toString();
+        // Used for rooms and initial data; event handlers re-check through can()
+        socket.permissions = await roleService.getPermissions(user.role);
+        // Correlates everything logged for this connection; clients may pass their own
+        const incoming = socket.handshake.headers['x-request-id'];
+        socket.requestId = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
         next();
       } catch (error) {
         next(new Error('Invalid authentication token'));
@@ -57,8 +78,13 @@ class WebSocketService {
   }
 
   setupEventHandlers() {
-    this.io.on('connection', (socket) => {
-      console.log(`User ${socket.userName} (${socket.userRole}) connected: ${socket.id}`);
+    this.io.on('connection', (socket) => logger.withContext(this.logContext(socket), () => {
+      logger.info(`User ${socket.userName} (${socket.userRole}) connected`);
+
+      // Listeners run a tick after their middleware, so each event keeps this context
+      socket.use(([event], next) => {
+        logger.withContext({ ...this.logContext(socket), event }, next);
+      });
       
       // Store user connection
       this.connectedUsers.set(socket.userId, socket);
@@ -72,8 +98,8 @@ class WebSocketService {
       socket.join(`role_${socket.userRole}`);
       this.addUserToRoom(socket.userId, `role_${socket.userRole}`);
 
-      // Handle different user types
-      this.handleUserTypeSpecificJoins(socket);
+      // Join rooms the user's permissions call for
+      this.handlePermissionRoomJoins(socket);
 
       // Set up event listeners
       this.setupSocketEventListeners(socket);
@@ -81,29 +107,58 @@ class WebSocketService {
       // Send initial data
       this.sendInitialData(socket);
 
+      const maintenance = maintenanceService.status();
+      if (maintenance.active || maintenance.upcoming) {
+        socket.emit('maintenance', maintenance);
+      }
+
       // Handle disconnection
-      socket.on('disconnect', () => {
-        console.log(`User ${socket.userName} disconnected: ${socket.id}`);
+      socket.on('disconnect', (reason) => {
+        logger.info(`User ${socket.userName} disconnected`, { reason });
         this.handleDisconnection(socket);
       });
-    });
+    }));
   }
 
-  handleUserTypeSpecificJoins(socket) {
-    switch (socket.userRole) {
-      case 'driver':
-        socket.join('drivers');
-        this.addUserToRoom(socket.userId, 'drivers');
-        this.handleDriverConnection(socket);
-        break;
-      case 'admin':
-        socket.join('admins');
-        this.addUserToRoom(socket.userId, 'admins');
-        break;
-      case 'customer':
-        this.handleCustomerConnection(socket);
-        break;
+  logContext(socket) {
+    return {
+      category: 'socket',
+      requestId: socket.requestId,
+      socketId: socket.id,
+      userId: socket.userId
+    };
+  }
+
+  // Same permission registry as the REST middleware, so role edits reach sockets
+  // within the role cache TTL
+  async can(socket, permission) {
+    return roleService.can(socket.userRole, permission);
+  }
+
+  // Fleet viewers (admins, dispatchers) watch the fleet rather than join it
+  handlePermissionRoomJoins(socket) {
+    if (socket.permissions.has('tracking:view-fleet')) {
+      socket.join('admins');
+      this.addUserToRoom(socket.userId, 'admins');
+    } else if (socket.permissions.has('tracking:report-location')) {
+      socket.join('drivers');
+      this.addUserToRoom(socket.userId, 'drivers');
+      this.handleDriverConnection(socket);
     }
+    if (socket.permissions.has('collections:request')) {
+      this.handleCustomerConnection(socket);
+    }
+  }
+
+  // Personal and role rooms belong to their user/role; fleet rooms need the permission
+  canJoinRoom(socket, roomName) {
+    if (roomName.startsWith('user_')) return roomName === `user_${socket.userId}`;
+    if (roomName.startsWith('role_')) return roomName === `role_${socket.userRole}`;
+    if (roomName === 'admins') return this.can(socket, 'tracking:view-fleet');
+    if (roomName === 'drivers') return this.can(socket, 'tracking:report-location');
+    // Collection rooms are joined through request_tracking, which checks access
+    if (roomName.startsWith('collection_') || roomName.startsWith('tracking_')) return false;
+    return true;
   }
 
   async handleDriverConnection(socket) {
@@ -143,7 +198,7 @@ class WebSocketService {
       // Get customer's active collections
       const collections = await CollectionRequest.find({
         customer: socket.userId,
-        status: { $in: ['pending', 'assigned', 'in_progress'] }
+        status: { $in: ['pending', 'confirmed', 'assigned', 'in-progress'] }
       });
 
       // Join collection rooms
@@ -161,7 +216,9 @@ class WebSocketService {
   setupSocketEventListeners(socket) {
     // Location updates (for drivers)
     socket.on('location_update', (data) => {
-      this.handleLocationUpdate(socket, data);
+      this.handleLocationUpdate(socket, data).catch(error => {
+        console.error('Location update error:', error);
+      });
     });
 
     // Collection status updates
@@ -170,10 +227,19 @@ class WebSocketService {
     });
 
     // Join specific rooms
-    socket.on('join_room', (roomName) => {
-      socket.join(roomName);
-      this.addUserToRoom(socket.userId, roomName);
-      socket.emit('room_joined', { room: roomName });
+    socket.on('join_room', async (roomName) => {
+      try {
+        if (typeof roomName !== 'string' || !await this.canJoinRoom(socket, roomName)) {
+          return socket.emit('error', { message: 'Permission denied' });
+        }
+
+        socket.join(roomName);
+        this.addUserToRoom(socket.userId, roomName);
+        socket.emit('room_joined', { room: roomName });
+      } catch (error) {
+        console.error('Error joining room:', error);
+        socket.emit('error', { message: 'Failed to join room' });
+      }
     });
 
     // Leave specific rooms
@@ -190,7 +256,9 @@ class WebSocketService {
 
     // Driver availability updates
     socket.on('driver_availability', (data) => {
-      this.handleDriverAvailability(socket, data);
+      this.handleDriverAvailability(socket, data).catch(error => {
+        console.error('Driver availability error:', error);
+      });
     });
 
     // Request tracking updates
@@ -200,13 +268,15 @@ class WebSocketService {
 
     // Emergency alerts
     socket.on('emergency_alert', (data) => {
-      this.handleEmergencyAlert(socket, data);
+      this.handleEmergencyAlert(socket, data).catch(error => {
+        console.error('Emergency alert error:', error);
+      });
     });
   }
 
-  handleLocationUpdate(socket, data) {
-    if (socket.userRole !== 'driver') {
-      return socket.emit('error', { message: 'Only drivers can send location updates' });
+  async handleLocationUpdate(socket, data) {
+    if (!await this.can(socket, 'tracking:report-location')) {
+      return socket.emit('error', { message: 'Permission denied' });
     }
 
     const { latitude, longitude, heading, speed } = data;
@@ -227,13 +297,101 @@ class WebSocketService {
 
     this.driverLocations.set(socket.userId, locationData);
 
+    // Keep the breadcrumb trail for trip history and replay
+    LocationPing.record(socket.userId, {
+      ...locationData,
+      accuracy: data.accuracy,
+      status: data.status,
+      currentCollection: data.collectionId,
+      timestamp: locationData.lastUpdated
+    }).catch(error => {
+      console.error('Location ping error:', error);
+    });
+
     // Broadcast to relevant rooms
     this.broadcastDriverLocation(socket.userId, locationData);
 
+    // Detect arrival at / departure from pickup points
+    this.handleGeofenceEvents(socket, {
+      ...locationData,
+      accuracy: data.accuracy ? parseFloat(data.accuracy) : null,
+      timestamp: locationData.lastUpdated
+    }).catch(error => {
+      console.error('Geofence check error:', error);
+    });
+
+    // Refresh ETAs for the rest of the driver's route
+    etaEngine.updateSpeed(socket.userId, locationData.speed);
+    this.pushEtaUpdates(socket.userId, locationData).catch(error => {
+      console.error('ETA update error:', error);
+    });
+
     // Acknowledge receipt
     socket.emit('location_updated', { timestamp: locationData.lastUpdated });
   }
 
+  async handleGeofenceEvents(socket, location) {
+    const events = await geofenceService.checkLocation(socket.userId, location);
+
+    for (const { type, collection, timestamp } of events) {
+      const eventData = {
+        collectionId: collection._id,
+        requestId: collection.requestId,
+        driverId: socket.userId,
+        driverName: socket.userName,
+        status: collection.status,
+        timestamp,
+        ...(type === 'arrived' ?
+          { arrivedAt: collection.geofence.arrivedAt } :
+          { departedAt: collection.geofence.departedAt, dwellMinutes: collection.geofence.dwellMinutes })
+      };
+
+      this.io.to(`collection_${collection._id}`).emit(type, eventData);
+      this.io.to('admins').emit(type, eventData);
+      socket.emit(type, eventData);
+
+      if (type === 'arrived') {
+        this.io.to(`user_${collection.customer}`).emit('notification', {
+          type: 'driver_arrived',
+          title: 'Driver Arrived',
+          message: `Driver ${socket.userName} has arrived at your pickup location`,
+          collectionId: collection._id
+        });
+
+        await Notification.create({
+          recipient: collection.customer,
+          recipientType: 'customer',
+          title: 'Driver Arrived',
+          message: `Driver ${socket.userName} has arrived at your pickup location`,
+          type: 'driver-arrived',
+          category: 'info',
+          priority: 'high',
+          relatedCollectionRequest: collection._id,
+          relatedUser: socket.userId
+        });
+      }
+    }
+  }
+
+  // Push recomputed ETAs to each collection room whose estimate shifted
+  async pushEtaUpdates(driverId, location) {
+    if (!this.io) return;
+
+    const changes = await etaEngine.recompute(driverId, location);
+
+    changes.forEach(eta => {
+      this.io.to(`collection_${eta.collection._id}`).emit('eta_updated', {
+        collectionId: eta.collection._id,
+        driverId,
+        estimatedArrival: eta.estimatedArrival,
+        previousEstimate: eta.previousEstimate,
+        stopsAway: eta.stopsAway,
+        distanceAway: Math.round(eta.distanceAway * 100) / 100,
+        updatedAt: new Date()
+      });
+    });
+  }
+
   async handleCollectionUpdate(socket, data) {
     try {
       const { collectionId, status, updates } = data;
@@ -249,9 +407,9 @@ class WebSocketService {
       }
 
       const canUpdate = (
-        (socket.userRole === 'driver' && collection.assignedDriver?.toString() === socket.userId) ||
-        (socket.userRole === 'admin') ||
-        (socket.userRole === 'customer' && collection.customer.toString() === socket.userId)
+        (collection.assignedDriver?.toString() === socket.userId && await this.can(socket, 'collections:service')) ||
+        collection.customer.toString() === socket.userId ||
+        await this.can(socket, 'collections:manage')
       );
 
       if (!canUpdate) {
@@ -279,6 +437,10 @@ class WebSocketService {
 
       this.collectionUpdates.set(collectionId, updateData);
 
+      if (['completed', 'cancelled'].includes(status)) {
+        etaEngine.clear(collectionId);
+      }
+
       // Broadcast to collection room
       this.io.to(`collection_${collectionId}`).emit('collection_updated', updateData);
 
@@ -292,12 +454,17 @@ class WebSocketService {
   }
 
   handleMessage(socket, data) {
-    const { room, message, type = 'text' } = data;
+    const { room, message, type = 'text' } = data && typeof data === 'object' ? data : {};
 
-    if (!room || !message) {
+    if (typeof room !== 'string' || !message) {
       return socket.emit('error', { message: 'Room and message are required' });
     }
 
+    // Only rooms the socket is in; joining them is where access is checked
+    if (!socket.rooms.has(room)) {
+      return socket.emit('error', { message: 'Permission denied' });
+    }
+
     const messageData = {
       id: Date.now().toString(),
       senderId: socket.userId,
@@ -313,9 +480,9 @@ class WebSocketService {
     this.io.to(room).emit('new_message', messageData);
   }
 
-  handleDriverAvailability(socket, data) {
-    if (socket.userRole !== 'driver') {
-      return socket.emit('error', { message: 'Only drivers can update availability' });
+  async handleDriverAvailability(socket, data) {
+    if (!await this.can(socket, 'tracking:report-location')) {
+      return socket.emit('error', { message: 'Permission denied' });
     }
 
     const { isAvailable, location } = data;
@@ -354,7 +521,7 @@ class WebSocketService {
       const canTrack = (
         collection.customer.toString() === socket.userId ||
         collection.assignedDriver?._id.toString() === socket.userId ||
-        socket.userRole === 'admin'
+        await this.can(socket, 'collections:view-all')
       );
 
       if (!canTrack) {
@@ -396,7 +563,7 @@ class WebSocketService {
     }
   }
 
-  handleEmergencyAlert(socket, data) {
+  async handleEmergencyAlert(socket, data) {
     const { type, message, location } = data;
 
     const alertData = {
@@ -415,9 +582,11 @@ class WebSocketService {
     // Send to all admins immediately
     this.io.to('admins').emit('emergency_alert', alertData);
 
-    // Send to nearby drivers if location is provided
-    if (location && socket.userRole === 'customer') {
-      this.broadcastToNearbyDrivers(location, 'emergency_alert', alertData);
+    // Send to nearby drivers if location is provided by someone not on the fleet
+    if (location && !await this.can(socket, 'tracking:report-location')) {
+      this.broadcastToNearbyDrivers(location, 'emergency_alert', alertData).catch(error => {
+        console.error('Nearby driver broadcast error:', error);
+      });
     }
 
     socket.emit('alert_sent', { id: alertData.id });
@@ -442,38 +611,35 @@ class WebSocketService {
     });
   }
 
-  broadcastToNearbyDrivers(location, event, data, radiusKm = 10) {
-    this.driverLocations.forEach((driverLocation, driverId) => {
-      if (driverLocation.latitude && driverLocation.longitude) {
-        const distance = this.calculateDistance(
-          location.latitude, location.longitude,
-          driverLocation.latitude, driverLocation.longitude
-        );
-        
-        if (distance <= radiusKm) {
-          const socket = this.connectedUsers.get(driverId);
-          if (socket) {
-            socket.emit(event, { ...data, distance });
-          }
+  // Radius is measured along the road network, not as the crow flies
+  async broadcastToNearbyDrivers(location, event, data, radiusKm = 10) {
+    const drivers = Array.from(this.driverLocations.entries())
+      .filter(([, driverLocation]) => driverLocation.latitude && driverLocation.longitude);
+
+    if (drivers.length === 0) return;
+
+    const legs = await distanceMatrixProvider.getLegs(
+      { latitude: location.latitude, longitude: location.longitude },
+      drivers.map(([, driverLocation]) => ({
+        latitude: driverLocation.latitude,
+        longitude: driverLocation.longitude
+      }))
+    );
+
+    drivers.forEach(([driverId], index) => {
+      const { distance, duration } = legs[index];
+
+      if (distance <= radiusKm) {
+        const socket = this.connectedUsers.get(driverId);
+        if (socket) {
+          socket.emit(event, { ...data, distance, duration });
         }
       }
     });
   }
 
   calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = this.deg2rad(lat2 - lat1);
-    const dLon = this.deg2rad(lon2 - lon1);
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(this.deg2rad(lat1)) * Math.cos(this.deg2rad(lat2)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  }
-
-  deg2rad(deg) {
-    return deg * (Math.PI/180);
+    return haversineDistance(lat1, lon1, lat2, lon2);
   }
 
   async handleCollectionStatusNotifications(collection, status, socket) {
@@ -511,17 +677,13 @@ class WebSocketService {
     // Send user's unread notification count
     this.sendUnreadNotificationCount(socket);
     
-    // Send role-specific initial data
-    switch (socket.userRole) {
-      case 'driver':
-        this.sendDriverInitialData(socket);
-        break;
-      case 'customer':
-        this.sendCustomerInitialData(socket);
-        break;
-      case 'admin':
-        this.sendAdminInitialData(socket);
-        break;
+    // Send permission-specific initial data, the broadest view first
+    if (socket.permissions.has('tracking:view-fleet')) {
+      this.sendAdminInitialData(socket);
+    } else if (socket.permissions.has('tracking:report-location')) {
+      this.sendDriverInitialData(socket);
+    } else if (socket.permissions.has('collections:request')) {
+      this.sendCustomerInitialData(socket);
     }
   }
 
@@ -602,7 +764,7 @@ class WebSocketService {
     this.userRooms.delete(socket.userId);
     
     // Update driver status to offline
-    if (socket.userRole === 'driver') {
+    if (this.driverLocations.has(socket.userId)) {
       const driverLocation = this.driverLocations.get(socket.userId);
       if (driverLocation) {
         this.driverLocations.set(socket.userId, {
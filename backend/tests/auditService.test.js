@@ -0,0 +1,109 @@
+const AuditLog = require('../models/AuditLog');
+const { AuditService, GENESIS_HASH } = require('../services/auditService');
+
+// The audit log collection, in memory
+let entries;
+
+const cursorOver = (items) => {
+  const iterator = items[Symbol.iterator]();
+  return {
+    close: jest.fn().mockResolvedValue(),
+    [Symbol.asyncIterator]: () => ({ next: async () => iterator.next() })
+  };
+};
+
+beforeEach(() => {
+  entries = [];
+
+  jest.spyOn(AuditLog, 'findOne').mockImplementation(() => ({
+    sort: () => ({
+      select: () => ({ lean: async () => entries[entries.length - 1] || null })
+    })
+  }));
+  jest.spyOn(AuditLog, 'create').mockImplementation(async (doc) => {
+    if (entries.some(entry => entry.seq === doc.seq)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    entries.push({ ...doc });
+    return doc;
+  });
+  jest.spyOn(AuditLog, 'find').mockImplementation(() => ({
+    sort: () => ({ lean: () => ({ cursor: () => cursorOver([...entries].sort((a, b) => a.seq - b.seq)) }) })
+  }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const appendThree = async (auditService) => {
+  for (const action of ['user.update', 'role.update', 'invoice.void']) {
+    await auditService.record({ action, method: 'PUT', path: `/api/${action}`, statusCode: 200, changes: { after: { ok: true } } });
+  }
+};
+
+describe('auditService', () => {
+  it('chains each entry to the previous one', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+  });
+
+  it('verifies an intact chain', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+
+    await expect(auditService.verify()).resolves.toEqual({ valid: true, checked: 3 });
+  });
+
+  it('reports an entry whose contents changed', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+    entries[1].statusCode = 500;
+
+    await expect(auditService.verify()).resolves.toEqual({
+      valid: false, checked: 1, brokenAt: 2, reason: 'Entry contents changed'
+    });
+  });
+
+  it('reports a missing entry', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+    entries.splice(1, 1);
+
+    await expect(auditService.verify()).resolves.toEqual({
+      valid: false, checked: 1, brokenAt: 2, reason: 'Entry missing'
+    });
+  });
+
+  it('reports an entry rehashed after an edit', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+    entries[0].hash = 'f'.repeat(64);
+
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 1 });
+  });
+
+  it('retries on the next sequence number when another instance appended first', async () => {
+    const auditService = new AuditService();
+    await appendThree(auditService);
+
+    // The first lookup still sees entry 2 as the last one
+    AuditLog.findOne.mockImplementationOnce(() => ({
+      sort: () => ({ select: () => ({ lean: async () => entries[1] }) })
+    }));
+    await auditService.record({ action: 'user.delete', method: 'DELETE', path: '/api/users/1', statusCode: 200 });
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3, 4]);
+    await expect(auditService.verify()).resolves.toEqual({ valid: true, checked: 4 });
+  });
+
+  it('redacts credentials at any depth', () => {
+    const auditService = new AuditService();
+
+    expect(auditService.redact({ email: 'a@b.c', password: 'x', profile: { pushToken: 'y' }, list: [{ code: '1234' }] }))
+      .toEqual({ email: 'a@b.c', password: '[redacted]', profile: { pushToken: '[redacted]' }, list: [{ code: '[redacted]' }] });
+  });
+});
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const CollectionRequest = require('../models/CollectionRequest');
+const billingService = require('../services/billingService');
+
+const customer = new mongoose.Types.ObjectId();
+
+const invoice = (number, total, issuedAt, amountPaid = 0) => Invoice.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  number,
+  customer,
+  period: { year: 2026, month: 1 },
+  currency: 'NPR',
+  subtotal: total,
+  total,
+  amountPaid,
+  status: 'open',
+  issuedAt,
+  dueDate: issuedAt
+});
+
+const payment = (amount, receivedAt, allocations = []) => Payment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  customer,
+  amount,
+  currency: 'NPR',
+  method: 'cash',
+  status: 'completed',
+  receivedAt,
+  allocations
+});
+
+// Stand-ins for the customer's open invoices and payments, saved in memory
+const mockBilling = (invoices, payments) => {
+  jest.spyOn(Invoice, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(invoices) });
+  jest.spyOn(Payment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(payments) });
+  [...invoices, ...payments].forEach(doc => jest.spyOn(doc, 'save').mockResolvedValue(doc));
+};
+
+const allocated = (doc) => doc.allocations.map(allocation => [allocation.invoice.toString(), allocation.amount]);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('billingService.allocate', () => {
+  it('pays the oldest open invoices first', async () => {
+    const january = invoice('INV-2026-000001', 100, new Date('2026-02-01'));
+    const february = invoice('INV-2026-000002', 80, new Date('2026-03-01'));
+    const cash = payment(150, new Date('2026-03-05'));
+    mockBilling([january, february], [cash]);
+
+    await billingService.allocate(customer, new Date('2026-03-06'));
+
+    expect(allocated(cash)).toEqual([[january._id.toString(), 100], [february._id.toString(), 50]]);
+    expect(january).toMatchObject({ amountPaid: 100, status: 'paid' });
+    expect(january.paidAt).toEqual(new Date('2026-03-06'));
+    expect(february).toMatchObject({ amountPaid: 50, status: 'open' });
+    expect(january.save).toHaveBeenCalled();
+    expect(february.save).toHaveBeenCalled();
+    expect(cash.save).toHaveBeenCalled();
+  });
+
+  it('spends the oldest payments first and only what is not applied yet', async () => {
+    const march = invoice('INV-2026-000003', 100, new Date('2026-04-01'));
+    const credit = payment(50, new Date('2026-01-10'), [{ invoice: new mongoose.Types.ObjectId(), amount: 20 }]);
+    const transfer = payment(200, new Date('2026-04-02'));
+    mockBilling([march], [credit, transfer]);
+
+    await billingService.allocate(customer);
+
+    expect(allocated(credit).slice(1)).toEqual([[march._id.toString(), 30]]);
+    expect(allocated(transfer)).toEqual([[march._id.toString(), 70]]);
+    expect(march).toMatchObject({ amountPaid: 100, status: 'paid' });
+  });
+
+  it('keeps the rest as credit when every invoice is paid', async () => {
+    const april = invoice('INV-2026-000004', 40.1, new Date('2026-05-01'), 20.05);
+    const cash = payment(100, new Date('2026-05-02'));
+    mockBilling([april], [cash]);
+
+    await billingService.allocate(customer);
+
+    expect(allocated(cash)).toEqual([[april._id.toString(), 20.05]]);
+    expect(april.status).toBe('paid');
+  });
+
+  it('changes nothing without unapplied money', async () => {
+    const may = invoice('INV-2026-000005', 60, new Date('2026-06-01'));
+    const spent = payment(30, new Date('2026-05-02'), [{ invoice: new mongoose.Types.ObjectId(), amount: 30 }]);
+    mockBilling([may], [spent]);
+
+    await billingService.allocate(customer);
+
+    expect(Invoice.find).not.toHaveBeenCalled();
+    expect(may.save).not.toHaveBeenCalled();
+    expect(spent.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves subscription payments out', async () => {
+    mockBilling([], []);
+
+    await billingService.allocate(customer);
+
+    expect(Payment.find).toHaveBeenCalledWith(expect.objectContaining({ purpose: { $ne: 'subscription' } }));
+  });
+});
+
+describe('billingService.recordCashPayment', () => {
+  it('records cash for a pickup once when two requests arrive together', async () => {
+    const driver = new mongoose.Types.ObjectId();
+    const recorded = [];
+    jest.spyOn(CollectionRequest, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ customer, assignedDriver: driver, status: 'completed', requestId: 'WR-1' })
+    });
+    jest.spyOn(Payment, 'exists').mockImplementation(async () => recorded.length > 0);
+    jest.spyOn(billingService, 'applyPayment').mockImplementation(async (details) => {
+      await new Promise(resolve => setImmediate(resolve));
+      recorded.push(details);
+      return details;
+    });
+
+    const results = await Promise.allSettled([1, 2].map(() =>
+      billingService.recordCashPayment({ collectionId: 'c1', amount: 180, driverId: driver })));
+
+    expect(recorded).toHaveLength(1);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+  });
+
+  it('answers 409 when another instance recorded the cash first', async () => {
+    const driver = new mongoose.Types.ObjectId();
+    jest.spyOn(CollectionRequest, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ customer, assignedDriver: driver, status: 'completed', requestId: 'WR-1' })
+    });
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    jest.spyOn(Payment.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      keyPattern: { collectionRequest: 1 }
+    }));
+
+    await expect(billingService.recordCashPayment({ collectionId: new mongoose.Types.ObjectId(), amount: 180, driverId: driver }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Cash has already been recorded for this pickup' });
+  });
+});
+
+describe('billingService.invoiceCustomer', () => {
+  const period = { year: 2026, month: 5 };
+
+  beforeEach(() => {
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CollectionRequest, 'find').mockReturnValue({
+      select: () => ({
+        sort: jest.fn().mockResolvedValue([
+          { _id: new mongoose.Types.ObjectId(), requestId: 'WR-1', actualCollectionTime: new Date('2026-05-10'), actualCost: 180 }
+        ])
+      })
+    });
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+  });
+
+  it('uses no invoice number when the period was invoiced meanwhile', async () => {
+    jest.spyOn(Invoice, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(billingService.invoiceCustomer(customer, period, new Date('2026-06-01'))).resolves.toBeNull();
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('numbers the invoice once it is created', async () => {
+    jest.spyOn(Invoice, 'create').mockImplementation(async (fields) => {
+      const created = Invoice.hydrate(fields);
+      jest.spyOn(created, 'save').mockResolvedValue(created);
+      return created;
+    });
+    const finalize = jest.spyOn(billingService, 'finalizeInvoice');
+    jest.spyOn(billingService, 'post').mockResolvedValue(null);
+    jest.spyOn(billingService, 'allocate').mockResolvedValue();
+    jest.spyOn(billingService, 'syncFinancials').mockResolvedValue(0);
+    jest.spyOn(CollectionRequest, 'updateMany').mockResolvedValue({});
+
+    const created = await billingService.invoiceCustomer(customer, period, new Date('2026-06-01'));
+
+    expect(Invoice.create.mock.calls[0][0].number).toMatch(/^DRAFT-/);
+    expect(finalize).toHaveBeenCalledWith(created);
+    expect(created.number).toBe('INV-2026-000007');
+    expect(created.save).toHaveBeenCalled();
+    expect(billingService.post).toHaveBeenCalledWith(expect.objectContaining({ description: 'Invoice INV-2026-000007' }));
+  });
+});
@@ -0,0 +1,62 @@
+const CronExpression = require('../services/cronExpression');
+
+// Dates are local time, as the scheduler evaluates them
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('CronExpression', () => {
+  it('parses lists, ranges and steps', () => {
+    const cron = new CronExpression('0,30 9-17/4 * * 1-5');
+
+    expect([...cron.minutes]).toEqual([0, 30]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('treats a stepped number as running to the end of the field', () => {
+    expect([...new CronExpression('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+  });
+
+  it('expands aliases', () => {
+    expect(new CronExpression('@daily').next(at(2026, 3, 10, 12))).toEqual(at(2026, 3, 11));
+  });
+
+  it.each([
+    ['* * * *'],
+    ['60 * * * *'],
+    ['* 24 * * *'],
+    ['* * 0 * *'],
+    ['* * * 13 *'],
+    ['*/0 * * * *'],
+    ['5-1 * * * *'],
+    ['a * * * *']
+  ])('rejects "%s"', (expression) => {
+    expect(() => new CronExpression(expression)).toThrow();
+    expect(CronExpression.isValid(expression)).toBe(false);
+  });
+
+  it('finds the next matching minute strictly after the given time', () => {
+    const cron = new CronExpression('*/15 * * * *');
+
+    expect(cron.next(at(2026, 3, 10, 12, 0))).toEqual(at(2026, 3, 10, 12, 15));
+    expect(cron.next(at(2026, 3, 10, 12, 59))).toEqual(at(2026, 3, 10, 13, 0));
+  });
+
+  it('rolls over days, months and years', () => {
+    expect(new CronExpression('30 2 1 * *').next(at(2026, 1, 31, 23))).toEqual(at(2026, 2, 1, 2, 30));
+    expect(new CronExpression('0 0 1 1 *').next(at(2026, 6, 15))).toEqual(at(2027, 1, 1));
+  });
+
+  it('treats day-of-week 7 as Sunday', () => {
+    // 2026-03-15 is a Sunday
+    expect(new CronExpression('0 8 * * 7').next(at(2026, 3, 10))).toEqual(at(2026, 3, 15, 8));
+  });
+
+  it('runs on a day matching either day field when both are restricted', () => {
+    // The 20th, or the Monday before it (2026-03-16)
+    expect(new CronExpression('0 6 20 * 1').next(at(2026, 3, 14))).toEqual(at(2026, 3, 16, 6));
+  });
+
+  it('throws for an expression that never matches', () => {
+    expect(() => new CronExpression('0 0 31 2 *').next(at(2026, 1, 1))).toThrow(/never matches/);
+  });
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RoadGraphProvider } = require('../services/distanceMatrixProvider');
+
+// Three nodes 1 km apart on the equator, joined by a 60 km/h road
+const graph = {
+  nodes: [[1, 0, 0], [2, 0, 0.009], [3, 0, 0.018]],
+  edges: [[1, 2, 1000, 60, false], [2, 3, 1000, 60, false]]
+};
+
+describe('RoadGraphProvider', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'road-graph-'));
+    fs.writeFileSync(path.join(dir, 'graph.json'), JSON.stringify(graph));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the graph once and routes over it', async () => {
+    const provider = new RoadGraphProvider({ graphPath: path.join(dir, 'graph.json') });
+    const readGraph = jest.spyOn(provider, 'readGraph');
+
+    await provider.load();
+    const leg = await provider.getRoute({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 0.018 });
+
+    expect(readGraph).toHaveBeenCalledTimes(1);
+    expect(leg.distance).toBeCloseTo(2);
+    expect(leg.duration).toBeCloseTo(2);
+  });
+
+  it('fails to load when the file is missing', async () => {
+    const provider = new RoadGraphProvider({ graphPath: path.join(dir, 'missing.json') });
+
+    await expect(provider.load()).rejects.toThrow('Road graph file not found');
+  });
+});
@@ -0,0 +1,115 @@
+const plans = require('../services/plans');
+
+const { DEFAULT_PLANS, FREE_PLAN, MONTH_MS } = plans;
+
+const pickup = (overrides = {}) => ({
+  wasteTypes: [{ category: 'general', estimatedWeight: 10 }],
+  priority: 'normal',
+  booked: 0,
+  ...overrides
+});
+
+describe('plans.checkPickup', () => {
+  it('allows a pickup within the plan', () => {
+    expect(plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup())).toEqual({ problems: [], overQuotaFee: 0 });
+  });
+
+  it('names waste categories the plan leaves out', () => {
+    const { problems } = plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup({
+      wasteTypes: [
+        { category: 'hazardous', estimatedWeight: 1 },
+        { category: 'electronic', estimatedWeight: 1 },
+        { category: 'hazardous', estimatedWeight: 1 }
+      ]
+    }));
+
+    expect(problems).toEqual(['The Basic plan doesn\'t include hazardous, electronic waste.']);
+  });
+
+  it('limits the total weight per pickup', () => {
+    const { problems } = plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup({
+      wasteTypes: [{ category: 'general', estimatedWeight: 30 }, { category: 'organic', estimatedWeight: '25' }]
+    }));
+
+    expect(problems).toEqual(['The Basic plan takes up to 50 kg per pickup.']);
+  });
+
+  it('keeps priority slots to plans that have them', () => {
+    expect(plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup({ priority: 'urgent' })).problems)
+      .toEqual(['The Basic plan doesn\'t include urgent priority pickups.']);
+    expect(plans.checkPickup('premium', DEFAULT_PLANS.premium, pickup({ priority: 'urgent' })).problems).toEqual([]);
+  });
+
+  it('charges the over-quota fee once the included pickups are booked', () => {
+    expect(plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup({ booked: 3 })).overQuotaFee).toBe(0);
+    expect(plans.checkPickup('basic', DEFAULT_PLANS.basic, pickup({ booked: 4 }))).toEqual({ problems: [], overQuotaFee: 150 });
+  });
+
+  it('turns the pickup away when the plan rejects pickups over quota', () => {
+    const entitlements = { ...DEFAULT_PLANS.premium, overQuota: 'reject' };
+
+    expect(plans.checkPickup('premium', entitlements, pickup({ booked: 12 }))).toEqual({
+      problems: ['The Premium plan includes 12 pickups a month, and they are all booked.'],
+      overQuotaFee: 0
+    });
+  });
+
+  it('never limits unlimited plans', () => {
+    expect(plans.checkPickup('enterprise', DEFAULT_PLANS.enterprise, pickup({ booked: 500 })).overQuotaFee).toBe(0);
+  });
+});
+
+describe('plans.currentPlan', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+
+  it('puts customers without a plan on the free plan', () => {
+    expect(plans.currentPlan(undefined, now)).toEqual({ plan: FREE_PLAN, trial: false, endsAt: null });
+  });
+
+  it('runs a paid plan until it is paid for', () => {
+    const paidUntil = new Date('2026-07-01T00:00:00Z');
+
+    expect(plans.currentPlan({ subscriptionPlan: 'premium', subscriptionPaidUntil: paidUntil }, now))
+      .toEqual({ plan: 'premium', trial: false, endsAt: paidUntil });
+    expect(plans.currentPlan({ subscriptionPlan: 'premium', subscriptionPaidUntil: paidUntil }, paidUntil).plan)
+      .toBe(FREE_PLAN);
+  });
+
+  it('reports a trial by its end date', () => {
+    const trialEndsAt = new Date('2026-06-20T00:00:00Z');
+
+    expect(plans.currentPlan({ subscriptionPlan: 'enterprise', subscriptionTrialEndsAt: trialEndsAt }, now))
+      .toEqual({ plan: 'enterprise', trial: true, endsAt: trialEndsAt });
+  });
+
+  it('keeps a plan staff set without dates', () => {
+    expect(plans.currentPlan({ subscriptionPlan: 'premium' }, now)).toEqual({ plan: 'premium', trial: false, endsAt: null });
+  });
+});
+
+describe('plans time conversion', () => {
+  it('converts unused time to time worth the same on another plan', () => {
+    expect(plans.convertTime(MONTH_MS, 1999, 499)).toBeCloseTo(MONTH_MS * 1999 / 499);
+    expect(plans.convertTime(MONTH_MS, 499, 0)).toBe(0);
+  });
+
+  it('values unused time at the monthly price', () => {
+    expect(plans.unusedValue(MONTH_MS / 2, 499)).toBe(249.5);
+  });
+});
+
+describe('plans.validatePlans', () => {
+  it('accepts the default catalogue', () => {
+    expect(plans.validatePlans(DEFAULT_PLANS)).toBeNull();
+  });
+
+  it.each([
+    [{ basic: DEFAULT_PLANS.basic, premium: DEFAULT_PLANS.premium }, /needs the enterprise plan/],
+    [{ ...DEFAULT_PLANS, basic: { ...DEFAULT_PLANS.basic, monthlyPrice: 10 } }, /basic.monthlyPrice must be 0/],
+    [{ ...DEFAULT_PLANS, premium: { ...DEFAULT_PLANS.premium, overQuota: 'ignore' } }, /premium.overQuota/],
+    [{ ...DEFAULT_PLANS, premium: { ...DEFAULT_PLANS.premium, wasteCategories: ['wood'] } }, /premium.wasteCategories/],
+    [{ ...DEFAULT_PLANS, premium: { ...DEFAULT_PLANS.premium, discount: 5 } }, /unknown key discount/]
+  ])('rejects an invalid catalogue', (value, message) => {
+    expect(plans.validatePlans(value)).toMatch(message);
+  });
+});
@@ -0,0 +1,148 @@
+const RouteOptimizer = require('../services/routeOptimizer');
+const { HaversineProvider } = require('../services/distanceMatrixProvider');
+
+// On the equator 0.009° of longitude is about 1 km; at 60 km/h that is a minute
+const KM = 0.009;
+
+const request = (id, km, weight, extra = {}) => ({
+  _id: id,
+  pickupLocation: { type: 'Point', coordinates: [km * KM, 0] },
+  wasteTypes: [{ category: 'general', estimatedWeight: weight }],
+  priority: 'normal',
+  ...extra
+});
+
+const truck = (id, weight) => ({ _id: id, capacity: { weight, volume: 100 } });
+
+const depot = { latitude: 0, longitude: 0 };
+
+const landfill = {
+  _id: 'landfill',
+  name: 'Landfill',
+  location: { type: 'Point', coordinates: [5 * KM, 0] },
+  acceptedWasteTypes: ['general']
+};
+
+const optimizer = (options = {}) => new RouteOptimizer({
+  distanceProvider: new HaversineProvider({ averageSpeed: 60 }),
+  shiftStart: '08:00',
+  shiftEnd: '18:00',
+  serviceTime: 10,
+  ...options
+});
+
+const pickupIds = (route) => route.route.filter(visit => visit.type === 'pickup').map(visit => visit.stop.request._id);
+
+describe('RouteOptimizer.solve', () => {
+  describe('capacity', () => {
+    it('never loads a truck beyond its capacity', async () => {
+      const { routes, unassigned } = await optimizer().solve(
+        [{ vehicle: truck('a', 100), depot }, { vehicle: truck('b', 100), depot }],
+        [request('r1', 1, 60), request('r2', 2, 60), request('r3', 3, 30)]
+      );
+
+      expect(unassigned).toEqual([]);
+      routes.forEach(route => {
+        const load = route.route.reduce((sum, visit) => sum + visit.stop.weight, 0);
+        expect(load).toBeLessThanOrEqual(100);
+      });
+      expect(routes.flatMap(pickupIds).sort()).toEqual(['r1', 'r2', 'r3']);
+    });
+
+    it('leaves out what the fleet cannot carry and says why', async () => {
+      const { routes, unassigned } = await optimizer().solve(
+        [{ vehicle: truck('a', 100), depot }],
+        [request('r1', 1, 60), request('r2', 2, 60), request('big', 3, 150)]
+      );
+
+      expect(pickupIds(routes[0])).toHaveLength(1);
+      expect(unassigned.map(item => [item.request._id, item.reason]).sort()).toEqual([
+        ['big', 'exceeds_vehicle_capacity'],
+        [expect.stringMatching(/^r[12]$/), 'fleet_fully_booked']
+      ]);
+    });
+
+    it('unloads at a facility when the truck fills up', async () => {
+      const { routes, unassigned } = await optimizer().solve(
+        [{ vehicle: truck('a', 100), depot }],
+        [request('r1', 1, 60), request('r2', 2, 60), request('r3', 3, 60)],
+        [landfill]
+      );
+
+      expect(unassigned).toEqual([]);
+      expect(pickupIds(routes[0])).toHaveLength(3);
+      expect(routes[0].stats.unloadTrips).toBe(3);
+      expect(routes[0].route.filter(visit => visit.type === 'unload').every(visit => visit.unloaded.weight <= 100)).toBe(true);
+      expect(routes[0].stats.weightCapacityUsed).toBe(60);
+    });
+
+    it('reports waste no facility accepts', async () => {
+      const { unassigned } = await optimizer().solve(
+        [{ vehicle: truck('a', 100), depot }],
+        [request('e1', 1, 10, { wasteTypes: [{ category: 'electronic', estimatedWeight: 10 }] })],
+        [landfill]
+      );
+
+      expect(unassigned).toEqual([{ request: expect.objectContaining({ _id: 'e1' }), reason: 'no_facility_accepts_waste' }]);
+    });
+  });
+
+  describe('time windows', () => {
+    it('waits for a stop whose window opens later', async () => {
+      const { routes } = await optimizer().solve(
+        [{ vehicle: truck('a', 1000), depot }],
+        [request('late', 10, 10, { preferredTimeRange: { start: '10:00', end: '11:00' } })]
+      );
+
+      const [visit] = routes[0].route;
+      expect(Math.round(visit.arrival)).toBe(8 * 60 + 10);
+      expect(visit.serviceStart).toBe(10 * 60);
+      expect(Math.round(visit.wait)).toBe(110);
+    });
+
+    it('orders stops by their windows', async () => {
+      const { routes } = await optimizer().solve(
+        [{ vehicle: truck('a', 1000), depot }],
+        [
+          request('afternoon', 1, 10, { preferredTimeRange: { start: '14:00', end: '15:00' } }),
+          request('morning', 20, 10, { preferredTimeRange: { start: '09:00', end: '10:00' } })
+        ]
+      );
+
+      expect(pickupIds(routes[0])).toEqual(['morning', 'afternoon']);
+      routes[0].route.forEach(visit => {
+        expect(visit.serviceStart).toBeLessThanOrEqual(visit.stop.due);
+        expect(visit.serviceStart).toBeGreaterThanOrEqual(visit.stop.ready);
+      });
+    });
+
+    it('leaves out a stop that cannot be reached within its window', async () => {
+      const { routes, unassigned } = await optimizer().solve(
+        [{ vehicle: truck('a', 1000), depot }],
+        [request('far', 120, 10, { preferredTimeRange: { start: '08:00', end: '09:00' } })]
+      );
+
+      expect(pickupIds(routes[0])).toEqual([]);
+      expect(unassigned).toEqual([{ request: expect.objectContaining({ _id: 'far' }), reason: 'time_window_unreachable' }]);
+    });
+
+    it('ends every route within the shift', async () => {
+      const { routes, unassigned } = await optimizer({ shiftEnd: '09:00' }).solve(
+        [{ vehicle: truck('a', 1000), depot }],
+        [request('r1', 10, 10), request('r2', 20, 10), request('r3', 40, 10)]
+      );
+
+      expect(routes[0].schedule.endTime).toBeLessThanOrEqual(9 * 60);
+      expect(unassigned.length).toBeGreaterThan(0);
+    });
+
+    it('serves urgent stops first', async () => {
+      const { routes } = await optimizer().solve(
+        [{ vehicle: truck('a', 1000), depot }],
+        [request('near', 1, 10), request('urgent', 30, 10, { priority: 'urgent' })]
+      );
+
+      expect(pickupIds(routes[0])).toEqual(['urgent', 'near']);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+
+// Requests carry their permissions in a header instead of a signed token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  return {
+    ...actual,
+    auth: (req, res, next) => {
+      req.user = { _id: '64b000000000000000000001', role: 'test' };
+      req.permissions = new Set((req.get('X-Test-Permissions') || '').split(',').filter(Boolean));
+      next();
+    }
+  };
+});
+
+const Route = require('../models/Route');
+const Facility = require('../models/Facility');
+const Vehicle = require('../models/Vehicle');
+const routeRoutes = require('../routes/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/routes', routeRoutes);
+
+const location = (street, [longitude, latitude], estimatedQuantity, priority = 'medium') => ({
+  address: { street, area: 'Thamel' },
+  coordinates: { type: 'Point', coordinates: [longitude, latitude] },
+  wasteTypes: ['general'],
+  estimatedQuantity,
+  priority
+});
+
+const depot = {
+  _id: '64b0000000000000000000d1',
+  name: 'Depot',
+  type: 'depot',
+  location: { type: 'Point', coordinates: [85.30, 27.70] }
+};
+
+const landfill = {
+  _id: '64b0000000000000000000f1',
+  name: 'Landfill',
+  type: 'landfill',
+  location: { type: 'Point', coordinates: [85.32, 27.70] },
+  acceptedWasteTypes: ['general']
+};
+
+const buildRoute = () => {
+  const route = new Route({
+    name: 'Thamel loop',
+    schedule: { frequency: 'daily', startTime: '08:00' },
+    locations: [
+      location('Far', [85.36, 27.70], 400, 'urgent'),
+      location('Near', [85.31, 27.70], 400),
+      location('Middle', [85.33, 27.70], 400)
+    ]
+  });
+  route.save = jest.fn().mockResolvedValue(route);
+  return route;
+};
+
+const mockFindOne = (route) => {
+  jest.spyOn(Route, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(route) });
+};
+
+describe('POST /api/routes/:id/optimize', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('requires routes:manage', async () => {
+    const response = await request(app).post('/api/routes/64b0000000000000000000a1/optimize');
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('permission_denied');
+  });
+
+  it('returns 404 for an unknown route', async () => {
+    mockFindOne(null);
+
+    const response = await request(app)
+      .post('/api/routes/64b0000000000000000000a1/optimize')
+      .set('X-Test-Permissions', 'routes:manage');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('serves the urgent stop first and unloads whenever the truck is full', async () => {
+    const route = buildRoute();
+    route.assignedDriver = '64b000000000000000000002';
+    mockFindOne(route);
+    jest.spyOn(Facility, 'findDepots').mockResolvedValue([depot]);
+    jest.spyOn(Facility, 'findDisposalSites').mockResolvedValue([landfill]);
+    jest.spyOn(Vehicle, 'findByDriver').mockResolvedValue({ capacity: { weight: 800, volume: 100 } });
+
+    const response = await request(app)
+      .post(`/api/routes/${route._id}/optimize`)
+      .set('X-Test-Permissions', 'routes:manage');
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.route.locations.map(stop => stop.address.street)).toEqual(['Far', 'Middle', 'Near']);
+    expect(response.body.data.route.locations.map(stop => stop.order)).toEqual([1, 2, 3]);
+    expect(response.body.data.unloadStops).toEqual([
+      expect.objectContaining({ afterStop: 2, facilityName: 'Landfill', categories: ['general'] }),
+      expect.objectContaining({ afterStop: 3, facilityName: 'Landfill', categories: ['general'] })
+    ]);
+    expect(response.body.data.unassigned).toEqual([]);
+    expect(route.metrics.unloadTrips).toBe(2);
+    expect(route.lastOptimized).toBeInstanceOf(Date);
+    expect(route.save).toHaveBeenCalled();
+  });
+
+  it('keeps the priority order when there is no depot', async () => {
+    const route = buildRoute();
+    mockFindOne(route);
+    jest.spyOn(Facility, 'findDepots').mockResolvedValue([]);
+
+    const response = await request(app)
+      .post(`/api/routes/${route._id}/optimize`)
+      .set('X-Test-Permissions', 'routes:manage');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.route.locations.map(stop => stop.address.street)).toEqual(['Far', 'Near', 'Middle']);
+  });
+});
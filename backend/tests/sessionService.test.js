@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { SessionService } = require('../services/sessionService');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+// The sessions collection, in memory
+let sessions;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && condition.$exists === false) return doc[field] === undefined;
+  return String(doc[field]) === String(condition);
+});
+
+beforeEach(() => {
+  sessions = new Map();
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    sessions.set(this._id.toString(), this.toObject());
+    return this;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) => {
+    const stored = sessions.get(id.toString());
+    const doc = stored ? Session.hydrate({ ...stored }) : null;
+    return Object.assign(Promise.resolve(doc), { select: async () => doc });
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const stored = sessions.get(filter._id.toString());
+    if (!stored || !matches(stored, filter)) return null;
+
+    Object.assign(stored, update.$set);
+    stored.generation = (stored.generation || 0) + update.$inc.generation;
+    return Session.hydrate({ ...stored });
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const stored = sessions.get(filter._id.toString());
+    if (!stored || !matches(stored, filter)) return { modifiedCount: 0 };
+
+    Object.assign(stored, update.$set);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const signIn = (sessionService) => sessionService.issue({ _id: new mongoose.Types.ObjectId() }, req, { platform: 'ios' });
+
+describe('sessionService.refresh', () => {
+  it('rotates the refresh token', async () => {
+    const sessionService = new SessionService();
+    const issued = await signIn(sessionService);
+
+    const refreshed = await sessionService.refresh(issued.refreshToken, req);
+
+    expect(refreshed.refreshToken).not.toBe(issued.refreshToken);
+    expect(refreshed.sessionId.toString()).toBe(issued.sessionId.toString());
+    expect(sessions.get(issued.sessionId.toString()).generation).toBe(1);
+
+    const again = await sessionService.refresh(refreshed.refreshToken, req);
+    expect(again.refreshToken).not.toBe(refreshed.refreshToken);
+  });
+
+  it('revokes the session when a rotated refresh token is presented again', async () => {
+    const sessionService = new SessionService();
+    const issued = await signIn(sessionService);
+    const refreshed = await sessionService.refresh(issued.refreshToken, req);
+
+    await expect(sessionService.refresh(issued.refreshToken, req)).rejects.toMatchObject({ code: 'session_expired', statusCode: 401 });
+
+    const stored = sessions.get(issued.sessionId.toString());
+    expect(stored.revokedReason).toBe('reuse-detected');
+    expect(stored.revokedAt).toBeInstanceOf(Date);
+
+    // The legitimate holder is signed out too
+    await expect(sessionService.refresh(refreshed.refreshToken, req)).rejects.toMatchObject({ code: 'session_expired' });
+  });
+
+  it('lets only one of two simultaneous refreshes with the same token succeed, without revoking', async () => {
+    const sessionService = new SessionService();
+    const issued = await signIn(sessionService);
+
+    const results = await Promise.allSettled([
+      sessionService.refresh(issued.refreshToken, req),
+      sessionService.refresh(issued.refreshToken, req)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(sessions.get(issued.sessionId.toString()).revokedAt).toBeUndefined();
+  });
+
+  it.each([
+    ['a missing token', undefined],
+    ['a token without a secret', '64b000000000000000000001'],
+    ['a token with a malformed session id', 'abc.def']
+  ])('rejects %s', async (label, token) => {
+    const sessionService = new SessionService();
+
+    await expect(sessionService.refresh(token, req)).rejects.toMatchObject({ code: 'invalid_refresh_token' });
+  });
+
+  it('rejects a token for an expired session', async () => {
+    const sessionService = new SessionService();
+    const issued = await signIn(sessionService);
+    sessions.get(issued.sessionId.toString()).expiresAt = new Date(Date.now() - 1000);
+
+    await expect(sessionService.refresh(issued.refreshToken, req)).rejects.toMatchObject({ code: 'session_expired' });
+  });
+});
@@ -0,0 +1,102 @@
+const tariff = require('../services/tariff');
+
+const { DEFAULT_TARIFF, calculate, validateTariff } = tariff;
+
+const pickup = (overrides = {}) => ({
+  plan: 'basic',
+  loyaltyTier: 'bronze',
+  items: [{ category: 'general', weight: 10 }],
+  ...overrides
+});
+
+const amounts = (quote) => Object.fromEntries(quote.lines.map(line => [`${line.code}:${line.category || ''}`, line.amount]));
+
+describe('tariff.calculate', () => {
+  it('charges the plan base fee and per kg', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup());
+
+    expect(amounts(quote)).toEqual({ 'base:': 100, 'weight:general': 80 });
+    expect(quote.subtotal).toBe(180);
+    expect(quote.discount).toBeNull();
+    expect(quote.voucher).toBeNull();
+    expect(quote.total).toBe(180);
+    expect(quote.currency).toBe('NPR');
+  });
+
+  it('sums weights per category and charges handling once', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup({
+      plan: 'enterprise',
+      items: [{ category: 'hazardous', weight: 2 }, { category: 'hazardous', weight: 3 }]
+    }));
+
+    expect(amounts(quote)).toEqual({ 'base:': 0, 'weight:hazardous': 125, 'handling:hazardous': 250 });
+    expect(quote.lines.find(line => line.code === 'weight').weightKg).toBe(5);
+    expect(quote.total).toBe(375);
+  });
+
+  it('adds the priority surcharge on everything charged before it', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup({ priority: 'urgent' }));
+
+    expect(quote.lines.find(line => line.code === 'priority')).toMatchObject({ percent: 50, amount: 90 });
+    expect(quote.total).toBe(270);
+  });
+
+  it('charges beyond the service radius only when the distance is known', () => {
+    expect(calculate(DEFAULT_TARIFF, pickup({ distanceKm: 15 })).total).toBe(180);
+    expect(calculate(DEFAULT_TARIFF, pickup({ distanceKm: null })).total).toBe(180);
+
+    const quote = calculate(DEFAULT_TARIFF, pickup({ distanceKm: 20 }));
+    expect(quote.lines.find(line => line.code === 'out-of-zone').amount).toBe(250);
+    expect(quote.total).toBe(430);
+  });
+
+  it('adds the over-quota fee', () => {
+    expect(calculate(DEFAULT_TARIFF, pickup({ overQuotaFee: 75 })).total).toBe(255);
+  });
+
+  it('takes the loyalty discount off the subtotal', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup({ loyaltyTier: 'gold' }));
+
+    expect(quote.discount).toMatchObject({ tier: 'gold', percent: 10, amount: 18 });
+    expect(quote.total).toBe(162);
+  });
+
+  it('applies a voucher after the loyalty discount', () => {
+    const percent = calculate(DEFAULT_TARIFF, pickup({ loyaltyTier: 'gold', voucher: { code: 'SC-A', label: '50% off', percent: 50 } }));
+    expect(percent.voucher).toEqual({ code: 'SC-A', label: '50% off', amount: 81 });
+    expect(percent.total).toBe(81);
+
+    const amount = calculate(DEFAULT_TARIFF, pickup({ voucher: { code: 'SC-B', label: '30 off', amount: 30 } }));
+    expect(amount.total).toBe(150);
+  });
+
+  it('never takes a voucher below zero', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup({ voucher: { code: 'SC-C', label: '500 off', amount: 500 } }));
+
+    expect(quote.voucher.amount).toBe(180);
+    expect(quote.total).toBe(0);
+  });
+
+  it('rounds to two decimals', () => {
+    const quote = calculate(DEFAULT_TARIFF, pickup({ items: [{ category: 'general', weight: 1.333 }] }));
+
+    expect(quote.lines[1].amount).toBe(10.66);
+    expect(quote.total).toBe(110.66);
+  });
+});
+
+describe('tariff.validateTariff', () => {
+  it('accepts the default tariff', () => {
+    expect(validateTariff(DEFAULT_TARIFF)).toBeNull();
+  });
+
+  it.each([
+    [{ ...DEFAULT_TARIFF, currency: 'rupees' }, /currency/],
+    [{ ...DEFAULT_TARIFF, baseFee: { basic: 100 } }, /baseFee needs a value/],
+    [{ ...DEFAULT_TARIFF, perKg: { ...DEFAULT_TARIFF.perKg, wood: 2 } }, /unknown key wood/],
+    [{ ...DEFAULT_TARIFF, loyaltyDiscount: { ...DEFAULT_TARIFF.loyaltyDiscount, gold: 120 } }, /loyaltyDiscount.gold/],
+    [{ ...DEFAULT_TARIFF, outOfZone: { fee: 10 } }, /outOfZone/]
+  ])('rejects an invalid tariff', (value, message) => {
+    expect(validateTariff(value)).toMatch(message);
+  });
+});
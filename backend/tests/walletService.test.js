@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const PaymentIntent = require('../models/PaymentIntent');
+const billingService = require('../services/billingService');
+const { WalletService } = require('../services/walletService');
+
+const intent = (fields = {}) => {
+  const doc = PaymentIntent.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    purpose: 'invoice',
+    amount: 180,
+    currency: 'NPR',
+    status: 'refunding',
+    transactionId: 'TX-1',
+    payment: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('WalletService.refund', () => {
+  let wallet;
+  let gateway;
+
+  beforeEach(() => {
+    wallet = new WalletService();
+    gateway = { refund: jest.fn().mockResolvedValue({ refundId: 'RF-1' }) };
+    wallet.gateway = gateway;
+    jest.spyOn(PaymentIntent, 'updateOne').mockResolvedValue({});
+  });
+
+  it('keeps a refund whose reversal failed open for a retry', async () => {
+    const refunding = intent();
+    jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(refunding);
+    jest.spyOn(billingService, 'reversePayment').mockRejectedValue(new Error('connection lost'));
+
+    await expect(wallet.refund(refunding._id, { reason: 'Duplicate', userId: 'admin' })).rejects.toThrow('connection lost');
+
+    expect(gateway.refund).toHaveBeenCalledTimes(1);
+    expect(PaymentIntent.updateOne).toHaveBeenLastCalledWith({ _id: refunding._id }, { $set: { status: 'refund-pending-reversal' } });
+    expect(refunding.save).not.toHaveBeenCalled();
+  });
+
+  it('finishes the reversal on retry without refunding twice', async () => {
+    const refunding = intent({ refund: { refundId: 'RF-1', reason: 'Duplicate' } });
+    const findOneAndUpdate = jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(refunding);
+    jest.spyOn(billingService, 'reversePayment').mockResolvedValue({});
+
+    const refunded = await wallet.refund(refunding._id, { reason: 'Duplicate', userId: 'admin' });
+
+    expect(findOneAndUpdate.mock.calls[0][0].status).toEqual({ $in: ['completed', 'refund-pending-reversal'] });
+    expect(gateway.refund).not.toHaveBeenCalled();
+    expect(billingService.reversePayment).toHaveBeenCalledWith(refunding.payment, { reason: 'Refunded: Duplicate', userId: 'admin' });
+    expect(refunded.status).toBe('refunded');
+  });
+
+  it('puts the payment back when the gateway refuses', async () => {
+    const refunding = intent();
+    jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(refunding);
+    gateway.refund.mockRejectedValue(new Error('insufficient balance'));
+
+    await expect(wallet.refund(refunding._id, { reason: 'Duplicate', userId: 'admin' })).rejects.toMatchObject({ statusCode: 502 });
+
+    expect(PaymentIntent.updateOne).toHaveBeenCalledWith({ _id: refunding._id }, { $set: { status: 'completed' } });
+  });
+});
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { COLORS } from '../utils/theme';
+import apiService from '../services/apiService';
+import webSocketService from '../services/webSocketService';
+
+// How often to check for maintenance when no socket broadcast arrives
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Banner across the top of the app during maintenance, and ahead of a planned window
+export default function MaintenanceBanner() {
+  const [status, setStatus] = useState(apiService.maintenance);
+  const [queued, setQueued] = useState(0);
+
+  useEffect(() => {
+    const unsubscribe = apiService.onMaintenanceChange((next, queuedWrites) => {
+      setStatus(next);
+      setQueued(queuedWrites);
+    });
+    const onBroadcast = (next) => apiService.setMaintenanceStatus(next);
+    webSocketService.on('maintenance', onBroadcast);
+
+    apiService.getMaintenanceStatus();
+    const poll = setInterval(() => apiService.getMaintenanceStatus(), POLL_INTERVAL_MS);
+
+    return () => {
+      unsubscribe();
+      webSocketService.off('maintenance', onBroadcast);
+      clearInterval(poll);
+    };
+  }, []);
+
+  if (status?.active) {
+    return (
+      <View style={[styles.banner, styles.active]}>
+        <Text style={styles.title}>🛠️ Under maintenance</Text>
+        <Text style={styles.text}>{status.message}</Text>
+        {status.endsAt && (
+          <Text style={styles.text}>Expected back by {formatTime(status.endsAt)}</Text>
+        )}
+        {queued > 0 && (
+          <Text style={styles.text}>
+            {queued} change{queued === 1 ? '' : 's'} will be sent when we're back
+          </Text>
+        )}
+      </View>
+    );
+  }
+
+  if (status?.upcoming) {
+    return (
+      <View style={[styles.banner, styles.upcoming]}>
+        <Text style={styles.text}>
+          Scheduled maintenance {formatTime(status.upcoming.startsAt)} – {formatTime(status.upcoming.endsAt)}
+        </Text>
+      </View>
+    );
+  }
+
+  return null;
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    paddingTop: 40,
+    paddingBottom: 10,
+    paddingHorizontal: 16,
+  },
+  active: {
+    backgroundColor: COLORS.secondary,
+  },
+  upcoming: {
+    backgroundColor: COLORS.info,
+  },
+  title: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  text: {
+    color: COLORS.white,
+    fontSize: 13,
+  },
+});
@@ -26,6 +26,7 @@ export const AUTH_ACTIONS = {
   LOAD_USER_SUCCESS: "LOAD_USER_SUCCESS",
   LOAD_USER_FAILURE: "LOAD_USER_FAILURE",
   UPDATE_PROFILE_SUCCESS: "UPDATE_PROFILE_SUCCESS",
+  TOKEN_REFRESHED: "TOKEN_REFRESHED",
 };
 
 // Reducer function
@@ -59,6 +60,11 @@ const authReducer = (state, action) => {
         userRole: action.payload.user?.role,
         error: null,
       };
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+      };
     case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
     case AUTH_ACTIONS.LOAD_USER_FAILURE:
@@ -91,6 +97,7 @@ const AuthContext = createContext();
 
 // Storage keys
 const STORAGE_KEY = 'safacycle_auth_token';
+const REFRESH_KEY = 'safacycle_refresh_token';
 const USER_KEY = 'safacycle_user_data';
 
 // Context provider component
@@ -99,6 +106,19 @@ export const AuthProvider = ({ children }) => {
 
   // Load user data from storage on app start
   useEffect(() => {
+    // Keep stored tokens in step with background refreshes, and sign out
+    // when the session has been revoked or has expired
+    authService.setSessionHandlers({
+      onTokensRefreshed: async ({ token, refreshToken }) => {
+        await AsyncStorage.multiSet([[STORAGE_KEY, token], [REFRESH_KEY, refreshToken]]);
+        dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: { token } });
+      },
+      onSessionExpired: async () => {
+        await clearStoredAuth();
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      },
+    });
+
     loadStoredAuth();
   }, []);
 
@@ -108,15 +128,16 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.LOAD_USER_START });
 
       const token = await AsyncStorage.getItem(STORAGE_KEY);
+      const refreshToken = await AsyncStorage.getItem(REFRESH_KEY);
       const userData = await AsyncStorage.getItem(USER_KEY);
 
       if (token && userData) {
         const user = JSON.parse(userData);
         
-        // Set token in auth service
-        authService.setAuthToken(token);
+        // Set tokens in auth service
+        authService.setAuthToken(token, refreshToken);
         
-        // Verify token is still valid by fetching profile
+        // Verify the session is still valid by fetching profile (refreshes an expired access token)
         const response = await authService.getProfile();
         
         if (response.success) {
@@ -148,9 +169,10 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Store authentication data
-  const storeAuth = async (token, user) => {
+  const storeAuth = async (token, refreshToken, user) => {
     try {
       await AsyncStorage.setItem(STORAGE_KEY, token);
+      await AsyncStorage.setItem(REFRESH_KEY, refreshToken);
       await AsyncStorage.setItem(USER_KEY, JSON.stringify(user));
     } catch (error) {
       console.error('Store auth error:', error);
@@ -160,7 +182,7 @@ export const AuthProvider = ({ children }) => {
   // Clear stored authentication data
   const clearStoredAuth = async () => {
     try {
-      await AsyncStorage.multiRemove([STORAGE_KEY, USER_KEY]);
+      await AsyncStorage.multiRemove([STORAGE_KEY, REFRESH_KEY, USER_KEY]);
     } catch (error) {
       console.error('Clear stored auth error:', error);
     }
@@ -174,10 +196,10 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.login(credentials);
 
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken } = response.data;
         
         // Store authentication data
-        await storeAuth(token, user);
+        await storeAuth(token, refreshToken, user);
         
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -212,10 +234,10 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.register(userData);
 
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken } = response.data;
         
         // Store authentication data
-        await storeAuth(token, user);
+        await storeAuth(token, refreshToken, user);
         
         dispatch({
           type: AUTH_ACTIONS.REGISTER_SUCCESS,
@@ -242,6 +264,59 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Text a sign-in code to a phone number
+  const requestOtp = async (phone, language) => {
+    try {
+      return await authService.requestOtp(phone, 'login', language);
+    } catch (error) {
+      return { success: false, message: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Phone sign-in; pass `name` to create the account when the number is new
+  const loginWithOtp = async ({ phone, code, name, language }) => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const response = await authService.verifyOtp({ phone, code, name, language });
+
+      if (response.success && response.data?.signupRequired) {
+        // Not an error: the number just has no account yet
+        dispatch({ type: AUTH_ACTIONS.LOGIN_FAILURE, payload: null });
+        return { success: false, signupRequired: true, message: response.message };
+      }
+
+      if (response.success) {
+        const { user, token, refreshToken } = response.data;
+        
+        // Store authentication data
+        await storeAuth(token, refreshToken, user);
+        
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user, token }
+        });
+        
+        return { success: true, user };
+      } else {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
+          payload: response.message || 'Verification failed'
+        });
+        
+        return { success: false, message: response.message };
+      }
+    } catch (error) {
+      const errorMessage = 'Network error. Please check your connection.';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage
+      });
+      
+      return { success: false, message: errorMessage };
+    }
+  };
+
   // Update profile function
   const updateProfile = async (profileData) => {
     try {
@@ -330,6 +405,8 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     login,
+    requestOtp,
+    loginWithOtp,
     register,
     logout,
     updateProfile,
@@ -28,6 +28,8 @@ import AdminProfileScreen from "../screens/AdminProfileScreen";
 import SystemConfigScreen from "../screens/SystemConfigScreen";
 import BulkOperationsScreen from "../screens/BulkOperationsScreen";
 import SystemLogsScreen from "../screens/SystemLogsScreen";
+import PaymentScreen from "../screens/PaymentScreen";
+import RewardsScreen from "../screens/RewardsScreen";
 
 const Stack = createNativeStackNavigator();
 
@@ -183,6 +185,16 @@ export default function AppNavigator() {
           component={SystemLogsScreen}
           options={{ title: "System Logs" }}
         />
+        <Stack.Screen
+          name="Payments"
+          component={PaymentScreen}
+          options={{ title: "Payments" }}
+        />
+        <Stack.Screen
+          name="Rewards"
+          component={RewardsScreen}
+          options={{ title: "Rewards" }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -29,6 +29,8 @@ import DriverProfileScreen from "../screens/DriverProfileScreen";
 import BreakManagementScreen from "../screens/BreakManagementScreen";
 import EmergencyContactScreen from "../screens/EmergencyContactScreen";
 import DriverPerformanceScreen from "../screens/DriverPerformanceScreen";
+import PaymentScreen from "../screens/PaymentScreen";
+import RewardsScreen from "../screens/RewardsScreen";
 
 const Stack = createNativeStackNavigator();
 
@@ -189,6 +191,16 @@ export default function AppNavigator() {
           component={NotificationSettingsScreen}
           options={{ title: "Notification Settings" }}
         />
+        <Stack.Screen
+          name="Payments"
+          component={PaymentScreen}
+          options={{ title: "Payments" }}
+        />
+        <Stack.Screen
+          name="Rewards"
+          component={RewardsScreen}
+          options={{ title: "Rewards" }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -12,27 +12,47 @@ import {
   Switch,
 } from "react-native";
 import { COLORS, SIZES } from "../utils/theme";
-import CustomButton from "../components/CustomButton";
 import { formatDate } from "../utils/helpers";
+import apiService from "../services/apiService";
+import userService from "../services/userService";
+import webSocketService from "../services/webSocketService";
+
+// User actions that run as user-update bulk operations, and the status they set
+const USER_STATUS_ACTIONS = {
+  activate: "active",
+  deactivate: "inactive",
+  suspend: "suspended",
+};
+
+const FINISHED_STATUSES = ["completed", "cancelled", "failed", "rolled-back"];
+const POLL_INTERVAL_MS = 2000;
+
+const IMPORT_EXAMPLE = "name,email,phone,role\nJane Doe,jane@example.com,+15551234567,customer";
+
+const formatDuration = (operation) => {
+  if (!operation.startedAt) return "not started";
+  const end = operation.finishedAt ? new Date(operation.finishedAt) : new Date();
+  const seconds = Math.max(0, Math.round((end - new Date(operation.startedAt)) / 1000));
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
 
 export default function BulkOperationsScreen({ navigation }) {
   const [selectedOperation, setSelectedOperation] = useState(null);
   const [selectedUsers, setSelectedUsers] = useState([]);
   const [bulkAction, setBulkAction] = useState("");
   const [showConfirmModal, setShowConfirmModal] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [progress, setProgress] = useState(0);
-
-  const [users] = useState([
-    { id: 1, name: "John Driver", email: "john@example.com", role: "driver", status: "active" },
-    { id: 2, name: "Sarah Customer", email: "sarah@example.com", role: "customer", status: "active" },
-    { id: 3, name: "Mike Admin", email: "mike@example.com", role: "admin", status: "active" },
-    { id: 4, name: "Lisa Driver", email: "lisa@example.com", role: "driver", status: "inactive" },
-    { id: 5, name: "Tom Customer", email: "tom@example.com", role: "customer", status: "active" },
-    { id: 6, name: "Anna Customer", email: "anna@example.com", role: "customer", status: "suspended" },
-    { id: 7, name: "Bob Driver", email: "bob@example.com", role: "driver", status: "active" },
-    { id: 8, name: "Emma Customer", email: "emma@example.com", role: "customer", status: "active" },
-  ]);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [operationTypes, setOperationTypes] = useState([]);
+  const [recentOperations, setRecentOperations] = useState([]);
+  const [operation, setOperation] = useState(null);
+  const [failedItems, setFailedItems] = useState([]);
+  const [notice, setNotice] = useState({ title: "", message: "" });
+  const [importCsv, setImportCsv] = useState("");
+  const [sendInvites, setSendInvites] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isFinished = operation ? FINISHED_STATUSES.includes(operation.status) : false;
 
   const bulkOperations = [
     {
@@ -45,6 +65,7 @@ export default function BulkOperationsScreen({ navigation }) {
         { id: "deactivate", title: "Deactivate Users", description: "Deactivate selected user accounts" },
         { id: "suspend", title: "Suspend Users", description: "Temporarily suspend user accounts" },
         { id: "delete", title: "Delete Users", description: "Permanently delete user accounts", danger: true },
+        { id: "import", title: "Import Users", description: "Create user accounts from a CSV file" },
         { id: "export", title: "Export Users", description: "Export user data to CSV/Excel" },
         { id: "notify", title: "Send Notifications", description: "Send bulk notifications to users" },
       ],
@@ -93,12 +114,66 @@ export default function BulkOperationsScreen({ navigation }) {
     },
   ];
 
-  const [processingStatus] = useState({
-    completed: 45,
-    failed: 2,
-    total: 50,
-    currentTask: "Processing user activation...",
-  });
+  const loadRecentOperations = useCallback(async () => {
+    const response = await apiService.getBulkOperations({ limit: 5 });
+    if (response.success) {
+      setRecentOperations(response.data.operations);
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadScreen = async () => {
+      const [usersResponse, typesResponse] = await Promise.all([
+        userService.getUsers({ limit: 100 }),
+        apiService.getBulkOperationTypes(),
+      ]);
+      if (usersResponse.success) {
+        setUsers(usersResponse.data.users);
+      }
+      if (typesResponse.success) {
+        setOperationTypes(typesResponse.data.types);
+      }
+    };
+
+    loadScreen();
+    loadRecentOperations();
+  }, [loadRecentOperations]);
+
+  // Follow the running operation: socket progress when connected, polling regardless
+  useEffect(() => {
+    if (!operation || isFinished) return undefined;
+
+    const onProgress = (progress) => {
+      setOperation(prev => (prev && prev._id === progress.id ? { ...prev, ...progress } : prev));
+    };
+    const interval = setInterval(async () => {
+      const response = await apiService.getBulkOperation(operation._id);
+      if (response.success) {
+        setOperation(response.data.operation);
+      }
+    }, POLL_INTERVAL_MS);
+
+    webSocketService.on("bulkProgress", onProgress);
+    return () => {
+      clearInterval(interval);
+      webSocketService.off("bulkProgress", onProgress);
+    };
+  }, [operation && operation._id, isFinished]);
+
+  // Once it finishes, show what failed and refresh the history
+  useEffect(() => {
+    if (!operation || !isFinished) return;
+
+    const loadFailedItems = async () => {
+      const response = await apiService.getBulkOperationItems(operation._id, { status: "failed", limit: 20 });
+      if (response.success) {
+        setFailedItems(response.data.items);
+      }
+    };
+
+    loadFailedItems();
+    loadRecentOperations();
+  }, [operation && operation._id, operation && operation.status, isFinished, loadRecentOperations]);
 
   const handleOperationSelect = (operation) => {
     setSelectedOperation(operation);
@@ -106,35 +181,76 @@ export default function BulkOperationsScreen({ navigation }) {
 
   const handleActionSelect = (action) => {
     setBulkAction(action);
-    if (action.id === "activate" || action.id === "deactivate" || action.id === "suspend" || action.id === "delete") {
-      // For user operations, we need to show user selection
+    if (USER_STATUS_ACTIONS[action.id] || action.id === "notify") {
       setShowConfirmModal(true);
+    } else if (action.id === "import") {
+      setShowImportModal(true);
     } else {
-      // For other operations, show direct confirmation
-      executeBulkOperation(action);
+      Alert.alert("Not Available", `${action.title} is not available yet.`);
     }
   };
 
-  const executeBulkOperation = (action) => {
-    setIsProcessing(true);
-    setProgress(0);
-
-    // Simulate progress
-    const interval = setInterval(() => {
-      setProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(interval);
-          setIsProcessing(false);
-          Alert.alert(
-            "Success",
-            `${action.title} completed successfully!`,
-            [{ text: "OK", onPress: () => setSelectedOperation(null) }]
-          );
-          return 100;
-        }
-        return prev + 10;
-      });
-    }, 500);
+  const startOperation = async (type, params) => {
+    setSubmitting(true);
+    const response = await apiService.startBulkOperation(type, params);
+    setSubmitting(false);
+
+    if (response.success) {
+      setFailedItems([]);
+      setOperation(response.data.operation);
+    } else {
+      Alert.alert("Error", response.message || "Failed to start the operation.");
+    }
+    return response.success;
+  };
+
+  const handleCancelOperation = async () => {
+    const response = await apiService.cancelBulkOperation(operation._id);
+    if (response.success) {
+      setOperation(response.data.operation);
+    } else {
+      Alert.alert("Error", response.message || "Failed to cancel the operation.");
+    }
+  };
+
+  const handleRollback = () => {
+    Alert.alert(
+      "Roll Back",
+      `Undo the ${operation.succeeded} successful change(s)? Items changed since are left alone.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Roll Back",
+          style: "destructive",
+          onPress: async () => {
+            const response = await apiService.rollbackBulkOperation(operation._id);
+            if (response.success) {
+              setFailedItems([]);
+              setOperation(response.data.operation);
+            } else {
+              Alert.alert("Error", response.message || "Failed to roll back the operation.");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleOpenOperation = async (recent) => {
+    const response = await apiService.getBulkOperation(recent._id);
+    if (response.success) {
+      setFailedItems([]);
+      setOperation(response.data.operation);
+    }
+  };
+
+  const handleSystemBackup = async () => {
+    const response = await apiService.createBackup();
+    if (response.success) {
+      Alert.alert("Backup", "System backup started. Its status is shown in System Configuration.");
+    } else {
+      Alert.alert("Backup", response.message || "Failed to start the backup.");
+    }
   };
 
   const handleUserToggle = (userId) => {
@@ -149,7 +265,7 @@ export default function BulkOperationsScreen({ navigation }) {
     if (selectedUsers.length === users.length) {
       setSelectedUsers([]);
     } else {
-      setSelectedUsers(users.map(user => user.id));
+      setSelectedUsers(users.map(user => user._id));
     }
   };
 
@@ -158,53 +274,47 @@ export default function BulkOperationsScreen({ navigation }) {
       Alert.alert("Error", "Please select at least one user.");
       return;
     }
+    if (bulkAction.id === "notify" && (!notice.title.trim() || !notice.message.trim())) {
+      Alert.alert("Error", "Please enter a title and message.");
+      return;
+    }
 
     setShowConfirmModal(false);
-    
+
+    const [type, params] = bulkAction.id === "notify"
+      ? ["notification", { userIds: selectedUsers, title: notice.title, message: notice.message }]
+      : ["user-update", { userIds: selectedUsers, status: USER_STATUS_ACTIONS[bulkAction.id] }];
+
     Alert.alert(
       "Confirm Action",
-      `Are you sure you want to ${bulkAction.title.toLowerCase()} ${selectedUsers.length} user(s)?`,
+      `Are you sure you want to ${bulkAction.title.toLowerCase()} for ${selectedUsers.length} user(s)?`,
       [
         { text: "Cancel", style: "cancel" },
         {
           text: "Confirm",
           style: bulkAction.danger ? "destructive" : "default",
-          onPress: () => executeBulkOperation(bulkAction),
+          onPress: async () => {
+            if (await startOperation(type, params)) {
+              setSelectedUsers([]);
+              setNotice({ title: "", message: "" });
+            }
+          },
         },
       ]
     );
   };
 
-  const recentOperations = [
-    {
-      operation: "User Export",
-      count: 156,
-      status: "completed",
-      timestamp: "2025-07-31T10:30:00",
-      duration: "2m 15s",
-    },
-    {
-      operation: "Cache Clear",
-      count: 1,
-      status: "completed",
-      timestamp: "2025-07-31T09:15:00",
-      duration: "45s",
-    },
-    {
-      operation: "Data Backup",
-      count: 1,
-      status: "completed",
-      timestamp: "2025-07-31T02:00:00",
-      duration: "15m 30s",
-    },
-    {
-      operation: "Bulk Notification",
-      count: 89,
-      status: "failed",
-      timestamp: "2025-07-30T16:45:00",
-      duration: "1m 05s",
-    },
-  ];
+  const handleConfirmImport = async () => {
+    if (!importCsv.trim()) {
+      Alert.alert("Error", "Please paste the CSV to import.");
+      return;
+    }
+
+    if (await startOperation("user-import", { csv: importCsv, sendInvites })) {
+      setShowImportModal(false);
+      setImportCsv("");
+    }
+  };
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -212,7 +322,10 @@ export default function BulkOperationsScreen({ navigation }) {
         return COLORS.success;
       case "failed":
         return COLORS.error;
-      case "processing":
+      case "queued":
+      case "running":
+      case "cancelling":
+      case "rolling-back":
         return COLORS.warning;
       default:
         return COLORS.textSecondary;
@@ -225,58 +338,123 @@ export default function BulkOperationsScreen({ navigation }) {
         return "✅";
       case "failed":
         return "❌";
-      case "processing":
+      case "cancelled":
+        return "⏹";
+      case "rolled-back":
+        return "↩️";
+      case "queued":
+      case "running":
+      case "cancelling":
+      case "rolling-back":
         return "⏳";
       default:
         return "⚪";
     }
   };
 
-  if (isProcessing) {
+  if (operation) {
+    const rollingBack = operation.status === "rolling-back" || operation.status === "rolled-back";
+    const done = rollingBack ? operation.rolledBack : operation.processed;
+    const of = rollingBack ? operation.succeeded : operation.total;
+    const progress = of > 0 ? Math.round((done / of) * 100) : 100;
+    const canRollback = operationTypes.some(type => type.type === operation.type && type.canRollback)
+      && ["completed", "cancelled", "failed"].includes(operation.status)
+      && operation.succeeded > 0;
+
     return (
       <SafeAreaView style={styles.container}>
-        <View style={styles.processingContainer}>
-          <Text style={styles.processingTitle}>Processing Operation</Text>
-          <Text style={styles.processingSubtitle}>{bulkAction.title}</Text>
-          
+        <ScrollView contentContainerStyle={styles.processingContainer}>
+          <Text style={styles.processingTitle}>
+            {isFinished ? "Operation Finished" : "Processing Operation"}
+          </Text>
+          <Text style={styles.processingSubtitle}>{operation.summary}</Text>
+
           <View style={styles.progressContainer}>
             <View style={styles.progressBar}>
               <View style={[styles.progressFill, { width: `${progress}%` }]} />
             </View>
-            <Text style={styles.progressText}>{progress}% Complete</Text>
+            <Text style={styles.progressText}>
+              {progress}% {rollingBack ? "rolled back" : "complete"}
+            </Text>
           </View>
 
           <View style={styles.statusContainer}>
-            <Text style={styles.currentTask}>{processingStatus.currentTask}</Text>
+            <Text style={[styles.currentTask, { color: getStatusColor(operation.status) }]}>
+              {getStatusIcon(operation.status)} {operation.status.toUpperCase()} • {formatDuration(operation)}
+            </Text>
             <View style={styles.statusStats}>
               <View style={styles.statusStat}>
-                <Text style={styles.statusNumber}>{processingStatus.completed}</Text>
-                <Text style={styles.statusLabel}>Completed</Text>
+                <Text style={styles.statusNumber}>{operation.succeeded}</Text>
+                <Text style={styles.statusLabel}>Succeeded</Text>
               </View>
               <View style={styles.statusStat}>
                 <Text style={[styles.statusNumber, { color: COLORS.error }]}>
-                  {processingStatus.failed}
+                  {operation.failed}
                 </Text>
                 <Text style={styles.statusLabel}>Failed</Text>
               </View>
               <View style={styles.statusStat}>
-                <Text style={styles.statusNumber}>{processingStatus.total}</Text>
+                <Text style={styles.statusNumber}>{operation.skipped}</Text>
+                <Text style={styles.statusLabel}>Skipped</Text>
+              </View>
+              <View style={styles.statusStat}>
+                <Text style={styles.statusNumber}>{operation.total}</Text>
                 <Text style={styles.statusLabel}>Total</Text>
               </View>
             </View>
+            {rollingBack && (
+              <Text style={styles.statusLabel}>
+                {operation.rolledBack} of {operation.succeeded} changes rolled back
+              </Text>
+            )}
+            {operation.error ? <Text style={styles.failedItemError}>{operation.error}</Text> : null}
           </View>
 
-          <TouchableOpacity
-            style={styles.cancelButton}
-            onPress={() => {
-              setIsProcessing(false);
-              setProgress(0);
-              Alert.alert("Cancelled", "Operation has been cancelled.");
-            }}
-          >
-            <Text style={styles.cancelButtonText}>Cancel Operation</Text>
-          </TouchableOpacity>
-        </View>
+          {failedItems.length > 0 && (
+            <View style={styles.failedItems}>
+              <Text style={styles.failedItemsTitle}>
+                Failed items{operation.failed > failedItems.length ? ` (first ${failedItems.length})` : ""}
+              </Text>
+              {failedItems.map(item => (
+                <View key={item._id} style={styles.failedItem}>
+                  <Text style={styles.failedItemInput}>
+                    #{item.index + 1} {typeof item.input === "object" ? item.input.email || item.input.name : item.input}
+                  </Text>
+                  <Text style={styles.failedItemError}>{item.error}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {isFinished ? (
+            <View style={styles.finishedActions}>
+              {canRollback && (
+                <TouchableOpacity style={styles.cancelButton} onPress={handleRollback}>
+                  <Text style={styles.cancelButtonText}>Roll Back</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.doneButton}
+                onPress={() => {
+                  setOperation(null);
+                  setSelectedOperation(null);
+                }}
+              >
+                <Text style={styles.cancelButtonText}>Done</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.cancelButton}
+              disabled={operation.status === "cancelling" || rollingBack}
+              onPress={handleCancelOperation}
+            >
+              <Text style={styles.cancelButtonText}>
+                {operation.status === "cancelling" ? "Cancelling..." : "Cancel Operation"}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
       </SafeAreaView>
     );
   }
@@ -364,33 +542,40 @@ export default function BulkOperationsScreen({ navigation }) {
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Recent Operations</Text>
               <View style={styles.recentContainer}>
-                {recentOperations.map((operation, index) => (
-                  <View key={index} style={styles.recentItem}>
+                {recentOperations.length === 0 && (
+                  <Text style={styles.recentDetails}>No bulk operations yet</Text>
+                )}
+                {recentOperations.map((recent) => (
+                  <TouchableOpacity
+                    key={recent._id}
+                    style={styles.recentItem}
+                    onPress={() => handleOpenOperation(recent)}
+                  >
                     <View style={styles.recentLeft}>
                       <Text style={styles.recentIcon}>
-                        {getStatusIcon(operation.status)}
+                        {getStatusIcon(recent.status)}
                       </Text>
                       <View style={styles.recentInfo}>
                         <Text style={styles.recentOperation}>
-                          {operation.operation}
+                          {recent.summary}
                         </Text>
                         <Text style={styles.recentDetails}>
-                          {operation.count} items • {operation.duration}
+                          {recent.processed}/{recent.total} items • {formatDuration(recent)}
                         </Text>
                       </View>
                     </View>
                     <View style={styles.recentRight}>
                       <Text style={[
                         styles.recentStatus,
-                        { color: getStatusColor(operation.status) }
+                        { color: getStatusColor(recent.status) }
                       ]}>
-                        {operation.status.toUpperCase()}
+                        {recent.status.toUpperCase()}
                       </Text>
                       <Text style={styles.recentTime}>
-                        {formatDate(operation.timestamp)}
+                        {formatDate(recent.createdAt)}
                       </Text>
                     </View>
-                  </View>
+                  </TouchableOpacity>
                 ))}
               </View>
             </View>
@@ -408,7 +593,7 @@ export default function BulkOperationsScreen({ navigation }) {
                 </TouchableOpacity>
                 <TouchableOpacity
                   style={styles.quickActionButton}
-                  onPress={() => Alert.alert("Backup", "System backup initiated!")}
+                  onPress={handleSystemBackup}
                 >
                   <Text style={styles.quickActionIcon}>💾</Text>
                   <Text style={styles.quickActionText}>System Backup</Text>
@@ -454,15 +639,35 @@ export default function BulkOperationsScreen({ navigation }) {
               </Text>
             </View>
 
+            {bulkAction.id === "notify" && (
+              <View>
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="Title"
+                  value={notice.title}
+                  maxLength={200}
+                  onChangeText={(title) => setNotice(prev => ({ ...prev, title }))}
+                />
+                <TextInput
+                  style={[styles.modalInput, styles.modalInputMultiline]}
+                  placeholder="Message"
+                  value={notice.message}
+                  maxLength={1000}
+                  multiline
+                  onChangeText={(message) => setNotice(prev => ({ ...prev, message }))}
+                />
+              </View>
+            )}
+
             <ScrollView style={styles.usersList}>
               {users.map((user) => (
                 <TouchableOpacity
-                  key={user.id}
+                  key={user._id}
                   style={[
                     styles.userItem,
-                    selectedUsers.includes(user.id) && styles.userItemSelected,
+                    selectedUsers.includes(user._id) && styles.userItemSelected,
                   ]}
-                  onPress={() => handleUserToggle(user.id)}
+                  onPress={() => handleUserToggle(user._id)}
                 >
                   <View style={styles.userInfo}>
                     <Text style={styles.userName}>{user.name}</Text>
@@ -472,9 +677,9 @@ export default function BulkOperationsScreen({ navigation }) {
                   </View>
                   <View style={[
                     styles.checkbox,
-                    selectedUsers.includes(user.id) && styles.checkboxSelected,
+                    selectedUsers.includes(user._id) && styles.checkboxSelected,
                   ]}>
-                    {selectedUsers.includes(user.id) && (
+                    {selectedUsers.includes(user._id) && (
                       <Text style={styles.checkmark}>✓</Text>
                     )}
                   </View>
@@ -494,6 +699,7 @@ export default function BulkOperationsScreen({ navigation }) {
                   styles.modalButton,
                   bulkAction.danger ? styles.modalDangerButton : styles.modalConfirmButton,
                 ]}
+                disabled={submitting}
                 onPress={handleConfirmBulkAction}
               >
                 <Text style={[
@@ -507,6 +713,55 @@ export default function BulkOperationsScreen({ navigation }) {
           </View>
         </View>
       </Modal>
+      {/* CSV Import Modal */}
+      <Modal
+        visible={showImportModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowImportModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Import Users</Text>
+            <Text style={styles.modalSubtitle}>
+              Paste a CSV with a header row. name and email are required; role defaults to customer.
+            </Text>
+
+            <TextInput
+              style={[styles.modalInput, styles.csvInput]}
+              placeholder={IMPORT_EXAMPLE}
+              value={importCsv}
+              onChangeText={setImportCsv}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <View style={styles.switchRow}>
+              <Text style={styles.userName}>Email a verification link</Text>
+              <Switch value={sendInvites} onValueChange={setSendInvites} />
+            </View>
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalCancelButton]}
+                onPress={() => setShowImportModal(false)}
+              >
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalConfirmButton]}
+                disabled={submitting}
+                onPress={handleConfirmImport}
+              >
+                <Text style={styles.modalConfirmText}>
+                  {submitting ? "Starting..." : "Import"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -712,10 +967,11 @@ const styles = StyleSheet.create({
     textAlign: "center",
   },
   processingContainer: {
-    flex: 1,
+    flexGrow: 1,
     justifyContent: "center",
     alignItems: "center",
     paddingHorizontal: SIZES.large,
+    paddingVertical: SIZES.large,
   },
   processingTitle: {
     fontSize: SIZES.fontExtraLarge,
@@ -918,4 +1174,66 @@ const styles = StyleSheet.create({
   modalDangerText: {
     color: COLORS.surface,
   },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: SIZES.radiusMedium,
+    paddingHorizontal: SIZES.medium,
+    paddingVertical: SIZES.small,
+    fontSize: SIZES.fontMedium,
+    color: COLORS.text,
+    marginBottom: SIZES.medium,
+  },
+  modalInputMultiline: {
+    minHeight: 80,
+    textAlignVertical: "top",
+  },
+  csvInput: {
+    minHeight: 160,
+    textAlignVertical: "top",
+    fontFamily: "monospace",
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: SIZES.large,
+  },
+  failedItems: {
+    width: "100%",
+    backgroundColor: COLORS.surface,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+    marginBottom: SIZES.large,
+  },
+  failedItemsTitle: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginBottom: SIZES.small,
+  },
+  failedItem: {
+    paddingVertical: SIZES.small,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  failedItemInput: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.text,
+  },
+  failedItemError: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.error,
+    marginTop: 2,
+  },
+  finishedActions: {
+    flexDirection: "row",
+    gap: SIZES.medium,
+  },
+  doneButton: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: SIZES.large,
+    paddingVertical: SIZES.medium,
+    borderRadius: SIZES.radiusMedium,
+  },
 });
@@ -19,6 +19,7 @@ export default function CustomerDashboard({ navigation }) {
   const [dashboardData, setDashboardData] = useState(null);
   const [upcomingPickups, setUpcomingPickups] = useState([]);
   const [unreadNotifications, setUnreadNotifications] = useState(0);
+  const [billing, setBilling] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
@@ -90,6 +91,12 @@ export default function CustomerDashboard({ navigation }) {
         setUnreadNotifications(notificationCountResponse.data.count || 0);
       }
 
+      // Load balance and open invoices
+      const billingResponse = await apiService.getBillingSummary();
+      if (billingResponse.success) {
+        setBilling(billingResponse.data);
+      }
+
     } catch (error) {
       console.error('Dashboard loading error:', error);
       setError('Failed to load dashboard data');
@@ -162,6 +169,20 @@ export default function CustomerDashboard({ navigation }) {
       icon: "🔔",
       action: "notifications",
     },
+    {
+      id: 7,
+      title: "Payments",
+      description: "Pay bills and plans",
+      icon: "💳",
+      action: "payments",
+    },
+    {
+      id: 8,
+      title: "Rewards",
+      description: "Spend your points",
+      icon: "🎁",
+      action: "rewards",
+    },
   ];
 
   const handleQuickAction = (action) => {
@@ -187,6 +208,12 @@ export default function CustomerDashboard({ navigation }) {
       case "insights":
         navigation.navigate("CustomerInsights");
         break;
+      case "payments":
+        navigation.navigate("Payments");
+        break;
+      case "rewards":
+        navigation.navigate("Rewards");
+        break;
       default:
         Alert.alert(
           "Feature Coming Soon",
@@ -408,6 +435,30 @@ export default function CustomerDashboard({ navigation }) {
             </View>
           </View>
 
+        {/* Balance due */}
+        {billing && billing.balance > 0 && (
+          <TouchableOpacity
+            style={styles.billingCard}
+            onPress={() => navigation.navigate("Payments")}
+          >
+            <Text style={styles.billingAmount}>
+              {billing.currency} {billing.balance.toFixed(2)}
+            </Text>
+            <Text style={styles.billingLabel}>Balance due</Text>
+            {billing.openInvoices.map((invoice) => (
+              <Text
+                key={invoice._id}
+                style={[styles.billingInvoice, invoice.isOverdue && styles.billingOverdue]}
+              >
+                {invoice.number} · {invoice.currency} {invoice.balanceDue.toFixed(2)} due{" "}
+                {new Date(invoice.dueDate).toLocaleDateString()}
+                {invoice.isOverdue ? " (overdue)" : ""}
+              </Text>
+            ))}
+            <Text style={styles.billingAction}>Tap to pay with your wallet</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Quick Actions */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -630,6 +681,39 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     textAlign: "center",
   },
+  billingCard: {
+    backgroundColor: COLORS.surface,
+    padding: SIZES.large,
+    borderRadius: SIZES.radiusMedium,
+    marginBottom: SIZES.large,
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.warning,
+  },
+  billingAmount: {
+    fontSize: SIZES.fontTitle,
+    fontWeight: "bold",
+    color: COLORS.text,
+  },
+  billingLabel: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    marginBottom: SIZES.small,
+  },
+  billingInvoice: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.text,
+    marginTop: 4,
+  },
+  billingOverdue: {
+    color: COLORS.error,
+    fontWeight: "600",
+  },
+  billingAction: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.primary,
+    fontWeight: "600",
+    marginTop: SIZES.small,
+  },
   section: {
     marginBottom: SIZES.large,
   },
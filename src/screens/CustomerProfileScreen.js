@@ -47,11 +47,27 @@ export default function CustomerProfileScreen({ navigation }) {
   });
 
   const [editedData, setEditedData] = useState({ ...profileData });
+  const [subscription, setSubscription] = useState(null);
 
   useEffect(() => {
     loadUserProfile();
+    loadSubscription();
   }, []);
 
+  // The plan card is left out when this fails; the rest of the profile still works
+  const loadSubscription = async () => {
+    try {
+      const response = await apiService.getSubscription();
+      if (response.success) {
+        setSubscription(response.data.subscription);
+      }
+    } catch (error) {
+      console.error('Error loading subscription:', error);
+    }
+  };
+
+  const planLabel = (plan) => plan.charAt(0).toUpperCase() + plan.slice(1);
+
   const loadUserProfile = async () => {
     try {
       setLoading(true);
@@ -391,6 +407,82 @@ export default function CustomerProfileScreen({ navigation }) {
           <Text style={styles.customerEmail}>{profileData.email}</Text>
         </View>
 
+        {/* My Plan */}
+        {subscription && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>My Plan</Text>
+
+            <View style={styles.planCard}>
+              <View style={styles.planHeader}>
+                <Text style={styles.planName}>
+                  {planLabel(subscription.plan)}
+                  {subscription.trial ? " (free trial)" : ""}
+                </Text>
+                {subscription.endsAt && (
+                  <Text style={styles.planEnds}>
+                    {subscription.trial ? "Trial ends" : "Renew by"}{" "}
+                    {new Date(subscription.endsAt).toLocaleDateString()}
+                  </Text>
+                )}
+              </View>
+
+              {/* Usage meter */}
+              {subscription.usage.included === null ? (
+                <Text style={styles.planUsageText}>
+                  {subscription.usage.booked} pickups this month · unlimited
+                </Text>
+              ) : (
+                <>
+                  <View style={styles.meterTrack}>
+                    <View
+                      style={[
+                        styles.meterFill,
+                        {
+                          width: `${Math.min(100, subscription.usage.included > 0
+                            ? (subscription.usage.booked / subscription.usage.included) * 100
+                            : 100)}%`,
+                        },
+                        subscription.usage.remaining === 0 && styles.meterFillFull,
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.planUsageText}>
+                    {subscription.usage.booked} of {subscription.usage.included} pickups used this month
+                  </Text>
+                  {subscription.usage.remaining === 0 && (
+                    <Text style={styles.planWarning}>
+                      {subscription.entitlements.overQuota === "surcharge"
+                        ? `More pickups this month cost ${subscription.currency} ${subscription.entitlements.overQuotaFee} extra each`
+                        : "No more pickups can be booked this month on this plan"}
+                    </Text>
+                  )}
+                </>
+              )}
+
+              <Text style={styles.planDetail}>
+                Waste: {subscription.entitlements.wasteCategories.join(", ")}
+              </Text>
+              <Text style={styles.planDetail}>
+                Up to {subscription.entitlements.maxWeightKg} kg per pickup
+              </Text>
+              <Text style={styles.planDetail}>
+                {subscription.entitlements.prioritySlots ? "✓" : "✗"} Priority pickups
+                {"   "}
+                {subscription.entitlements.sms ? "✓" : "✗"} SMS updates
+              </Text>
+
+              <TouchableOpacity
+                style={styles.planButton}
+                onPress={() => navigation.navigate("Payments")}
+              >
+                <Text style={styles.planButtonText}>
+                  {subscription.trialAvailable ? "Try or buy a plan" : "Manage plan"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         {/* Basic Information */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Basic Information</Text>
@@ -668,6 +760,68 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     marginBottom: SIZES.large,
   },
+  planCard: {
+    backgroundColor: COLORS.surface,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  planHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: SIZES.medium,
+  },
+  planName: {
+    fontSize: SIZES.fontLarge,
+    fontWeight: "bold",
+    color: COLORS.primary,
+  },
+  planEnds: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+  },
+  meterTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.border,
+    overflow: "hidden",
+  },
+  meterFill: {
+    height: "100%",
+    backgroundColor: COLORS.primary,
+  },
+  meterFillFull: {
+    backgroundColor: COLORS.secondary,
+  },
+  planUsageText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.text,
+    marginTop: SIZES.small,
+  },
+  planWarning: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.secondary,
+    marginTop: SIZES.small / 2,
+  },
+  planDetail: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    marginTop: SIZES.small,
+  },
+  planButton: {
+    marginTop: SIZES.medium,
+    paddingVertical: SIZES.small,
+    borderRadius: SIZES.radiusMedium,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    alignItems: "center",
+  },
+  planButtonText: {
+    color: COLORS.primary,
+    fontWeight: "600",
+  },
   inputGroup: {
     marginBottom: SIZES.large,
   },
@@ -13,16 +13,21 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { COLORS, SIZES } from "../utils/theme";
-import { validateEmail } from "../utils/helpers";
+import { validateEmail, validatePhone } from "../utils/helpers";
 import CustomButton from "../components/CustomButton";
 import { useAuth } from "../context/AuthContext";
 
 export default function LoginScreen({ navigation }) {
-  const { login, loading: authLoading, error: authError, clearError } = useAuth();
+  const { login, requestOtp, loginWithOtp, loading: authLoading, error: authError, clearError } = useAuth();
   
+  // Phone sign-in is the default; drivers and admins switch to email
+  const [mode, setMode] = useState("phone");
+  const [codeSent, setCodeSent] = useState(false);
   const [formData, setFormData] = useState({
     email: "",
     password: "",
+    phone: "",
+    code: "",
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
@@ -35,6 +40,23 @@ export default function LoginScreen({ navigation }) {
     }
   };
 
+  const validatePhoneForm = (requireCode) => {
+    const newErrors = {};
+
+    if (!formData.phone.trim()) {
+      newErrors.phone = "Phone number is required";
+    } else if (!validatePhone(formData.phone)) {
+      newErrors.phone = "Please enter a valid phone number";
+    }
+
+    if (requireCode && !/^\d{6}$/.test(formData.code.trim())) {
+      newErrors.code = "Enter the 6-digit code we sent you";
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -70,21 +92,7 @@ export default function LoginScreen({ navigation }) {
       const result = await login(credentials);
 
       if (result.success) {
-        const user = result.user;
-        
-        // Navigate to role-based dashboard
-        const dashboardMap = {
-          admin: "AdminDashboard",
-          driver: "DriverDashboard",
-          customer: "CustomerDashboard",
-        };
-
-        const dashboardScreen = dashboardMap[user.role];
-        if (dashboardScreen) {
-          navigation.replace(dashboardScreen);
-        } else {
-          Alert.alert("Error", "Invalid user role");
-        }
+        goToDashboard(result.user);
       } else {
         Alert.alert("Login Failed", result.message || "Invalid credentials. Please try again.");
       }
@@ -95,6 +103,85 @@ export default function LoginScreen({ navigation }) {
     }
   };
 
+  const goToDashboard = (user) => {
+    // Navigate to role-based dashboard
+    const dashboardMap = {
+      admin: "AdminDashboard",
+      driver: "DriverDashboard",
+      customer: "CustomerDashboard",
+    };
+
+    const dashboardScreen = dashboardMap[user.role];
+    if (dashboardScreen) {
+      navigation.replace(dashboardScreen);
+    } else {
+      Alert.alert("Error", "Invalid user role");
+    }
+  };
+
+  const handleSendCode = async () => {
+    if (!validatePhoneForm(false)) return;
+
+    clearError();
+    setLoading(true);
+
+    try {
+      const result = await requestOtp(formData.phone.trim());
+
+      if (result.success) {
+        setCodeSent(true);
+        handleInputChange("code", "");
+      } else {
+        Alert.alert("Couldn't Send Code", result.message || "Please try again.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async () => {
+    if (!validatePhoneForm(true)) return;
+
+    clearError();
+    setLoading(true);
+
+    try {
+      const phone = formData.phone.trim();
+      const code = formData.code.trim();
+      const result = await loginWithOtp({ phone, code });
+
+      if (result.success) {
+        goToDashboard(result.user);
+      } else if (result.signupRequired) {
+        // The code is still valid, so sign-up can finish with it
+        Alert.alert(
+          "New Number",
+          "There's no account for this phone number yet. Create one?",
+          [
+            { text: "Cancel", style: "cancel" },
+            {
+              text: "Sign Up",
+              onPress: () => navigation.navigate("Signup", { phone, code }),
+            },
+          ]
+        );
+      } else {
+        Alert.alert("Login Failed", result.message || "Invalid code. Please try again.");
+      }
+    } catch (error) {
+      Alert.alert("Login Failed", "Network error. Please check your connection and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode((prev) => (prev === "phone" ? "email" : "phone"));
+    setCodeSent(false);
+    setErrors({});
+    clearError();
+  };
+
   const handleSignupNavigation = () => {
     navigation.navigate("Signup");
   };
@@ -124,61 +211,136 @@ export default function LoginScreen({ navigation }) {
             </Text>
           </View>
 
-          {/* Login Form */}
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Login Credentials</Text>
-
-            {/* Email Input */}
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Email Address</Text>
-              <TextInput
-                style={[styles.input, errors.email && styles.inputError]}
-                placeholder="Enter your email"
-                placeholderTextColor={COLORS.textLight}
-                value={formData.email}
-                onChangeText={(value) => handleInputChange("email", value)}
-                keyboardType="email-address"
-                autoCapitalize="none"
-                autoCorrect={false}
-              />
-              {errors.email && (
-                <Text style={styles.errorText}>{errors.email}</Text>
-              )}
-            </View>
+          {/* Phone Login Form */}
+          {mode === "phone" && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Sign in with your phone</Text>
+
+              {/* Phone Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Phone Number</Text>
+                <TextInput
+                  style={[styles.input, errors.phone && styles.inputError]}
+                  placeholder="98XXXXXXXX"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.phone}
+                  onChangeText={(value) => handleInputChange("phone", value)}
+                  keyboardType="phone-pad"
+                  editable={!codeSent}
+                />
+                {errors.phone && (
+                  <Text style={styles.errorText}>{errors.phone}</Text>
+                )}
+              </View>
 
-            {/* Password Input */}
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Password</Text>
-              <TextInput
-                style={[styles.input, errors.password && styles.inputError]}
-                placeholder="Enter your password"
-                placeholderTextColor={COLORS.textLight}
-                value={formData.password}
-                onChangeText={(value) => handleInputChange("password", value)}
-                secureTextEntry
-                autoCapitalize="none"
-              />
-              {errors.password && (
-                <Text style={styles.errorText}>{errors.password}</Text>
+              {/* Code Input */}
+              {codeSent && (
+                <View style={styles.inputContainer}>
+                  <Text style={styles.inputLabel}>Verification Code</Text>
+                  <TextInput
+                    style={[styles.input, errors.code && styles.inputError]}
+                    placeholder="6-digit code"
+                    placeholderTextColor={COLORS.textLight}
+                    value={formData.code}
+                    onChangeText={(value) => handleInputChange("code", value)}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    textContentType="oneTimeCode"
+                    autoComplete="sms-otp"
+                  />
+                  {errors.code && (
+                    <Text style={styles.errorText}>{errors.code}</Text>
+                  )}
+                  <View style={styles.codeActions}>
+                    <TouchableOpacity onPress={() => setCodeSent(false)}>
+                      <Text style={styles.forgotPasswordText}>Change number</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={handleSendCode} disabled={loading}>
+                      <Text style={styles.forgotPasswordText}>Resend code</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
               )}
             </View>
+          )}
 
-            {/* Forgot Password Link */}
-            <TouchableOpacity
-              onPress={handleForgotPassword}
-              style={styles.forgotPassword}
-            >
-              <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
-            </TouchableOpacity>
-          </View>
+          {/* Login Form */}
+          {mode === "email" && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Login Credentials</Text>
+
+              {/* Email Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Email Address</Text>
+                <TextInput
+                  style={[styles.input, errors.email && styles.inputError]}
+                  placeholder="Enter your email"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.email}
+                  onChangeText={(value) => handleInputChange("email", value)}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                {errors.email && (
+                  <Text style={styles.errorText}>{errors.email}</Text>
+                )}
+              </View>
+
+              {/* Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Password</Text>
+                <TextInput
+                  style={[styles.input, errors.password && styles.inputError]}
+                  placeholder="Enter your password"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.password}
+                  onChangeText={(value) => handleInputChange("password", value)}
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+                {errors.password && (
+                  <Text style={styles.errorText}>{errors.password}</Text>
+                )}
+              </View>
+
+              {/* Forgot Password Link */}
+              <TouchableOpacity
+                onPress={handleForgotPassword}
+                style={styles.forgotPassword}
+              >
+                <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+              </TouchableOpacity>
+            </View>
+          )}
 
           {/* Login Button */}
-          <CustomButton
-            title={loading || authLoading ? "Signing In..." : "Sign In"}
-            onPress={handleLogin}
-            style={styles.loginButton}
-            disabled={loading || authLoading}
-          />
+          {mode === "phone" ? (
+            <CustomButton
+              title={
+                loading || authLoading
+                  ? codeSent ? "Verifying..." : "Sending Code..."
+                  : codeSent ? "Verify & Sign In" : "Send Code"
+              }
+              onPress={codeSent ? handleVerifyCode : handleSendCode}
+              style={styles.loginButton}
+              disabled={loading || authLoading}
+            />
+          ) : (
+            <CustomButton
+              title={loading || authLoading ? "Signing In..." : "Sign In"}
+              onPress={handleLogin}
+              style={styles.loginButton}
+              disabled={loading || authLoading}
+            />
+          )}
+
+          {/* Switch between phone and email sign-in */}
+          <TouchableOpacity onPress={toggleMode} style={styles.modeToggle}>
+            <Text style={styles.forgotPasswordText}>
+              {mode === "phone" ? "Sign in with email instead" : "Sign in with phone number instead"}
+            </Text>
+          </TouchableOpacity>
 
           {/* Show error message if any */}
           {authError && (
@@ -318,6 +480,15 @@ const styles = StyleSheet.create({
     marginTop: SIZES.medium,
     marginBottom: SIZES.large,
   },
+  codeActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: SIZES.small,
+  },
+  modeToggle: {
+    alignItems: "center",
+    marginBottom: SIZES.large,
+  },
   signupContainer: {
     flexDirection: "row",
     justifyContent: "center",
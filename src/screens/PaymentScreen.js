@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+  Modal,
+} from "react-native";
+import { WebView } from "react-native-webview";
+import { COLORS, SIZES } from "../utils/theme";
+import apiService from "../services/apiService";
+
+const POLL_INTERVAL_MS = 3000;
+const POLL_ATTEMPTS = 10;
+
+const newIdempotencyKey = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// What an order is, so a retry of the same order reuses its idempotency key
+const orderKey = (order) =>
+  order.purpose === "invoice" ? `invoice:${order.invoiceId}` : `subscription:${order.plan}:${order.months}`;
+
+const PaymentScreen = ({ navigation }) => {
+  const [billing, setBilling] = useState(null);
+  const [options, setOptions] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [plans, setPlans] = useState({});
+  const [months, setMonths] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [paying, setPaying] = useState(null); // { intent, returnUrl } while the wallet page is open
+  const [confirming, setConfirming] = useState(false);
+  const idempotencyKeys = useRef({});
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    loadData();
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [billingResponse, optionsResponse, subscriptionResponse, plansResponse] = await Promise.all([
+        apiService.getBillingSummary(),
+        apiService.getSubscriptionOptions(),
+        apiService.getSubscription(),
+        apiService.getPlans(),
+      ]);
+      if (billingResponse.success) setBilling(billingResponse.data);
+      if (optionsResponse.success) setOptions(optionsResponse.data);
+      if (subscriptionResponse.success) setSubscription(subscriptionResponse.data.subscription);
+      if (plansResponse.success) setPlans(plansResponse.data.plans);
+    } catch (error) {
+      console.error("Error loading payments:", error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadData();
+  };
+
+  const pay = async (order) => {
+    const key = orderKey(order);
+    // Kept until the payment ends, so a retry after a dropped connection is the same payment
+    idempotencyKeys.current[key] = idempotencyKeys.current[key] || newIdempotencyKey();
+
+    const response = await apiService.walletCheckout(order, idempotencyKeys.current[key]);
+    if (!response.success) {
+      Alert.alert("Payment", response.message || "Could not start the payment. Please try again.");
+      return;
+    }
+
+    const { intent, returnUrl } = response.data;
+    if (intent.status === "pending" && intent.paymentUrl) {
+      setPaying({ intent, returnUrl, key });
+    } else {
+      finish(intent, key);
+    }
+  };
+
+  // The wallet page sends the browser to returnUrl when the customer pays or cancels
+  const onWalletNavigation = ({ url }) => {
+    if (paying && url.startsWith(paying.returnUrl)) {
+      const { intent, key } = paying;
+      setPaying(null);
+      waitForResult(intent._id, key);
+      return false;
+    }
+    return true;
+  };
+
+  const closeWallet = () => {
+    const { intent, key } = paying;
+    setPaying(null);
+    waitForResult(intent._id, key);
+  };
+
+  const waitForResult = async (intentId, key) => {
+    setConfirming(true);
+    let intent = null;
+    for (let attempt = 0; attempt < POLL_ATTEMPTS && mounted.current; attempt++) {
+      const response = await apiService.getWalletPayment(intentId);
+      if (response.success) {
+        intent = response.data.intent;
+        if (intent.status !== "pending") break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+    if (!mounted.current) return;
+    setConfirming(false);
+    finish(intent, key);
+  };
+
+  const finish = (intent, key) => {
+    if (!intent || intent.status === "pending") {
+      Alert.alert("Payment processing", "We will let you know as soon as the wallet confirms your payment.");
+      return;
+    }
+
+    delete idempotencyKeys.current[key];
+    if (intent.status === "completed") {
+      Alert.alert("Payment received", `${intent.currency} ${intent.amount.toFixed(2)} paid. Thank you!`);
+      loadData();
+    } else {
+      Alert.alert("Payment not completed", "No money was taken. You can try again.");
+    }
+  };
+
+  const planLabel = (plan) => plan.charAt(0).toUpperCase() + plan.slice(1);
+
+  const startTrial = async (plan) => {
+    const response = await apiService.startTrial(plan);
+    if (response.success) {
+      Alert.alert("Free trial started", `Enjoy the ${planLabel(plan)} plan!`);
+      loadData();
+    } else {
+      Alert.alert("Free trial", response.message || "Could not start the free trial.");
+    }
+  };
+
+  // Paid time left moves to the new plan, so no payment is needed
+  const switchPlan = (plan) => {
+    const toFree = options.monthlyPrices[plan] === 0;
+    Alert.alert(
+      `Switch to ${planLabel(plan)}`,
+      toFree
+        ? `Your unused time, worth ${subscription.currency} ${subscription.unusedValue.toFixed(2)}, is credited to your account.`
+        : "The time left on your plan is converted to time worth the same on the new plan.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Switch",
+          onPress: async () => {
+            const response = await apiService.changePlan(plan);
+            if (response.success) {
+              loadData();
+            } else {
+              Alert.alert("Switch plan", response.message || "Could not switch plans.");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  const paidPlans = options
+    ? Object.entries(options.monthlyPrices).filter(([, price]) => price > 0)
+    : [];
+  // Paid time on the current plan can be switched to another plan without paying
+  const canSwitch = subscription && subscription.endsAt && !subscription.trial;
+  const freePlan = options && Object.keys(options.monthlyPrices).find((plan) => options.monthlyPrices[plan] === 0);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        {/* Invoices */}
+        <Text style={styles.sectionTitle}>Invoices</Text>
+        {billing && billing.openInvoices.length > 0 ? (
+          billing.openInvoices.map((invoice) => (
+            <View key={invoice._id} style={styles.card}>
+              <View style={styles.cardBody}>
+                <Text style={styles.cardTitle}>{invoice.number}</Text>
+                <Text style={[styles.cardDetail, invoice.isOverdue && styles.overdue]}>
+                  Due {new Date(invoice.dueDate).toLocaleDateString()}
+                  {invoice.isOverdue ? " (overdue)" : ""}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.payButton}
+                onPress={() => pay({ purpose: "invoice", invoiceId: invoice._id })}
+              >
+                <Text style={styles.payButtonText}>
+                  Pay {invoice.currency} {invoice.balanceDue.toFixed(2)}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.emptyText}>Nothing to pay right now.</Text>
+        )}
+
+        {/* Prepaid plans */}
+        {options && (
+          <>
+            <Text style={styles.sectionTitle}>Subscription</Text>
+            <Text style={styles.cardDetail}>
+              Current plan: {planLabel(options.plan)}
+              {options.paidUntil
+                ? ` · paid until ${new Date(options.paidUntil).toLocaleDateString()}`
+                : ""}
+              {options.trialEndsAt
+                ? ` · free trial until ${new Date(options.trialEndsAt).toLocaleDateString()}`
+                : ""}
+            </Text>
+            {canSwitch && (
+              <TouchableOpacity onPress={() => switchPlan(freePlan)}>
+                <Text style={styles.linkText}>Switch to the free plan</Text>
+              </TouchableOpacity>
+            )}
+
+            <View style={styles.monthsRow}>
+              {[1, 3, 6, 12].filter((count) => count <= options.maxMonths).map((count) => (
+                <TouchableOpacity
+                  key={count}
+                  style={[styles.monthChip, months === count && styles.monthChipActive]}
+                  onPress={() => setMonths(count)}
+                >
+                  <Text style={[styles.monthChipText, months === count && styles.monthChipTextActive]}>
+                    {count} {count === 1 ? "month" : "months"}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {paidPlans.map(([plan, price]) => (
+              <View key={plan} style={styles.card}>
+                <View style={styles.cardBody}>
+                  <Text style={styles.cardTitle}>{planLabel(plan)}</Text>
+                  <Text style={styles.cardDetail}>
+                    {options.currency} {price.toFixed(2)} / month
+                  </Text>
+                  {subscription?.trialAvailable && plans[plan]?.trialDays > 0 && (
+                    <TouchableOpacity onPress={() => startTrial(plan)}>
+                      <Text style={styles.linkText}>Try free for {plans[plan].trialDays} days</Text>
+                    </TouchableOpacity>
+                  )}
+                  {canSwitch && plan !== options.plan && (
+                    <TouchableOpacity onPress={() => switchPlan(plan)}>
+                      <Text style={styles.linkText}>Switch using your time left</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+                <TouchableOpacity
+                  style={styles.payButton}
+                  onPress={() => pay({ purpose: "subscription", plan, months })}
+                >
+                  <Text style={styles.payButtonText}>
+                    Pay {options.currency} {(price * months).toFixed(2)}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+
+      {confirming && (
+        <View style={styles.confirmingOverlay}>
+          <ActivityIndicator size="large" color={COLORS.white} />
+          <Text style={styles.confirmingText}>Confirming your payment...</Text>
+        </View>
+      )}
+
+      <Modal visible={!!paying} animationType="slide" onRequestClose={closeWallet}>
+        <View style={styles.walletHeader}>
+          <Text style={styles.walletTitle}>Wallet payment</Text>
+          <TouchableOpacity onPress={closeWallet}>
+            <Text style={styles.walletClose}>Close</Text>
+          </TouchableOpacity>
+        </View>
+        {paying && (
+          <WebView
+            source={{ uri: paying.intent.paymentUrl }}
+            onShouldStartLoadWithRequest={onWalletNavigation}
+            startInLoadingState
+          />
+        )}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: SIZES.medium,
+  },
+  sectionTitle: {
+    fontSize: SIZES.fontLarge,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: SIZES.medium,
+    marginBottom: SIZES.small,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: COLORS.surface,
+    padding: SIZES.medium,
+    borderRadius: SIZES.radiusMedium,
+    marginBottom: SIZES.small,
+  },
+  cardBody: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  cardDetail: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  overdue: {
+    color: COLORS.error,
+    fontWeight: "600",
+  },
+  payButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: SIZES.small,
+    paddingHorizontal: SIZES.medium,
+    borderRadius: SIZES.radiusMedium,
+  },
+  payButtonText: {
+    color: COLORS.white,
+    fontWeight: "600",
+  },
+  emptyText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+  },
+  linkText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.primary,
+    fontWeight: "600",
+    marginTop: SIZES.small / 2,
+  },
+  monthsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginVertical: SIZES.small,
+  },
+  monthChip: {
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: SIZES.small,
+    marginBottom: SIZES.small,
+  },
+  monthChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  monthChipText: {
+    color: COLORS.primary,
+  },
+  monthChipTextActive: {
+    color: COLORS.white,
+  },
+  confirmingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  confirmingText: {
+    color: COLORS.white,
+    marginTop: SIZES.small,
+  },
+  walletHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: SIZES.medium,
+    paddingTop: SIZES.extraLarge,
+    backgroundColor: COLORS.primary,
+  },
+  walletTitle: {
+    color: COLORS.white,
+    fontSize: SIZES.fontLarge,
+    fontWeight: "bold",
+  },
+  walletClose: {
+    color: COLORS.white,
+    fontSize: SIZES.fontMedium,
+  },
+});
+
+export default PaymentScreen;
@@ -13,15 +13,28 @@ import { COLORS, SIZES } from "../utils/theme";
 import { formatTime } from "../utils/helpers";
 import webSocketService from "../services/webSocketService";
 import apiService from "../services/apiService";
+import { useAuth } from "../context/AuthContext";
+
+const REPLAY_SPEEDS = [10, 60, 300];
+const REPLAY_TICK_MS = 250;
 
 export default function RealTimeTrackingScreen({ navigation, route }) {
   const { collectionId } = route.params;
+  const { user } = useAuth();
   const [collection, setCollection] = useState(null);
   const [driverLocation, setDriverLocation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [replay, setReplay] = useState(null);
+  const [replayLoading, setReplayLoading] = useState(false);
+  const [replayTime, setReplayTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(REPLAY_SPEEDS[1]);
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
+  const driverId = collection?.assignedDriver?._id || collection?.assignedDriver;
+  const canReplay = Boolean(driverId) && ['admin', 'driver'].includes(user?.role);
+
   useEffect(() => {
     loadCollectionDetails();
     setupWebSocket();
@@ -32,6 +45,24 @@ export default function RealTimeTrackingScreen({ navigation, route }) {
     };
   }, []);
 
+  // Advance the replay clock while playing
+  useEffect(() => {
+    if (!isPlaying || !replay) return undefined;
+
+    const timer = setInterval(() => {
+      setReplayTime(prev => {
+        const next = prev + REPLAY_TICK_MS * replaySpeed;
+        if (next >= replay.endTime) {
+          setIsPlaying(false);
+          return replay.endTime;
+        }
+        return next;
+      });
+    }, REPLAY_TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, replay, replaySpeed]);
+
   const startPulseAnimation = () => {
     Animated.loop(
       Animated.sequence([
@@ -114,6 +145,169 @@ export default function RealTimeTrackingScreen({ navigation, route }) {
     }
   };
 
+  const loadReplay = async () => {
+    setReplayLoading(true);
+    try {
+      // Replay the whole day of the collection
+      const day = new Date(collection.scheduledDate || collection.requestedDate || Date.now());
+      const from = new Date(day);
+      from.setHours(0, 0, 0, 0);
+      const to = new Date(day);
+      to.setHours(23, 59, 59, 999);
+
+      const response = await apiService.getDriverLocationHistory(driverId, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+
+      if (!response.success) {
+        Alert.alert('Error', response.message || 'Failed to load trip history');
+        return;
+      }
+
+      const { track, stops, summary } = response.data;
+      const times = track.properties.coordTimes.map(time => new Date(time).getTime());
+
+      if (times.length === 0) {
+        Alert.alert('No History', 'No recorded locations for this day yet');
+        return;
+      }
+
+      setReplay({
+        coordinates: track.geometry.coordinates,
+        times,
+        speeds: track.properties.speeds,
+        stops,
+        summary,
+        startTime: times[0],
+        endTime: times[times.length - 1],
+      });
+      setReplayTime(times[0]);
+      setIsPlaying(true);
+    } catch (error) {
+      console.error('Error loading trip history:', error);
+      Alert.alert('Error', 'Failed to load trip history');
+    } finally {
+      setReplayLoading(false);
+    }
+  };
+
+  const closeReplay = () => {
+    setIsPlaying(false);
+    setReplay(null);
+  };
+
+  const cycleReplaySpeed = () => {
+    const index = REPLAY_SPEEDS.indexOf(replaySpeed);
+    setReplaySpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length]);
+  };
+
+  // Last recorded point at or before the replay clock
+  const getReplayPosition = () => {
+    let index = 0;
+    while (index < replay.times.length - 1 && replay.times[index + 1] <= replayTime) {
+      index++;
+    }
+    const [longitude, latitude] = replay.coordinates[index];
+    return { latitude, longitude, speed: replay.speeds[index] };
+  };
+
+  const getReplayProgress = (time) => {
+    const span = replay.endTime - replay.startTime;
+    return span > 0 ? ((time - replay.startTime) / span) * 100 : 100;
+  };
+
+  const renderReplay = () => {
+    const position = getReplayPosition();
+    const activeStop = replay.stops.find(stop =>
+      new Date(stop.arrivedAt).getTime() <= replayTime && new Date(stop.departedAt).getTime() >= replayTime
+    );
+
+    return (
+      <View style={styles.locationCard}>
+        <View style={styles.replayHeader}>
+          <Text style={styles.locationTitle}>Trip Replay</Text>
+          <TouchableOpacity onPress={closeReplay}>
+            <Text style={styles.replayClose}>Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.replayTrack}>
+          <View style={[styles.replayProgress, { width: `${getReplayProgress(replayTime)}%` }]} />
+          {replay.stops.map((stop, index) => (
+            <View
+              key={index}
+              style={[styles.replayStopMarker, { left: `${getReplayProgress(new Date(stop.arrivedAt).getTime())}%` }]}
+            />
+          ))}
+        </View>
+
+        <View style={styles.locationInfo}>
+          <View style={styles.locationRow}>
+            <Text style={styles.locationLabel}>Time:</Text>
+            <Text style={styles.locationValue}>{formatTime(new Date(replayTime))}</Text>
+          </View>
+          <View style={styles.locationRow}>
+            <Text style={styles.locationLabel}>Position:</Text>
+            <Text style={styles.locationValue}>
+              {`${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)}`}
+            </Text>
+          </View>
+          <View style={styles.locationRow}>
+            <Text style={styles.locationLabel}>Status:</Text>
+            <Text style={styles.locationValue}>
+              {activeStop
+                ? `Stopped (${activeStop.durationMinutes} min)`
+                : position.speed != null ? `Moving, ${Math.round(position.speed)} km/h` : 'Moving'}
+            </Text>
+          </View>
+          <View style={styles.locationRow}>
+            <Text style={styles.locationLabel}>Day Total:</Text>
+            <Text style={styles.locationValue}>
+              {`${replay.summary.distance} km, ${replay.summary.numberOfStops} stops`}
+            </Text>
+          </View>
+        </View>
+
+        <View style={styles.replayControls}>
+          <TouchableOpacity
+            style={styles.replayButton}
+            onPress={() => setReplayTime(replay.startTime)}
+          >
+            <Text style={styles.replayButtonText}>⏮</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.replayButton}
+            onPress={() => {
+              if (!isPlaying && replayTime >= replay.endTime) {
+                setReplayTime(replay.startTime);
+              }
+              setIsPlaying(!isPlaying);
+            }}
+          >
+            <Text style={styles.replayButtonText}>{isPlaying ? '⏸' : '▶'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.replayButton} onPress={cycleReplaySpeed}>
+            <Text style={styles.replayButtonText}>{`${replaySpeed}x`}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {replay.stops.map((stop, index) => (
+          <TouchableOpacity
+            key={index}
+            style={styles.replayStop}
+            onPress={() => setReplayTime(new Date(stop.arrivedAt).getTime())}
+          >
+            <Text style={styles.replayStopText}>
+              {`Stop ${index + 1}: ${formatTime(stop.arrivedAt)} – ${formatTime(stop.departedAt)}`}
+            </Text>
+            <Text style={styles.replayStopDuration}>{`${stop.durationMinutes} min`}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
   const cleanup = () => {
     webSocketService.stopDriverLocation(collectionId);
     webSocketService.unsubscribeFromCollection(collectionId);
@@ -222,51 +416,53 @@ export default function RealTimeTrackingScreen({ navigation, route }) {
       )}
 
       {/* Driver Location Card */}
-      <View style={styles.locationCard}>
-        <View style={styles.locationHeader}>
-          <Animated.View style={[
-            styles.locationIcon,
-            { transform: [{ scale: pulseAnim }] }
-          ]}>
-            <Text style={styles.locationEmoji}>🚛</Text>
-          </Animated.View>
-          <Text style={styles.locationTitle}>Driver Location</Text>
-        </View>
+      {replay ? renderReplay() : (
+        <View style={styles.locationCard}>
+          <View style={styles.locationHeader}>
+            <Animated.View style={[
+              styles.locationIcon,
+              { transform: [{ scale: pulseAnim }] }
+            ]}>
+              <Text style={styles.locationEmoji}>🚛</Text>
+            </Animated.View>
+            <Text style={styles.locationTitle}>Driver Location</Text>
+          </View>
 
-        {driverLocation ? (
-          <View style={styles.locationInfo}>
-            <View style={styles.locationRow}>
-              <Text style={styles.locationLabel}>Distance:</Text>
-              <Text style={styles.locationValue}>
-                {driverLocation.distance ? `${driverLocation.distance.toFixed(1)} km away` : 'Calculating...'}
-              </Text>
-            </View>
-            <View style={styles.locationRow}>
-              <Text style={styles.locationLabel}>ETA:</Text>
-              <Text style={styles.locationValue}>
-                {driverLocation.estimatedArrival || 'Calculating...'}
-              </Text>
+          {driverLocation ? (
+            <View style={styles.locationInfo}>
+              <View style={styles.locationRow}>
+                <Text style={styles.locationLabel}>Distance:</Text>
+                <Text style={styles.locationValue}>
+                  {driverLocation.distance ? `${driverLocation.distance.toFixed(1)} km away` : 'Calculating...'}
+                </Text>
+              </View>
+              <View style={styles.locationRow}>
+                <Text style={styles.locationLabel}>ETA:</Text>
+                <Text style={styles.locationValue}>
+                  {driverLocation.estimatedArrival || 'Calculating...'}
+                </Text>
+              </View>
+              <View style={styles.locationRow}>
+                <Text style={styles.locationLabel}>Last Update:</Text>
+                <Text style={styles.locationValue}>
+                  {driverLocation.timestamp 
+                    ? formatTime(new Date(driverLocation.timestamp))
+                    : 'No updates yet'}
+                </Text>
+              </View>
             </View>
-            <View style={styles.locationRow}>
-              <Text style={styles.locationLabel}>Last Update:</Text>
-              <Text style={styles.locationValue}>
-                {driverLocation.timestamp 
-                  ? formatTime(new Date(driverLocation.timestamp))
-                  : 'No updates yet'}
+          ) : (
+            <View style={styles.noLocationContainer}>
+              <ActivityIndicator size="small" color={COLORS.primary} />
+              <Text style={styles.noLocationText}>
+                {connectionStatus === 'connected' 
+                  ? 'Waiting for driver location...'
+                  : 'Connecting to tracking service...'}
               </Text>
             </View>
-          </View>
-        ) : (
-          <View style={styles.noLocationContainer}>
-            <ActivityIndicator size="small" color={COLORS.primary} />
-            <Text style={styles.noLocationText}>
-              {connectionStatus === 'connected' 
-                ? 'Waiting for driver location...'
-                : 'Connecting to tracking service...'}
-            </Text>
-          </View>
-        )}
-      </View>
+          )}
+        </View>
+      )}
 
       {/* Action Buttons */}
       <View style={styles.actionButtons}>
@@ -277,6 +473,20 @@ export default function RealTimeTrackingScreen({ navigation, route }) {
           <Text style={styles.refreshButtonText}>Refresh Details</Text>
         </TouchableOpacity>
 
+        {canReplay && !replay && (
+          <TouchableOpacity
+            style={styles.replayOpenButton}
+            onPress={loadReplay}
+            disabled={replayLoading}
+          >
+            {replayLoading ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.replayOpenButtonText}>Replay Trip</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
         {collection?.status === 'scheduled' && (
           <TouchableOpacity
             style={styles.cancelButton}
@@ -483,6 +693,83 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  replayOpenButton: {
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  replayOpenButtonText: {
+    color: COLORS.primary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  replayHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  replayClose: {
+    fontSize: 14,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  replayTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.border,
+    marginBottom: 16,
+    overflow: 'hidden',
+  },
+  replayProgress: {
+    height: 8,
+    backgroundColor: COLORS.primary,
+  },
+  replayStopMarker: {
+    position: 'absolute',
+    top: 0,
+    width: 3,
+    height: 8,
+    backgroundColor: COLORS.secondary,
+  },
+  replayControls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 12,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  replayButton: {
+    minWidth: 56,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: COLORS.background,
+    alignItems: 'center',
+  },
+  replayButtonText: {
+    fontSize: 16,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  replayStop: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  replayStopText: {
+    fontSize: 14,
+    color: COLORS.text,
+  },
+  replayStopDuration: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    fontWeight: '500',
+  },
   cancelButton: {
     backgroundColor: COLORS.error,
     borderRadius: 8,
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+} from "react-native";
+import { COLORS, SIZES } from "../utils/theme";
+import apiService from "../services/apiService";
+
+const REWARD_ICONS = {
+  discount: "🏷️",
+  "free-pickup": "🚛",
+  "partner-coupon": "🤝",
+};
+
+const RewardsScreen = () => {
+  const [points, setPoints] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [rewards, setRewards] = useState([]);
+  const [vouchers, setVouchers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [redeeming, setRedeeming] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [pointsResponse, rewardsResponse, vouchersResponse] = await Promise.all([
+        apiService.getPoints(),
+        apiService.getRewards(),
+        apiService.getVouchers(),
+      ]);
+      if (pointsResponse.success) {
+        setPoints(pointsResponse.data.points);
+        setTransactions(pointsResponse.data.transactions);
+      }
+      if (rewardsResponse.success) setRewards(rewardsResponse.data.rewards);
+      if (vouchersResponse.success) setVouchers(vouchersResponse.data.vouchers);
+    } catch (error) {
+      console.error("Error loading rewards:", error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadData();
+  };
+
+  const redeem = (reward) => {
+    Alert.alert(
+      reward.name,
+      `Spend ${reward.pointsCost} points on this reward?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Redeem",
+          onPress: async () => {
+            setRedeeming(reward._id);
+            const response = await apiService.redeemReward(reward._id);
+            setRedeeming(null);
+            if (response.success) {
+              const { voucher } = response.data;
+              Alert.alert(
+                "Reward redeemed",
+                voucher.type === "partner-coupon"
+                  ? `Show code ${voucher.code} at ${voucher.partner.name}.`
+                  : `Enter code ${voucher.code} when you schedule a pickup.`
+              );
+              loadData();
+            } else {
+              Alert.alert("Redeem", response.message || "Could not redeem this reward.");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const cancelVoucher = (voucher) => {
+    Alert.alert(
+      "Cancel voucher",
+      `Cancel ${voucher.code} and get ${voucher.pointsCost} points back?`,
+      [
+        { text: "Keep", style: "cancel" },
+        {
+          text: "Cancel voucher",
+          style: "destructive",
+          onPress: async () => {
+            const response = await apiService.cancelVoucher(voucher._id);
+            if (response.success) {
+              loadData();
+            } else {
+              Alert.alert("Cancel voucher", response.message || "Could not cancel this voucher.");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const voucherStatus = (voucher) => {
+    if (voucher.isExpired) return "Expired";
+    if (voucher.status === "issued") return `Valid until ${new Date(voucher.expiresAt).toLocaleDateString()}`;
+    if (voucher.status === "reserved") return "On a booked pickup";
+    return voucher.status === "used" ? "Used" : "Cancelled";
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      {/* Points balance */}
+      {points && (
+        <View style={styles.balanceCard}>
+          <Text style={styles.balanceNumber}>{points.availablePoints}</Text>
+          <Text style={styles.balanceLabel}>points to spend</Text>
+          <Text style={styles.balanceDetail}>
+            {points.totalPoints} earned · {points.pointsRedeemed} spent · {points.loyaltyTier} tier
+          </Text>
+        </View>
+      )}
+
+      {/* Catalogue */}
+      <Text style={styles.sectionTitle}>Rewards</Text>
+      {rewards.length > 0 ? (
+        rewards.map((reward) => {
+          const affordable = points && points.availablePoints >= reward.pointsCost;
+          return (
+            <View key={reward._id} style={styles.card}>
+              <Text style={styles.cardIcon}>{REWARD_ICONS[reward.type]}</Text>
+              <View style={styles.cardBody}>
+                <Text style={styles.cardTitle}>{reward.name}</Text>
+                {!!reward.description && <Text style={styles.cardDetail}>{reward.description}</Text>}
+                <Text style={styles.cardDetail}>
+                  {reward.stock === null ? "" : `${reward.stock} left · `}
+                  {reward.expiresAt ? `until ${new Date(reward.expiresAt).toLocaleDateString()}` : "no end date"}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.redeemButton, !affordable && styles.redeemButtonDisabled]}
+                disabled={!affordable || redeeming === reward._id}
+                onPress={() => redeem(reward)}
+              >
+                {redeeming === reward._id ? (
+                  <ActivityIndicator size="small" color={COLORS.white} />
+                ) : (
+                  <Text style={styles.redeemButtonText}>{reward.pointsCost} pts</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          );
+        })
+      ) : (
+        <Text style={styles.emptyText}>No rewards available right now.</Text>
+      )}
+
+      {/* Vouchers */}
+      <Text style={styles.sectionTitle}>My Vouchers</Text>
+      {vouchers.length > 0 ? (
+        vouchers.map((voucher) => (
+          <View key={voucher._id} style={styles.card}>
+            <View style={styles.cardBody}>
+              <Text style={styles.cardTitle}>{voucher.label}</Text>
+              <Text style={styles.voucherCode}>{voucher.code}</Text>
+              <Text style={styles.cardDetail}>
+                {voucher.type === "partner-coupon" ? `${voucher.partner.name} · ` : ""}
+                {voucherStatus(voucher)}
+              </Text>
+            </View>
+            {voucher.status === "issued" && !voucher.isExpired && (
+              <TouchableOpacity onPress={() => cancelVoucher(voucher)}>
+                <Text style={styles.linkText}>Cancel</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))
+      ) : (
+        <Text style={styles.emptyText}>Vouchers you redeem appear here.</Text>
+      )}
+
+      {/* Points history */}
+      <Text style={styles.sectionTitle}>Points History</Text>
+      {transactions.length > 0 ? (
+        transactions.map((transaction) => (
+          <View key={transaction._id} style={styles.historyRow}>
+            <View style={styles.cardBody}>
+              <Text style={styles.historyReason}>{transaction.reason}</Text>
+              <Text style={styles.cardDetail}>{new Date(transaction.createdAt).toLocaleDateString()}</Text>
+            </View>
+            <Text style={[styles.historyPoints, transaction.points < 0 && styles.historyPointsSpent]}>
+              {transaction.points > 0 ? "+" : ""}
+              {transaction.points}
+            </Text>
+          </View>
+        ))
+      ) : (
+        <Text style={styles.emptyText}>Complete pickups to earn points.</Text>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: SIZES.medium,
+  },
+  balanceCard: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.large,
+    alignItems: "center",
+  },
+  balanceNumber: {
+    fontSize: SIZES.fontHeader,
+    fontWeight: "bold",
+    color: COLORS.white,
+  },
+  balanceLabel: {
+    fontSize: SIZES.fontMedium,
+    color: COLORS.white,
+  },
+  balanceDetail: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.white,
+    marginTop: SIZES.small,
+    textTransform: "capitalize",
+  },
+  sectionTitle: {
+    fontSize: SIZES.fontLarge,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: SIZES.large,
+    marginBottom: SIZES.small,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: COLORS.surface,
+    padding: SIZES.medium,
+    borderRadius: SIZES.radiusMedium,
+    marginBottom: SIZES.small,
+  },
+  cardIcon: {
+    fontSize: SIZES.fontExtraLarge,
+    marginRight: SIZES.medium,
+  },
+  cardBody: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  cardDetail: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  redeemButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: SIZES.small,
+    paddingHorizontal: SIZES.medium,
+    borderRadius: SIZES.radiusMedium,
+    minWidth: 72,
+    alignItems: "center",
+  },
+  redeemButtonDisabled: {
+    backgroundColor: COLORS.textLight,
+  },
+  redeemButtonText: {
+    color: COLORS.white,
+    fontWeight: "600",
+  },
+  voucherCode: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "bold",
+    color: COLORS.primary,
+    letterSpacing: 1,
+    marginTop: 2,
+  },
+  linkText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.error,
+    fontWeight: "600",
+  },
+  historyRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: SIZES.small,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  historyReason: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.text,
+  },
+  historyPoints: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.success,
+  },
+  historyPointsSpent: {
+    color: COLORS.error,
+  },
+  emptyText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default RewardsScreen;
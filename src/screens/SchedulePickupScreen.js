@@ -29,6 +29,12 @@ export default function SchedulePickupScreen({ navigation, route }) {
   const [loading, setLoading] = useState(false);
   const [loadingProfile, setLoadingProfile] = useState(true);
   const [showLocationPicker, setShowLocationPicker] = useState(false);
+  const [repeat, setRepeat] = useState("none");
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [quote, setQuote] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [voucherCode, setVoucherCode] = useState("");
+  const [voucherError, setVoucherError] = useState(null);
 
   // Check if this is a reschedule
   const rescheduleData = route?.params?.originalPickup;
@@ -37,8 +43,60 @@ export default function SchedulePickupScreen({ navigation, route }) {
   // Load user profile data on component mount
   useEffect(() => {
     loadUserProfile();
+    loadSubscriptions();
   }, []);
 
+  // Vouchers only go on one-off pickups
+  const voucher = repeat === "none" ? voucherCode.trim() : "";
+
+  // Re-price as the waste, weight, urgency, location or voucher change, once typing settles
+  useEffect(() => {
+    const weight = parseFloat(estimatedWeight);
+    if (rescheduleId || selectedWasteTypes.length === 0 || isNaN(weight)) {
+      setQuote(null);
+      setQuoting(false);
+      setVoucherError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setQuoting(true);
+      const response = await apiService.getCollectionQuote({
+        wasteTypes: selectedWasteTypes.map(category => ({
+          category,
+          estimatedWeight: weight / selectedWasteTypes.length,
+        })),
+        priority: urgentPickup ? "urgent" : "normal",
+        ...(addressCoordinates && addressCoordinates.longitude && {
+          pickupLocation: { coordinates: [addressCoordinates.longitude, addressCoordinates.latitude] },
+        }),
+        ...(voucher && { voucherCode: voucher }),
+      });
+      if (!cancelled) {
+        setQuote(response.success ? response.data.quote : null);
+        setVoucherError(!response.success && voucher ? response.message : null);
+        setQuoting(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedWasteTypes, estimatedWeight, urgentPickup, addressCoordinates, rescheduleId, voucher]);
+
+  const loadSubscriptions = async () => {
+    try {
+      const response = await apiService.getPickupSeries();
+      if (response.success) {
+        setSubscriptions(response.data.series || []);
+      }
+    } catch (error) {
+      console.error('Error loading subscriptions:', error);
+    }
+  };
+
   const loadUserProfile = async () => {
     try {
       setLoadingProfile(true);
@@ -182,6 +240,13 @@ export default function SchedulePickupScreen({ navigation, route }) {
     { id: "evening", time: "17:00 - 19:00", label: "Evening", popular: false },
   ];
 
+  const repeatOptions = [
+    { id: "none", label: "Once" },
+    { id: "weekly", label: "Weekly" },
+    { id: "biweekly", label: "Every 2 Weeks" },
+    { id: "monthly", label: "Monthly" },
+  ];
+
   const validateForm = () => {
     if (selectedWasteTypes.length === 0) {
       Alert.alert("Error", "Please select at least one waste type");
@@ -206,49 +271,171 @@ export default function SchedulePickupScreen({ navigation, route }) {
     return true;
   };
 
+  // Pickup details shared by one-off requests and recurring subscriptions
+  const buildPickupDetails = () => {
+    // Get time range for the selected slot
+    const timeSlotData = timeSlots.find(slot => slot.id === selectedTimeSlot);
+    const [startTime, endTime] = timeSlotData.time.split(' - ');
+
+    // Prepare waste types data
+    const wasteTypesData = selectedWasteTypes.map(wasteTypeId => {
+      const wasteType = wasteTypes.find(type => type.id === wasteTypeId);
+      return {
+        category: wasteTypeId,
+        estimatedWeight: parseFloat(estimatedWeight) / selectedWasteTypes.length, // Distribute weight evenly
+        description: wasteType.name
+      };
+    });
+
+    return {
+      requestedTime: selectedTimeSlot,
+      preferredTimeRange: {
+        start: startTime,
+        end: endTime
+      },
+      wasteTypes: wasteTypesData,
+      pickupLocation: {
+        // [longitude, latitude] of the picked address; the default is a placeholder
+        coordinates: addressCoordinates && addressCoordinates.longitude
+          ? [addressCoordinates.longitude, addressCoordinates.latitude]
+          : [-74.006, 40.7128]
+      },
+      address: {
+        street: address && address.trim() ? (address.includes(',') ? address.split(',')[0].trim() : address.trim()) : "Default Street",
+        city: address && address.includes(',') ? (address.split(',')[1] || "").trim() || "Kathmandu" : "Kathmandu",
+        state: "Bagmati", 
+        zipCode: "44600",
+        country: "Nepal"
+      },
+      priority: urgentPickup ? "urgent" : "normal"
+    };
+  };
+
+  const handleSubscribe = async (collectionData, timeSlotData) => {
+    const { requestedDate, specialInstructions: notes, ...details } = collectionData;
+    const response = await apiService.createPickupSeries({
+      ...details,
+      frequency: repeat,
+      startDate: requestedDate,
+      customerNotes: notes
+    });
+
+    if (response.success) {
+      const { series, occurrences } = response.data;
+      const upcoming = (occurrences || [])
+        .slice(0, 3)
+        .map(occurrence => new Date(occurrence.requestedDate).toLocaleDateString())
+        .join(", ");
+
+      loadSubscriptions();
+      Alert.alert(
+        "Recurring Pickup Scheduled!",
+        `${series.description}, ${timeSlotData.time}.\n\nUpcoming: ${upcoming || "None in the next two weeks"}`,
+        [{ text: "OK", onPress: () => navigation.goBack() }]
+      );
+    } else {
+      Alert.alert("Error", response.message || "Failed to schedule recurring pickup. Please try again.");
+    }
+  };
+
+  const runSubscriptionAction = async (action, successMessage) => {
+    try {
+      const response = await action();
+      if (response.success) {
+        Alert.alert("Success", successMessage(response.data));
+        loadSubscriptions();
+      } else {
+        Alert.alert("Error", response.message || "Action failed. Please try again.");
+      }
+    } catch (error) {
+      console.error('Subscription action error:', error);
+      Alert.alert("Error", "Action failed. Please check your connection and try again.");
+    }
+  };
+
+  const handleSkipNext = (series) => {
+    runSubscriptionAction(
+      () => apiService.skipNextPickup(series._id),
+      (data) => `Pickup on ${new Date(data.skippedDate).toLocaleDateString()} skipped.`
+    );
+  };
+
+  const handleTogglePause = (series) => {
+    if (series.status === "paused") {
+      runSubscriptionAction(() => apiService.resumePickupSeries(series._id), () => "Recurring pickup resumed.");
+    } else {
+      runSubscriptionAction(() => apiService.pausePickupSeries(series._id), () => "Recurring pickup paused.");
+    }
+  };
+
+  const handleEndSubscription = (series) => {
+    Alert.alert(
+      "Cancel Recurring Pickup",
+      "Future pickups from this subscription will be removed.",
+      [
+        { text: "Keep", style: "cancel" },
+        {
+          text: "Cancel Subscription",
+          style: "destructive",
+          onPress: () => runSubscriptionAction(
+            () => apiService.endPickupSeries(series._id),
+            () => "Recurring pickup cancelled."
+          ),
+        },
+      ]
+    );
+  };
+
+  // Apply the waste types, time slot and address selected above to this and future pickups
+  const handleUpdateSubscription = (series) => {
+    if (selectedWasteTypes.length === 0 || !selectedTimeSlot || !estimatedWeight || isNaN(parseFloat(estimatedWeight))) {
+      Alert.alert("Error", "Select waste types, a time slot and an estimated weight above first");
+      return;
+    }
+
+    const nextPickup = series.upcoming?.find(pickup => ["pending", "confirmed"].includes(pickup.status));
+    const effectiveFrom = nextPickup ? nextPickup.seriesDate : new Date().toISOString();
+
+    Alert.alert(
+      "Update Recurring Pickup",
+      "Apply your current selections to this and all future pickups?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Update",
+          onPress: () => runSubscriptionAction(
+            () => apiService.updatePickupSeries(series._id, {
+              ...buildPickupDetails(),
+              customerNotes: specialInstructions
+            }, effectiveFrom),
+            () => "Future pickups updated."
+          ),
+        },
+      ]
+    );
+  };
+
   const handleSchedulePickup = async () => {
     if (!validateForm()) return;
 
     setLoading(true);
 
     try {
-      // Get time range for the selected slot
       const timeSlotData = timeSlots.find(slot => slot.id === selectedTimeSlot);
-      const [startTime, endTime] = timeSlotData.time.split(' - ');
-
-      // Prepare waste types data
-      const wasteTypesData = selectedWasteTypes.map(wasteTypeId => {
-        const wasteType = wasteTypes.find(type => type.id === wasteTypeId);
-        return {
-          category: wasteTypeId,
-          estimatedWeight: parseFloat(estimatedWeight) / selectedWasteTypes.length, // Distribute weight evenly
-          description: wasteType.name
-        };
-      });
 
       // Prepare collection request data
       const collectionData = {
         requestedDate: selectedDate,
-        requestedTime: selectedTimeSlot,
-        preferredTimeRange: {
-          start: startTime,
-          end: endTime
-        },
-        wasteTypes: wasteTypesData,
-        pickupLocation: {
-          coordinates: [-74.006, 40.7128] // Default coordinates - should be updated with user's location
-        },
-        address: {
-          street: address && address.trim() ? (address.includes(',') ? address.split(',')[0].trim() : address.trim()) : "Default Street",
-          city: address && address.includes(',') ? (address.split(',')[1] || "").trim() || "Kathmandu" : "Kathmandu",
-          state: "Bagmati", 
-          zipCode: "44600",
-          country: "Nepal"
-        },
+        ...buildPickupDetails(),
         specialInstructions: specialInstructions,
-        priority: urgentPickup ? "high" : "normal"
+        ...(voucher && { voucherCode: voucher })
       };
 
+      if (!rescheduleId && repeat !== "none") {
+        await handleSubscribe(collectionData, timeSlotData);
+        return;
+      }
+
       let response;
       if (rescheduleId) {
         // This is a reschedule
@@ -425,6 +612,37 @@ export default function SchedulePickupScreen({ navigation, route }) {
           </View>
         </View>
 
+        {/* Repeat Selection */}
+        {!rescheduleId && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Repeat</Text>
+            <Text style={styles.sectionSubtitle}>
+              Recurring pickups are skipped on service holidays
+            </Text>
+            <View style={styles.repeatOptions}>
+              {repeatOptions.map((option) => (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[
+                    styles.repeatOption,
+                    repeat === option.id && styles.repeatOptionSelected,
+                  ]}
+                  onPress={() => setRepeat(option.id)}
+                >
+                  <Text
+                    style={[
+                      styles.repeatOptionText,
+                      repeat === option.id && styles.timeSlotTextSelected,
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Weight Estimation */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Estimated Weight (kg)</Text>
@@ -451,7 +669,7 @@ export default function SchedulePickupScreen({ navigation, route }) {
             <View style={styles.urgentPickupLeft}>
               <Text style={styles.urgentPickupTitle}>🚨 Urgent Pickup</Text>
               <Text style={styles.urgentPickupDescription}>
-                Same-day or next-day pickup (+50% fee)
+                Same-day or next-day pickup (priority surcharge)
               </Text>
             </View>
             <View
@@ -465,6 +683,77 @@ export default function SchedulePickupScreen({ navigation, route }) {
           </TouchableOpacity>
         </View>
 
+        {/* Rewards voucher */}
+        {!rescheduleId && repeat === "none" && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Voucher</Text>
+            <TextInput
+              style={styles.weightInput}
+              placeholder="Voucher code from your rewards (optional)"
+              placeholderTextColor={COLORS.textLight}
+              value={voucherCode}
+              onChangeText={setVoucherCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+            {voucherError && <Text style={styles.voucherError}>{voucherError}</Text>}
+          </View>
+        )}
+
+        {/* Price Estimate */}
+        {!rescheduleId && (quote || quoting) && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Price Estimate</Text>
+            <View style={styles.quoteContainer}>
+              {quote ? (
+                <>
+                  {quote.lines.map((line, index) => (
+                    <View key={`${line.code}-${index}`} style={styles.quoteLine}>
+                      <Text style={styles.quoteLabel}>
+                        {line.label}
+                        {line.weightKg !== undefined ? ` (${line.weightKg} kg × ${line.rate})` : ""}
+                        {line.percent ? ` (+${line.percent}%)` : ""}
+                      </Text>
+                      <Text style={styles.quoteAmount}>{line.amount.toFixed(2)}</Text>
+                    </View>
+                  ))}
+                  {quote.discount && (
+                    <View style={styles.quoteLine}>
+                      <Text style={styles.quoteLabel}>
+                        {quote.discount.label} (-{quote.discount.percent}%)
+                      </Text>
+                      <Text style={[styles.quoteAmount, styles.quoteDiscount]}>
+                        -{quote.discount.amount.toFixed(2)}
+                      </Text>
+                    </View>
+                  )}
+                  {quote.voucher && (
+                    <View style={styles.quoteLine}>
+                      <Text style={styles.quoteLabel}>
+                        {quote.voucher.label} ({quote.voucher.code})
+                      </Text>
+                      <Text style={[styles.quoteAmount, styles.quoteDiscount]}>
+                        -{quote.voucher.amount.toFixed(2)}
+                      </Text>
+                    </View>
+                  )}
+                  <View style={[styles.quoteLine, styles.quoteTotalLine]}>
+                    <Text style={styles.quoteTotalLabel}>Estimated total</Text>
+                    <Text style={styles.quoteTotalLabel}>
+                      {quote.currency} {quote.total.toFixed(2)}
+                    </Text>
+                  </View>
+                  <Text style={styles.weightHint}>
+                    The final price is worked out from the weight collected.
+                  </Text>
+                </>
+              ) : (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              )}
+            </View>
+          </View>
+        )}
+
         {/* Special Instructions */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>
@@ -496,7 +785,7 @@ export default function SchedulePickupScreen({ navigation, route }) {
 
         {/* Schedule Button */}
         <CustomButton
-          title={loading ? "Scheduling..." : (rescheduleId ? "Reschedule Pickup" : "Schedule Pickup")}
+          title={loading ? "Scheduling..." : (rescheduleId ? "Reschedule Pickup" : (repeat !== "none" ? "Start Recurring Pickup" : "Schedule Pickup"))}
           onPress={handleSchedulePickup}
           style={[styles.scheduleButton, loading && styles.scheduleButtonDisabled]}
           disabled={loading}
@@ -511,6 +800,50 @@ export default function SchedulePickupScreen({ navigation, route }) {
           </View>
         )}
 
+        {/* Recurring Subscriptions */}
+        {!rescheduleId && subscriptions.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>My Recurring Pickups</Text>
+            {subscriptions.map((series) => (
+              <View key={series._id} style={styles.subscriptionCard}>
+                <View style={styles.timeSlotHeader}>
+                  <Text style={styles.subscriptionTitle}>{series.description}</Text>
+                  {series.status === "paused" && (
+                    <View style={styles.pausedBadge}>
+                      <Text style={styles.popularText}>Paused</Text>
+                    </View>
+                  )}
+                </View>
+                <Text style={styles.subscriptionDetail}>
+                  {series.template.preferredTimeRange.start} - {series.template.preferredTimeRange.end} • {series.template.wasteTypes.map(type => type.category).join(", ")}
+                </Text>
+                <Text style={styles.subscriptionDetail}>
+                  Next: {(series.upcoming || [])
+                    .filter(pickup => pickup.status !== "cancelled")
+                    .map(pickup => new Date(pickup.seriesDate).toLocaleDateString("en-US", { month: "short", day: "numeric" }))
+                    .join(", ") || "—"}
+                </Text>
+                <View style={styles.subscriptionActions}>
+                  <TouchableOpacity style={styles.subscriptionAction} onPress={() => handleSkipNext(series)}>
+                    <Text style={styles.subscriptionActionText}>Skip Next</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.subscriptionAction} onPress={() => handleTogglePause(series)}>
+                    <Text style={styles.subscriptionActionText}>
+                      {series.status === "paused" ? "Resume" : "Pause"}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.subscriptionAction} onPress={() => handleUpdateSubscription(series)}>
+                    <Text style={styles.subscriptionActionText}>Update</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.subscriptionAction} onPress={() => handleEndSubscription(series)}>
+                    <Text style={[styles.subscriptionActionText, styles.subscriptionCancelText]}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Help Section */}
         <View style={styles.helpSection}>
           <Text style={styles.helpTitle}>Need Help?</Text>
@@ -743,6 +1076,46 @@ const styles = StyleSheet.create({
     color: COLORS.textLight,
     fontStyle: "italic",
   },
+  quoteContainer: {
+    backgroundColor: COLORS.surface,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.medium,
+  },
+  quoteLine: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 4,
+  },
+  quoteLabel: {
+    flex: 1,
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    textTransform: "capitalize",
+  },
+  quoteAmount: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.text,
+  },
+  voucherError: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.error,
+    marginTop: SIZES.small,
+  },
+  quoteDiscount: {
+    color: COLORS.success,
+  },
+  quoteTotalLine: {
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    marginTop: SIZES.small,
+    paddingTop: SIZES.small,
+    marginBottom: SIZES.small,
+  },
+  quoteTotalLabel: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "bold",
+    color: COLORS.text,
+  },
   urgentPickupContainer: {
     backgroundColor: COLORS.surface,
     borderRadius: SIZES.radiusMedium,
@@ -880,4 +1253,74 @@ const styles = StyleSheet.create({
     fontSize: SIZES.fontSmall,
     color: COLORS.textSecondary,
   },
+  repeatOptions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: SIZES.small,
+  },
+  repeatOption: {
+    backgroundColor: COLORS.surface,
+    borderRadius: SIZES.radiusMedium,
+    paddingHorizontal: SIZES.medium,
+    paddingVertical: SIZES.small,
+    borderWidth: 2,
+    borderColor: "transparent",
+  },
+  repeatOptionSelected: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary + "10",
+  },
+  repeatOptionText: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  subscriptionCard: {
+    backgroundColor: COLORS.surface,
+    borderRadius: SIZES.radiusMedium,
+    padding: SIZES.large,
+    marginBottom: SIZES.medium,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  subscriptionTitle: {
+    fontSize: SIZES.fontMedium,
+    fontWeight: "600",
+    color: COLORS.text,
+    flex: 1,
+  },
+  pausedBadge: {
+    backgroundColor: COLORS.textLight,
+    paddingHorizontal: SIZES.small,
+    paddingVertical: 2,
+    borderRadius: SIZES.radiusSmall,
+  },
+  subscriptionDetail: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+    marginBottom: 4,
+  },
+  subscriptionActions: {
+    flexDirection: "row",
+    gap: SIZES.small,
+    marginTop: SIZES.small,
+  },
+  subscriptionAction: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingVertical: SIZES.small,
+    borderRadius: SIZES.radiusSmall,
+    alignItems: "center",
+  },
+  subscriptionActionText: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.primary,
+    fontWeight: "600",
+  },
+  subscriptionCancelText: {
+    color: COLORS.error,
+  },
 });
@@ -20,13 +20,18 @@ import {
 import CustomButton from "../components/CustomButton";
 import { useAuth } from "../context/AuthContext";
 
-export default function SignupScreen({ navigation }) {
-  const { register, loading: authLoading, error: authError, clearError } = useAuth();
+export default function SignupScreen({ navigation, route }) {
+  const { register, requestOtp, loginWithOtp, loading: authLoading, error: authError, clearError } = useAuth();
   
+  // Customers sign up with a phone number by default. Coming from phone login
+  // with a new number, the code already entered is reused.
+  const [mode, setMode] = useState("phone");
+  const [codeSent, setCodeSent] = useState(Boolean(route?.params?.code));
   const [formData, setFormData] = useState({
     fullName: "",
     email: "",
-    phone: "",
+    phone: route?.params?.phone || "",
+    code: route?.params?.code || "",
     password: "",
     confirmPassword: "",
     selectedRole: "customer",
@@ -64,14 +69,41 @@ export default function SignupScreen({ navigation }) {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
-
+  const validateName = (newErrors) => {
     if (!formData.fullName.trim()) {
       newErrors.fullName = "Full name is required";
     } else if (formData.fullName.trim().length < 2) {
       newErrors.fullName = "Name must be at least 2 characters";
     }
+  };
+
+  const validatePhoneForm = (requireCode) => {
+    const newErrors = {};
+
+    validateName(newErrors);
+
+    if (!formData.phone.trim()) {
+      newErrors.phone = "Phone number is required";
+    } else if (!validatePhone(formData.phone)) {
+      newErrors.phone = "Please enter a valid phone number";
+    }
+
+    if (requireCode && !/^\d{6}$/.test(formData.code.trim())) {
+      newErrors.code = "Enter the 6-digit code we sent you";
+    }
+
+    if (!formData.agreeToTerms) {
+      newErrors.terms = "You must agree to the terms and conditions";
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    validateName(newErrors);
 
     if (!formData.email.trim()) {
       newErrors.email = "Email is required";
@@ -122,32 +154,7 @@ export default function SignupScreen({ navigation }) {
       const result = await register(userData);
 
       if (result.success) {
-        const user = result.user;
-        
-        Alert.alert(
-          "Account Created Successfully!",
-          `Welcome ${user.name}!\nRole: ${user.role}\nEmail: ${user.email}`,
-          [
-            {
-              text: "Continue",
-              onPress: () => {
-                // Navigate to role-based dashboard
-                const dashboardMap = {
-                  admin: "AdminDashboard",
-                  driver: "DriverDashboard",
-                  customer: "CustomerDashboard",
-                };
-
-                const dashboardScreen = dashboardMap[user.role];
-                if (dashboardScreen) {
-                  navigation.replace(dashboardScreen);
-                } else {
-                  navigation.navigate("Login");
-                }
-              },
-            },
-          ]
-        );
+        showWelcome(result.user);
       } else {
         Alert.alert(
           "Signup Failed", 
@@ -161,6 +168,90 @@ export default function SignupScreen({ navigation }) {
     }
   };
 
+  const showWelcome = (user) => {
+    const contact = user.email ? `Email: ${user.email}` : `Phone: ${user.profile?.phone}`;
+
+    Alert.alert(
+      "Account Created Successfully!",
+      `Welcome ${user.name}!\nRole: ${user.role}\n${contact}`,
+      [
+        {
+          text: "Continue",
+          onPress: () => {
+            // Navigate to role-based dashboard
+            const dashboardMap = {
+              admin: "AdminDashboard",
+              driver: "DriverDashboard",
+              customer: "CustomerDashboard",
+            };
+
+            const dashboardScreen = dashboardMap[user.role];
+            if (dashboardScreen) {
+              navigation.replace(dashboardScreen);
+            } else {
+              navigation.navigate("Login");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSendCode = async () => {
+    if (!validatePhoneForm(false)) return;
+
+    clearError();
+    setLoading(true);
+
+    try {
+      const result = await requestOtp(formData.phone.trim());
+
+      if (result.success) {
+        setCodeSent(true);
+        handleInputChange("code", "");
+      } else {
+        Alert.alert("Couldn't Send Code", result.message || "Please try again.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePhoneSignup = async () => {
+    if (!validatePhoneForm(true)) return;
+
+    clearError();
+    setLoading(true);
+
+    try {
+      const result = await loginWithOtp({
+        phone: formData.phone.trim(),
+        code: formData.code.trim(),
+        name: formData.fullName.trim(),
+      });
+
+      if (result.success) {
+        showWelcome(result.user);
+      } else {
+        Alert.alert(
+          "Signup Failed",
+          result.message || "Invalid code. Please try again."
+        );
+      }
+    } catch (error) {
+      Alert.alert("Signup Failed", "Network error. Please check your connection and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode((prev) => (prev === "phone" ? "email" : "phone"));
+    setCodeSent(false);
+    setErrors({});
+    clearError();
+  };
+
   const handleLoginNavigation = () => {
     navigation.navigate("Login");
   };
@@ -188,43 +279,45 @@ export default function SignupScreen({ navigation }) {
             <Text style={styles.subtitle}>Join Smart Waste Manager today</Text>
           </View>
 
-          {/* Role Selection */}
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Choose Your Role</Text>
-            <View style={styles.roleContainer}>
-              {roles.map((role) => (
-                <TouchableOpacity
-                  key={role.id}
-                  style={[
-                    styles.roleCard,
-                    formData.selectedRole === role.id &&
-                      styles.roleCardSelected,
-                  ]}
-                  onPress={() => handleInputChange("selectedRole", role.id)}
-                >
-                  <Text style={styles.roleIcon}>{role.icon}</Text>
-                  <Text
-                    style={[
-                      styles.roleTitle,
-                      formData.selectedRole === role.id &&
-                        styles.roleTextSelected,
-                    ]}
-                  >
-                    {role.title}
-                  </Text>
-                  <Text
+          {/* Role Selection (phone sign-up is for customers) */}
+          {mode === "email" && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Choose Your Role</Text>
+              <View style={styles.roleContainer}>
+                {roles.map((role) => (
+                  <TouchableOpacity
+                    key={role.id}
                     style={[
-                      styles.roleDescription,
+                      styles.roleCard,
                       formData.selectedRole === role.id &&
-                        styles.roleTextSelected,
+                        styles.roleCardSelected,
                     ]}
+                    onPress={() => handleInputChange("selectedRole", role.id)}
                   >
-                    {role.description}
-                  </Text>
-                </TouchableOpacity>
-              ))}
+                    <Text style={styles.roleIcon}>{role.icon}</Text>
+                    <Text
+                      style={[
+                        styles.roleTitle,
+                        formData.selectedRole === role.id &&
+                          styles.roleTextSelected,
+                      ]}
+                    >
+                      {role.title}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.roleDescription,
+                        formData.selectedRole === role.id &&
+                          styles.roleTextSelected,
+                      ]}
+                    >
+                      {role.description}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
             </View>
-          </View>
+          )}
 
           {/* Personal Information */}
           <View style={styles.section}>
@@ -247,22 +340,24 @@ export default function SignupScreen({ navigation }) {
             </View>
 
             {/* Email Input */}
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Email Address</Text>
-              <TextInput
-                style={[styles.input, errors.email && styles.inputError]}
-                placeholder="Enter your email"
-                placeholderTextColor={COLORS.textLight}
-                value={formData.email}
-                onChangeText={(value) => handleInputChange("email", value)}
-                keyboardType="email-address"
-                autoCapitalize="none"
-                autoCorrect={false}
-              />
-              {errors.email && (
-                <Text style={styles.errorText}>{errors.email}</Text>
-              )}
-            </View>
+            {mode === "email" && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Email Address</Text>
+                <TextInput
+                  style={[styles.input, errors.email && styles.inputError]}
+                  placeholder="Enter your email"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.email}
+                  onChangeText={(value) => handleInputChange("email", value)}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                {errors.email && (
+                  <Text style={styles.errorText}>{errors.email}</Text>
+                )}
+              </View>
+            )}
 
             {/* Phone Input */}
             <View style={styles.inputContainer}>
@@ -274,56 +369,88 @@ export default function SignupScreen({ navigation }) {
                 value={formData.phone}
                 onChangeText={(value) => handleInputChange("phone", value)}
                 keyboardType="phone-pad"
+                editable={!(mode === "phone" && codeSent)}
               />
               {errors.phone && (
                 <Text style={styles.errorText}>{errors.phone}</Text>
               )}
             </View>
+
+            {/* Code Input */}
+            {mode === "phone" && codeSent && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Verification Code</Text>
+                <TextInput
+                  style={[styles.input, errors.code && styles.inputError]}
+                  placeholder="6-digit code"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.code}
+                  onChangeText={(value) => handleInputChange("code", value)}
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  textContentType="oneTimeCode"
+                  autoComplete="sms-otp"
+                />
+                {errors.code && (
+                  <Text style={styles.errorText}>{errors.code}</Text>
+                )}
+                <View style={styles.codeActions}>
+                  <TouchableOpacity onPress={() => setCodeSent(false)}>
+                    <Text style={styles.termsLink}>Change number</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={handleSendCode} disabled={loading}>
+                    <Text style={styles.termsLink}>Resend code</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
           </View>
 
           {/* Security */}
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Security</Text>
-
-            {/* Password Input */}
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Password</Text>
-              <TextInput
-                style={[styles.input, errors.password && styles.inputError]}
-                placeholder="Create a password"
-                placeholderTextColor={COLORS.textLight}
-                value={formData.password}
-                onChangeText={(value) => handleInputChange("password", value)}
-                secureTextEntry
-                autoCapitalize="none"
-              />
-              {errors.password && (
-                <Text style={styles.errorText}>{errors.password}</Text>
-              )}
-            </View>
+          {mode === "email" && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Security</Text>
+
+              {/* Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Password</Text>
+                <TextInput
+                  style={[styles.input, errors.password && styles.inputError]}
+                  placeholder="Create a password"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.password}
+                  onChangeText={(value) => handleInputChange("password", value)}
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+                {errors.password && (
+                  <Text style={styles.errorText}>{errors.password}</Text>
+                )}
+              </View>
 
-            {/* Confirm Password Input */}
-            <View style={styles.inputContainer}>
-              <Text style={styles.inputLabel}>Confirm Password</Text>
-              <TextInput
-                style={[
-                  styles.input,
-                  errors.confirmPassword && styles.inputError,
-                ]}
-                placeholder="Confirm your password"
-                placeholderTextColor={COLORS.textLight}
-                value={formData.confirmPassword}
-                onChangeText={(value) =>
-                  handleInputChange("confirmPassword", value)
-                }
-                secureTextEntry
-                autoCapitalize="none"
-              />
-              {errors.confirmPassword && (
-                <Text style={styles.errorText}>{errors.confirmPassword}</Text>
-              )}
+              {/* Confirm Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Confirm Password</Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    errors.confirmPassword && styles.inputError,
+                  ]}
+                  placeholder="Confirm your password"
+                  placeholderTextColor={COLORS.textLight}
+                  value={formData.confirmPassword}
+                  onChangeText={(value) =>
+                    handleInputChange("confirmPassword", value)
+                  }
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+                {errors.confirmPassword && (
+                  <Text style={styles.errorText}>{errors.confirmPassword}</Text>
+                )}
+              </View>
             </View>
-          </View>
+          )}
 
           {/* Terms and Conditions */}
           <View style={styles.termsContainer}>
@@ -356,12 +483,34 @@ export default function SignupScreen({ navigation }) {
           </View>
 
           {/* Signup Button */}
-          <CustomButton
-            title={loading ? "Creating Account..." : "Create Account"}
-            onPress={handleSignup}
-            style={styles.signupButton}
-            disabled={loading}
-          />
+          {mode === "phone" ? (
+            <CustomButton
+              title={
+                loading
+                  ? codeSent ? "Creating Account..." : "Sending Code..."
+                  : codeSent ? "Create Account" : "Send Code"
+              }
+              onPress={codeSent ? handlePhoneSignup : handleSendCode}
+              style={styles.signupButton}
+              disabled={loading}
+            />
+          ) : (
+            <CustomButton
+              title={loading ? "Creating Account..." : "Create Account"}
+              onPress={handleSignup}
+              style={styles.signupButton}
+              disabled={loading}
+            />
+          )}
+
+          {/* Switch between phone and email sign-up */}
+          <TouchableOpacity onPress={toggleMode} style={styles.modeToggle}>
+            <Text style={styles.termsLink}>
+              {mode === "phone"
+                ? "Sign up with email instead (drivers and admins)"
+                : "Sign up with phone number instead"}
+            </Text>
+          </TouchableOpacity>
 
           {/* Login Link */}
           <View style={styles.loginContainer}>
@@ -521,6 +670,15 @@ const styles = StyleSheet.create({
   signupButton: {
     marginBottom: SIZES.large,
   },
+  codeActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: SIZES.small,
+  },
+  modeToggle: {
+    alignItems: "center",
+    marginBottom: SIZES.large,
+  },
   loginContainer: {
     flexDirection: "row",
     justifyContent: "center",
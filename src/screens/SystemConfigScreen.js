@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -10,143 +10,272 @@ import {
   Modal,
   Switch,
   TextInput,
+  ActivityIndicator,
 } from "react-native";
 import { COLORS, SIZES } from "../utils/theme";
 import CustomButton from "../components/CustomButton";
+import apiService from "../services/apiService";
 
 export default function SystemConfigScreen({ navigation }) {
-  const [systemSettings, setSystemSettings] = useState({
-    general: {
-      appName: "SafaCycle",
-      version: "1.0.0",
-      maintenanceMode: false,
-      debugMode: false,
-      autoBackup: true,
-      maxUsers: 1000,
-      sessionTimeout: 30,
-    },
-    notifications: {
-      emailEnabled: true,
-      smsEnabled: true,
-      pushEnabled: true,
-      alertThreshold: 85,
-      batchSize: 50,
-      retryAttempts: 3,
-    },
-    security: {
-      passwordComplexity: true,
-      twoFactorAuth: false,
-      autoLockout: true,
-      maxLoginAttempts: 5,
-      auditLogging: true,
-      dataEncryption: true,
-    },
-    performance: {
-      cacheEnabled: true,
-      compressionEnabled: true,
-      maxFileSize: 10, // MB
-      apiRateLimit: 1000,
-      connectionTimeout: 30,
-      queryOptimization: true,
-    },
-    integration: {
-      apiEnabled: true,
-      webhooksEnabled: true,
-      externalAuth: false,
-      dataSync: true,
-      thirdPartyServices: true,
-      analyticsTracking: true,
-    },
-  });
+  // Settings as returned by the API: key, group, type, value, default, version...
+  const [settings, setSettings] = useState([]);
+  // Unsaved edits, key -> value
+  const [edits, setEdits] = useState({});
+  const [loadingSettings, setLoadingSettings] = useState(true);
+  const [savingSettings, setSavingSettings] = useState(false);
 
-  const [backupSettings, setBackupSettings] = useState({
-    frequency: "daily",
-    retention: 30,
-    location: "cloud",
-    compression: true,
-    encryption: true,
-    lastBackup: "2025-07-31T02:00:00",
-  });
+  // Backups on disk and the backup job's state
+  const [backupStatus, setBackupStatus] = useState(null);
 
   const [showBackupModal, setShowBackupModal] = useState(false);
   const [showMaintenanceModal, setShowMaintenanceModal] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-
-  const handleSettingToggle = (category, setting) => {
-    setSystemSettings(prev => ({
-      ...prev,
-      [category]: {
-        ...prev[category],
-        [setting]: !prev[category][setting],
-      },
-    }));
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [maintenanceWindows, setMaintenanceWindows] = useState([]);
+  // Planned in hours from now; the API takes absolute times
+  const [windowDraft, setWindowDraft] = useState({
+    title: "",
+    startsInHours: "24",
+    durationHours: "2",
+    notifyCustomers: true,
+  });
+  const [startingBackup, setStartingBackup] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+    loadBackupStatus();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setLoadingSettings(true);
+      const response = await apiService.getSystemConfig();
+      if (!response.success) {
+        Alert.alert("Error", response.message || "Failed to load system settings");
+        return;
+      }
+      setSettings(response.data.settings);
+      setEdits({});
+    } catch (error) {
+      console.error("Error loading system settings:", error);
+      Alert.alert("Error", "Failed to load system settings");
+    } finally {
+      setLoadingSettings(false);
+    }
   };
 
-  const handleValueChange = (category, setting, value) => {
-    setSystemSettings(prev => ({
-      ...prev,
-      [category]: {
-        ...prev[category],
-        [setting]: value,
-      },
-    }));
+  const getSetting = (key) => settings.find((setting) => setting.key === key);
+
+  const getValue = (key) => (key in edits ? edits[key] : getSetting(key)?.value);
+
+  const handleSettingToggle = (key) => {
+    handleValueChange(key, !getValue(key));
+  };
+
+  const handleValueChange = (key, value) => {
+    setEdits((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Saves the given changes, sending the versions they were read at so a concurrent
+  // edit by another admin isn't overwritten
+  const saveSettings = async (changes) => {
+    const versions = Object.fromEntries(
+      Object.keys(changes).map((key) => [key, getSetting(key).version])
+    );
+
+    setSavingSettings(true);
+    try {
+      const response = await apiService.updateSystemConfig(changes, { versions });
+      if (!response.success) {
+        const details = (response.errors || []).map((error) => error.msg);
+        Alert.alert(
+          "Error",
+          [response.message || "Failed to update settings", ...details].join("\n")
+        );
+        return false;
+      }
+      setSettings(response.data.settings);
+      setEdits((prev) =>
+        Object.fromEntries(Object.entries(prev).filter(([key]) => !(key in changes)))
+      );
+      return true;
+    } catch (error) {
+      console.error("Error saving system settings:", error);
+      Alert.alert("Error", "Failed to update settings");
+      return false;
+    } finally {
+      setSavingSettings(false);
+    }
   };
 
-  const handleSaveSettings = () => {
-    setIsLoading(true);
-    setTimeout(() => {
-      setIsLoading(false);
+  const handleSaveSettings = async () => {
+    if (Object.keys(edits).length === 0) {
+      Alert.alert("No Changes", "There are no unsaved changes.");
+      return;
+    }
+    if (await saveSettings(edits)) {
       Alert.alert("Success", "System settings have been updated successfully!");
-    }, 1500);
+    }
   };
 
-  const handleManualBackup = () => {
-    setIsLoading(true);
-    setTimeout(() => {
-      setIsLoading(false);
-      setBackupSettings(prev => ({
-        ...prev,
-        lastBackup: new Date().toISOString(),
-      }));
-      Alert.alert("Success", "System backup completed successfully!");
-    }, 3000);
+  const loadBackupStatus = async () => {
+    try {
+      const response = await apiService.getBackups();
+      if (response.success) {
+        setBackupStatus(response.data.status);
+      }
+    } catch (error) {
+      console.error("Error loading backup status:", error);
+    }
   };
 
+  const handleManualBackup = async () => {
+    try {
+      setStartingBackup(true);
+      const response = await apiService.createBackup();
+      if (!response.success) {
+        Alert.alert("Error", response.message || "Failed to start backup");
+        return;
+      }
+      setBackupStatus((prev) => ({ ...prev, running: true }));
+      Alert.alert("Backup Started", "The backup is running in the background.");
+      // Backups take a while; check back for the result
+      setTimeout(loadBackupStatus, 10000);
+    } catch (error) {
+      console.error("Error starting backup:", error);
+      Alert.alert("Error", "Failed to start backup");
+    } finally {
+      setStartingBackup(false);
+    }
+  };
+
+  const formatBackupSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
   const handleSystemReset = () => {
     Alert.alert(
       "⚠️ System Reset",
-      "This will reset all system settings to default values. This action cannot be undone. Are you sure?",
+      "This will reset all system settings to default values. Are you sure?",
       [
         { text: "Cancel", style: "cancel" },
         {
           text: "Reset",
           style: "destructive",
-          onPress: () => {
-            Alert.alert("Success", "System settings have been reset to defaults.");
+          onPress: async () => {
+            const changes = Object.fromEntries(
+              settings.filter((setting) => !setting.isDefault).map((setting) => [setting.key, null])
+            );
+            if (Object.keys(changes).length === 0 || await saveSettings(changes)) {
+              setEdits({});
+              Alert.alert("Success", "System settings have been reset to defaults.");
+            }
           },
         },
       ]
     );
   };
 
+  const setMaintenanceMode = async (enabled) => {
+    setShowMaintenanceModal(false);
+    if (await saveSettings({ "general.maintenanceMode": enabled })) {
+      Alert.alert(
+        "Maintenance Mode",
+        enabled ? "System is now in maintenance mode." : "System is available to all users again."
+      );
+    }
+  };
+
   const handleMaintenanceMode = () => {
-    if (systemSettings.general.maintenanceMode) {
+    if (getSetting("general.maintenanceMode")?.value) {
       Alert.alert(
         "Disable Maintenance Mode",
         "This will make the system available to all users.",
         [
           { text: "Cancel", style: "cancel" },
-          {
-            text: "Disable",
-            onPress: () => {
-              handleSettingToggle("general", "maintenanceMode");
-              setShowMaintenanceModal(false);
-            },
-          },
+          { text: "Disable", onPress: () => setMaintenanceMode(false) },
         ]
       );
     } else {
       setShowMaintenanceModal(true);
+      loadMaintenanceWindows();
+    }
+  };
+
+  const loadMaintenanceWindows = async () => {
+    try {
+      const response = await apiService.getMaintenanceWindows();
+      if (response.success) {
+        setMaintenanceWindows(response.data.windows);
+      } else {
+        Alert.alert("Error", response.message || "Failed to load maintenance windows");
+      }
+    } catch (error) {
+      console.error("Error loading maintenance windows:", error);
+      Alert.alert("Error", "Failed to load maintenance windows");
+    }
+  };
+
+  const scheduleMaintenanceWindow = async () => {
+    const startsInHours = parseFloat(windowDraft.startsInHours);
+    const durationHours = parseFloat(windowDraft.durationHours);
+    if (!windowDraft.title.trim() || !(startsInHours >= 0) || !(durationHours > 0)) {
+      Alert.alert("Error", "Enter a title, when it starts and how long it lasts.");
+      return;
+    }
+
+    const startsAt = new Date(Date.now() + startsInHours * 60 * 60 * 1000);
+    const endsAt = new Date(startsAt.getTime() + durationHours * 60 * 60 * 1000);
+
+    const response = await apiService.createMaintenanceWindow({
+      title: windowDraft.title.trim(),
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      notifyCustomers: windowDraft.notifyCustomers,
+    });
+    if (!response.success) {
+      Alert.alert("Error", response.message || "Failed to schedule maintenance");
+      return;
+    }
+
+    setWindowDraft((prev) => ({ ...prev, title: "" }));
+    loadMaintenanceWindows();
+    Alert.alert(
+      "Maintenance Scheduled",
+      windowDraft.notifyCustomers
+        ? "Customers will be notified ahead of the window."
+        : "The window has been scheduled."
+    );
+  };
+
+  const cancelMaintenanceWindow = (window) => {
+    Alert.alert("Cancel Maintenance", `Cancel "${window.title}"?`, [
+      { text: "Keep", style: "cancel" },
+      {
+        text: "Cancel Window",
+        style: "destructive",
+        onPress: async () => {
+          const response = await apiService.cancelMaintenanceWindow(window._id);
+          if (!response.success) {
+            Alert.alert("Error", response.message || "Failed to cancel maintenance window");
+            return;
+          }
+          loadMaintenanceWindows();
+        },
+      },
+    ]);
+  };
+
+  const handleShowHistory = async () => {
+    setShowHistoryModal(true);
+    try {
+      const response = await apiService.getSystemConfigHistory({ limit: 50 });
+      if (response.success) {
+        setHistory(response.data.entries);
+      } else {
+        Alert.alert("Error", response.message || "Failed to load settings history");
+      }
+    } catch (error) {
+      console.error("Error loading settings history:", error);
+      Alert.alert("Error", "Failed to load settings history");
     }
   };
 
@@ -180,79 +309,127 @@ export default function SystemConfigScreen({ navigation }) {
     },
   ];
 
-  const renderSettingSection = (title, category, settings) => (
-    <View style={styles.section}>
-      <Text style={styles.sectionTitle}>{title}</Text>
-      <View style={styles.settingsContainer}>
-        {Object.entries(settings).map(([key, value]) => (
-          <View key={key} style={styles.settingItem}>
-            <View style={styles.settingInfo}>
-              <Text style={styles.settingLabel}>
-                {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-              </Text>
-              <Text style={styles.settingDescription}>
-                {getSettingDescription(key)}
-              </Text>
-            </View>
-            {typeof value === "boolean" ? (
-              <Switch
-                value={value}
-                onValueChange={() => handleSettingToggle(category, key)}
-                trackColor={{ false: COLORS.textLight, true: COLORS.primary }}
-                thumbColor={value ? COLORS.surface : COLORS.textSecondary}
-              />
-            ) : (
-              <TextInput
-                style={styles.settingInput}
-                value={value.toString()}
-                onChangeText={(text) => {
-                  const numValue = isNaN(text) ? text : Number(text);
-                  handleValueChange(category, key, numValue);
-                }}
-                keyboardType={typeof value === "number" ? "numeric" : "default"}
-              />
-            )}
+  // "security.rateLimitMaxRequests" -> "Rate Limit Max Requests"
+  const getSettingLabel = (key) =>
+    key
+      .split(".")
+      .pop()
+      .replace(/([A-Z])/g, " $1")
+      .replace(/^./, (str) => str.toUpperCase());
+
+  const formatValue = (value) =>
+    value === null || value === undefined
+      ? "default"
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+  const renderSettingControl = (setting) => {
+    const value = getValue(setting.key);
+
+    switch (setting.type) {
+      case "boolean":
+        return (
+          <Switch
+            value={value}
+            onValueChange={() => handleSettingToggle(setting.key)}
+            trackColor={{ false: COLORS.textLight, true: COLORS.primary }}
+            thumbColor={value ? COLORS.surface : COLORS.textSecondary}
+          />
+        );
+      case "enum":
+        return (
+          <View style={styles.enumOptions}>
+            {setting.values.map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={[
+                  styles.frequencyButton,
+                  value === option && styles.frequencyButtonSelected,
+                ]}
+                onPress={() => handleValueChange(setting.key, option)}
+              >
+                <Text
+                  style={[
+                    styles.frequencyButtonText,
+                    value === option && styles.frequencyButtonTextSelected,
+                  ]}
+                >
+                  {option}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </View>
-        ))}
-      </View>
-    </View>
-  );
+        );
+      case "timeSlots":
+        return (
+          <View>
+            {Object.entries(value).map(([slot, range]) => (
+              <View key={slot} style={styles.slotRow}>
+                <Text style={styles.slotName}>{slot}</Text>
+                {["start", "end"].map((edge) => (
+                  <TextInput
+                    key={edge}
+                    style={styles.settingInput}
+                    value={range[edge]}
+                    placeholder="HH:MM"
+                    onChangeText={(text) =>
+                      handleValueChange(setting.key, {
+                        ...value,
+                        [slot]: { ...range, [edge]: text },
+                      })
+                    }
+                  />
+                ))}
+              </View>
+            ))}
+          </View>
+        );
+      default:
+        return (
+          <TextInput
+            style={styles.settingInput}
+            value={value === undefined ? "" : value.toString()}
+            onChangeText={(text) => {
+              const numValue =
+                setting.type === "number" && text !== "" && !isNaN(text) ? Number(text) : text;
+              handleValueChange(setting.key, numValue);
+            }}
+            keyboardType={setting.type === "number" ? "numeric" : "default"}
+          />
+        );
+    }
+  };
 
-  const getSettingDescription = (key) => {
-    const descriptions = {
-      appName: "Application display name",
-      version: "Current system version",
-      maintenanceMode: "Restrict access for maintenance",
-      debugMode: "Enable debug logging",
-      autoBackup: "Automatic daily backups",
-      maxUsers: "Maximum concurrent users",
-      sessionTimeout: "Session timeout in minutes",
-      emailEnabled: "Enable email notifications",
-      smsEnabled: "Enable SMS alerts",
-      pushEnabled: "Enable push notifications",
-      alertThreshold: "System alert threshold (%)",
-      batchSize: "Notification batch size",
-      retryAttempts: "Failed notification retries",
-      passwordComplexity: "Enforce strong passwords",
-      twoFactorAuth: "Require 2FA for admins",
-      autoLockout: "Auto-lockout after failed attempts",
-      maxLoginAttempts: "Maximum login attempts",
-      auditLogging: "Log all admin actions",
-      dataEncryption: "Encrypt sensitive data",
-      cacheEnabled: "Enable system caching",
-      compressionEnabled: "Compress data transfers",
-      maxFileSize: "Maximum file upload size (MB)",
-      apiRateLimit: "API requests per hour",
-      connectionTimeout: "Connection timeout (seconds)",
-      queryOptimization: "Optimize database queries",
-      apiEnabled: "Enable external API access",
-      webhooksEnabled: "Enable webhook notifications",
-      externalAuth: "Allow external authentication",
-      dataSync: "Enable data synchronization",
-      thirdPartyServices: "Allow third-party integrations",
-      analyticsTracking: "Track system analytics",
-    };
-    return descriptions[key] || "System configuration option";
+  const renderSettingSection = (title, group) => {
+    const groupSettings = settings.filter((setting) => setting.group === group);
+    if (groupSettings.length === 0) return null;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{title}</Text>
+        <View style={styles.settingsContainer}>
+          {groupSettings.map((setting) => {
+            const stacked = setting.type === "enum" || setting.type === "timeSlots";
+            return (
+              <View
+                key={setting.key}
+                style={[styles.settingItem, stacked && styles.settingItemStacked]}
+              >
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingLabel}>
+                    {getSettingLabel(setting.key)}
+                    {setting.key in edits ? " •" : ""}
+                  </Text>
+                  <Text style={styles.settingDescription}>{setting.description}</Text>
+                </View>
+                {renderSettingControl(setting)}
+              </View>
+            );
+          })}
+        </View>
+      </View>
+    );
   };
 
   const getLogColor = (level) => {
@@ -284,7 +461,7 @@ export default function SystemConfigScreen({ navigation }) {
             style={[
               styles.maintenanceButton,
               {
-                backgroundColor: systemSettings.general.maintenanceMode
+                backgroundColor: getSetting("general.maintenanceMode")?.value
                   ? COLORS.error
                   : COLORS.warning,
               },
@@ -292,7 +469,7 @@ export default function SystemConfigScreen({ navigation }) {
             onPress={handleMaintenanceMode}
           >
             <Text style={styles.maintenanceButtonText}>
-              {systemSettings.general.maintenanceMode ? "🔧 MAINTENANCE" : "🔧 Maintenance"}
+              {getSetting("general.maintenanceMode")?.value ? "🔧 MAINTENANCE" : "🔧 Maintenance"}
             </Text>
           </TouchableOpacity>
         </View>
@@ -343,31 +520,49 @@ export default function SystemConfigScreen({ navigation }) {
             <View style={styles.backupInfo}>
               <Text style={styles.backupLabel}>Last Backup:</Text>
               <Text style={styles.backupValue}>
-                {new Date(backupSettings.lastBackup).toLocaleDateString()}
+                {backupStatus?.lastBackup
+                  ? new Date(backupStatus.lastBackup.createdAt).toLocaleString()
+                  : "Never"}
               </Text>
             </View>
+            {backupStatus?.lastBackup && (
+              <View style={styles.backupInfo}>
+                <Text style={styles.backupLabel}>Size:</Text>
+                <Text style={styles.backupValue}>
+                  {formatBackupSize(backupStatus.lastBackup.size)} · {backupStatus.lastBackup.documents} records
+                </Text>
+              </View>
+            )}
             <View style={styles.backupInfo}>
               <Text style={styles.backupLabel}>Frequency:</Text>
-              <Text style={styles.backupValue}>{backupSettings.frequency}</Text>
+              <Text style={styles.backupValue}>{getValue("backup.frequency")}</Text>
             </View>
+            {backupStatus?.lastStatus === "failed" && (
+              <View style={styles.backupInfo}>
+                <Text style={styles.backupLabel}>Last Run Failed:</Text>
+                <Text style={[styles.backupValue, styles.backupError]}>{backupStatus.lastError}</Text>
+              </View>
+            )}
             <TouchableOpacity
               style={styles.manualBackupButton}
               onPress={handleManualBackup}
-              disabled={isLoading}
+              disabled={startingBackup || backupStatus?.running}
             >
               <Text style={styles.manualBackupText}>
-                {isLoading ? "⏳ Backing up..." : "💾 Manual Backup"}
+                {startingBackup || backupStatus?.running ? "⏳ Backing up..." : "💾 Manual Backup"}
               </Text>
             </TouchableOpacity>
           </View>
         </View>
 
         {/* Configuration Sections */}
-        {renderSettingSection("General Settings", "general", systemSettings.general)}
-        {renderSettingSection("Notifications", "notifications", systemSettings.notifications)}
-        {renderSettingSection("Security", "security", systemSettings.security)}
-        {renderSettingSection("Performance", "performance", systemSettings.performance)}
-        {renderSettingSection("Integration", "integration", systemSettings.integration)}
+        {loadingSettings && <ActivityIndicator color={COLORS.primary} style={styles.section} />}
+        {renderSettingSection("General Settings", "general")}
+        {renderSettingSection("Security", "security")}
+        {renderSettingSection("Notifications", "notifications")}
+        {renderSettingSection("Pickup Slots", "pickups")}
+        {renderSettingSection("Backups", "backup")}
+        {renderSettingSection("Logging", "logging")}
 
         {/* System Logs */}
         <View style={styles.section}>
@@ -399,19 +594,23 @@ export default function SystemConfigScreen({ navigation }) {
           <TouchableOpacity
             style={[styles.actionButton, styles.saveButton]}
             onPress={handleSaveSettings}
-            disabled={isLoading}
+            disabled={savingSettings}
           >
             <Text style={styles.saveButtonText}>
-              {isLoading ? "⏳ Saving..." : "💾 Save Settings"}
+              {savingSettings ? "⏳ Saving..." : "💾 Save Settings"}
             </Text>
           </TouchableOpacity>
           <TouchableOpacity
             style={[styles.actionButton, styles.resetButton]}
             onPress={handleSystemReset}
+            disabled={savingSettings}
           >
             <Text style={styles.resetButtonText}>🔄 Reset to Defaults</Text>
           </TouchableOpacity>
         </View>
+        <TouchableOpacity style={styles.statusButton} onPress={handleShowHistory}>
+          <Text style={styles.statusButtonText}>🕘 Change History</Text>
+        </TouchableOpacity>
       </ScrollView>
 
       {/* Backup Configuration Modal */}
@@ -432,13 +631,13 @@ export default function SystemConfigScreen({ navigation }) {
                     key={freq}
                     style={[
                       styles.frequencyButton,
-                      backupSettings.frequency === freq && styles.frequencyButtonSelected,
+                      getValue("backup.frequency") === freq && styles.frequencyButtonSelected,
                     ]}
-                    onPress={() => setBackupSettings(prev => ({ ...prev, frequency: freq }))}
+                    onPress={() => handleValueChange("backup.frequency", freq)}
                   >
                     <Text style={[
                       styles.frequencyButtonText,
-                      backupSettings.frequency === freq && styles.frequencyButtonTextSelected,
+                      getValue("backup.frequency") === freq && styles.frequencyButtonTextSelected,
                     ]}>
                       {freq.charAt(0).toUpperCase() + freq.slice(1)}
                     </Text>
@@ -455,9 +654,12 @@ export default function SystemConfigScreen({ navigation }) {
               </TouchableOpacity>
               <TouchableOpacity
                 style={[styles.modalButton, styles.modalSaveButton]}
-                onPress={() => {
+                onPress={async () => {
                   setShowBackupModal(false);
-                  Alert.alert("Success", "Backup settings updated!");
+                  if (!("backup.frequency" in edits)) return;
+                  if (await saveSettings({ "backup.frequency": edits["backup.frequency"] })) {
+                    Alert.alert("Success", "Backup settings updated!");
+                  }
                 }}
               >
                 <Text style={styles.modalSaveText}>Save</Text>
@@ -478,29 +680,113 @@ export default function SystemConfigScreen({ navigation }) {
           <View style={styles.maintenanceModalContent}>
             <Text style={styles.maintenanceModalTitle}>🔧 Enable Maintenance Mode</Text>
             <Text style={styles.maintenanceModalText}>
-              This will restrict system access to administrators only. All users will be logged out and prevented from accessing the system.
+              This will restrict system access to staff with maintenance access. Everyone else will be turned away until maintenance mode is switched off.
             </Text>
-            <View style={styles.maintenanceModalActions}>
+
+            <Text style={styles.optionLabel}>Or schedule a window</Text>
+            <TextInput
+              style={[styles.settingInput, styles.windowInput]}
+              value={windowDraft.title}
+              onChangeText={(title) => setWindowDraft((prev) => ({ ...prev, title }))}
+              placeholder="Title, e.g. Database upgrade"
+            />
+            <View style={styles.settingItem}>
+              <Text style={styles.settingLabel}>Starts in (hours)</Text>
+              <TextInput
+                style={styles.settingInput}
+                value={windowDraft.startsInHours}
+                onChangeText={(startsInHours) => setWindowDraft((prev) => ({ ...prev, startsInHours }))}
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={styles.settingItem}>
+              <Text style={styles.settingLabel}>Duration (hours)</Text>
+              <TextInput
+                style={styles.settingInput}
+                value={windowDraft.durationHours}
+                onChangeText={(durationHours) => setWindowDraft((prev) => ({ ...prev, durationHours }))}
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={styles.settingItem}>
+              <Text style={styles.settingLabel}>Notify customers</Text>
+              <Switch
+                value={windowDraft.notifyCustomers}
+                onValueChange={(notifyCustomers) => setWindowDraft((prev) => ({ ...prev, notifyCustomers }))}
+                trackColor={{ false: COLORS.border, true: COLORS.primary }}
+              />
+            </View>
+            <CustomButton title="Schedule" variant="secondary" onPress={scheduleMaintenanceWindow} />
+
+            {maintenanceWindows.length > 0 && (
+              <ScrollView style={styles.windowList}>
+                {maintenanceWindows.map((window) => (
+                  <View key={window._id} style={styles.historyItem}>
+                    <Text style={styles.settingLabel}>
+                      {window.title} ({window.status})
+                    </Text>
+                    <Text style={styles.logTime}>
+                      {new Date(window.startsAt).toLocaleString()} – {new Date(window.endsAt).toLocaleString()}
+                    </Text>
+                    <TouchableOpacity onPress={() => cancelMaintenanceWindow(window)}>
+                      <Text style={styles.windowCancelText}>Cancel window</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+
+            <View style={[styles.maintenanceModalActions, styles.windowActions]}>
               <TouchableOpacity
                 style={[styles.modalButton, styles.modalCancelButton]}
                 onPress={() => setShowMaintenanceModal(false)}
               >
-                <Text style={styles.modalCancelText}>Cancel</Text>
+                <Text style={styles.modalCancelText}>Close</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={[styles.modalButton, styles.maintenanceEnableButton]}
-                onPress={() => {
-                  handleSettingToggle("general", "maintenanceMode");
-                  setShowMaintenanceModal(false);
-                  Alert.alert("Maintenance Mode", "System is now in maintenance mode.");
-                }}
+                onPress={() => setMaintenanceMode(true)}
               >
-                <Text style={styles.maintenanceEnableText}>Enable</Text>
+                <Text style={styles.maintenanceEnableText}>Enable Now</Text>
               </TouchableOpacity>
             </View>
           </View>
         </View>
       </Modal>
+
+      {/* Change History Modal */}
+      <Modal
+        visible={showHistoryModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowHistoryModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Change History</Text>
+            <ScrollView style={styles.historyList}>
+              {history.length === 0 && (
+                <Text style={styles.settingDescription}>No settings have been changed yet.</Text>
+              )}
+              {history.map((entry) => (
+                <View key={entry._id} style={styles.historyItem}>
+                  <Text style={styles.settingLabel}>
+                    {entry.key} (v{entry.version})
+                  </Text>
+                  <Text style={styles.settingDescription}>
+                    {formatValue(entry.previousValue)} → {formatValue(entry.value)}
+                  </Text>
+                  <Text style={styles.logTime}>
+                    {entry.changedBy?.name || "Unknown"} · {new Date(entry.createdAt).toLocaleString()}
+                    {entry.reason ? ` · ${entry.reason}` : ""}
+                  </Text>
+                </View>
+              ))}
+            </ScrollView>
+            <CustomButton title="Close" onPress={() => setShowHistoryModal(false)} />
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -634,6 +920,11 @@ const styles = StyleSheet.create({
     fontSize: SIZES.fontMedium,
     color: COLORS.textSecondary,
   },
+  backupError: {
+    color: COLORS.error,
+    flexShrink: 1,
+    textAlign: "right",
+  },
   manualBackupButton: {
     backgroundColor: COLORS.success,
     paddingVertical: SIZES.medium,
@@ -678,6 +969,36 @@ const styles = StyleSheet.create({
     fontSize: SIZES.fontSmall,
     color: COLORS.textSecondary,
   },
+  settingItemStacked: {
+    flexDirection: "column",
+    alignItems: "stretch",
+  },
+  enumOptions: {
+    flexDirection: "row",
+    gap: SIZES.small,
+    marginTop: SIZES.small,
+  },
+  slotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SIZES.small,
+    marginTop: SIZES.small,
+  },
+  slotName: {
+    flex: 1,
+    fontSize: SIZES.fontMedium,
+    color: COLORS.text,
+    textTransform: "capitalize",
+  },
+  historyList: {
+    maxHeight: 400,
+    marginBottom: SIZES.medium,
+  },
+  historyItem: {
+    paddingVertical: SIZES.small,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
   settingInput: {
     fontSize: SIZES.fontMedium,
     color: COLORS.text,
@@ -873,4 +1194,20 @@ const styles = StyleSheet.create({
     fontSize: SIZES.fontMedium,
     fontWeight: "600",
   },
+  windowInput: {
+    textAlign: "left",
+    marginBottom: SIZES.small,
+  },
+  windowList: {
+    maxHeight: 180,
+    marginTop: SIZES.medium,
+  },
+  windowCancelText: {
+    color: COLORS.error,
+    fontSize: SIZES.fontSmall,
+    marginTop: 4,
+  },
+  windowActions: {
+    marginTop: SIZES.large,
+  },
 });
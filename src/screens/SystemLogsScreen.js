@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -9,178 +9,181 @@ import {
   Alert,
   Modal,
   TextInput,
+  ActivityIndicator,
 } from "react-native";
 import { COLORS, SIZES } from "../utils/theme";
 import CustomButton from "../components/CustomButton";
 import { formatDate } from "../utils/helpers";
+import apiService from "../services/apiService";
 
 export default function SystemLogsScreen({ navigation }) {
   const [selectedFilter, setSelectedFilter] = useState("all");
   const [selectedLevel, setSelectedLevel] = useState("all");
   const [searchQuery, setSearchQuery] = useState("");
+  const [appliedSearch, setAppliedSearch] = useState("");
   const [showLogModal, setShowLogModal] = useState(false);
   const [selectedLog, setSelectedLog] = useState(null);
 
-  const [systemLogs] = useState([
-    {
-      id: 1,
-      timestamp: "2025-07-31T10:45:30",
-      level: "INFO",
-      category: "auth",
-      user: "admin@safacycle.com",
-      action: "User login successful",
-      details: "User admin@safacycle.com logged in from IP 192.168.1.100",
-      metadata: {
-        ip: "192.168.1.100",
-        userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)",
-        sessionId: "sess_abc123",
-      },
-    },
-    {
-      id: 2,
-      timestamp: "2025-07-31T10:30:15",
-      level: "WARN",
-      category: "system",
-      user: "system",
-      action: "High memory usage detected",
-      details: "System memory usage reached 85% threshold",
-      metadata: {
-        memoryUsage: "85%",
-        availableMemory: "2.1GB",
-        threshold: "85%",
-      },
-    },
-    {
-      id: 3,
-      timestamp: "2025-07-31T10:15:45",
-      level: "ERROR",
-      category: "api",
-      user: "api_user",
-      action: "API request failed",
-      details: "Failed to process API request to /api/users/bulk-update",
-      metadata: {
-        endpoint: "/api/users/bulk-update",
-        method: "POST",
-        statusCode: 500,
-        errorCode: "INTERNAL_SERVER_ERROR",
-      },
-    },
-    {
-      id: 4,
-      timestamp: "2025-07-31T10:00:00",
-      level: "INFO",
-      category: "backup",
-      user: "system",
-      action: "Automated backup completed",
-      details: "Daily system backup completed successfully",
-      metadata: {
-        backupSize: "1.2GB",
-        duration: "15m 30s",
-        location: "cloud_storage_bucket",
-      },
-    },
-    {
-      id: 5,
-      timestamp: "2025-07-31T09:45:22",
-      level: "DEBUG",
-      category: "performance",
-      user: "system",
-      action: "Database query optimization",
-      details: "Optimized slow query on users table",
-      metadata: {
-        query: "SELECT * FROM users WHERE status = 'active'",
-        executionTime: "1.2s",
-        optimizedTime: "0.3s",
-      },
-    },
-    {
-      id: 6,
-      timestamp: "2025-07-31T09:30:10",
-      level: "AUDIT",
-      category: "user_management",
-      user: "admin@safacycle.com",
-      action: "User status changed",
-      details: "Changed user status from 'active' to 'suspended' for user@example.com",
-      metadata: {
-        targetUser: "user@example.com",
-        previousStatus: "active",
-        newStatus: "suspended",
-        reason: "Policy violation",
-      },
-    },
-    {
-      id: 7,
-      timestamp: "2025-07-31T09:15:55",
-      level: "ERROR",
-      category: "security",
-      user: "unknown",
-      action: "Failed login attempt",
-      details: "Multiple failed login attempts detected from IP 192.168.1.50",
-      metadata: {
-        ip: "192.168.1.50",
-        attempts: 5,
-        timeWindow: "5 minutes",
-        action: "IP temporarily blocked",
-      },
-    },
-    {
-      id: 8,
-      timestamp: "2025-07-31T09:00:33",
-      level: "INFO",
-      category: "data",
-      user: "admin@safacycle.com",
-      action: "Data export initiated",
-      details: "User data export requested for compliance audit",
-      metadata: {
-        exportType: "user_data",
-        recordCount: 156,
-        format: "CSV",
-        requestId: "exp_789xyz",
-      },
-    },
-  ]);
+  const [systemLogs, setSystemLogs] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [integrity, setIntegrity] = useState(null);
+
+  // Audit entries come from the audit log, everything else from the application logs
+  const isAudit = selectedLevel === "audit";
+
+  const levelOptions = [
+    { key: "all", label: "All Levels" },
+    { key: "error", label: "Error" },
+    { key: "warn", label: "Warning" },
+    { key: "info", label: "Info" },
+    { key: "debug", label: "Debug" },
+    { key: "audit", label: "Audit" },
+  ];
 
   const filterOptions = [
     { key: "all", label: "All Categories" },
+    { key: "users", label: "User Management" },
+    { key: "roles", label: "Roles" },
     { key: "auth", label: "Authentication" },
+    { key: "collections", label: "Collections" },
+    { key: "route-optimization", label: "Routes" },
+    { key: "issues", label: "Issues" },
+    { key: "pickup-series", label: "Schedules" },
+    { key: "facilities", label: "Facilities" },
+    { key: "notification-service", label: "Notifications" },
+    { key: "jobs", label: "Jobs" },
+    { key: "http", label: "HTTP" },
+    { key: "socket", label: "WebSocket" },
     { key: "system", label: "System" },
-    { key: "api", label: "API" },
-    { key: "backup", label: "Backup" },
-    { key: "user_management", label: "User Management" },
-    { key: "security", label: "Security" },
-    { key: "data", label: "Data Operations" },
-    { key: "performance", label: "Performance" },
   ];
 
-  const levelOptions = [
-    { key: "all", label: "All Levels" },
-    { key: "DEBUG", label: "Debug" },
-    { key: "INFO", label: "Info" },
-    { key: "WARN", label: "Warning" },
-    { key: "ERROR", label: "Error" },
-    { key: "AUDIT", label: "Audit" },
-  ];
+  useEffect(() => {
+    loadLogs(1);
+  }, [selectedFilter, selectedLevel, appliedSearch]);
+
+  // Application log entries; the remaining fields are shown as metadata
+  const toSystemLogItem = (entry, index) => {
+    const { time, level, category, message, userId, error, ...metadata } = entry;
+    return {
+      id: `${time}-${index}`,
+      timestamp: time,
+      level: level.toUpperCase(),
+      category,
+      user: userId || "system",
+      action: message,
+      details: error?.message || (metadata.path ? `${metadata.method} ${metadata.path}` : metadata.requestId || ""),
+      metadata: { ...metadata, error: error?.stack || error?.message },
+    };
+  };
 
-  const filteredLogs = systemLogs.filter((log) => {
-    let matches = true;
+  // Audit entries shown in the same shape as other log lines
+  const toLogItem = (entry) => ({
+    id: entry._id,
+    timestamp: entry.createdAt,
+    level: "AUDIT",
+    category: entry.target?.type || "system",
+    user: entry.actor?.name || "system",
+    action: entry.action,
+    details: `${entry.method} ${entry.path}`,
+    metadata: {
+      entry: `#${entry.seq}`,
+      role: entry.actor?.role,
+      target: entry.target?.id,
+      status: entry.statusCode,
+      ip: entry.ip,
+      requestId: entry.requestId,
+      before: entry.changes?.before,
+      after: entry.changes?.after,
+      hash: entry.hash,
+    },
+  });
 
-    if (selectedFilter !== "all") {
-      matches = matches && log.category === selectedFilter;
+  const loadLogs = (page) => (isAudit ? loadAuditLog(page) : loadSystemLogs(page));
+
+  const loadSystemLogs = async (page) => {
+    try {
+      setLoading(true);
+      const filters = { limit: 100 };
+      if (selectedLevel !== "all") {
+        filters.level = selectedLevel;
+      }
+      if (selectedFilter !== "all") {
+        filters.category = selectedFilter;
+      }
+      if (appliedSearch) {
+        filters.q = appliedSearch;
+      }
+      if (page > 1 && nextBefore) {
+        filters.before = nextBefore;
+      }
+      const response = await apiService.getSystemLogs(filters);
+      if (!response.success) {
+        Alert.alert("Error", response.message || "Failed to load system logs");
+        return;
+      }
+      setSystemLogs((previous) => {
+        const kept = page === 1 ? [] : previous;
+        return [...kept, ...response.data.entries.map((entry, i) => toSystemLogItem(entry, kept.length + i))];
+      });
+      setNextBefore(response.data.nextBefore);
+      setPagination(null);
+    } catch (error) {
+      console.error("Error loading system logs:", error);
+      Alert.alert("Error", "Failed to load system logs");
+    } finally {
+      setLoading(false);
     }
+  };
 
-    if (selectedLevel !== "all") {
-      matches = matches && log.level === selectedLevel;
+  const loadAuditLog = async (page) => {
+    try {
+      setLoading(true);
+      const filters = { page, limit: 50 };
+      if (selectedFilter !== "all") {
+        filters.targetType = selectedFilter;
+      }
+      const response = await apiService.getAuditLog(filters);
+      if (!response.success) {
+        Alert.alert("Error", response.message || "Failed to load audit log");
+        return;
+      }
+      const items = response.data.entries.map(toLogItem);
+      setSystemLogs((previous) => (page === 1 ? items : [...previous, ...items]));
+      setPagination(response.data.pagination);
+      setNextBefore(null);
+    } catch (error) {
+      console.error("Error loading audit log:", error);
+      Alert.alert("Error", "Failed to load audit log");
+    } finally {
+      setLoading(false);
     }
+  };
 
-    if (searchQuery) {
-      matches = matches && (
-        log.action.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        log.details.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        log.user.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+  const handleVerify = async () => {
+    const response = await apiService.verifyAuditLog();
+    if (!response.success) {
+      Alert.alert("Error", response.message || "Failed to verify audit log");
+      return;
     }
+    setIntegrity(response.data);
+    Alert.alert(
+      response.data.valid ? "Audit Log Intact" : "⚠️ Audit Log Tampered",
+      response.message
+    );
+  };
 
-    return matches;
+  // Application logs are searched on the server when the search is submitted
+  const filteredLogs = systemLogs.filter((log) => {
+    if (!isAudit || !searchQuery) return true;
+
+    const query = searchQuery.toLowerCase();
+    return (
+      log.action.toLowerCase().includes(query) ||
+      log.details.toLowerCase().includes(query) ||
+      log.user.toLowerCase().includes(query)
+    );
   });
 
   const getLevelColor = (level) => {
@@ -223,18 +226,26 @@ export default function SystemLogsScreen({ navigation }) {
         return "🔐";
       case "system":
         return "⚙️";
-      case "api":
-        return "🔗";
-      case "backup":
-        return "💾";
-      case "user_management":
+      case "users":
+      case "roles":
         return "👥";
-      case "security":
-        return "🛡️";
-      case "data":
-        return "📊";
-      case "performance":
-        return "⚡";
+      case "collections":
+      case "pickup-series":
+        return "🗑️";
+      case "route-optimization":
+        return "🚛";
+      case "issues":
+        return "⚠️";
+      case "facilities":
+        return "🏭";
+      case "notification-service":
+        return "🔔";
+      case "jobs":
+        return "⏱️";
+      case "http":
+        return "🌐";
+      case "socket":
+        return "🔌";
       default:
         return "📝";
     }
@@ -265,30 +276,16 @@ export default function SystemLogsScreen({ navigation }) {
     );
   };
 
-  const handleClearLogs = () => {
-    Alert.alert(
-      "⚠️ Clear Logs",
-      "This will permanently delete all system logs. This action cannot be undone. Are you sure?",
-      [
-        { text: "Cancel", style: "cancel" },
-        {
-          text: "Clear",
-          style: "destructive",
-          onPress: () => {
-            Alert.alert("Success", "System logs have been cleared.");
-          },
-        },
-      ]
-    );
-  };
-
   const logStats = {
-    total: systemLogs.length,
-    errors: systemLogs.filter(log => log.level === "ERROR").length,
-    warnings: systemLogs.filter(log => log.level === "WARN").length,
-    audits: systemLogs.filter(log => log.level === "AUDIT").length,
+    total: pagination ? pagination.totalEntries : 0,
+    loaded: systemLogs.length,
+    actors: new Set(systemLogs.map((log) => log.user)).size,
+    errors: systemLogs.filter((log) => log.level === "ERROR").length,
+    warnings: systemLogs.filter((log) => log.level === "WARN").length,
   };
 
+  const hasMore = isAudit ? pagination?.hasNextPage : Boolean(nextBefore);
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView
@@ -313,32 +310,63 @@ export default function SystemLogsScreen({ navigation }) {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Log Overview</Text>
           <View style={styles.statsContainer}>
-            <View style={styles.statsGrid}>
-              <View style={[styles.statCard, { backgroundColor: COLORS.primary + "20" }]}>
-                <Text style={styles.statNumber}>{logStats.total}</Text>
-                <Text style={styles.statLabel}>Total Logs</Text>
-              </View>
-              <View style={[styles.statCard, { backgroundColor: COLORS.error + "20" }]}>
-                <Text style={[styles.statNumber, { color: COLORS.error }]}>
-                  {logStats.errors}
-                </Text>
-                <Text style={styles.statLabel}>Errors</Text>
+            {isAudit ? (
+              <View style={styles.statsGrid}>
+                <View style={[styles.statCard, { backgroundColor: COLORS.admin + "20" }]}>
+                  <Text style={[styles.statNumber, { color: COLORS.admin }]}>
+                    {logStats.total}
+                  </Text>
+                  <Text style={styles.statLabel}>Audit Events</Text>
+                </View>
+                <View style={[styles.statCard, { backgroundColor: COLORS.primary + "20" }]}>
+                  <Text style={styles.statNumber}>{logStats.actors}</Text>
+                  <Text style={styles.statLabel}>Users (loaded)</Text>
+                </View>
               </View>
-            </View>
-            <View style={styles.statsGrid}>
-              <View style={[styles.statCard, { backgroundColor: COLORS.warning + "20" }]}>
-                <Text style={[styles.statNumber, { color: COLORS.warning }]}>
-                  {logStats.warnings}
-                </Text>
-                <Text style={styles.statLabel}>Warnings</Text>
+            ) : (
+              <View style={styles.statsGrid}>
+                <View style={[styles.statCard, { backgroundColor: COLORS.primary + "20" }]}>
+                  <Text style={styles.statNumber}>{logStats.loaded}</Text>
+                  <Text style={styles.statLabel}>Entries (loaded)</Text>
+                </View>
+                <View style={[styles.statCard, { backgroundColor: COLORS.error + "20" }]}>
+                  <Text style={[styles.statNumber, { color: COLORS.error }]}>
+                    {logStats.errors}
+                  </Text>
+                  <Text style={styles.statLabel}>Errors</Text>
+                </View>
+                <View style={[styles.statCard, { backgroundColor: COLORS.warning + "20" }]}>
+                  <Text style={[styles.statNumber, { color: COLORS.warning }]}>
+                    {logStats.warnings}
+                  </Text>
+                  <Text style={styles.statLabel}>Warnings</Text>
+                </View>
               </View>
-              <View style={[styles.statCard, { backgroundColor: COLORS.admin + "20" }]}>
-                <Text style={[styles.statNumber, { color: COLORS.admin }]}>
-                  {logStats.audits}
-                </Text>
-                <Text style={styles.statLabel}>Audit Events</Text>
+            )}
+            {isAudit && (
+              <View style={styles.statsGrid}>
+                <View
+                  style={[
+                    styles.statCard,
+                    {
+                      backgroundColor:
+                        (integrity && !integrity.valid ? COLORS.error : COLORS.success) + "20",
+                    },
+                  ]}
+                >
+                  <Text style={styles.statNumber}>
+                    {integrity ? (integrity.valid ? "✅" : "❌") : "—"}
+                  </Text>
+                  <Text style={styles.statLabel}>
+                    {integrity
+                      ? integrity.valid
+                        ? `Chain intact (${integrity.checked})`
+                        : `Broken at #${integrity.brokenAt}`
+                      : "Not verified"}
+                  </Text>
+                </View>
               </View>
-            </View>
+            )}
           </View>
         </View>
 
@@ -348,34 +376,40 @@ export default function SystemLogsScreen({ navigation }) {
           <View style={styles.searchContainer}>
             <TextInput
               style={styles.searchInput}
-              placeholder="Search logs by action, details, or user..."
+              placeholder={
+                isAudit
+                  ? "Search logs by action, details, or user..."
+                  : "Search messages, request IDs... (press enter)"
+              }
               placeholderTextColor={COLORS.textLight}
               value={searchQuery}
               onChangeText={setSearchQuery}
+              onSubmitEditing={() => setAppliedSearch(searchQuery.trim())}
+              returnKeyType="search"
             />
           </View>
 
           <View style={styles.filtersContainer}>
             <View style={styles.filterSection}>
-              <Text style={styles.filterLabel}>Category:</Text>
+              <Text style={styles.filterLabel}>Level:</Text>
               <ScrollView
                 horizontal
                 showsHorizontalScrollIndicator={false}
                 style={styles.filterScroll}
               >
-                {filterOptions.map((option) => (
+                {levelOptions.map((option) => (
                   <TouchableOpacity
                     key={option.key}
                     style={[
                       styles.filterChip,
-                      selectedFilter === option.key && styles.filterChipSelected,
+                      selectedLevel === option.key && styles.filterChipSelected,
                     ]}
-                    onPress={() => setSelectedFilter(option.key)}
+                    onPress={() => setSelectedLevel(option.key)}
                   >
                     <Text
                       style={[
                         styles.filterChipText,
-                        selectedFilter === option.key && styles.filterChipTextSelected,
+                        selectedLevel === option.key && styles.filterChipTextSelected,
                       ]}
                     >
                       {option.label}
@@ -386,25 +420,25 @@ export default function SystemLogsScreen({ navigation }) {
             </View>
 
             <View style={styles.filterSection}>
-              <Text style={styles.filterLabel}>Level:</Text>
+              <Text style={styles.filterLabel}>Category:</Text>
               <ScrollView
                 horizontal
                 showsHorizontalScrollIndicator={false}
                 style={styles.filterScroll}
               >
-                {levelOptions.map((option) => (
+                {filterOptions.map((option) => (
                   <TouchableOpacity
                     key={option.key}
                     style={[
                       styles.filterChip,
-                      selectedLevel === option.key && styles.filterChipSelected,
+                      selectedFilter === option.key && styles.filterChipSelected,
                     ]}
-                    onPress={() => setSelectedLevel(option.key)}
+                    onPress={() => setSelectedFilter(option.key)}
                   >
                     <Text
                       style={[
                         styles.filterChipText,
-                        selectedLevel === option.key && styles.filterChipTextSelected,
+                        selectedFilter === option.key && styles.filterChipTextSelected,
                       ]}
                     >
                       {option.label}
@@ -422,12 +456,7 @@ export default function SystemLogsScreen({ navigation }) {
             <Text style={styles.sectionTitle}>
               Log Entries ({filteredLogs.length})
             </Text>
-            <TouchableOpacity
-              style={styles.clearButton}
-              onPress={handleClearLogs}
-            >
-              <Text style={styles.clearButtonText}>🗑️ Clear All</Text>
-            </TouchableOpacity>
+            {loading && <ActivityIndicator color={COLORS.primary} />}
           </View>
 
           <View style={styles.logsContainer}>
@@ -475,22 +504,32 @@ export default function SystemLogsScreen({ navigation }) {
               </TouchableOpacity>
             ))}
           </View>
+
+          {hasMore && (
+            <CustomButton
+              title="Load More"
+              onPress={() => loadLogs(isAudit ? pagination.currentPage + 1 : 2)}
+              disabled={loading}
+            />
+          )}
         </View>
 
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
           <TouchableOpacity
             style={styles.actionButton}
-            onPress={() => Alert.alert("Refresh", "Logs refreshed!")}
+            onPress={() => loadLogs(1)}
           >
             <Text style={styles.actionButtonText}>🔄 Refresh</Text>
           </TouchableOpacity>
-          <TouchableOpacity
-            style={styles.actionButton}
-            onPress={() => Alert.alert("Archive", "Log archiving initiated!")}
-          >
-            <Text style={styles.actionButtonText}>📦 Archive Old</Text>
-          </TouchableOpacity>
+          {isAudit && (
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={handleVerify}
+            >
+              <Text style={styles.actionButtonText}>🔗 Verify Integrity</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </ScrollView>
 
@@ -563,12 +602,18 @@ export default function SystemLogsScreen({ navigation }) {
                   <View style={styles.detailSection}>
                     <Text style={styles.detailLabel}>Metadata:</Text>
                     <View style={styles.metadataContainer}>
-                      {Object.entries(selectedLog.metadata).map(([key, value]) => (
-                        <View key={key} style={styles.metadataItem}>
-                          <Text style={styles.metadataKey}>{key}:</Text>
-                          <Text style={styles.metadataValue}>{value}</Text>
-                        </View>
-                      ))}
+                      {Object.entries(selectedLog.metadata)
+                        .filter(([, value]) => value !== undefined && value !== null)
+                        .map(([key, value]) => (
+                          <View key={key} style={styles.metadataItem}>
+                            <Text style={styles.metadataKey}>{key}:</Text>
+                            <Text style={styles.metadataValue}>
+                              {typeof value === "object"
+                                ? JSON.stringify(value, null, 2)
+                                : String(value)}
+                            </Text>
+                          </View>
+                        ))}
                     </View>
                   </View>
                 </ScrollView>
@@ -647,17 +692,6 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: COLORS.text,
   },
-  clearButton: {
-    backgroundColor: COLORS.error + "20",
-    paddingHorizontal: SIZES.medium,
-    paddingVertical: SIZES.small,
-    borderRadius: SIZES.radiusSmall,
-  },
-  clearButtonText: {
-    color: COLORS.error,
-    fontSize: SIZES.fontSmall,
-    fontWeight: "600",
-  },
   statsContainer: {
     marginBottom: SIZES.medium,
   },
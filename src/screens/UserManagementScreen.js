@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -13,6 +13,22 @@ import {
 import { COLORS, SIZES } from "../utils/theme";
 import CustomButton from "../components/CustomButton";
 import { validateEmail, getRoleColor, formatDate } from "../utils/helpers";
+import apiService from "../services/apiService";
+
+// Shown until the server's role list loads
+const BUILT_IN_ROLES = [
+  { name: "admin", displayName: "Administrator", permissions: [], isSystem: true },
+  { name: "driver", displayName: "Driver", permissions: [], isSystem: true },
+  { name: "customer", displayName: "Customer", permissions: [], isSystem: true },
+];
+
+const EMPTY_ROLE = {
+  name: "",
+  displayName: "",
+  description: "",
+  permissions: [],
+  isNew: true,
+};
 
 export default function UserManagementScreen({ navigation }) {
   const [users, setUsers] = useState([
@@ -98,6 +114,11 @@ export default function UserManagementScreen({ navigation }) {
   const [showEditUserModal, setShowEditUserModal] = useState(false);
   const [showUserDetailsModal, setShowUserDetailsModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [roleList, setRoleList] = useState(BUILT_IN_ROLES);
+  const [permissionGroups, setPermissionGroups] = useState({});
+  const [showRolesModal, setShowRolesModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [savingRole, setSavingRole] = useState(false);
 
   const [newUser, setNewUser] = useState({
     name: "",
@@ -114,9 +135,104 @@ export default function UserManagementScreen({ navigation }) {
     status: "active",
   });
 
-  const roles = ["all", "admin", "driver", "customer"];
+  const roles = ["all", ...roleList.map((role) => role.name)];
+  const assignableRoles = roleList.map((role) => role.name);
   const statuses = ["all", "active", "inactive", "suspended"];
 
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const loadRoles = async () => {
+    try {
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        apiService.getRoles(),
+        apiService.getPermissions(),
+      ]);
+      if (rolesResponse.success) {
+        setRoleList(rolesResponse.data.roles);
+      }
+      if (permissionsResponse.success) {
+        setPermissionGroups(permissionsResponse.data.permissions);
+      }
+    } catch (error) {
+      console.error("Error loading roles:", error);
+    }
+  };
+
+  const getRoleLabel = (roleName) => {
+    const role = roleList.find((r) => r.name === roleName);
+    return role
+      ? role.displayName
+      : roleName.charAt(0).toUpperCase() + roleName.slice(1);
+  };
+
+  const toggleRolePermission = (permission) => {
+    const permissions = editingRole.permissions.includes(permission)
+      ? editingRole.permissions.filter((p) => p !== permission)
+      : [...editingRole.permissions, permission];
+    setEditingRole({ ...editingRole, permissions });
+  };
+
+  const handleSaveRole = async () => {
+    if (!editingRole.displayName.trim()) {
+      Alert.alert("Error", "Please enter a display name");
+      return;
+    }
+    if (editingRole.isNew && !/^[a-z][a-z0-9_-]{1,29}$/.test(editingRole.name)) {
+      Alert.alert(
+        "Error",
+        "Role name must be 2-30 lowercase letters, digits, dashes or underscores"
+      );
+      return;
+    }
+
+    const changes = {
+      displayName: editingRole.displayName.trim(),
+      description: editingRole.description,
+      // Admin always has every permission
+      ...(editingRole.name !== "admin" && { permissions: editingRole.permissions }),
+    };
+
+    setSavingRole(true);
+    const response = editingRole.isNew
+      ? await apiService.createRole({ name: editingRole.name, ...changes })
+      : await apiService.updateRole(editingRole.name, changes);
+    setSavingRole(false);
+
+    if (!response.success) {
+      Alert.alert("Error", response.message || "Failed to save role");
+      return;
+    }
+
+    setEditingRole(null);
+    await loadRoles();
+    Alert.alert("Success", response.message);
+  };
+
+  const handleDeleteRole = (role) => {
+    Alert.alert(
+      "Delete Role",
+      `Are you sure you want to delete the ${role.displayName} role?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const response = await apiService.deleteRole(role.name);
+            if (!response.success) {
+              Alert.alert("Error", response.message || "Failed to delete role");
+              return;
+            }
+            setEditingRole(null);
+            await loadRoles();
+          },
+        },
+      ]
+    );
+  };
+
   const handleSearch = (query) => {
     setSearchQuery(query);
     filterUsers(query, selectedRole, selectedStatus);
@@ -448,7 +564,7 @@ export default function UserManagementScreen({ navigation }) {
                       selectedRole === role && styles.filterChipTextSelected,
                     ]}
                   >
-                    {role.charAt(0).toUpperCase() + role.slice(1)}
+                    {role === "all" ? "All" : getRoleLabel(role)}
                   </Text>
                 </TouchableOpacity>
               ))}
@@ -492,6 +608,11 @@ export default function UserManagementScreen({ navigation }) {
           onPress={() => setShowAddUserModal(true)}
           style={styles.addButton}
         />
+        <CustomButton
+          title="Manage Roles"
+          onPress={() => setShowRolesModal(true)}
+          style={styles.addButton}
+        />
 
         {/* Users List */}
         <View style={styles.usersContainer}>
@@ -552,7 +673,7 @@ export default function UserManagementScreen({ navigation }) {
                         { color: getRoleColor(user.role) },
                       ]}
                     >
-                      {user.role.toUpperCase()}
+                      {getRoleLabel(user.role).toUpperCase()}
                     </Text>
                   </View>
                 </View>
@@ -644,7 +765,7 @@ export default function UserManagementScreen({ navigation }) {
               <View style={styles.roleSelection}>
                 <Text style={styles.modalLabel}>Role:</Text>
                 <View style={styles.roleOptions}>
-                  {["admin", "driver", "customer"].map((role) => (
+                  {assignableRoles.map((role) => (
                     <TouchableOpacity
                       key={role}
                       style={[
@@ -660,7 +781,7 @@ export default function UserManagementScreen({ navigation }) {
                             styles.roleOptionTextSelected,
                         ]}
                       >
-                        {role.charAt(0).toUpperCase() + role.slice(1)}
+                        {getRoleLabel(role)}
                       </Text>
                     </TouchableOpacity>
                   ))}
@@ -717,7 +838,7 @@ export default function UserManagementScreen({ navigation }) {
               <View style={styles.roleSelection}>
                 <Text style={styles.modalLabel}>Role:</Text>
                 <View style={styles.roleOptions}>
-                  {["admin", "driver", "customer"].map((role) => (
+                  {assignableRoles.map((role) => (
                     <TouchableOpacity
                       key={role}
                       style={[
@@ -733,7 +854,7 @@ export default function UserManagementScreen({ navigation }) {
                             styles.roleOptionTextSelected,
                         ]}
                       >
-                        {role.charAt(0).toUpperCase() + role.slice(1)}
+                        {getRoleLabel(role)}
                       </Text>
                     </TouchableOpacity>
                   ))}
@@ -817,8 +938,7 @@ export default function UserManagementScreen({ navigation }) {
                           { color: getRoleColor(selectedUser.role) },
                         ]}
                       >
-                        {selectedUser.role.charAt(0).toUpperCase() +
-                          selectedUser.role.slice(1)}
+                        {getRoleLabel(selectedUser.role)}
                       </Text>
                     </View>
                     <View style={styles.detailRow}>
@@ -857,6 +977,166 @@ export default function UserManagementScreen({ navigation }) {
             </View>
           </View>
         </Modal>
+
+        {/* Role Editor Modal */}
+        <Modal
+          visible={showRolesModal}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={() => {
+            setEditingRole(null);
+            setShowRolesModal(false);
+          }}
+        >
+          <View style={styles.modalOverlay}>
+            <View style={styles.modalContent}>
+              {editingRole ? (
+                <>
+                  <Text style={styles.modalTitle}>
+                    {editingRole.isNew ? "New Role" : editingRole.displayName}
+                  </Text>
+                  <ScrollView style={styles.roleEditorScroll}>
+                    {editingRole.isNew && (
+                      <TextInput
+                        style={styles.modalInput}
+                        placeholder="Role name (e.g. dispatcher)"
+                        placeholderTextColor={COLORS.textLight}
+                        value={editingRole.name}
+                        onChangeText={(text) =>
+                          setEditingRole({ ...editingRole, name: text.toLowerCase() })
+                        }
+                        autoCapitalize="none"
+                      />
+                    )}
+                    <TextInput
+                      style={styles.modalInput}
+                      placeholder="Display Name"
+                      placeholderTextColor={COLORS.textLight}
+                      value={editingRole.displayName}
+                      onChangeText={(text) =>
+                        setEditingRole({ ...editingRole, displayName: text })
+                      }
+                    />
+                    <TextInput
+                      style={styles.modalInput}
+                      placeholder="Description"
+                      placeholderTextColor={COLORS.textLight}
+                      value={editingRole.description}
+                      onChangeText={(text) =>
+                        setEditingRole({ ...editingRole, description: text })
+                      }
+                    />
+
+                    {editingRole.name === "admin" ? (
+                      <Text style={styles.roleHint}>
+                        Administrators always have every permission.
+                      </Text>
+                    ) : (
+                      Object.entries(permissionGroups).map(([group, permissions]) => (
+                        <View key={group} style={styles.permissionGroup}>
+                          <Text style={styles.modalLabel}>
+                            {group.charAt(0).toUpperCase() + group.slice(1)}
+                          </Text>
+                          {permissions.map(({ key, description }) => {
+                            const granted = editingRole.permissions.includes(key);
+                            return (
+                              <TouchableOpacity
+                                key={key}
+                                style={[
+                                  styles.permissionRow,
+                                  granted && styles.permissionRowSelected,
+                                ]}
+                                onPress={() => toggleRolePermission(key)}
+                              >
+                                <Text style={styles.permissionCheck}>
+                                  {granted ? "☑️" : "⬜"}
+                                </Text>
+                                <View style={styles.permissionInfo}>
+                                  <Text style={styles.permissionKey}>{key}</Text>
+                                  <Text style={styles.permissionDescription}>
+                                    {description}
+                                  </Text>
+                                </View>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      ))
+                    )}
+                  </ScrollView>
+
+                  {!editingRole.isNew && !editingRole.isSystem && (
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.deleteRoleButton]}
+                      onPress={() => handleDeleteRole(editingRole)}
+                    >
+                      <Text style={styles.confirmButtonText}>Delete Role</Text>
+                    </TouchableOpacity>
+                  )}
+                  <View style={styles.modalActions}>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.cancelButton]}
+                      onPress={() => setEditingRole(null)}
+                    >
+                      <Text style={styles.cancelButtonText}>Back</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.confirmButton]}
+                      onPress={handleSaveRole}
+                      disabled={savingRole}
+                    >
+                      <Text style={styles.confirmButtonText}>
+                        {savingRole ? "Saving..." : "Save Role"}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.modalTitle}>Roles</Text>
+                  <ScrollView style={styles.roleEditorScroll}>
+                    {roleList.map((role) => (
+                      <TouchableOpacity
+                        key={role.name}
+                        style={styles.detailRow}
+                        onPress={() =>
+                          setEditingRole({
+                            ...EMPTY_ROLE,
+                            ...role,
+                            description: role.description || "",
+                            isNew: false,
+                          })
+                        }
+                      >
+                        <Text style={styles.detailLabel}>
+                          {getRoleIcon(role.name)} {role.displayName}
+                        </Text>
+                        <Text style={styles.detailValue}>
+                          {role.permissions.length} permissions •{" "}
+                          {role.userCount || 0} users
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                  <View style={styles.modalActions}>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.cancelButton]}
+                      onPress={() => setShowRolesModal(false)}
+                    >
+                      <Text style={styles.cancelButtonText}>Close</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.confirmButton]}
+                      onPress={() => setEditingRole(EMPTY_ROLE)}
+                    >
+                      <Text style={styles.confirmButtonText}>New Role</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+            </View>
+          </View>
+        </Modal>
       </ScrollView>
     </SafeAreaView>
   );
@@ -1100,10 +1380,12 @@ const styles = StyleSheet.create({
   },
   roleOptions: {
     flexDirection: "row",
+    flexWrap: "wrap",
     gap: SIZES.small,
   },
   roleOption: {
     flex: 1,
+    minWidth: "30%",
     backgroundColor: COLORS.background,
     paddingVertical: SIZES.medium,
     borderRadius: SIZES.radiusMedium,
@@ -1172,4 +1454,45 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontWeight: "600",
   },
+  roleEditorScroll: {
+    marginBottom: SIZES.medium,
+  },
+  roleHint: {
+    fontSize: SIZES.fontMedium,
+    color: COLORS.textSecondary,
+    marginBottom: SIZES.medium,
+  },
+  permissionGroup: {
+    marginBottom: SIZES.medium,
+  },
+  permissionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: SIZES.small,
+    borderRadius: SIZES.radiusSmall,
+    marginBottom: 4,
+  },
+  permissionRowSelected: {
+    backgroundColor: COLORS.primary + "15",
+  },
+  permissionCheck: {
+    fontSize: 16,
+    marginRight: SIZES.small,
+  },
+  permissionInfo: {
+    flex: 1,
+  },
+  permissionKey: {
+    fontSize: SIZES.fontSmall,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  permissionDescription: {
+    fontSize: SIZES.fontSmall,
+    color: COLORS.textSecondary,
+  },
+  deleteRoleButton: {
+    backgroundColor: COLORS.error,
+    marginBottom: SIZES.medium,
+  },
 });
@@ -24,6 +24,12 @@ const getApiBaseUrl = () => {
 
 const API_BASE_URL = getApiBaseUrl();
 
+// Requests that must not trigger a token refresh
+const SIGN_IN_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/otp/verify'];
+
+// Writes turned away for maintenance are held and replayed once it ends
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
 // API Response interface for better error handling
 class ApiResponse {
   constructor(success, data = null, message = '', errors = []) {
@@ -39,16 +45,102 @@ class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
     this.token = null;
+    this.refreshToken = null;
+    this.refreshPromise = null;
+    this.sessionHandlers = {};
+    this.maintenance = null;
+    this.maintenanceListeners = new Set();
+    this.maintenanceCheck = null;
+    this.queuedWrites = [];
   }
 
-  // Set authentication token
-  setAuthToken(token) {
+  // Set authentication token (and the refresh token that renews it)
+  setAuthToken(token, refreshToken = this.refreshToken) {
     this.token = token;
+    this.refreshToken = refreshToken;
   }
 
   // Remove authentication token
   removeAuthToken() {
     this.token = null;
+    this.refreshToken = null;
+  }
+
+  // onTokensRefreshed(tokens) persists rotated tokens; onSessionExpired() signs the user out
+  setSessionHandlers(handlers = {}) {
+    this.sessionHandlers = handlers;
+  }
+
+  // listener(status, queuedWrites) is called whenever maintenance starts, ends or is
+  // rescheduled; returns an unsubscribe function
+  onMaintenanceChange(listener) {
+    this.maintenanceListeners.add(listener);
+    return () => this.maintenanceListeners.delete(listener);
+  }
+
+  // Fed by 503 responses, the maintenance status endpoint and the socket broadcast
+  setMaintenanceStatus(status) {
+    const wasActive = this.maintenance?.active;
+    this.maintenance = status;
+
+    clearTimeout(this.maintenanceCheck);
+    if (status?.active) {
+      // Ask again when the server said to retry
+      this.maintenanceCheck = setTimeout(() => this.getMaintenanceStatus(), (status.retryAfter || 60) * 1000);
+    } else if (wasActive) {
+      this.flushQueuedWrites();
+    }
+
+    this.maintenanceListeners.forEach(listener => listener(status, this.queuedWrites.length));
+  }
+
+  async flushQueuedWrites() {
+    const writes = this.queuedWrites;
+    this.queuedWrites = [];
+
+    for (const { endpoint, options } of writes) {
+      const response = await this.request(endpoint, options);
+      if (!response.success) {
+        console.error(`❌ Queued write failed: ${options.method} ${endpoint}`, response.message);
+      }
+    }
+  }
+
+  // Swap the refresh token for a new pair. Concurrent callers share one request,
+  // since the server treats a second use of the same refresh token as theft.
+  async refreshSession() {
+    if (!this.refreshToken) return false;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.baseURL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: this.refreshToken }),
+          });
+          const data = await response.json();
+
+          if (!response.ok) {
+            this.removeAuthToken();
+            await this.sessionHandlers.onSessionExpired?.();
+            return false;
+          }
+
+          this.setAuthToken(data.data.token, data.data.refreshToken);
+          await this.sessionHandlers.onTokensRefreshed?.(data.data);
+          return true;
+        } catch (error) {
+          // Offline: keep the tokens and try again on the next request
+          console.error('🔥 Session refresh error:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
   }
 
   // Get default headers
@@ -65,12 +157,12 @@ class ApiService {
   }
 
   // Generic request method
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, isRetry = false) {
     try {
       const url = `${this.baseURL}${endpoint}`;
       const config = {
-        headers: this.getHeaders(),
         ...options,
+        headers: { ...this.getHeaders(), ...options.headers },
       };
 
       console.log(`🌐 API Request: ${config.method || 'GET'} ${url}`);
@@ -83,6 +175,22 @@ class ApiService {
       console.log(`📡 Response Status: ${response.status}`);
       console.log(`📄 Response Data:`, data);
 
+      // Access tokens are short-lived: refresh once and replay the request
+      if (response.status === 401 && !isRetry && this.refreshToken && !SIGN_IN_ENDPOINTS.includes(endpoint)) {
+        if (await this.refreshSession()) {
+          return this.request(endpoint, options, true);
+        }
+      }
+
+      if (response.status === 503 && data.code === 'maintenance') {
+        this.setMaintenanceStatus({ active: true, message: data.message, ...data.data });
+
+        if (WRITE_METHODS.includes(config.method)) {
+          this.queuedWrites.push({ endpoint, options });
+          return new ApiResponse(false, { queued: true }, `${data.message} Your change will be sent when maintenance ends.`);
+        }
+      }
+
       if (!response.ok) {
         console.error(`❌ API Error: ${response.status}`, data);
         return new ApiResponse(false, null, data.message || 'Request failed', data.errors || []);
@@ -143,7 +251,7 @@ class ApiService {
   async login(credentials) {
     const response = await this.post('/auth/login', credentials);
     if (response.success && response.data.token) {
-      this.setAuthToken(response.data.token);
+      this.setAuthToken(response.data.token, response.data.refreshToken);
     }
     return response;
   }
@@ -153,6 +261,27 @@ class ApiService {
     return new ApiResponse(true, null, 'Logged out successfully');
   }
 
+  async verifyEmail(token) {
+    return this.post('/auth/verify-email', { token });
+  }
+
+  async resendVerification() {
+    return this.post('/auth/resend-verification');
+  }
+
+  // Devices signed in to this account
+  async getSessions() {
+    return this.get('/auth/sessions');
+  }
+
+  async revokeSession(id) {
+    return this.delete(`/auth/sessions/${id}`);
+  }
+
+  async revokeOtherSessions() {
+    return this.delete('/auth/sessions');
+  }
+
   // ===== COLLECTION METHODS =====
   
   async getCollections(filters = {}) {
@@ -165,6 +294,11 @@ class ApiService {
     return this.post('/collections', collectionData);
   }
 
+  // Price a pickup before booking: { wasteTypes, priority, pickupLocation, voucherCode }
+  async getCollectionQuote(pickupDetails) {
+    return this.post('/collections/quote', pickupDetails);
+  }
+
   async getCollectionById(id) {
     return this.get(`/collections/${id}`);
   }
@@ -289,6 +423,49 @@ class ApiService {
     }, 'Fake tracking data for Thamel pickup at 8:45 AM on August 4th, 2025');
   }
 
+  // ===== TRACKING METHODS =====
+
+  async getDriverLocationHistory(driverId, filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams
+      ? `/tracking/driver/${driverId}/history?${queryParams}`
+      : `/tracking/driver/${driverId}/history`;
+    return this.get(endpoint);
+  }
+
+  // ===== RECURRING PICKUP METHODS =====
+
+  async getPickupSeries(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/pickup-series?${queryParams}` : '/pickup-series';
+    return this.get(endpoint);
+  }
+
+  async createPickupSeries(seriesData) {
+    return this.post('/pickup-series', seriesData);
+  }
+
+  // Applies to this and all future pickups from effectiveFrom
+  async updatePickupSeries(id, changes, effectiveFrom) {
+    return this.put(`/pickup-series/${id}`, { ...changes, effectiveFrom });
+  }
+
+  async pausePickupSeries(id, resumeOn) {
+    return this.post(`/pickup-series/${id}/pause`, resumeOn ? { resumeOn } : {});
+  }
+
+  async resumePickupSeries(id) {
+    return this.post(`/pickup-series/${id}/resume`, {});
+  }
+
+  async skipNextPickup(id) {
+    return this.post(`/pickup-series/${id}/skip-next`, {});
+  }
+
+  async endPickupSeries(id) {
+    return this.delete(`/pickup-series/${id}`);
+  }
+
   // ===== ISSUE REPORTING METHODS =====
   
   async getIssues(filters = {}) {
@@ -338,6 +515,24 @@ class ApiService {
     return this.get('/notifications/unread-count');
   }
 
+  // Admin: notification wording per locale (en, ne)
+  async getNotificationTemplates() {
+    return this.get('/notification-service/templates');
+  }
+
+  async updateNotificationTemplate(key, changes) {
+    return this.put(`/notification-service/templates/${key}`, changes);
+  }
+
+  // Pass draft translations to preview edits before saving them
+  async previewNotificationTemplate(key, { locale, variables, translations } = {}) {
+    return this.post(`/notification-service/templates/${key}/preview`, { locale, variables, translations });
+  }
+
+  async resetNotificationTemplate(key) {
+    return this.post(`/notification-service/templates/${key}/reset`, {});
+  }
+
   // ===== ANALYTICS METHODS =====
   
   async getCustomerDashboard() {
@@ -374,10 +569,274 @@ class ApiService {
     return this.post('/users/change-password', passwordData);
   }
 
+  // ===== ROLE METHODS =====
+
+  async getRoles() {
+    return this.get('/roles');
+  }
+
+  // Every permission, grouped by area (users, collections, ...)
+  async getPermissions() {
+    return this.get('/roles/permissions');
+  }
+
+  async createRole(roleData) {
+    return this.post('/roles', roleData);
+  }
+
+  async updateRole(name, changes) {
+    return this.put(`/roles/${name}`, changes);
+  }
+
+  async deleteRole(name) {
+    return this.delete(`/roles/${name}`);
+  }
+
+  // ===== SYSTEM CONFIG METHODS =====
+
+  async getSystemConfig() {
+    return this.get('/system/config');
+  }
+
+  // settings: key -> value (null resets to default); versions: key -> version read
+  async updateSystemConfig(settings, { versions, reason } = {}) {
+    return this.put('/system/config', { settings, versions, reason });
+  }
+
+  // filters: key, page, limit
+  async getSystemConfigHistory(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/system/config/history?${queryParams}` : '/system/config/history';
+    return this.get(endpoint);
+  }
+
+  // ===== MAINTENANCE METHODS =====
+
+  // Current maintenance and the next planned window; also updates listeners
+  async getMaintenanceStatus() {
+    const response = await this.get('/system/maintenance/status');
+    if (response.success) {
+      this.setMaintenanceStatus(response.data);
+    }
+    return response;
+  }
+
+  // all: include past and cancelled windows
+  async getMaintenanceWindows(all = false) {
+    return this.get(all ? '/system/maintenance/windows?all=true' : '/system/maintenance/windows');
+  }
+
+  // window: title, message, startsAt, endsAt, notifyCustomers, noticeHours
+  async createMaintenanceWindow(window) {
+    return this.post('/system/maintenance/windows', window);
+  }
+
+  async updateMaintenanceWindow(id, changes) {
+    return this.put(`/system/maintenance/windows/${id}`, changes);
+  }
+
+  async cancelMaintenanceWindow(id) {
+    return this.delete(`/system/maintenance/windows/${id}`);
+  }
+
+  // ===== BACKUP METHODS =====
+
+  // Backups newest first, plus status: lastBackup, running, lastStatus, frequency...
+  async getBackups() {
+    return this.get('/system/backups');
+  }
+
+  // Starts a backup in the background
+  async createBackup() {
+    return this.post('/system/backups', {});
+  }
+
+  // ===== BULK OPERATION METHODS =====
+
+  // Operation types the user can start, with whether they can be rolled back
+  async getBulkOperationTypes() {
+    return this.get('/bulk-operations/types');
+  }
+
+  // filters: status, page, limit
+  async getBulkOperations(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/bulk-operations?${queryParams}` : '/bulk-operations';
+    return this.get(endpoint);
+  }
+
+  // Starts in the background; follow it with getBulkOperation or the bulkProgress socket event
+  async startBulkOperation(type, params) {
+    return this.post('/bulk-operations', { type, params });
+  }
+
+  async getBulkOperation(id) {
+    return this.get(`/bulk-operations/${id}`);
+  }
+
+  // filters: status (e.g. failed), page, limit
+  async getBulkOperationItems(id, filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/bulk-operations/${id}/items?${queryParams}` : `/bulk-operations/${id}/items`;
+    return this.get(endpoint);
+  }
+
+  async cancelBulkOperation(id) {
+    return this.post(`/bulk-operations/${id}/cancel`, {});
+  }
+
+  async rollbackBulkOperation(id) {
+    return this.post(`/bulk-operations/${id}/rollback`, {});
+  }
+
+  // ===== BILLING METHODS =====
+
+  // The customer's own summary unless filters.customerId is given (billing:view)
+  async getBillingSummary(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(queryParams ? `/billing/summary?${queryParams}` : '/billing/summary');
+  }
+
+  // filters: customerId, status, page, limit
+  async getInvoices(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(queryParams ? `/billing/invoices?${queryParams}` : '/billing/invoices');
+  }
+
+  async getInvoice(id) {
+    return this.get(`/billing/invoices/${id}`);
+  }
+
+  async voidInvoice(id, reason) {
+    return this.post(`/billing/invoices/${id}/void`, { reason });
+  }
+
+  // filters: customerId, page, limit
+  async getPayments(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(queryParams ? `/billing/payments?${queryParams}` : '/billing/payments');
+  }
+
+  // payment: customerId, amount, method, reference, invoiceId, receivedAt, notes
+  async recordPayment(payment) {
+    return this.post('/billing/payments', payment);
+  }
+
+  // Drivers: cash taken at one of their pickups
+  async recordCashPayment(collectionId, amount, notes) {
+    return this.post('/billing/payments/cash', { collectionId, amount, notes });
+  }
+
+  async reversePayment(id, reason) {
+    return this.post(`/billing/payments/${id}/reverse`, { reason });
+  }
+
+  // filters: customerId, page, limit
+  async getLedger(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(queryParams ? `/billing/ledger?${queryParams}` : '/billing/ledger');
+  }
+
+  // ===== WALLET METHODS =====
+
+  // Monthly plan prices, the customer's plan and how long it is paid for
+  async getSubscriptionOptions() {
+    return this.get('/wallet/subscription');
+  }
+
+  // order: { purpose: 'invoice', invoiceId } or { purpose: 'subscription', plan, months }.
+  // Reuse idempotencyKey when retrying the same payment so it is not started twice.
+  async walletCheckout(order, idempotencyKey) {
+    return this.request('/wallet/checkout', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': idempotencyKey },
+      body: JSON.stringify(order),
+    });
+  }
+
+  // Looks a pending payment up at the gateway, so it can be polled
+  async getWalletPayment(id) {
+    return this.get(`/wallet/payments/${id}`);
+  }
+
+  // filters: customerId, page, limit
+  async getWalletPayments(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(queryParams ? `/wallet/payments?${queryParams}` : '/wallet/payments');
+  }
+
+  // ===== SUBSCRIPTION METHODS =====
+
+  // Every plan with its monthly price, trial and entitlements
+  async getPlans() {
+    return this.get('/subscriptions/plans');
+  }
+
+  // The customer's plan, what it includes and this month's pickups against it
+  async getSubscription() {
+    return this.get('/subscriptions/current');
+  }
+
+  async startTrial(plan) {
+    return this.post('/subscriptions/trial', { plan });
+  }
+
+  // Paid time left moves to the new plan, or is credited on the free plan
+  async changePlan(plan) {
+    return this.post('/subscriptions/change', { plan });
+  }
+
+  // ===== REWARDS METHODS =====
+
+  // Rewards that can be redeemed now, cheapest first
+  async getRewards() {
+    return this.get('/rewards');
+  }
+
+  // Points totals and the points ledger, newest first
+  async getPoints(page = 1) {
+    return this.get(`/rewards/points?page=${page}`);
+  }
+
+  async redeemReward(rewardId) {
+    return this.post(`/rewards/${rewardId}/redeem`, {});
+  }
+
+  async getVouchers(status) {
+    return this.get(status ? `/rewards/vouchers?status=${status}` : '/rewards/vouchers');
+  }
+
+  // An unused voucher's points go back to the customer
+  async cancelVoucher(voucherId) {
+    return this.post(`/rewards/vouchers/${voucherId}/cancel`, {});
+  }
+
+  // ===== SYSTEM LOG METHODS =====
+
+  // filters: level (and more severe), category, q, requestId, from, to, before, limit
+  async getSystemLogs(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/system/logs?${queryParams}` : '/system/logs';
+    return this.get(endpoint);
+  }
+
+  // ===== AUDIT LOG METHODS =====
+
+  // filters: page, limit, actor, action (prefix), targetType, targetId, from, to
+  async getAuditLog(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    const endpoint = queryParams ? `/audit?${queryParams}` : '/audit';
+    return this.get(endpoint);
+  }
+
+  async verifyAuditLog() {
+    return this.get('/audit/verify');
+  }
+
   // ===== PUSH NOTIFICATION METHODS =====
   
-  async updatePushToken(token) {
-    return this.post('/users/push-token', { pushToken: token });
+  async updatePushToken(token, platform) {
+    return this.post('/users/push-token', { pushToken: token, platform });
   }
 
   async removePushToken() {
@@ -1,15 +1,23 @@
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
 import apiService from './apiService';
 
+// Sent with sign-in so the device shows up recognisably in the session list
+const getDeviceInfo = () => ({
+  deviceName: Device.deviceName || Device.modelName || undefined,
+  platform: Platform.OS,
+});
+
 // Auth Service for handling authentication-related API calls
 class AuthService {
   // User Registration
   async register(userData) {
     try {
-      const response = await apiService.post('/auth/register', userData);
+      const response = await apiService.post('/auth/register', { ...userData, ...getDeviceInfo() });
       
       if (response.success && response.data?.token) {
-        // Store token for future requests
-        apiService.setAuthToken(response.data.token);
+        // Store tokens for future requests
+        apiService.setAuthToken(response.data.token, response.data.refreshToken);
       }
       
       return response;
@@ -26,11 +34,11 @@ class AuthService {
   // User Login
   async login(credentials) {
     try {
-      const response = await apiService.post('/auth/login', credentials);
+      const response = await apiService.post('/auth/login', { ...credentials, ...getDeviceInfo() });
       
       if (response.success && response.data?.token) {
-        // Store token for future requests
-        apiService.setAuthToken(response.data.token);
+        // Store tokens for future requests
+        apiService.setAuthToken(response.data.token, response.data.refreshToken);
       }
       
       return response;
@@ -44,6 +52,48 @@ class AuthService {
     }
   }
 
+  // Text a one-time code (purpose 'login', or 'verify-phone' for the signed-in user)
+  async requestOtp(phone, purpose = 'login', language) {
+    try {
+      return await apiService.post('/auth/otp/request', { phone, purpose, language });
+    } catch (error) {
+      console.error('Request OTP error:', error);
+      return {
+        success: false,
+        message: 'Failed to send verification code',
+        data: null
+      };
+    }
+  }
+
+  // Sign in with a texted code; `name` creates the account when the number is new
+  async verifyOtp({ phone, code, name, purpose = 'login', language }) {
+    try {
+      const response = await apiService.post('/auth/otp/verify', {
+        phone,
+        code,
+        name,
+        purpose,
+        language,
+        ...getDeviceInfo()
+      });
+      
+      if (response.success && response.data?.token) {
+        // Store tokens for future requests
+        apiService.setAuthToken(response.data.token, response.data.refreshToken);
+      }
+      
+      return response;
+    } catch (error) {
+      console.error('Verify OTP error:', error);
+      return {
+        success: false,
+        message: 'Failed to verify code',
+        data: null
+      };
+    }
+  }
+
   // Get Current User Profile
   async getProfile() {
     try {
@@ -114,6 +164,34 @@ class AuthService {
     }
   }
 
+  // Verify Email
+  async verifyEmail(token) {
+    try {
+      return await apiService.post('/auth/verify-email', { token });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      return {
+        success: false,
+        message: 'Failed to verify email',
+        data: null
+      };
+    }
+  }
+
+  // Resend Verification Email
+  async resendVerification() {
+    try {
+      return await apiService.post('/auth/resend-verification');
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      return {
+        success: false,
+        message: 'Failed to send verification email',
+        data: null
+      };
+    }
+  }
+
   // Logout
   async logout() {
     try {
@@ -160,9 +238,14 @@ class AuthService {
     return apiService.token !== null;
   }
 
-  // Set authentication token manually (for app initialization)
-  setAuthToken(token) {
-    apiService.setAuthToken(token);
+  // Set authentication tokens manually (for app initialization)
+  setAuthToken(token, refreshToken) {
+    apiService.setAuthToken(token, refreshToken);
+  }
+
+  // Called when tokens rotate in the background or the session can't be renewed
+  setSessionHandlers(handlers) {
+    apiService.setSessionHandlers(handlers);
   }
 
   // Remove authentication token manually
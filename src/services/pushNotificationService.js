@@ -1,6 +1,7 @@
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
 import apiService from './apiService';
 
 class PushNotificationService {
@@ -111,7 +112,7 @@ class PushNotificationService {
         
         // Send token to backend
         try {
-          await apiService.updatePushToken(token);
+          await apiService.updatePushToken(token, Platform.OS);
           console.log('Push token registered with backend:', token);
         } catch (error) {
           console.error('Error registering push token with backend:', error);
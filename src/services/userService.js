@@ -121,7 +121,8 @@ class UserService {
     }
   }
 
-  // Bulk update users (Admin only)
+  // Bulk update users (Admin only). Runs in the background: data.operation is the
+  // bulk operation to follow with apiService.getBulkOperation
   async bulkUpdateUsers(userIds, updates) {
     try {
       return await apiService.post('/users/bulk-update', {
@@ -120,6 +120,12 @@ class WebSocketService {
       case 'collection_status':
         this.emit('collectionStatus', payload);
         break;
+      case 'maintenance':
+        this.emit('maintenance', payload);
+        break;
+      case 'bulk:progress':
+        this.emit('bulkProgress', payload);
+        break;
       default:
         this.emit('message', data);
     }